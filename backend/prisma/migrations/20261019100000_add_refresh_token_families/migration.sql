@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."refresh_tokens" ADD COLUMN     "family_id" UUID,
+ADD COLUMN     "parent_id" UUID;
+
+-- Backfill: every token issued before rotation existed starts its own family
+UPDATE "public"."refresh_tokens" SET "family_id" = "id" WHERE "family_id" IS NULL;
+
+-- AlterTable
+ALTER TABLE "public"."refresh_tokens" ALTER COLUMN "family_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_family_id_idx" ON "public"."refresh_tokens"("family_id");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_parent_id_idx" ON "public"."refresh_tokens"("parent_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."refresh_tokens" ADD CONSTRAINT "refresh_tokens_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "public"."refresh_tokens"("id") ON DELETE SET NULL ON UPDATE CASCADE;
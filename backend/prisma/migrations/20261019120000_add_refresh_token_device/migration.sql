@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."refresh_tokens" ADD COLUMN     "device_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_device_id_idx" ON "public"."refresh_tokens"("device_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."refresh_tokens" ADD CONSTRAINT "refresh_tokens_device_id_fkey" FOREIGN KEY ("device_id") REFERENCES "public"."devices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
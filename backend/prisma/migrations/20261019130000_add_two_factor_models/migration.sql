@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "public"."user_two_factor" (
+    "user_id" UUID NOT NULL,
+    "secret_encrypted" TEXT NOT NULL,
+    "enabled_at" TIMESTAMP(3),
+    "last_used_step" INTEGER,
+    "failed_attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_failed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "user_two_factor_pkey" PRIMARY KEY ("user_id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."recovery_codes" (
+    "id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recovery_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "recovery_codes_user_id_idx" ON "public"."recovery_codes"("user_id");
+
+-- CreateIndex
+CREATE INDEX "recovery_codes_code_hash_idx" ON "public"."recovery_codes"("code_hash");
+
+-- AddForeignKey
+ALTER TABLE "public"."user_two_factor" ADD CONSTRAINT "user_two_factor_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."recovery_codes" ADD CONSTRAINT "recovery_codes_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
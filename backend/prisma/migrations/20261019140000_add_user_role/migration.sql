@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "public"."UserRole" AS ENUM ('USER', 'MODERATOR', 'ADMIN');
+
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "role" "public"."UserRole" NOT NULL DEFAULT 'USER';
+
+-- CreateIndex
+CREATE INDEX "users_role_idx" ON "public"."users"("role");
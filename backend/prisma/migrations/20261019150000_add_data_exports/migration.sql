@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "public"."DataExportStatus" AS ENUM ('PENDING', 'PROCESSING', 'READY', 'FAILED', 'EXPIRED');
+
+-- CreateEnum
+CREATE TYPE "public"."DataExportFormat" AS ENUM ('JSON', 'ZIP');
+
+-- CreateTable
+CREATE TABLE "public"."data_exports" (
+    "id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "format" "public"."DataExportFormat" NOT NULL DEFAULT 'ZIP',
+    "status" "public"."DataExportStatus" NOT NULL DEFAULT 'PENDING',
+    "file_path" TEXT,
+    "error" TEXT,
+    "completed_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "data_exports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "data_exports_user_id_idx" ON "public"."data_exports"("user_id");
+
+-- CreateIndex
+CREATE INDEX "data_exports_status_created_at_idx" ON "public"."data_exports"("status", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."data_exports" ADD CONSTRAINT "data_exports_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "anonymized_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "users_deleted_at_idx" ON "public"."users"("deleted_at");
@@ -0,0 +1,66 @@
+-- CreateEnum
+CREATE TYPE "public"."JoinRequestStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "public"."group_join_requests" (
+    "id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "message" TEXT,
+    "status" "public"."JoinRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "reviewed_by" UUID,
+    "reviewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "group_join_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."group_invites" (
+    "id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "created_by" UUID NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "email" TEXT,
+    "max_uses" INTEGER,
+    "use_count" INTEGER NOT NULL DEFAULT 0,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "group_invites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "group_join_requests_group_id_status_idx" ON "public"."group_join_requests"("group_id", "status");
+
+-- CreateIndex
+CREATE INDEX "group_join_requests_user_id_idx" ON "public"."group_join_requests"("user_id");
+
+-- One open request per user and group
+CREATE UNIQUE INDEX "group_join_requests_pending_unique" ON "public"."group_join_requests"("group_id", "user_id") WHERE "status" = 'PENDING';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "group_invites_token_hash_key" ON "public"."group_invites"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "group_invites_group_id_idx" ON "public"."group_invites"("group_id");
+
+-- Use count can never pass the limit
+ALTER TABLE "public"."group_invites" ADD CONSTRAINT "group_invites_use_count_check" CHECK ("max_uses" IS NULL OR "use_count" <= "max_uses");
+
+-- AddForeignKey
+ALTER TABLE "public"."group_join_requests" ADD CONSTRAINT "group_join_requests_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "public"."groups"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_join_requests" ADD CONSTRAINT "group_join_requests_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_join_requests" ADD CONSTRAINT "group_join_requests_reviewed_by_fkey" FOREIGN KEY ("reviewed_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_invites" ADD CONSTRAINT "group_invites_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "public"."groups"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."group_invites" ADD CONSTRAINT "group_invites_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
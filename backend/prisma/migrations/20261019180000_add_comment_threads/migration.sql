@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "public"."comments" ADD COLUMN "parent_id" UUID,
+ADD COLUMN "depth" INTEGER NOT NULL DEFAULT 0;
+
+-- Replies sit exactly one level below their parent
+ALTER TABLE "public"."comments" ADD CONSTRAINT "comments_depth_non_negative" CHECK ("depth" >= 0);
+ALTER TABLE "public"."comments" ADD CONSTRAINT "comments_parent_depth" CHECK (("parent_id" IS NULL) = ("depth" = 0));
+
+-- CreateIndex
+CREATE INDEX "comments_parent_id_idx" ON "public"."comments"("parent_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."comments" ADD CONSTRAINT "comments_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "public"."comments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- The add_counter_triggers migration dropped this index because Prisma cannot
+-- describe indexes on Unsupported("tsvector") columns. Full-text search over
+-- posts depends on it, so recreate it here. Remove any "DropIndex" for it
+-- that `prisma migrate dev` generates in future migrations.
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "posts_search_tsv_gin" ON "public"."posts" USING GIN ("search_tsv");
@@ -0,0 +1,92 @@
+-- Full-text search for prayers, groups, events and users, following the
+-- posts.search_tsv setup from add_search_functionality. Titles and names are
+-- weighted above body text so they rank higher.
+
+-- AlterTable
+ALTER TABLE "public"."prayers" ADD COLUMN "search_tsv" tsvector;
+ALTER TABLE "public"."groups" ADD COLUMN "search_tsv" tsvector;
+ALTER TABLE "public"."events" ADD COLUMN "search_tsv" tsvector;
+ALTER TABLE "public"."users" ADD COLUMN "search_tsv" tsvector;
+
+-- CreateIndex
+CREATE INDEX "prayers_search_tsv_gin" ON "public"."prayers" USING GIN ("search_tsv");
+CREATE INDEX "groups_search_tsv_gin" ON "public"."groups" USING GIN ("search_tsv");
+CREATE INDEX "events_search_tsv_gin" ON "public"."events" USING GIN ("search_tsv");
+CREATE INDEX "users_search_tsv_gin" ON "public"."users" USING GIN ("search_tsv");
+
+-- Prayers: title + content
+CREATE OR REPLACE FUNCTION update_prayers_search_tsv()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_tsv :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(NEW.content, '')), 'B');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prayers_search_tsv_update
+BEFORE INSERT OR UPDATE OF "title", "content" ON "public"."prayers"
+FOR EACH ROW
+EXECUTE FUNCTION update_prayers_search_tsv();
+
+-- Groups: name + description
+CREATE OR REPLACE FUNCTION update_groups_search_tsv()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_tsv :=
+    setweight(to_tsvector('english', COALESCE(NEW.name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER groups_search_tsv_update
+BEFORE INSERT OR UPDATE OF "name", "description" ON "public"."groups"
+FOR EACH ROW
+EXECUTE FUNCTION update_groups_search_tsv();
+
+-- Events: title, description and location
+CREATE OR REPLACE FUNCTION update_events_search_tsv()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_tsv :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(NEW.location, '')), 'C');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER events_search_tsv_update
+BEFORE INSERT OR UPDATE OF "title", "description", "location" ON "public"."events"
+FOR EACH ROW
+EXECUTE FUNCTION update_events_search_tsv();
+
+-- Users: display name. Names are not English words, so they are indexed
+-- with the 'simple' configuration (no stemming or stop words).
+CREATE OR REPLACE FUNCTION update_users_search_tsv()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_tsv := to_tsvector('simple', COALESCE(NEW.display_name, ''));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER users_search_tsv_update
+BEFORE INSERT OR UPDATE OF "display_name" ON "public"."users"
+FOR EACH ROW
+EXECUTE FUNCTION update_users_search_tsv();
+
+-- Populate existing rows
+UPDATE "public"."prayers" SET search_tsv =
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(content, '')), 'B');
+UPDATE "public"."groups" SET search_tsv =
+  setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'B');
+UPDATE "public"."events" SET search_tsv =
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+  setweight(to_tsvector('english', COALESCE(location, '')), 'C');
+UPDATE "public"."users" SET search_tsv = to_tsvector('simple', COALESCE(display_name, ''));
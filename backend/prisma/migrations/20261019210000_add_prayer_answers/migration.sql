@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."prayers" ADD COLUMN "answer_text" TEXT,
+ADD COLUMN "answered_at" TIMESTAMP(3),
+ADD COLUMN "archived_at" TIMESTAMP(3);
+
+-- Answered prayers carry their answer date
+UPDATE "public"."prayers" SET "answered_at" = "updated_at" WHERE "status" = 'ANSWERED';
+
+-- CreateIndex
+CREATE INDEX "prayer_commits_prayer_id_user_id_idx" ON "public"."prayer_commits"("prayer_id", "user_id");
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "public"."ReminderFrequency" AS ENUM ('ONCE', 'DAILY', 'WEEKLY');
+
+-- CreateTable
+CREATE TABLE "public"."prayer_reminders" (
+    "id" UUID NOT NULL,
+    "commit_id" UUID NOT NULL,
+    "frequency" "public"."ReminderFrequency" NOT NULL,
+    "time_of_day" TEXT NOT NULL,
+    "remaining" INTEGER NOT NULL,
+    "next_run_at" TIMESTAMP(3) NOT NULL,
+    "last_sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "prayer_reminders_pkey" PRIMARY KEY ("id")
+);
+
+-- Reminders are removed once none remain, and fire at a wall-clock time
+ALTER TABLE "public"."prayer_reminders" ADD CONSTRAINT "prayer_reminders_remaining_positive" CHECK ("remaining" > 0);
+ALTER TABLE "public"."prayer_reminders" ADD CONSTRAINT "prayer_reminders_time_of_day_format" CHECK ("time_of_day" ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$');
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prayer_reminders_commit_id_key" ON "public"."prayer_reminders"("commit_id");
+
+-- CreateIndex
+CREATE INDEX "prayer_reminders_next_run_at_idx" ON "public"."prayer_reminders"("next_run_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."prayer_reminders" ADD CONSTRAINT "prayer_reminders_commit_id_fkey" FOREIGN KEY ("commit_id") REFERENCES "public"."prayer_commits"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."xp_events" ADD COLUMN "idempotency_key" TEXT;
+
+-- CreateIndex
+-- Each action awards XP once per user and triggering entity; rows written
+-- before the XP engine have no key
+CREATE UNIQUE INDEX "xp_events_idempotency_key_key" ON "public"."xp_events"("idempotency_key");
+
+-- CreateIndex
+-- Daily caps and cooldowns look up a user's recent awards for one action
+CREATE INDEX "xp_events_user_reason_created_desc" ON "public"."xp_events"("user_id", "reason", "created_at" DESC);
@@ -0,0 +1,86 @@
+-- AlterTable
+ALTER TABLE "public"."xp_events" ADD COLUMN "reversal_of_id" UUID;
+
+-- CreateIndex
+-- An event can be reversed at most once
+CREATE UNIQUE INDEX "xp_events_reversal_of_id_key" ON "public"."xp_events"("reversal_of_id");
+
+-- CreateIndex
+CREATE INDEX "xp_events_metadata_gin" ON "public"."xp_events" USING GIN ("metadata" jsonb_path_ops);
+
+-- AddForeignKey
+ALTER TABLE "public"."xp_events" ADD CONSTRAINT "xp_events_reversal_of_id_fkey" FOREIGN KEY ("reversal_of_id") REFERENCES "public"."xp_events"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Awards stay non-negative; a reversal carries the negated amount of the
+-- event it cancels
+ALTER TABLE "public"."xp_events" DROP CONSTRAINT "xp_events_amount_non_negative";
+ALTER TABLE "public"."xp_events" ADD CONSTRAINT "xp_events_amount_sign" CHECK (
+  ("reversal_of_id" IS NULL AND "amount" >= 0) OR
+  ("reversal_of_id" IS NOT NULL AND "amount" <= 0)
+);
+
+-- =============================================================================
+-- XP TOTALS TRIGGER
+-- =============================================================================
+-- Inserted events add their (possibly negative) amount to xp_totals, and
+-- deleted events take it back out, so totals always equal the sum of the
+-- user's events. Deleting a reversed event cascades to its reversal and the
+-- pair nets out.
+
+CREATE OR REPLACE FUNCTION update_xp_totals()
+RETURNS TRIGGER AS $$
+DECLARE
+  column_name TEXT;
+  event xp_events%ROWTYPE;
+  delta INTEGER;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    event := OLD;
+    delta := -OLD.amount;
+  ELSE
+    event := NEW;
+    delta := NEW.amount;
+  END IF;
+
+  -- Map the fruit enum to the corresponding column name
+  column_name := CASE event.fruit
+    WHEN 'LOVE' THEN 'love'
+    WHEN 'JOY' THEN 'joy'
+    WHEN 'PEACE' THEN 'peace'
+    WHEN 'PATIENCE' THEN 'patience'
+    WHEN 'KINDNESS' THEN 'kindness'
+    WHEN 'GOODNESS' THEN 'goodness'
+    WHEN 'FAITHFULNESS' THEN 'faithfulness'
+    WHEN 'GENTLENESS' THEN 'gentleness'
+    WHEN 'SELF_CONTROL' THEN 'self_control'
+  END;
+
+  IF TG_OP = 'DELETE' THEN
+    -- Only adjust an existing row: when the user is being deleted their
+    -- totals are already gone
+    EXECUTE format(
+      'UPDATE xp_totals SET %I = %I + $2, updated_at = NOW() WHERE user_id = $1',
+      column_name, column_name
+    ) USING event.user_id, delta;
+
+    RETURN OLD;
+  END IF;
+
+  EXECUTE format(
+    'INSERT INTO xp_totals (user_id, %I, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id)
+     DO UPDATE SET
+       %I = xp_totals.%I + $2,
+       updated_at = NOW()',
+    column_name, column_name, column_name
+  ) USING event.user_id, delta;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER xp_event_deleted
+  AFTER DELETE ON xp_events
+  FOR EACH ROW
+  EXECUTE FUNCTION update_xp_totals();
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."user_settings" ADD COLUMN "leaderboard_opt_out" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "public"."user_badges" (
+    "id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "badge_key" TEXT NOT NULL,
+    "awarded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_badges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+-- Each badge is awarded once per user, however often it is evaluated
+CREATE UNIQUE INDEX "user_badges_user_id_badge_key_key" ON "public"."user_badges"("user_id", "badge_key");
+
+-- CreateIndex
+CREATE INDEX "user_badges_user_awarded_desc" ON "public"."user_badges"("user_id", "awarded_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "public"."user_badges" ADD CONSTRAINT "user_badges_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
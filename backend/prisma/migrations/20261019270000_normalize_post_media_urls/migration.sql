@@ -0,0 +1,20 @@
+-- Convert legacy media_urls entries, which were plain URL strings, to the
+-- attachment objects written by the media API so they can be addressed by id
+UPDATE "public"."posts"
+SET "media_urls" = (
+    SELECT jsonb_agg(
+        CASE
+            WHEN jsonb_typeof(media.entry) = 'string'
+                THEN jsonb_build_object('id', gen_random_uuid(), 'url', media.entry #>> '{}')
+            ELSE media.entry
+        END
+        ORDER BY media.position
+    )
+    FROM jsonb_array_elements("media_urls") WITH ORDINALITY AS media(entry, position)
+)
+WHERE jsonb_typeof("media_urls") = 'array'
+  AND EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements("media_urls") AS legacy(entry)
+    WHERE jsonb_typeof(legacy.entry) = 'string'
+  );
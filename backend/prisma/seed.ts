@@ -94,6 +94,7 @@ async function main() {
         email: 'admin@anointed.app',
         passwordHash: await hashPassword('SecurePass123!'),
         displayName: 'Pastor John',
+        role: 'ADMIN',
         avatarUrl: faker.image.avatar(),
         tz: 'America/New_York',
         userSettings: {
@@ -247,7 +248,7 @@ async function main() {
         type: faker.helpers.arrayElement(['POST', 'TESTIMONY']),
         content: faker.lorem.paragraphs(faker.number.int({ min: 1, max: 3 })),
         mediaUrls: faker.datatype.boolean({ probability: 0.3 }) 
-          ? [faker.image.url(), faker.image.url()] 
+          ? [faker.image.url(), faker.image.url()].map((url) => ({ id: faker.string.uuid(), url }))
           : null,
         status: 'ACTIVE',
         createdAt: faker.date.recent({ days: 30 })
@@ -314,14 +315,21 @@ async function main() {
       ? faker.helpers.arrayElement(groups) 
       : null;
 
+    const status = faker.helpers.arrayElement(['OPEN', 'ANSWERED', 'ARCHIVED']);
+    const createdAt = faker.date.recent({ days: 60 });
+    const closedAt = faker.date.between({ from: createdAt, to: new Date() });
+
     const prayer = await prisma.prayer.create({
       data: {
         userId: randomUser.id,
         groupId: randomGroup?.id,
         title: faker.lorem.sentence(),
         content: faker.lorem.paragraphs(2),
-        status: faker.helpers.arrayElement(['OPEN', 'ANSWERED', 'ARCHIVED']),
-        createdAt: faker.date.recent({ days: 60 })
+        status,
+        answerText: status === 'ANSWERED' ? faker.lorem.sentence() : null,
+        answeredAt: status === 'ANSWERED' ? closedAt : null,
+        archivedAt: status === 'ARCHIVED' ? closedAt : null,
+        createdAt
       }
     });
     prayers.push(prayer);
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Reconcile XP Totals Script
+ *
+ * Recomputes every user's XP totals from xp_events and reports where
+ * xp_totals drifted, per fruit. Runs as a dry run unless --apply is given.
+ *
+ * Usage:
+ *   node scripts/reconcile-xp-totals.js [--apply] [--user <userId>] [--json]
+ *
+ * A dry run that finds drift exits with status 2, so it can be used as a
+ * scheduled check.
+ */
+
+import prismaService from '../src/services/prisma.js';
+import XpReconciliationService from '../src/modules/xp/reconciliationService.js';
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{ apply: boolean, userId: string|undefined, json: boolean }} Options
+ */
+const parseArgs = (args) => {
+  const userIndex = args.indexOf('--user');
+
+  return {
+    apply: args.includes('--apply'),
+    userId: userIndex === -1 ? undefined : args[userIndex + 1],
+    json: args.includes('--json'),
+  };
+};
+
+/**
+ * Print a human readable report
+ * @param {Object} report - Reconciliation report
+ */
+const printReport = (report) => {
+  console.log(
+    `${report.applied ? 'APPLY' : 'DRY RUN'} - ${report.driftedUsers} user(s) with drifted XP totals\n`
+  );
+
+  for (const user of report.users) {
+    console.log(`User ${user.userId}`);
+    for (const [fruit, { recorded, expected, drift }] of Object.entries(
+      user.fruits
+    )) {
+      const sign = drift > 0 ? '+' : '';
+      console.log(
+        `  ${fruit.padEnd(13)} recorded ${recorded}, expected ${expected} (${sign}${drift})`
+      );
+    }
+  }
+
+  if (report.driftedUsers > 0) {
+    console.log('\nDrift per fruit (expected minus recorded):');
+    for (const [fruit, drift] of Object.entries(report.drift)) {
+      if (drift !== 0) {
+        console.log(`  ${fruit.padEnd(13)} ${drift > 0 ? '+' : ''}${drift}`);
+      }
+    }
+  }
+
+  if (!report.applied && report.driftedUsers > 0) {
+    console.log('\nRun again with --apply to repair these totals.');
+  }
+};
+
+async function reconcileXpTotals() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    await prismaService.connect();
+
+    const report = await new XpReconciliationService().reconcile(options);
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    process.exitCode = !report.applied && report.driftedUsers > 0 ? 2 : 0;
+  } catch (error) {
+    console.error('XP totals reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await prismaService.disconnect();
+  }
+}
+
+reconcileXpTotals();
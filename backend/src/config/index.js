@@ -40,6 +40,106 @@ export const config = {
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
   },
 
+  // Auth flows
+  auth: {
+    magicLinkTtlMinutes: parseInt(
+      process.env.MAGIC_LINK_TTL_MINUTES || '15',
+      10
+    ),
+    magicLinkMaxPerHour: parseInt(
+      process.env.MAGIC_LINK_MAX_PER_HOUR || '5',
+      10
+    ),
+    passwordResetTtlMinutes: parseInt(
+      process.env.PASSWORD_RESET_TTL_MINUTES || '60',
+      10
+    ),
+    passwordResetMaxPerHour: parseInt(
+      process.env.PASSWORD_RESET_MAX_PER_HOUR || '3',
+      10
+    ),
+    emailVerificationTtlHours: parseInt(
+      process.env.EMAIL_VERIFICATION_TTL_HOURS || '24',
+      10
+    ),
+    emailVerificationMaxPerHour: parseInt(
+      process.env.EMAIL_VERIFICATION_MAX_PER_HOUR || '3',
+      10
+    ),
+    // Key used to encrypt TOTP secrets at rest
+    totpEncryptionKey:
+      process.env.TOTP_ENCRYPTION_KEY || 'your-super-secret-totp-key',
+    totpIssuer: process.env.TOTP_ISSUER || 'Anointed',
+    twoFactorChallengeTtl: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+    // Days a deleted account can still be restored by logging in
+    accountDeletionGraceDays: parseInt(
+      process.env.ACCOUNT_DELETION_GRACE_DAYS || '30',
+      10
+    ),
+  },
+
+  // Public URL of the client app, used to build links sent by email
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+
+  // Mail
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // console | file
+    from: process.env.MAIL_FROM || 'Anointed <no-reply@anointed.app>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'tmp/mail',
+  },
+
+  // Personal data exports
+  exports: {
+    dir: process.env.EXPORT_DIR || 'tmp/exports',
+    ttlHours: parseInt(process.env.EXPORT_TTL_HOURS || '72', 10),
+    // Exports left PROCESSING this long (e.g. the worker crashed) are claimed again
+    claimTimeoutMinutes: parseInt(
+      process.env.EXPORT_CLAIM_TIMEOUT_MINUTES || '30',
+      10
+    ),
+  },
+
+  // Groups
+  groups: {
+    // Default lifetime of invite links and email invites
+    inviteTtlHours: parseInt(process.env.GROUP_INVITE_TTL_HOURS || '168', 10),
+  },
+
+  // File storage for uploaded media
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local', // local | supabase
+    localDir: process.env.STORAGE_LOCAL_DIR || 'tmp/uploads',
+    // Base URL the local driver's files are served from (see server.js)
+    localPublicUrl:
+      process.env.STORAGE_LOCAL_PUBLIC_URL || 'http://localhost:3000/uploads',
+  },
+
+  // Post attachments
+  media: {
+    maxUploadBytes: parseInt(
+      process.env.MEDIA_MAX_UPLOAD_BYTES || '10485760',
+      10
+    ), // 10 MB
+    maxPerPost: parseInt(process.env.MEDIA_MAX_PER_POST || '10', 10),
+  },
+
+  // Background jobs
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    dataExportIntervalMs: parseInt(
+      process.env.JOB_DATA_EXPORT_INTERVAL_MS || '30000',
+      10
+    ),
+    accountDeletionIntervalMs: parseInt(
+      process.env.JOB_ACCOUNT_DELETION_INTERVAL_MS || '3600000',
+      10
+    ),
+    prayerReminderIntervalMs: parseInt(
+      process.env.JOB_PRAYER_REMINDER_INTERVAL_MS || '60000',
+      10
+    ),
+  },
+
   // Supabase
   supabase: {
     url: process.env.SUPABASE_URL,
@@ -0,0 +1,23 @@
+/**
+ * Account Deletion Job
+ *
+ * Anonymises accounts whose deletion grace period has ended.
+ */
+
+import { config } from '../config/index.js';
+import AccountDeletionService from '../modules/users/accountDeletionService.js';
+
+const accountDeletionService = new AccountDeletionService();
+
+/**
+ * Anonymise every account that is due
+ * @returns {Promise<number>} Number of accounts anonymised
+ */
+export const runAccountDeletionJob = () =>
+  accountDeletionService.anonymizeDue();
+
+export default {
+  name: 'account-deletion',
+  intervalMs: config.jobs.accountDeletionIntervalMs,
+  run: runAccountDeletionJob,
+};
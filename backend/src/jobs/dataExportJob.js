@@ -0,0 +1,36 @@
+/**
+ * Data Export Job
+ *
+ * Builds queued personal data exports and deletes archives whose download
+ * window has passed.
+ */
+
+import { config } from '../config/index.js';
+import DataExportService from '../modules/users/dataExportService.js';
+
+// Exports are heavy; cap how many one run builds so a backlog cannot
+// monopolise the API process
+const BATCH_SIZE = 5;
+
+const dataExportService = new DataExportService();
+
+/**
+ * Process up to BATCH_SIZE pending exports, then purge expired ones
+ * @returns {Promise<number>} Number of exports processed
+ */
+export const runDataExportJob = async () => {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE && (await dataExportService.processNext())) {
+    processed++;
+  }
+
+  await dataExportService.purgeExpired();
+  return processed;
+};
+
+export default {
+  name: 'data-export',
+  intervalMs: config.jobs.dataExportIntervalMs,
+  run: runDataExportJob,
+};
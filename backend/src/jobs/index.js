@@ -0,0 +1,18 @@
+/**
+ * Background jobs
+ *
+ * Every job is registered here; server.js starts the scheduler once the
+ * HTTP server is listening.
+ */
+
+import scheduler from './scheduler.js';
+import dataExportJob from './dataExportJob.js';
+import accountDeletionJob from './accountDeletionJob.js';
+import prayerReminderJob from './prayerReminderJob.js';
+
+scheduler.register(dataExportJob);
+scheduler.register(accountDeletionJob);
+scheduler.register(prayerReminderJob);
+
+export { scheduler };
+export default scheduler;
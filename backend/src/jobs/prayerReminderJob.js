@@ -0,0 +1,23 @@
+/**
+ * Prayer Reminder Job
+ *
+ * Delivers due "pray again" reminders as notifications.
+ */
+
+import { config } from '../config/index.js';
+import PrayerService from '../modules/prayers/service.js';
+import PrayerReminderService from '../modules/prayers/reminderService.js';
+
+const prayerReminderService = new PrayerReminderService(new PrayerService());
+
+/**
+ * Send every reminder that is due
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const runPrayerReminderJob = () => prayerReminderService.sendDue();
+
+export default {
+  name: 'prayer-reminder',
+  intervalMs: config.jobs.prayerReminderIntervalMs,
+  run: runPrayerReminderJob,
+};
@@ -0,0 +1,76 @@
+/**
+ * Job Scheduler
+ *
+ * Runs registered jobs on a fixed interval inside the API process. A job
+ * never overlaps with itself: if a run is still going when the next tick
+ * fires, that tick is skipped.
+ */
+
+import logger from '../utils/logger.js';
+
+class JobScheduler {
+  constructor() {
+    this.jobs = [];
+    this.timers = [];
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job - Job definition
+   * @param {string} job.name - Name used in logs
+   * @param {number} job.intervalMs - Delay between runs
+   * @param {Function} job.run - Async function doing the work
+   */
+  register(job) {
+    this.jobs.push({ ...job, running: false });
+  }
+
+  /**
+   * Start every registered job
+   */
+  start() {
+    if (this.timers.length > 0) {
+      return;
+    }
+
+    for (const job of this.jobs) {
+      const timer = setInterval(() => this.runJob(job), job.intervalMs);
+      // Never keep the process alive just for a job
+      timer.unref();
+      this.timers.push(timer);
+    }
+
+    logger.info(`Job scheduler started with ${this.jobs.length} job(s)`);
+  }
+
+  /**
+   * Stop all jobs. Runs already in progress finish on their own.
+   */
+  stop() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+
+  /**
+   * Run a job once, skipping if the previous run has not finished
+   * @param {Object} job - Registered job
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+}
+
+export const scheduler = new JobScheduler();
+export default scheduler;
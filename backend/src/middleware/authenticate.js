@@ -0,0 +1,29 @@
+import { verifyAccessToken } from '../modules/auth/tokens.js';
+import ApiError from '../utils/ApiError.js';
+
+/**
+ * Authentication middleware
+ * Verifies the Bearer access token and exposes the caller as req.user
+ */
+const authenticate = (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(ApiError.unauthorized('Missing access token'));
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = {
+      id: payload.sub,
+      email: payload.email,
+      sessionId: payload.sid,
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default authenticate;
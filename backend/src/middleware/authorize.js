@@ -0,0 +1,84 @@
+import {
+  UserRepository,
+  GroupMemberRepository,
+} from '../repositories/index.js';
+import ApiError from '../utils/ApiError.js';
+import { hasPlatformRole, hasGroupRole } from '../utils/roles.js';
+
+const userRepository = new UserRepository();
+const groupMemberRepository = new GroupMemberRepository();
+
+/**
+ * Resolve the group a request targets
+ * @param {Object} req - Express request
+ * @param {string|Function} groupId - Route param name, or (req) => groupId
+ * @returns {Promise<string|null>} Group ID or null
+ */
+const resolveGroupId = async (req, groupId) => {
+  if (typeof groupId === 'function') {
+    return groupId(req);
+  }
+  return req.params[groupId] || null;
+};
+
+/**
+ * Authorization middleware factory
+ * Grants access when the caller holds at least `platformRole` on the
+ * platform, or at least `groupRole` in the group identified by `groupId`.
+ * Either rule may be omitted. Must run after authenticate.
+ *
+ * @example
+ * // Platform moderators, or moderators of the post's group
+ * authorize({
+ *   platformRole: USER_ROLES.MODERATOR,
+ *   groupRole: GROUP_ROLES.MODERATOR,
+ *   groupId: (req) => postService.getGroupId(req.params.id),
+ * })
+ *
+ * @param {Object} rules - Access rules
+ * @param {string} [rules.platformRole] - Minimum USER_ROLES value
+ * @param {string} [rules.groupRole] - Minimum GROUP_ROLES value
+ * @param {string|Function} [rules.groupId='groupId'] - Route param name or resolver
+ * @returns {Function} Express middleware
+ */
+const authorize = ({ platformRole, groupRole, groupId = 'groupId' } = {}) => {
+  if (!platformRole && !groupRole) {
+    throw new Error('authorize() needs a platformRole or groupRole');
+  }
+
+  return async (req, res, next) => {
+    try {
+      const user = await userRepository.findById(req.user.id);
+
+      if (!user) {
+        return next(ApiError.unauthorized('Account no longer exists'));
+      }
+
+      req.user.role = user.role;
+
+      if (platformRole && hasPlatformRole(user.role, platformRole)) {
+        return next();
+      }
+
+      if (groupRole) {
+        const targetGroupId = await resolveGroupId(req, groupId);
+        const membership =
+          targetGroupId &&
+          (await groupMemberRepository.findMembership(targetGroupId, user.id));
+
+        if (membership && hasGroupRole(membership.role, groupRole)) {
+          req.membership = membership;
+          return next();
+        }
+      }
+
+      next(
+        ApiError.forbidden('You do not have permission to perform this action')
+      );
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export default authorize;
@@ -29,6 +29,12 @@ const errorHandler = (logger) => {
       message = err.message || 'Not Found';
     }
 
+    // Operational errors thrown by services
+    if (err.name === 'ApiError') {
+      message = err.message;
+      statusCode = err.statusCode;
+    }
+
     // Mongoose bad ObjectId
     if (err.name === 'CastError') {
       message = 'Resource not found';
@@ -63,6 +69,7 @@ const errorHandler = (logger) => {
     res.status(statusCode).json({
       success: false,
       error: message,
+      ...(err.errors && err.name === 'ApiError' && { errors: err.errors }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     });
   };
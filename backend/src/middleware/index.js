@@ -2,3 +2,7 @@ export { default as errorHandler } from './errorHandler.js';
 export { default as notFound } from './notFound.js';
 export { default as requestLogger } from './requestLogger.js';
 export { default as validateRequest } from './validateRequest.js';
+export { default as authenticate } from './authenticate.js';
+export { default as requireVerifiedEmail } from './requireVerifiedEmail.js';
+export { default as authorize } from './authorize.js';
+export { default as uploadFiles } from './uploadFiles.js';
@@ -0,0 +1,31 @@
+import { UserRepository } from '../repositories/index.js';
+import ApiError from '../utils/ApiError.js';
+
+const userRepository = new UserRepository();
+
+/**
+ * Email verification gate
+ * Blocks write actions (posting, commenting, creating groups) for accounts
+ * that have not confirmed their email. Must run after authenticate.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await userRepository.findById(req.user.id);
+
+    if (!user) {
+      return next(ApiError.unauthorized('Account no longer exists'));
+    }
+
+    if (!user.emailVerifiedAt) {
+      return next(
+        ApiError.forbidden('Please verify your email address to continue')
+      );
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireVerifiedEmail;
@@ -0,0 +1,71 @@
+import multer from 'multer';
+import ApiError from '../utils/ApiError.js';
+
+/**
+ * Multipart upload middleware factory
+ * Buffers up to `maxFiles` files from one form field in memory and rejects
+ * oversized files and undeclared types before the handler runs. The
+ * declared type is only a first filter; handlers should still check the
+ * file contents. Files end up on req.files.
+ *
+ * @param {Object} options - Upload rules
+ * @param {string} options.field - Form field holding the files
+ * @param {number} options.maxFiles - Files accepted per request
+ * @param {number} options.maxBytes - Size limit per file
+ * @param {Array<string>} options.types - Accepted MIME types
+ * @returns {Function} Express middleware
+ */
+const uploadFiles = ({ field, maxFiles, maxBytes, types }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles },
+    fileFilter: (req, file, callback) => {
+      if (!types.includes(file.mimetype)) {
+        return callback(
+          ApiError.unsupportedMediaType(
+            `Unsupported file type: ${file.mimetype}`
+          )
+        );
+      }
+      callback(null, true);
+    },
+  }).array(field, maxFiles);
+
+  const messages = {
+    LIMIT_FILE_SIZE: () =>
+      ApiError.payloadTooLarge(
+        `Files must be ${Math.floor(maxBytes / (1024 * 1024))} MB or smaller`
+      ),
+    LIMIT_FILE_COUNT: () =>
+      ApiError.badRequest(`Upload at most ${maxFiles} files at a time`),
+    LIMIT_UNEXPECTED_FILE: () =>
+      ApiError.badRequest(
+        `Send files in the "${field}" field, at most ${maxFiles} at a time`
+      ),
+  };
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return next(
+        ApiError.unsupportedMediaType('Expected multipart/form-data')
+      );
+    }
+
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const toApiError = messages[error.code];
+        return next(
+          toApiError ? toApiError() : ApiError.badRequest(error.message)
+        );
+      }
+
+      if (!error && !req.files?.length) {
+        return next(ApiError.badRequest(`No files in the "${field}" field`));
+      }
+
+      next(error);
+    });
+  };
+};
+
+export default uploadFiles;
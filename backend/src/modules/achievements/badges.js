@@ -0,0 +1,123 @@
+/**
+ * Badge Catalog
+ *
+ * Every badge a user can earn and what earns it. Awards reference badges
+ * by key, so a key must never change or be reused once shipped. Criteria:
+ * - prayer_commits: prayed for `count` requests of other people
+ * - streak: a `kind` streak (StreakKind) that reached `days` days
+ * - fruit_level: reached `level` in `fruit`
+ * - overall_level: reached `level` overall
+ */
+
+export const BADGE_CRITERIA = {
+  PRAYER_COMMITS: 'prayer_commits',
+  STREAK: 'streak',
+  FRUIT_LEVEL: 'fruit_level',
+  OVERALL_LEVEL: 'overall_level',
+};
+
+const FRUIT_NAMES = {
+  LOVE: 'Love',
+  JOY: 'Joy',
+  PEACE: 'Peace',
+  PATIENCE: 'Patience',
+  KINDNESS: 'Kindness',
+  GOODNESS: 'Goodness',
+  FAITHFULNESS: 'Faithfulness',
+  GENTLENESS: 'Gentleness',
+  SELF_CONTROL: 'Self-control',
+};
+
+const prayerBadge = (key, name, count) => ({
+  key,
+  name,
+  description:
+    count === 1 ? 'Prayed for a request' : `Prayed for ${count} requests`,
+  criteria: { type: BADGE_CRITERIA.PRAYER_COMMITS, count },
+});
+
+const streakBadge = (key, name, kind, days) => ({
+  key,
+  name,
+  description: `${days}-day ${kind === 'SCRIPTURE' ? 'Scripture' : kind.toLowerCase()} streak`,
+  criteria: { type: BADGE_CRITERIA.STREAK, kind, days },
+});
+
+export const BADGES = Object.freeze(
+  [
+    prayerBadge('first_prayer', 'First Prayer', 1),
+    prayerBadge('prayer_partner', 'Prayer Partner', 10),
+    prayerBadge('prayer_warrior', 'Prayer Warrior', 100),
+    streakBadge('prayer_streak_7', 'Steadfast in Prayer', 'PRAYER', 7),
+    streakBadge('prayer_streak_30', 'Pray Without Ceasing', 'PRAYER', 30),
+    streakBadge('scripture_streak_7', 'Daily Bread', 'SCRIPTURE', 7),
+    streakBadge('scripture_streak_30', 'Rooted in the Word', 'SCRIPTURE', 30),
+    ...Object.entries(FRUIT_NAMES).map(([fruit, name]) => ({
+      key: `${fruit.toLowerCase()}_level_5`,
+      name: `Growing in ${name}`,
+      description: `Reached level 5 in ${name}`,
+      criteria: { type: BADGE_CRITERIA.FRUIT_LEVEL, fruit, level: 5 },
+    })),
+    {
+      key: 'overall_level_10',
+      name: 'Bearing Fruit',
+      description: 'Reached level 10 overall',
+      criteria: { type: BADGE_CRITERIA.OVERALL_LEVEL, level: 10 },
+    },
+  ].map(Object.freeze)
+);
+
+const BADGES_BY_KEY = new Map(BADGES.map((badge) => [badge.key, badge]));
+
+/**
+ * Look up a badge definition
+ * @param {string} key - Badge key
+ * @returns {Object|undefined} Badge, undefined for keys no longer in the catalog
+ */
+export const getBadge = (key) => BADGES_BY_KEY.get(key);
+
+// How each kind of criteria is checked against a user's progress (see
+// findEarnedBadges)
+const CRITERIA_CHECKS = {
+  [BADGE_CRITERIA.PRAYER_COMMITS]: (criteria, progress) =>
+    progress.prayerCommits >= criteria.count,
+  [BADGE_CRITERIA.STREAK]: (criteria, progress) =>
+    (progress.streaks[criteria.kind] ?? 0) >= criteria.days,
+  [BADGE_CRITERIA.FRUIT_LEVEL]: (criteria, progress) =>
+    progress.levels.fruits[criteria.fruit].level >= criteria.level,
+  [BADGE_CRITERIA.OVERALL_LEVEL]: (criteria, progress) =>
+    progress.levels.overall.level >= criteria.level,
+};
+
+/**
+ * Whether a user's progress meets a badge's criteria
+ * @param {Object} criteria - Badge criteria
+ * @param {Object} progress - See findEarnedBadges
+ * @returns {boolean} True when earned
+ */
+const meets = (criteria, progress) =>
+  CRITERIA_CHECKS[criteria.type]?.(criteria, progress) ?? false;
+
+/**
+ * Keys of every badge a user's progress has earned
+ * @param {Object} progress - What the user has done so far
+ * @param {number} progress.prayerCommits - Requests of others prayed for
+ * @param {Object} progress.streaks - Longest streak in days keyed by StreakKind
+ * @param {Object} progress.levels - describeLevels result
+ * @returns {Array<string>} Badge keys
+ */
+export const findEarnedBadges = (progress) =>
+  BADGES.filter((badge) => meets(badge.criteria, progress)).map(
+    (badge) => badge.key
+  );
+
+/**
+ * Public view of a badge definition
+ * @param {Object} badge - Badge from the catalog
+ * @returns {{ key: string, name: string, description: string }} Badge
+ */
+export const toPublicBadge = (badge) => ({
+  key: badge.key,
+  name: badge.name,
+  description: badge.description,
+});
@@ -0,0 +1,26 @@
+/**
+ * Achievement Controller
+ *
+ * HTTP handlers for badges and streaks (/api/v1/achievements).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import AchievementService from './service.js';
+
+const achievementService = new AchievementService();
+
+/**
+ * GET /api/v1/achievements/badges
+ */
+export const listBadges = asyncHandler(async (req, res) => {
+  return ApiResponse.success(res, achievementService.listBadges());
+});
+
+/**
+ * POST /api/v1/achievements/streaks/scripture
+ */
+export const recordScriptureReading = asyncHandler(async (req, res) => {
+  const result = await achievementService.recordScriptureReading(req.user.id);
+  return ApiResponse.success(res, result, 'Scripture reading recorded');
+});
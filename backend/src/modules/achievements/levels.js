@@ -0,0 +1,70 @@
+/**
+ * Level Curves
+ *
+ * Levels turn XpTotals into something to grow towards, per fruit and
+ * overall. Each level costs `step` XP more than the one before it, so
+ * reaching level n takes step * n * (n - 1) / 2 XP in total: with the
+ * fruit step of 50, level 2 is reached at 50 XP, level 3 at 150 and
+ * level 5 at 500. Overall levels count the XP of every fruit together.
+ */
+
+export const LEVEL_STEPS = Object.freeze({
+  FRUIT: 50,
+  OVERALL: 150,
+});
+
+/**
+ * Total XP needed to reach a level
+ * @param {number} level - Level, from 1
+ * @param {number} step - Extra XP each level costs
+ * @returns {number} XP threshold
+ */
+export const xpForLevel = (level, step) => (step * level * (level - 1)) / 2;
+
+/**
+ * Level reached with an amount of XP, and how far it is to the next one
+ * @param {number} xp - XP earned
+ * @param {number} step - Extra XP each level costs
+ * @returns {{ level: number, xp: number, levelXp: number, nextLevelXp: number }} Level and the XP thresholds around it
+ */
+export const levelFor = (xp, step) => {
+  const earned = Math.max(xp, 0);
+  let level = Math.max(
+    Math.floor((1 + Math.sqrt(1 + (8 * earned) / step)) / 2),
+    1
+  );
+
+  // Floating point can land one off right at a threshold
+  while (xpForLevel(level + 1, step) <= earned) {
+    level += 1;
+  }
+  while (level > 1 && xpForLevel(level, step) > earned) {
+    level -= 1;
+  }
+
+  return {
+    level,
+    xp,
+    levelXp: xpForLevel(level, step),
+    nextLevelXp: xpForLevel(level + 1, step),
+  };
+};
+
+/**
+ * Levels per fruit and overall
+ * @param {Object} fruitXp - XP keyed by Fruit
+ * @returns {{ overall: Object, fruits: Object }} levelFor results
+ */
+export const describeLevels = (fruitXp) => {
+  const total = Object.values(fruitXp).reduce((sum, xp) => sum + xp, 0);
+
+  return {
+    overall: levelFor(total, LEVEL_STEPS.OVERALL),
+    fruits: Object.fromEntries(
+      Object.entries(fruitXp).map(([fruit, xp]) => [
+        fruit,
+        levelFor(xp, LEVEL_STEPS.FRUIT),
+      ])
+    ),
+  };
+};
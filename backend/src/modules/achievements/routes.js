@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import authenticate from '../../middleware/authenticate.js';
+import * as achievementController from './controller.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get('/badges', achievementController.listBadges);
+router.post('/streaks/scripture', achievementController.recordScriptureReading);
+
+export default router;
@@ -0,0 +1,169 @@
+/**
+ * Achievement Service
+ *
+ * Levels per fruit and overall, computed from XpTotals, streaks of daily
+ * activity (prayer commits and recorded Scripture readings), and badges
+ * from the BADGES catalog. Badges are evaluated after XP is awarded and
+ * after a streak grows; each is awarded once, with a badge_earned
+ * notification.
+ */
+
+import {
+  UserBadgeRepository,
+  XpTotalsRepository,
+  PrayerCommitRepository,
+  StreakRepository,
+  NotificationRepository,
+} from '../../repositories/index.js';
+import logger from '../../utils/logger.js';
+import { describeLevels } from './levels.js';
+import { BADGES, getBadge, findEarnedBadges, toPublicBadge } from './badges.js';
+import { advanceStreak, toPublicStreak } from './streaks.js';
+
+class AchievementService {
+  constructor() {
+    this.userBadgeRepository = new UserBadgeRepository();
+    this.xpTotalsRepository = new XpTotalsRepository();
+    this.prayerCommitRepository = new PrayerCommitRepository();
+    this.streakRepository = new StreakRepository();
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  /**
+   * Award the badges a user has earned and does not hold yet. Call it
+   * after anything that changes XP or streaks; running it again awards
+   * nothing new. Badges are a side effect, so a failure is logged instead
+   * of failing the caller, and the next evaluation catches up.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Newly awarded badges
+   */
+  async evaluate(userId) {
+    try {
+      const [fruitXp, prayerCommits, streaks, held] = await Promise.all([
+        this.xpTotalsRepository.findFruitXp(userId),
+        this.prayerCommitRepository.countForOthers(userId),
+        this.streakRepository.findByUserId(userId),
+        this.userBadgeRepository.findByUserId(userId),
+      ]);
+
+      const heldKeys = new Set(held.map((badge) => badge.badgeKey));
+      const earned = findEarnedBadges({
+        prayerCommits,
+        streaks: Object.fromEntries(
+          streaks.map((streak) => [streak.kind, streak.longest])
+        ),
+        levels: describeLevels(fruitXp),
+      }).filter((key) => !heldKeys.has(key));
+
+      if (earned.length === 0) {
+        return [];
+      }
+
+      // Only badges this call inserted are notified, so a badge evaluated
+      // twice at once is still announced once
+      const awarded = await this.userBadgeRepository.award(userId, earned);
+      await this.notificationRepository.createMany(
+        awarded.map((badge) => ({
+          userId,
+          type: 'badge_earned',
+          payload: {
+            ...toPublicBadge(getBadge(badge.badgeKey)),
+            awardedAt: badge.awardedAt,
+          },
+        }))
+      );
+
+      return awarded;
+    } catch (error) {
+      logger.error(`Error evaluating badges for user ${userId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Count an activity towards a user's streak of its kind, then evaluate
+   * badges when the streak grew. Like evaluate(), a failure is logged
+   * instead of failing the caller.
+   * @param {string} userId - User ID
+   * @param {string} kind - StreakKind, e.g. "PRAYER"
+   * @param {Date} [at] - When the activity happened
+   * @returns {Promise<Array>} Newly awarded badges
+   */
+  async recordStreak(userId, kind, at = new Date()) {
+    try {
+      const streak = await this.streakRepository.recordActivity(
+        userId,
+        kind,
+        (current) => advanceStreak(current, at)
+      );
+
+      return streak ? await this.evaluate(userId) : [];
+    } catch (error) {
+      logger.error(`Error recording ${kind} streak for user ${userId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Record that the caller read Scripture today, extending their
+   * Scripture streak
+   * @param {string} userId - Caller user ID
+   * @returns {Promise<{ streak: Object, badges: Array }>} Scripture streak and newly awarded badges
+   */
+  async recordScriptureReading(userId) {
+    const now = new Date();
+    const recorded = await this.streakRepository.recordActivity(
+      userId,
+      'SCRIPTURE',
+      (current) => advanceStreak(current, now)
+    );
+
+    // Reading twice on the same day leaves the streak as it was
+    const streak =
+      recorded ??
+      (await this.streakRepository.findByUserId(userId)).find(
+        ({ kind }) => kind === 'SCRIPTURE'
+      );
+    const awarded = recorded ? await this.evaluate(userId) : [];
+
+    return {
+      streak: toPublicStreak(streak),
+      badges: awarded.map((badge) => ({
+        ...toPublicBadge(getBadge(badge.badgeKey)),
+        awardedAt: badge.awardedAt,
+      })),
+    };
+  }
+
+  /**
+   * A user's levels and badges, as shown on their profile
+   * @param {string} userId - User ID
+   * @returns {Promise<{ levels: Object, badges: Array }>} Levels and badges, newest first
+   */
+  async getAchievements(userId) {
+    const [fruitXp, held] = await Promise.all([
+      this.xpTotalsRepository.findFruitXp(userId),
+      this.userBadgeRepository.findByUserId(userId),
+    ]);
+
+    return {
+      levels: describeLevels(fruitXp),
+      badges: held
+        .filter((badge) => getBadge(badge.badgeKey))
+        .map((badge) => ({
+          ...toPublicBadge(getBadge(badge.badgeKey)),
+          awardedAt: badge.awardedAt,
+        })),
+    };
+  }
+
+  /**
+   * Every badge that can be earned
+   * @returns {Array<{ key: string, name: string, description: string }>} Badge catalog
+   */
+  listBadges() {
+    return BADGES.map(toPublicBadge);
+  }
+}
+
+export default AchievementService;
@@ -0,0 +1,49 @@
+/**
+ * Streaks
+ *
+ * A streak counts consecutive UTC days with at least one activity of its
+ * kind (StreakKind), e.g. praying for a request. A second activity on the
+ * same day changes nothing, the next day extends the streak, and a missed
+ * day starts it over at 1. `longest` keeps the best run, which is what
+ * streak badges look at.
+ */
+
+import { startOfUtcDay } from '../xp/rules.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A streak after an activity
+ * @param {Object|null} streak - Current Streak record, null before the first activity
+ * @param {Date} at - When the activity happened
+ * @returns {{ current: number, longest: number, lastAt: Date }|null} New streak fields, null when the day was already counted
+ */
+export const advanceStreak = (streak, at) => {
+  const today = startOfUtcDay(at).getTime();
+  const lastDay = streak?.lastAt
+    ? startOfUtcDay(streak.lastAt).getTime()
+    : null;
+
+  if (lastDay !== null && lastDay >= today) {
+    return null;
+  }
+
+  const current = lastDay === today - DAY_MS ? streak.current + 1 : 1;
+  return {
+    current,
+    longest: Math.max(current, streak?.longest ?? 0),
+    lastAt: at,
+  };
+};
+
+/**
+ * Shape a streak for clients
+ * @param {Object} streak - Streak record
+ * @returns {Object} Public streak fields
+ */
+export const toPublicStreak = (streak) => ({
+  kind: streak.kind,
+  current: streak.current,
+  longest: streak.longest,
+  lastAt: streak.lastAt,
+});
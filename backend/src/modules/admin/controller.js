@@ -0,0 +1,52 @@
+/**
+ * Admin Controller
+ *
+ * HTTP handlers for platform administration (/api/v1/admin).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import { toPublicUser } from '../auth/service.js';
+import AdminService from './service.js';
+
+const adminService = new AdminService();
+
+/**
+ * PATCH /api/v1/admin/users/:id/role
+ */
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const user = await adminService.updateUserRole(
+    req.user.id,
+    req.params.id,
+    req.body.role,
+    { ip: req.ip, userAgent: req.get('User-Agent') }
+  );
+  return ApiResponse.success(res, toPublicUser(user), 'Role updated');
+});
+
+/**
+ * POST /api/v1/admin/xp/reconcile
+ */
+export const reconcileXpTotals = asyncHandler(async (req, res) => {
+  const report = await adminService.reconcileXpTotals(
+    req.user.id,
+    { apply: req.body.apply === true, userId: req.body.userId },
+    { ip: req.ip, userAgent: req.get('User-Agent') }
+  );
+  return ApiResponse.success(
+    res,
+    report,
+    report.applied ? 'XP totals reconciled' : 'XP totals checked'
+  );
+});
+
+/**
+ * POST /api/v1/admin/leaderboards/rebuild
+ */
+export const rebuildLeaderboards = asyncHandler(async (req, res) => {
+  const summary = await adminService.rebuildLeaderboards(req.user.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  return ApiResponse.success(res, summary, 'Leaderboards rebuilt');
+});
@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import authorize from '../../middleware/authorize.js';
+import { USER_ROLES } from '../../types/index.js';
+import * as adminController from './controller.js';
+import {
+  userParamsSchema,
+  updateUserRoleSchema,
+  reconcileXpSchema,
+} from './validation.js';
+
+const router = Router();
+
+router.use(authenticate, authorize({ platformRole: USER_ROLES.ADMIN }));
+
+router.patch(
+  '/users/:id/role',
+  validateRequest(userParamsSchema, 'params'),
+  validateRequest(updateUserRoleSchema),
+  adminController.updateUserRole
+);
+router.post(
+  '/xp/reconcile',
+  validateRequest(reconcileXpSchema),
+  adminController.reconcileXpTotals
+);
+router.post('/leaderboards/rebuild', adminController.rebuildLeaderboards);
+
+export default router;
@@ -0,0 +1,132 @@
+/**
+ * Admin Service
+ *
+ * Platform administration operations. Callers are expected to have passed
+ * authorize({ platformRole: USER_ROLES.ADMIN }).
+ */
+
+import {
+  UserRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import XpReconciliationService from '../xp/reconciliationService.js';
+import LeaderboardService from '../leaderboards/service.js';
+
+class AdminService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.xpReconciliationService = new XpReconciliationService();
+    this.leaderboardService = new LeaderboardService();
+  }
+
+  /**
+   * Change a user's platform role
+   * @param {string} actorId - Admin making the change
+   * @param {string} userId - User whose role changes
+   * @param {string} role - New USER_ROLES value
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateUserRole(actorId, userId, role, context = {}) {
+    // Keeps an admin from accidentally locking themselves out
+    if (actorId === userId) {
+      throw ApiError.badRequest('You cannot change your own role');
+    }
+
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    if (user.role === role) {
+      return user;
+    }
+
+    const updated = await this.userRepository.update(userId, { role });
+
+    await this.auditLogRepository.create({
+      userId: actorId,
+      action: 'user_role_changed',
+      entityType: 'user',
+      entityId: userId,
+      metadata: {
+        from: user.role,
+        to: role,
+        ip: context.ip,
+        userAgent: context.userAgent,
+      },
+    });
+
+    logger.info(`User ${userId} role changed from ${user.role} to ${role}`);
+    return updated;
+  }
+
+  /**
+   * Check XpTotals against xp_events, repairing drift when `apply` is set.
+   * Repairs are recorded in the audit log.
+   * @param {string} actorId - Admin running the reconciliation
+   * @param {Object} options - Reconciliation options
+   * @param {boolean} options.apply - Rewrite drifted totals
+   * @param {string} [options.userId] - Only reconcile this user
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<Object>} Reconciliation report
+   */
+  async reconcileXpTotals(actorId, { apply, userId }, context = {}) {
+    if (userId && !(await this.userRepository.findById(userId))) {
+      throw ApiError.notFound('User not found');
+    }
+
+    const report = await this.xpReconciliationService.reconcile({
+      apply,
+      userId,
+    });
+
+    if (apply && report.driftedUsers > 0) {
+      await this.auditLogRepository.create({
+        userId: actorId,
+        action: 'xp_totals_reconciled',
+        entityType: 'xp_totals',
+        entityId: userId ?? actorId,
+        metadata: {
+          scope: userId ? 'user' : 'all',
+          driftedUsers: report.driftedUsers,
+          drift: report.drift,
+          ip: context.ip,
+          userAgent: context.userAgent,
+        },
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Recompute the current leaderboards from xp_events
+   * @param {string} actorId - Admin running the rebuild
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<Object>} Number of ranked users per window and board
+   */
+  async rebuildLeaderboards(actorId, context = {}) {
+    const summary = await this.leaderboardService.rebuild();
+
+    await this.auditLogRepository.create({
+      userId: actorId,
+      action: 'leaderboards_rebuilt',
+      entityType: 'leaderboard',
+      entityId: actorId,
+      metadata: {
+        summary,
+        ip: context.ip,
+        userAgent: context.userAgent,
+      },
+    });
+
+    return summary;
+  }
+}
+
+export default AdminService;
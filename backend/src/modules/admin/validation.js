@@ -0,0 +1,21 @@
+/**
+ * Admin request validation schemas
+ */
+
+import Joi from 'joi';
+import { USER_ROLES } from '../../types/index.js';
+
+export const userParamsSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+export const updateUserRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...Object.values(USER_ROLES))
+    .required(),
+});
+
+export const reconcileXpSchema = Joi.object({
+  apply: Joi.boolean().strict(),
+  userId: Joi.string().guid(),
+});
@@ -0,0 +1,180 @@
+/**
+ * Auth Controller
+ *
+ * HTTP handlers for signup, login, token refresh, logout, magic links,
+ * password resets, email verification and two-factor authentication.
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import { HTTP_STATUS } from '../../types/index.js';
+import AuthService, { toPublicUser } from './service.js';
+import MagicLinkService from './magicLinkService.js';
+import PasswordResetService from './passwordResetService.js';
+import EmailVerificationService from './emailVerificationService.js';
+import TwoFactorService from './twoFactorService.js';
+
+const authService = new AuthService();
+const magicLinkService = new MagicLinkService(authService);
+const passwordResetService = new PasswordResetService(authService);
+const emailVerificationService = new EmailVerificationService();
+const twoFactorService = new TwoFactorService(authService);
+
+/**
+ * POST /api/v1/auth/signup
+ */
+export const signup = asyncHandler(async (req, res) => {
+  const session = await authService.signup(req.body);
+  return ApiResponse.success(
+    res,
+    session,
+    'Account created',
+    HTTP_STATUS.CREATED
+  );
+});
+
+/**
+ * POST /api/v1/auth/login
+ */
+export const login = asyncHandler(async (req, res) => {
+  const session = await authService.login(req.body);
+  return ApiResponse.success(res, session, 'Logged in');
+});
+
+/**
+ * POST /api/v1/auth/refresh
+ */
+export const refresh = asyncHandler(async (req, res) => {
+  const tokens = await authService.refresh(req.body.refreshToken, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  return ApiResponse.success(res, tokens, 'Token refreshed');
+});
+
+/**
+ * POST /api/v1/auth/logout
+ */
+export const logout = asyncHandler(async (req, res) => {
+  await authService.logout(req.body.refreshToken);
+  return ApiResponse.success(res, null, 'Logged out');
+});
+
+/**
+ * POST /api/v1/auth/magic-link
+ */
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  await magicLinkService.requestLoginLink(req.body.email);
+  return ApiResponse.success(
+    res,
+    null,
+    'If an account exists for that email, a sign-in link has been sent',
+    HTTP_STATUS.ACCEPTED
+  );
+});
+
+/**
+ * POST /api/v1/auth/magic-link/verify
+ */
+export const redeemMagicLink = asyncHandler(async (req, res) => {
+  const session = await magicLinkService.redeemLoginLink(
+    req.body.token,
+    req.body.device
+  );
+  return ApiResponse.success(res, session, 'Logged in');
+});
+
+/**
+ * POST /api/v1/auth/password/forgot
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  await passwordResetService.requestReset(req.body.email);
+  return ApiResponse.success(
+    res,
+    null,
+    'If an account exists for that email, a reset link has been sent',
+    HTTP_STATUS.ACCEPTED
+  );
+});
+
+/**
+ * POST /api/v1/auth/password/reset
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  await passwordResetService.resetPassword(req.body.token, req.body.password, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  return ApiResponse.success(res, null, 'Password has been reset');
+});
+
+/**
+ * POST /api/v1/auth/email/verification
+ */
+export const sendEmailVerification = asyncHandler(async (req, res) => {
+  await emailVerificationService.sendVerification(req.user.id);
+  return ApiResponse.success(
+    res,
+    null,
+    'Verification email sent',
+    HTTP_STATUS.ACCEPTED
+  );
+});
+
+/**
+ * POST /api/v1/auth/email/verify
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await emailVerificationService.confirm(req.body.token);
+  return ApiResponse.success(res, toPublicUser(user), 'Email verified');
+});
+
+/**
+ * POST /api/v1/auth/2fa/setup
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const enrollment = await twoFactorService.setup(req.user.id);
+  return ApiResponse.success(
+    res,
+    enrollment,
+    'Scan the code with your authenticator app, then confirm it'
+  );
+});
+
+/**
+ * POST /api/v1/auth/2fa/enable
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.enable(req.user.id, req.body.code, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  return ApiResponse.success(
+    res,
+    result,
+    'Two-factor authentication enabled. Store your recovery codes safely'
+  );
+});
+
+/**
+ * POST /api/v1/auth/2fa/disable
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  await twoFactorService.disable(req.user.id, req.body.code, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  return ApiResponse.success(res, null, 'Two-factor authentication disabled');
+});
+
+/**
+ * POST /api/v1/auth/2fa/verify
+ */
+export const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const session = await twoFactorService.verifyChallenge(
+    req.body.challengeToken,
+    req.body.code,
+    req.body.device
+  );
+  return ApiResponse.success(res, session, 'Logged in');
+});
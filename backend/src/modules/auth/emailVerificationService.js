@@ -0,0 +1,102 @@
+/**
+ * Email Verification Service
+ *
+ * Sends email_verification magic links and confirms them by stamping
+ * User.emailVerifiedAt.
+ */
+
+import {
+  UserRepository,
+  MagicLinkRepository,
+} from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import mailer from '../../services/mail/index.js';
+import ApiError from '../../utils/ApiError.js';
+import { generateRandomToken, hashToken } from './tokens.js';
+
+const PURPOSE_EMAIL_VERIFICATION = 'email_verification';
+
+class EmailVerificationService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.magicLinkRepository = new MagicLinkRepository();
+  }
+
+  /**
+   * Email a verification link to a user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async sendVerification(userId) {
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    if (user.emailVerifiedAt) {
+      throw ApiError.conflict('Email is already verified');
+    }
+
+    const recentAttempts =
+      await this.magicLinkRepository.getRecentAttemptsCount(
+        user.id,
+        PURPOSE_EMAIL_VERIFICATION
+      );
+    if (recentAttempts >= config.auth.emailVerificationMaxPerHour) {
+      throw ApiError.tooManyRequests(
+        'Too many verification emails requested, try again later'
+      );
+    }
+
+    const token = generateRandomToken();
+    await this.magicLinkRepository.create({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      purpose: PURPOSE_EMAIL_VERIFICATION,
+      expiresAt: new Date(
+        Date.now() + config.auth.emailVerificationTtlHours * 60 * 60 * 1000
+      ),
+    });
+
+    const link = `${config.appUrl}/auth/verify-email?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirm your Anointed email address',
+      text: [
+        'Welcome to Anointed! Tap the link below to confirm your email address.',
+        '',
+        link,
+        '',
+        'If you did not create an account, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Confirm an email address with a verification token
+   * @param {string} token - Raw verification token
+   * @returns {Promise<Object>} Updated user
+   */
+  async confirm(token) {
+    const tokenHash = hashToken(token);
+    const link = await this.magicLinkRepository.findValidTokenByPurpose(
+      tokenHash,
+      PURPOSE_EMAIL_VERIFICATION
+    );
+
+    if (!link) {
+      throw ApiError.badRequest('Invalid or expired verification link');
+    }
+
+    await this.magicLinkRepository.markAsUsedByHash(tokenHash);
+    await this.magicLinkRepository.invalidateByUserAndPurpose(
+      link.userId,
+      PURPOSE_EMAIL_VERIFICATION
+    );
+
+    return this.userRepository.markEmailVerified(link.userId);
+  }
+}
+
+export default EmailVerificationService;
@@ -0,0 +1,119 @@
+/**
+ * Magic Link Service
+ *
+ * Passwordless login: a single-use link is emailed to the user and
+ * redeemed for a regular session. Only the hash of the link token is stored.
+ */
+
+import {
+  UserRepository,
+  MagicLinkRepository,
+} from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import mailer from '../../services/mail/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import { generateRandomToken, hashToken } from './tokens.js';
+
+const PURPOSE_LOGIN = 'login';
+
+class MagicLinkService {
+  /**
+   * @param {Object} authService - AuthService used to mint sessions
+   */
+  constructor(authService) {
+    this.authService = authService;
+    this.userRepository = new UserRepository();
+    this.magicLinkRepository = new MagicLinkRepository();
+  }
+
+  /**
+   * Email a login link. Unknown emails and throttled users are skipped
+   * silently so the response never reveals whether an account exists.
+   * @param {string} email - Email address
+   * @returns {Promise<void>}
+   */
+  async requestLoginLink(email) {
+    const user = await this.userRepository.findByEmail(
+      email.trim().toLowerCase()
+    );
+
+    if (!user) {
+      logger.info('Magic link requested for unknown email');
+      return;
+    }
+
+    const recentAttempts =
+      await this.magicLinkRepository.getRecentAttemptsCount(
+        user.id,
+        PURPOSE_LOGIN
+      );
+    if (recentAttempts >= config.auth.magicLinkMaxPerHour) {
+      logger.warn(`Magic link rate limit reached for user: ${user.id}`);
+      return;
+    }
+
+    const token = generateRandomToken();
+    await this.magicLinkRepository.create({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      purpose: PURPOSE_LOGIN,
+      expiresAt: new Date(
+        Date.now() + config.auth.magicLinkTtlMinutes * 60 * 1000
+      ),
+    });
+
+    const link = `${config.appUrl}/auth/magic-link?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: 'Your Anointed sign-in link',
+      text: [
+        `Tap the link below to sign in. It expires in ${config.auth.magicLinkTtlMinutes} minutes and can be used once.`,
+        '',
+        link,
+        '',
+        'If you did not ask to sign in, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Redeem a login link for a session
+   * @param {string} token - Raw link token
+   * @param {Object} [device] - Client device the session is started on
+   * @returns {Promise<Object>} User and token pair, or a two-factor challenge
+   */
+  async redeemLoginLink(token, device) {
+    const tokenHash = hashToken(token);
+    const link = await this.magicLinkRepository.findValidTokenByPurpose(
+      tokenHash,
+      PURPOSE_LOGIN
+    );
+
+    if (!link) {
+      throw ApiError.unauthorized('Invalid or expired link');
+    }
+
+    // Only one concurrent redemption can flip usedAt
+    const { count } =
+      await this.magicLinkRepository.markAsUsedByHash(tokenHash);
+    if (count === 0) {
+      throw ApiError.unauthorized('Invalid or expired link');
+    }
+
+    const user = await this.userRepository.findById(link.userId);
+    if (!user) {
+      throw ApiError.unauthorized('Invalid or expired link');
+    }
+
+    // Any other outstanding login links are no longer needed
+    await this.magicLinkRepository.invalidateByUserAndPurpose(
+      user.id,
+      PURPOSE_LOGIN
+    );
+
+    return this.authService.completeLogin(user, device);
+  }
+}
+
+export default MagicLinkService;
@@ -0,0 +1,125 @@
+/**
+ * Password Reset Service
+ *
+ * Forgot-password flow: a short-lived reset token is emailed to the user
+ * and exchanged for a new password. A successful reset signs out every
+ * session for the account.
+ */
+
+import {
+  UserRepository,
+  PasswordResetRepository,
+  RefreshTokenRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import mailer from '../../services/mail/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import { generateRandomToken, hashToken } from './tokens.js';
+
+class PasswordResetService {
+  /**
+   * @param {Object} authService - AuthService used to hash passwords
+   */
+  constructor(authService) {
+    this.authService = authService;
+    this.userRepository = new UserRepository();
+    this.passwordResetRepository = new PasswordResetRepository();
+    this.refreshTokenRepository = new RefreshTokenRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Email a reset link. Unknown emails and throttled users are skipped
+   * silently so the response never reveals whether an account exists.
+   * @param {string} email - Email address
+   * @returns {Promise<void>}
+   */
+  async requestReset(email) {
+    const user = await this.userRepository.findByEmail(
+      email.trim().toLowerCase()
+    );
+
+    if (!user) {
+      logger.info('Password reset requested for unknown email');
+      return;
+    }
+
+    const recentAttempts =
+      await this.passwordResetRepository.getRecentAttemptsCount(user.id);
+    if (recentAttempts >= config.auth.passwordResetMaxPerHour) {
+      logger.warn(`Password reset rate limit reached for user: ${user.id}`);
+      return;
+    }
+
+    // Only the newest reset link should work
+    await this.passwordResetRepository.invalidateAllForUser(user.id);
+
+    const token = generateRandomToken();
+    await this.passwordResetRepository.create({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(
+        Date.now() + config.auth.passwordResetTtlMinutes * 60 * 1000
+      ),
+    });
+
+    const link = `${config.appUrl}/auth/reset-password?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your Anointed password',
+      text: [
+        `Tap the link below to choose a new password. It expires in ${config.auth.passwordResetTtlMinutes} minutes.`,
+        '',
+        link,
+        '',
+        'If you did not ask to reset your password, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Set a new password using a reset token
+   * @param {string} token - Raw reset token
+   * @param {string} password - New password
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<void>}
+   */
+  async resetPassword(token, password, context = {}) {
+    const tokenHash = hashToken(token);
+    const reset = await this.passwordResetRepository.findValidToken(tokenHash);
+
+    if (!reset) {
+      throw ApiError.badRequest('Invalid or expired reset token');
+    }
+
+    // Only one concurrent request can consume the token
+    const { count } =
+      await this.passwordResetRepository.markAsUsedByHash(tokenHash);
+    if (count === 0) {
+      throw ApiError.badRequest('Invalid or expired reset token');
+    }
+
+    const passwordHash = await this.authService.hashPassword(password);
+    await this.userRepository.update(reset.userId, { passwordHash });
+
+    await this.passwordResetRepository.invalidateAllForUser(reset.userId);
+    const { count: revokedSessions } =
+      await this.refreshTokenRepository.revokeAllForUser(reset.userId);
+
+    await this.auditLogRepository.create({
+      userId: reset.userId,
+      action: 'password_reset',
+      entityType: 'user',
+      entityId: reset.userId,
+      metadata: {
+        revokedSessions,
+        ip: context.ip,
+        userAgent: context.userAgent,
+      },
+    });
+  }
+}
+
+export default PasswordResetService;
@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import * as authController from './controller.js';
+import {
+  signupSchema,
+  loginSchema,
+  refreshSchema,
+  logoutSchema,
+  magicLinkRequestSchema,
+  magicLinkRedeemSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  twoFactorEnableSchema,
+  twoFactorDisableSchema,
+  twoFactorVerifySchema,
+} from './validation.js';
+
+const router = Router();
+
+router.post('/signup', validateRequest(signupSchema), authController.signup);
+router.post('/login', validateRequest(loginSchema), authController.login);
+router.post('/refresh', validateRequest(refreshSchema), authController.refresh);
+router.post('/logout', validateRequest(logoutSchema), authController.logout);
+router.post(
+  '/magic-link',
+  validateRequest(magicLinkRequestSchema),
+  authController.requestMagicLink
+);
+router.post(
+  '/magic-link/verify',
+  validateRequest(magicLinkRedeemSchema),
+  authController.redeemMagicLink
+);
+router.post(
+  '/password/forgot',
+  validateRequest(forgotPasswordSchema),
+  authController.forgotPassword
+);
+router.post(
+  '/password/reset',
+  validateRequest(resetPasswordSchema),
+  authController.resetPassword
+);
+router.post(
+  '/email/verification',
+  authenticate,
+  authController.sendEmailVerification
+);
+router.post(
+  '/email/verify',
+  validateRequest(verifyEmailSchema),
+  authController.verifyEmail
+);
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+router.post(
+  '/2fa/enable',
+  authenticate,
+  validateRequest(twoFactorEnableSchema),
+  authController.enableTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  authenticate,
+  validateRequest(twoFactorDisableSchema),
+  authController.disableTwoFactor
+);
+router.post(
+  '/2fa/verify',
+  validateRequest(twoFactorVerifySchema),
+  authController.verifyTwoFactor
+);
+
+export default router;
@@ -0,0 +1,319 @@
+/**
+ * Auth Service
+ *
+ * Email/password authentication backed by JWT access tokens and
+ * hashed, persisted refresh tokens that rotate on every use.
+ */
+
+import bcrypt from 'bcrypt';
+import {
+  UserRepository,
+  RefreshTokenRepository,
+  AuditLogRepository,
+  DeviceRepository,
+  TwoFactorRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import {
+  hashToken,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  signTwoFactorChallenge,
+  getExpiresIn,
+} from './tokens.js';
+import EmailVerificationService from './emailVerificationService.js';
+import AccountDeletionService from '../users/accountDeletionService.js';
+
+const BCRYPT_ROUNDS = 12;
+
+// Compared against when the email is unknown so both paths cost a bcrypt round
+const DUMMY_PASSWORD_HASH =
+  '$2b$12$Dz1pxG22h9qRexygLCwS1uiQj8q6EAXxfi7avBV1zwqtA/imjUQyO';
+
+/**
+ * Strip credentials from a user record before returning it to clients
+ * @param {Object} user - User record
+ * @returns {Object} Public user fields
+ */
+export const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  displayName: user.displayName,
+  avatarUrl: user.avatarUrl,
+  tz: user.tz,
+  role: user.role,
+  emailVerifiedAt: user.emailVerifiedAt,
+  createdAt: user.createdAt,
+});
+
+class AuthService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.refreshTokenRepository = new RefreshTokenRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.deviceRepository = new DeviceRepository();
+    this.twoFactorRepository = new TwoFactorRepository();
+    this.emailVerificationService = new EmailVerificationService();
+    this.accountDeletionService = new AccountDeletionService();
+  }
+
+  /**
+   * Register a new user with email and password
+   * @param {Object} data - Signup data
+   * @returns {Promise<Object>} User and token pair
+   */
+  async signup({ email, password, displayName, tz, device }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    // Accounts pending deletion still own their email until anonymised
+    if (
+      await this.userRepository.findByEmailIncludingDeleted(normalizedEmail)
+    ) {
+      throw ApiError.conflict('Email is already registered');
+    }
+
+    const passwordHash = await this.hashPassword(password);
+    const user = await this.userRepository.create({
+      email: normalizedEmail,
+      passwordHash,
+      displayName,
+      tz,
+    });
+
+    // A mail outage should not block signup; the user can request a resend
+    try {
+      await this.emailVerificationService.sendVerification(user.id);
+    } catch (error) {
+      logger.error('Error sending verification email on signup:', error);
+    }
+
+    return this.issueSession(user, device);
+  }
+
+  /**
+   * Authenticate with email and password. Logging in to an account that is
+   * pending deletion cancels the deletion once a session is issued, so
+   * after the second factor for users with two-factor enabled.
+   * @param {Object} credentials - Login credentials
+   * @returns {Promise<Object>} User and token pair, or a two-factor challenge
+   */
+  async login({ email, password, device }) {
+    let user = await this.userRepository.findByEmailIncludingDeleted(
+      email.trim().toLowerCase()
+    );
+    if (user?.anonymizedAt) {
+      user = null;
+    }
+
+    const valid = await bcrypt.compare(
+      password,
+      user ? user.passwordHash : DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || !valid) {
+      throw ApiError.unauthorized('Invalid email or password');
+    }
+
+    return this.completeLogin(user, device);
+  }
+
+  /**
+   * Finish a login whose first factor has passed. Users with two-factor
+   * enabled get a short-lived challenge token instead of a session and must
+   * redeem it at /auth/2fa/verify.
+   * @param {Object} user - User record
+   * @param {Object} [device] - Client device
+   * @returns {Promise<Object>} User and token pair, or a two-factor challenge
+   */
+  async completeLogin(user, device) {
+    const twoFactor = await this.twoFactorRepository.findByUserId(user.id);
+
+    if (twoFactor?.enabledAt) {
+      const challengeToken = signTwoFactorChallenge(user.id);
+      return {
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: getExpiresIn(challengeToken),
+      };
+    }
+
+    return this.issueSession(user, device);
+  }
+
+  /**
+   * Rotate a refresh token. The presented token is revoked and replaced by a
+   * child in the same family. Presenting a token that was already revoked
+   * means it leaked, so the whole family is revoked.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} context - Request context for auditing
+   * @param {string} [context.ip] - Client IP
+   * @param {string} [context.userAgent] - Client user agent
+   * @returns {Promise<Object>} New token pair
+   */
+  async refresh(refreshToken, context = {}) {
+    const payload = this.decodeRefreshToken(refreshToken);
+    const stored = await this.refreshTokenRepository.findByTokenHash(
+      hashToken(refreshToken)
+    );
+
+    if (!stored || stored.userId !== payload.sub) {
+      throw ApiError.unauthorized('Invalid refresh token');
+    }
+
+    if (stored.revokedAt) {
+      await this.handleTokenReuse(stored, context);
+      throw ApiError.unauthorized('Invalid refresh token');
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw ApiError.unauthorized('Invalid refresh token');
+    }
+
+    const { token: nextRefreshToken, expiresAt } = signRefreshToken(
+      stored.userId
+    );
+    const rotated = await this.refreshTokenRepository.rotate(stored.id, {
+      userId: stored.userId,
+      tokenHash: hashToken(nextRefreshToken),
+      familyId: stored.familyId,
+      deviceId: stored.deviceId,
+      expiresAt,
+    });
+
+    // Another request rotated this token first
+    if (!rotated) {
+      await this.handleTokenReuse(stored, context);
+      throw ApiError.unauthorized('Invalid refresh token');
+    }
+
+    if (stored.deviceId) {
+      await this.deviceRepository.updateLastSeen(stored.deviceId);
+    }
+
+    const accessToken = signAccessToken(stored.user, stored.familyId);
+
+    return {
+      accessToken,
+      refreshToken: nextRefreshToken,
+      tokenType: 'Bearer',
+      expiresIn: getExpiresIn(accessToken),
+    };
+  }
+
+  /**
+   * Revoke a refresh token. Unknown or already revoked tokens are ignored
+   * so logout is idempotent.
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<void>}
+   */
+  async logout(refreshToken) {
+    const stored = await this.refreshTokenRepository.findValidToken(
+      hashToken(refreshToken)
+    );
+
+    if (stored) {
+      await this.refreshTokenRepository.revoke(stored.id);
+    }
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} bcrypt hash
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Mint an access token and a persisted refresh token for a user. When the
+   * client identifies its device, the session is tied to that device record.
+   * Signing in to an account that is pending deletion restores it.
+   * @param {Object} user - User record
+   * @param {Object} [device] - Client device
+   * @param {string} device.platform - e.g. "ios", "android", "web"
+   * @param {string} device.pushToken - Push notification token
+   * @returns {Promise<Object>} User and token pair
+   */
+  async issueSession(user, device) {
+    if (user.deletedAt) {
+      user = await this.accountDeletionService.restore(user);
+    }
+
+    const { token: refreshToken, expiresAt } = signRefreshToken(user.id);
+    let deviceId;
+
+    if (device) {
+      const deviceRecord = await this.deviceRepository.upsert(
+        user.id,
+        device.pushToken,
+        { platform: device.platform, lastSeenAt: new Date() }
+      );
+      deviceId = deviceRecord.id;
+    }
+
+    const stored = await this.refreshTokenRepository.create({
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      deviceId,
+      expiresAt,
+    });
+    const accessToken = signAccessToken(user, stored.familyId);
+
+    logger.info(`Session issued for user: ${user.id}`);
+
+    return {
+      user: toPublicUser(user),
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: getExpiresIn(accessToken),
+    };
+  }
+
+  /**
+   * Revoke the family of a reused refresh token and record the incident
+   * @param {Object} token - Stored refresh token that was presented again
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<void>}
+   */
+  async handleTokenReuse(token, context) {
+    const { count } = await this.refreshTokenRepository.revokeFamily(
+      token.familyId
+    );
+
+    await this.auditLogRepository.create({
+      userId: token.userId,
+      action: 'refresh_token_reuse_detected',
+      entityType: 'refresh_token',
+      entityId: token.id,
+      metadata: {
+        familyId: token.familyId,
+        revokedCount: count,
+        ip: context.ip,
+        userAgent: context.userAgent,
+      },
+    });
+
+    logger.warn(
+      `Refresh token reuse detected for user: ${token.userId}, family: ${token.familyId}`
+    );
+  }
+
+  /**
+   * Verify a refresh token JWT, mapping failures to a 401
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object} Decoded payload
+   */
+  decodeRefreshToken(refreshToken) {
+    try {
+      return verifyRefreshToken(refreshToken);
+    } catch {
+      throw ApiError.unauthorized('Invalid refresh token');
+    }
+  }
+}
+
+export default AuthService;
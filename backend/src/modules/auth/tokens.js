@@ -0,0 +1,124 @@
+/**
+ * Token helpers for the auth module
+ *
+ * Access tokens are short-lived JWTs signed with config.jwt.secret.
+ * Refresh tokens are JWTs signed with config.jwt.refreshSecret; only their
+ * SHA-256 hash is ever persisted.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { config } from '../../config/index.js';
+
+/**
+ * Hash an opaque token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a URL-safe random token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Base64url encoded token
+ */
+export const generateRandomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User record
+ * @param {string} sessionId - Refresh token family the access token belongs to
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { sub: user.id, email: user.email, sid: sessionId, type: 'access' },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  );
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed JWT
+ * @returns {Object} Decoded payload
+ */
+export const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, config.jwt.secret);
+
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return payload;
+};
+
+/**
+ * Sign a refresh token for a user
+ * The random jti guarantees a unique hash even when two tokens are issued
+ * within the same second.
+ * @param {string} userId - User ID
+ * @returns {{ token: string, expiresAt: Date }} Signed JWT and its expiry
+ */
+export const signRefreshToken = (userId) => {
+  const token = jwt.sign(
+    { sub: userId, type: 'refresh', jti: generateRandomToken(16) },
+    config.jwt.refreshSecret,
+    { expiresIn: config.jwt.refreshExpiresIn }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verify a refresh token signature and expiry
+ * @param {string} token - Signed JWT
+ * @returns {Object} Decoded payload
+ */
+export const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, config.jwt.refreshSecret);
+
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return payload;
+};
+
+/**
+ * Sign a short-lived challenge token proving the first login factor passed.
+ * It is exchanged for a session once the second factor is verified.
+ * @param {string} userId - User ID
+ * @returns {string} Signed JWT
+ */
+export const signTwoFactorChallenge = (userId) =>
+  jwt.sign({ sub: userId, type: 'two_factor_challenge' }, config.jwt.secret, {
+    expiresIn: config.auth.twoFactorChallengeTtl,
+  });
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Signed JWT
+ * @returns {Object} Decoded payload
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  const payload = jwt.verify(token, config.jwt.secret);
+
+  if (payload.type !== 'two_factor_challenge') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return payload;
+};
+
+/**
+ * Lifetime of an access token in seconds, as reported to clients
+ * @param {string} token - Signed access token
+ * @returns {number} Seconds until expiry
+ */
+export const getExpiresIn = (token) => {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+};
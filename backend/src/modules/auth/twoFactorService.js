@@ -0,0 +1,252 @@
+/**
+ * Two-Factor Service
+ *
+ * Optional TOTP second factor. Enrollment stores an encrypted pending secret
+ * that only becomes active once the user proves their authenticator app
+ * produces matching codes. Recovery codes are shown once and stored hashed.
+ */
+
+import crypto from 'crypto';
+import {
+  UserRepository,
+  TwoFactorRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import ApiError from '../../utils/ApiError.js';
+import { encrypt, decrypt } from '../../utils/encryption.js';
+import logger from '../../utils/logger.js';
+import { hashToken, verifyTwoFactorChallenge } from './tokens.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+/**
+ * Generate a human friendly recovery code, e.g. "4f9a-c21e"
+ * @returns {string} Recovery code
+ */
+const generateRecoveryCode = () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+};
+
+/**
+ * Hash a recovery code, ignoring case, whitespace and dashes
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashRecoveryCode = (code) =>
+  hashToken(code.toLowerCase().replace(/[\s-]/g, ''));
+
+class TwoFactorService {
+  /**
+   * @param {Object} authService - AuthService used to mint sessions
+   */
+  constructor(authService) {
+    this.authService = authService;
+    this.userRepository = new UserRepository();
+    this.twoFactorRepository = new TwoFactorRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Start enrollment by generating a new secret. Calling it again before
+   * enabling replaces the pending secret.
+   * @param {string} userId - User ID
+   * @returns {Promise<{ secret: string, otpauthUri: string }>} Enrollment data
+   */
+  async setup(userId) {
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    const existing = await this.twoFactorRepository.findByUserId(userId);
+    if (existing?.enabledAt) {
+      throw ApiError.conflict('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await this.twoFactorRepository.upsertPending(
+      userId,
+      encrypt(secret, config.auth.totpEncryptionKey)
+    );
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: config.auth.totpIssuer,
+      }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<{ recoveryCodes: Array<string> }>} One-time recovery codes
+   */
+  async enable(userId, code, context = {}) {
+    const settings = await this.twoFactorRepository.findByUserId(userId);
+
+    if (!settings) {
+      throw ApiError.badRequest('Two-factor setup has not been started');
+    }
+
+    if (settings.enabledAt) {
+      throw ApiError.conflict('Two-factor authentication is already enabled');
+    }
+
+    const step = verifyCode(this.decryptSecret(settings), code);
+    if (step === null) {
+      throw ApiError.badRequest('Invalid verification code');
+    }
+
+    const recoveryCodes = Array.from(
+      { length: RECOVERY_CODE_COUNT },
+      generateRecoveryCode
+    );
+    await this.twoFactorRepository.enable(
+      userId,
+      step,
+      recoveryCodes.map(hashRecoveryCode)
+    );
+
+    await this.auditLogRepository.create({
+      userId,
+      action: 'two_factor_enabled',
+      entityType: 'user',
+      entityId: userId,
+      metadata: { ip: context.ip, userAgent: context.userAgent },
+    });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn two-factor off. Requires a current TOTP code or a recovery code.
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or recovery code
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<void>}
+   */
+  async disable(userId, code, context = {}) {
+    const settings = await this.getEnabledSettings(userId);
+
+    if (!settings) {
+      throw ApiError.badRequest('Two-factor authentication is not enabled');
+    }
+
+    const method = await this.verifySecondFactor(settings, code);
+
+    await this.twoFactorRepository.disable(userId);
+    await this.auditLogRepository.create({
+      userId,
+      action: 'two_factor_disabled',
+      entityType: 'user',
+      entityId: userId,
+      metadata: { method, ip: context.ip, userAgent: context.userAgent },
+    });
+  }
+
+  /**
+   * Exchange a challenge token and second factor for a session. Accounts
+   * pending deletion are restored only once the second factor passes.
+   * @param {string} challengeToken - Token returned by the first login step
+   * @param {string} code - TOTP or recovery code
+   * @param {Object} [device] - Client device
+   * @returns {Promise<Object>} User and token pair
+   */
+  async verifyChallenge(challengeToken, code, device) {
+    let payload;
+    try {
+      payload = verifyTwoFactorChallenge(challengeToken);
+    } catch {
+      throw ApiError.unauthorized('Invalid or expired challenge token');
+    }
+
+    const user = await this.userRepository.findByIdIncludingDeleted(
+      payload.sub
+    );
+    const settings =
+      user && !user.anonymizedAt && (await this.getEnabledSettings(user.id));
+
+    if (!settings) {
+      throw ApiError.unauthorized('Invalid or expired challenge token');
+    }
+
+    await this.verifySecondFactor(settings, code);
+
+    return this.authService.issueSession(user, device);
+  }
+
+  /**
+   * Check a TOTP or recovery code, enforcing replay protection and a lockout
+   * after repeated failures
+   * @param {Object} settings - Enabled two-factor settings
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<string>} Method that matched: "totp" or "recovery_code"
+   */
+  async verifySecondFactor(settings, code) {
+    const { userId } = settings;
+    const lockoutStart = new Date(Date.now() - LOCKOUT_MINUTES * 60 * 1000);
+
+    if (
+      settings.failedAttempts >= MAX_FAILED_ATTEMPTS &&
+      settings.lastFailedAt > lockoutStart
+    ) {
+      throw ApiError.tooManyRequests('Too many invalid codes, try again later');
+    }
+
+    const step = verifyCode(this.decryptSecret(settings), code);
+    if (step !== null) {
+      if (await this.twoFactorRepository.recordSuccess(userId, step)) {
+        return 'totp';
+      }
+    } else if (
+      await this.twoFactorRepository.consumeRecoveryCode(
+        userId,
+        hashRecoveryCode(code)
+      )
+    ) {
+      await this.twoFactorRepository.resetFailures(userId);
+      logger.info(`Recovery code accepted for user: ${userId}`);
+      return 'recovery_code';
+    }
+
+    // Failures older than the lockout window no longer count
+    if (settings.lastFailedAt && settings.lastFailedAt <= lockoutStart) {
+      await this.twoFactorRepository.resetFailures(userId);
+    }
+    await this.twoFactorRepository.recordFailure(userId);
+
+    throw ApiError.unauthorized('Invalid verification code');
+  }
+
+  /**
+   * Load settings only when enrollment has been confirmed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Enabled settings or null
+   */
+  async getEnabledSettings(userId) {
+    const settings = await this.twoFactorRepository.findByUserId(userId);
+    return settings?.enabledAt ? settings : null;
+  }
+
+  /**
+   * Decrypt the stored TOTP secret
+   * @param {Object} settings - Two-factor settings
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(settings) {
+    return decrypt(settings.secretEncrypted, config.auth.totpEncryptionKey);
+  }
+}
+
+export default TwoFactorService;
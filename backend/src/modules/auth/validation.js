@@ -0,0 +1,75 @@
+/**
+ * Auth request validation schemas
+ */
+
+import Joi from 'joi';
+
+const email = Joi.string().email().max(254).required();
+const password = Joi.string().min(8).max(128).required();
+
+// Optional client device the new session is bound to
+const device = Joi.object({
+  platform: Joi.string().valid('ios', 'android', 'web').required(),
+  pushToken: Joi.string().max(512).required(),
+});
+
+export const signupSchema = Joi.object({
+  email,
+  password,
+  displayName: Joi.string().trim().min(1).max(100),
+  tz: Joi.string().max(64),
+  device,
+});
+
+export const loginSchema = Joi.object({
+  email,
+  password: Joi.string().required(),
+  device,
+});
+
+export const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+export const logoutSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+export const magicLinkRequestSchema = Joi.object({
+  email,
+});
+
+export const magicLinkRedeemSchema = Joi.object({
+  token: Joi.string().required(),
+  device,
+});
+
+export const forgotPasswordSchema = Joi.object({
+  email,
+});
+
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password,
+});
+
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+// TOTP code or recovery code
+const twoFactorCode = Joi.string().trim().min(6).max(32).required();
+
+export const twoFactorEnableSchema = Joi.object({
+  code: twoFactorCode,
+});
+
+export const twoFactorDisableSchema = Joi.object({
+  code: twoFactorCode,
+});
+
+export const twoFactorVerifySchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: twoFactorCode,
+  device,
+});
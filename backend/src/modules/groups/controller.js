@@ -0,0 +1,215 @@
+/**
+ * Group Controller
+ *
+ * HTTP handlers for groups and their memberships (/api/v1/groups).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import { HTTP_STATUS } from '../../types/index.js';
+import GroupService from './service.js';
+import JoinRequestService from './joinRequestService.js';
+import InviteService from './inviteService.js';
+
+const groupService = new GroupService();
+const joinRequestService = new JoinRequestService(groupService);
+const inviteService = new InviteService(groupService);
+
+/**
+ * GET /api/v1/groups
+ */
+export const listGroups = asyncHandler(async (req, res) => {
+  const { groups, pagination } = await groupService.listGroups(
+    req.user.id,
+    req.query
+  );
+  return ApiResponse.paginated(res, groups, pagination);
+});
+
+/**
+ * POST /api/v1/groups
+ */
+export const createGroup = asyncHandler(async (req, res) => {
+  const group = await groupService.createGroup(req.user.id, req.body);
+  return ApiResponse.success(res, group, 'Group created', HTTP_STATUS.CREATED);
+});
+
+/**
+ * GET /api/v1/groups/:groupId
+ */
+export const getGroup = asyncHandler(async (req, res) => {
+  const group = await groupService.getGroup(req.user.id, req.params.groupId);
+  return ApiResponse.success(res, group);
+});
+
+/**
+ * PATCH /api/v1/groups/:groupId
+ */
+export const updateGroup = asyncHandler(async (req, res) => {
+  const group = await groupService.updateGroup(
+    req.user.id,
+    req.params.groupId,
+    req.body
+  );
+  return ApiResponse.success(res, group, 'Group updated');
+});
+
+/**
+ * DELETE /api/v1/groups/:groupId
+ */
+export const deleteGroup = asyncHandler(async (req, res) => {
+  await groupService.deleteGroup(req.user.id, req.params.groupId);
+  return ApiResponse.success(res, null, 'Group deleted');
+});
+
+/**
+ * POST /api/v1/groups/:groupId/join
+ */
+export const joinGroup = asyncHandler(async (req, res) => {
+  const group = await groupService.joinGroup(req.user.id, req.params.groupId);
+  return ApiResponse.success(res, group, 'Joined group');
+});
+
+/**
+ * POST /api/v1/groups/:groupId/leave
+ */
+export const leaveGroup = asyncHandler(async (req, res) => {
+  await groupService.leaveGroup(req.user.id, req.params.groupId);
+  return ApiResponse.success(res, null, 'Left group');
+});
+
+/**
+ * GET /api/v1/groups/:groupId/members
+ */
+export const listMembers = asyncHandler(async (req, res) => {
+  const { members, pagination } = await groupService.listMembers(
+    req.user.id,
+    req.params.groupId,
+    req.query
+  );
+  return ApiResponse.paginated(res, members, pagination);
+});
+
+/**
+ * PATCH /api/v1/groups/:groupId/members/:userId
+ */
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const membership = await groupService.updateMemberRole(
+    req.user.id,
+    req.params.groupId,
+    req.params.userId,
+    req.body.role
+  );
+  return ApiResponse.success(res, membership, 'Member role updated');
+});
+
+/**
+ * DELETE /api/v1/groups/:groupId/members/:userId
+ */
+export const removeMember = asyncHandler(async (req, res) => {
+  await groupService.removeMember(
+    { ...req.user, membership: req.membership },
+    req.params.groupId,
+    req.params.userId
+  );
+  return ApiResponse.success(res, null, 'Member removed');
+});
+
+/**
+ * POST /api/v1/groups/:groupId/join-requests
+ */
+export const createJoinRequest = asyncHandler(async (req, res) => {
+  const request = await joinRequestService.requestToJoin(
+    req.user.id,
+    req.params.groupId,
+    req.body.message
+  );
+  return ApiResponse.success(
+    res,
+    request,
+    'Join request sent',
+    HTTP_STATUS.CREATED
+  );
+});
+
+/**
+ * GET /api/v1/groups/:groupId/join-requests
+ */
+export const listJoinRequests = asyncHandler(async (req, res) => {
+  const { requests, pagination } = await joinRequestService.listRequests(
+    req.params.groupId,
+    req.query
+  );
+  return ApiResponse.paginated(res, requests, pagination);
+});
+
+/**
+ * POST /api/v1/groups/:groupId/join-requests/:requestId/approve
+ */
+export const approveJoinRequest = asyncHandler(async (req, res) => {
+  const request = await joinRequestService.review(
+    req.user.id,
+    req.params.groupId,
+    req.params.requestId,
+    true
+  );
+  return ApiResponse.success(res, request, 'Join request approved');
+});
+
+/**
+ * POST /api/v1/groups/:groupId/join-requests/:requestId/reject
+ */
+export const rejectJoinRequest = asyncHandler(async (req, res) => {
+  const request = await joinRequestService.review(
+    req.user.id,
+    req.params.groupId,
+    req.params.requestId,
+    false
+  );
+  return ApiResponse.success(res, request, 'Join request rejected');
+});
+
+/**
+ * POST /api/v1/groups/:groupId/invites
+ */
+export const createInvite = asyncHandler(async (req, res) => {
+  const result = await inviteService.createInvite(
+    req.user.id,
+    req.params.groupId,
+    req.body
+  );
+  return ApiResponse.success(
+    res,
+    result,
+    'Invite created',
+    HTTP_STATUS.CREATED
+  );
+});
+
+/**
+ * GET /api/v1/groups/:groupId/invites
+ */
+export const listInvites = asyncHandler(async (req, res) => {
+  const invites = await inviteService.listInvites(req.params.groupId);
+  return ApiResponse.success(res, invites);
+});
+
+/**
+ * DELETE /api/v1/groups/:groupId/invites/:inviteId
+ */
+export const revokeInvite = asyncHandler(async (req, res) => {
+  await inviteService.revokeInvite(
+    req.user.id,
+    req.params.groupId,
+    req.params.inviteId
+  );
+  return ApiResponse.success(res, null, 'Invite revoked');
+});
+
+/**
+ * POST /api/v1/groups/invites/accept
+ */
+export const acceptInvite = asyncHandler(async (req, res) => {
+  const group = await inviteService.acceptInvite(req.user.id, req.body.token);
+  return ApiResponse.success(res, group, 'Joined group');
+});
@@ -0,0 +1,238 @@
+/**
+ * Group Invite Service
+ *
+ * Group admins can share invite links, which expire and may be limited to a
+ * number of uses, or invite someone directly by email. A direct invite is
+ * single-use and can only be accepted by the account with that email. Only
+ * the hash of an invite token is stored; the raw token is returned once.
+ */
+
+import {
+  UserRepository,
+  GroupMemberRepository,
+  GroupInviteRepository,
+  NotificationRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import mailer from '../../services/mail/index.js';
+import ApiError from '../../utils/ApiError.js';
+import { GROUP_ROLES } from '../../types/index.js';
+import { generateRandomToken, hashToken } from '../auth/tokens.js';
+import { toPublicGroup } from './service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Shape an invite for clients
+ * @param {Object} invite - GroupInvite record
+ * @returns {Object} Public invite fields
+ */
+export const toPublicInvite = (invite) => ({
+  id: invite.id,
+  groupId: invite.groupId,
+  createdBy: invite.createdBy,
+  email: invite.email,
+  maxUses: invite.maxUses,
+  useCount: invite.useCount,
+  expiresAt: invite.expiresAt,
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt,
+});
+
+/**
+ * Build the link a client opens to accept an invite
+ * @param {string} token - Raw invite token
+ * @returns {string} Invite URL
+ */
+const buildInviteUrl = (token) =>
+  `${config.appUrl}/groups/invite?token=${token}`;
+
+class InviteService {
+  /**
+   * @param {Object} groupService - GroupService used to load groups
+   */
+  constructor(groupService) {
+    this.groupService = groupService;
+    this.userRepository = new UserRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.groupInviteRepository = new GroupInviteRepository();
+    this.notificationRepository = new NotificationRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Create an invite link, or email a direct invite when `email` is given
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} options - Invite options
+   * @param {string} [options.email] - Invitee email
+   * @param {number} [options.maxUses] - Use limit for links, 1 for single-use
+   * @param {number} [options.expiresInHours] - Lifetime in hours
+   * @returns {Promise<{ invite: Object, token?: string, url?: string }>} Invite, plus the link for link invites
+   */
+  async createInvite(userId, groupId, options = {}) {
+    const group = await this.groupService.loadGroup(groupId);
+    const email = options.email?.trim().toLowerCase() || null;
+    const expiresInHours =
+      options.expiresInHours || config.groups.inviteTtlHours;
+
+    const invitee = email && (await this.userRepository.findByEmail(email));
+    if (
+      invitee &&
+      (await this.groupMemberRepository.findMembership(groupId, invitee.id))
+    ) {
+      throw ApiError.conflict('This user is already a member of the group');
+    }
+
+    const token = generateRandomToken();
+    const invite = await this.groupInviteRepository.create({
+      groupId,
+      createdBy: userId,
+      tokenHash: hashToken(token),
+      email,
+      maxUses: email ? 1 : (options.maxUses ?? null),
+      expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS),
+    });
+
+    await this.auditLogRepository.create({
+      userId,
+      action: 'group_invite_created',
+      entityType: 'group',
+      entityId: groupId,
+      metadata: { inviteId: invite.id, email, maxUses: invite.maxUses },
+    });
+
+    if (!email) {
+      return {
+        invite: toPublicInvite(invite),
+        token,
+        url: buildInviteUrl(token),
+      };
+    }
+
+    await mailer.send({
+      to: email,
+      subject: `You're invited to join ${group.name} on Anointed`,
+      text: [
+        `You have been invited to join the group "${group.name}".`,
+        `Tap the link below to accept. It expires in ${expiresInHours} hours and can be used once.`,
+        '',
+        buildInviteUrl(token),
+      ].join('\n'),
+    });
+
+    if (invitee) {
+      await this.notificationRepository.create({
+        userId: invitee.id,
+        type: 'group_invite',
+        payload: {
+          groupId,
+          groupName: group.name,
+          inviteId: invite.id,
+          invitedBy: userId,
+        },
+      });
+    }
+
+    return { invite: toPublicInvite(invite) };
+  }
+
+  /**
+   * List invites of a group that can still be used
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} Active invites
+   */
+  async listInvites(groupId) {
+    await this.groupService.loadGroup(groupId);
+
+    const invites = await this.groupInviteRepository.findActiveByGroup(groupId);
+    return invites.map(toPublicInvite);
+  }
+
+  /**
+   * Revoke an invite so it can no longer be accepted
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<void>}
+   */
+  async revokeInvite(userId, groupId, inviteId) {
+    await this.groupService.loadGroup(groupId);
+    const invite = await this.groupInviteRepository.findByIdInGroup(
+      groupId,
+      inviteId
+    );
+
+    if (!invite || invite.revokedAt) {
+      throw ApiError.notFound('Invite not found');
+    }
+
+    await this.groupInviteRepository.revoke(inviteId);
+    await this.auditLogRepository.create({
+      userId,
+      action: 'group_invite_revoked',
+      entityType: 'group',
+      entityId: groupId,
+      metadata: { inviteId },
+    });
+  }
+
+  /**
+   * Accept an invite and join its group
+   * @param {string} userId - Caller user ID
+   * @param {string} token - Raw invite token
+   * @returns {Promise<Object>} Joined group
+   */
+  async acceptInvite(userId, token) {
+    const invite = await this.groupInviteRepository.findByTokenHash(
+      hashToken(token)
+    );
+
+    if (!invite || invite.group.deletedAt) {
+      throw ApiError.badRequest('Invalid or expired invite');
+    }
+
+    if (invite.email) {
+      const user = await this.userRepository.findById(userId);
+      if (user?.email !== invite.email) {
+        throw ApiError.forbidden(
+          'This invite was sent to a different email address'
+        );
+      }
+    }
+
+    if (
+      await this.groupMemberRepository.findMembership(invite.groupId, userId)
+    ) {
+      throw ApiError.conflict('You are already a member of this group');
+    }
+
+    if (!(await this.groupInviteRepository.redeem(invite.id, userId))) {
+      throw ApiError.badRequest('Invalid or expired invite');
+    }
+
+    await this.notificationRepository.create({
+      userId: invite.createdBy,
+      type: 'group_invite_accepted',
+      payload: {
+        groupId: invite.groupId,
+        groupName: invite.group.name,
+        inviteId: invite.id,
+        memberId: userId,
+      },
+    });
+    await this.auditLogRepository.create({
+      userId,
+      action: 'group_invite_accepted',
+      entityType: 'group',
+      entityId: invite.groupId,
+      metadata: { inviteId: invite.id, invitedBy: invite.createdBy },
+    });
+
+    const group = await this.groupService.loadGroup(invite.groupId);
+    return toPublicGroup(group, GROUP_ROLES.MEMBER);
+  }
+}
+
+export default InviteService;
@@ -0,0 +1,167 @@
+/**
+ * Group Join Request Service
+ *
+ * Private groups cannot be joined directly. Users ask to join instead, and
+ * a group admin or moderator approves or rejects the request. The group's
+ * staff hear about new requests and the requester hears about the decision
+ * through notifications.
+ */
+
+import {
+  GroupJoinRequestRepository,
+  GroupMemberRepository,
+  NotificationRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import { parsePagination, buildPagination } from '../../utils/pagination.js';
+
+/**
+ * Shape a join request for clients
+ * @param {Object} request - GroupJoinRequest record with user
+ * @returns {Object} Public join request fields
+ */
+export const toJoinRequest = (request) => ({
+  id: request.id,
+  groupId: request.groupId,
+  user: request.user,
+  message: request.message,
+  status: request.status,
+  reviewedBy: request.reviewedBy,
+  reviewedAt: request.reviewedAt,
+  createdAt: request.createdAt,
+});
+
+class JoinRequestService {
+  /**
+   * @param {Object} groupService - GroupService used to load groups
+   */
+  constructor(groupService) {
+    this.groupService = groupService;
+    this.joinRequestRepository = new GroupJoinRequestRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.notificationRepository = new NotificationRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Ask to join a private group
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {string} [message] - Note for the group staff
+   * @returns {Promise<Object>} Pending join request
+   */
+  async requestToJoin(userId, groupId, message) {
+    const group = await this.groupService.loadGroup(groupId);
+
+    if (group.privacy !== 'PRIVATE') {
+      throw ApiError.badRequest('This group is public, join it directly');
+    }
+
+    if (await this.groupMemberRepository.findMembership(groupId, userId)) {
+      throw ApiError.conflict('You are already a member of this group');
+    }
+
+    if (await this.joinRequestRepository.findPending(groupId, userId)) {
+      throw ApiError.conflict('You already asked to join this group');
+    }
+
+    let request;
+    try {
+      request = await this.joinRequestRepository.create({
+        groupId,
+        userId,
+        message: message || null,
+      });
+    } catch (error) {
+      // Lost a race against a second request from the same user
+      if (error.code === 'P2002') {
+        throw ApiError.conflict('You already asked to join this group');
+      }
+      throw error;
+    }
+
+    const staffIds = await this.groupMemberRepository.findStaffIds(groupId);
+    await this.notificationRepository.createMany(
+      staffIds.map((staffId) => ({
+        userId: staffId,
+        type: 'group_join_request',
+        payload: {
+          groupId,
+          groupName: group.name,
+          requestId: request.id,
+          requesterId: userId,
+        },
+      }))
+    );
+
+    return toJoinRequest(request);
+  }
+
+  /**
+   * List a group's join requests
+   * @param {string} groupId - Group ID
+   * @param {Object} query - Request query (status, page, limit)
+   * @returns {Promise<{ requests: Array, pagination: Object }>} Page of requests
+   */
+  async listRequests(groupId, query = {}) {
+    await this.groupService.loadGroup(groupId);
+
+    const { page, limit, skip, take } = parsePagination(query);
+    const { requests, total } = await this.joinRequestRepository.findByGroup(
+      groupId,
+      { status: query.status, skip, take }
+    );
+
+    return {
+      requests: requests.map(toJoinRequest),
+      pagination: buildPagination(page, limit, total),
+    };
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @param {string} reviewerId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {string} requestId - Join request ID
+   * @param {boolean} approved - Decision
+   * @returns {Promise<Object>} Reviewed join request
+   */
+  async review(reviewerId, groupId, requestId, approved) {
+    const group = await this.groupService.loadGroup(groupId);
+    const pending = await this.joinRequestRepository.findByIdInGroup(
+      groupId,
+      requestId
+    );
+
+    if (!pending) {
+      throw ApiError.notFound('Join request not found');
+    }
+
+    const request = approved
+      ? await this.joinRequestRepository.approve(requestId, reviewerId)
+      : await this.joinRequestRepository.reject(requestId, reviewerId);
+
+    if (!request) {
+      throw ApiError.conflict('This join request has already been reviewed');
+    }
+
+    const outcome = approved ? 'approved' : 'rejected';
+    await this.notificationRepository.create({
+      userId: request.userId,
+      type: `group_join_request_${outcome}`,
+      payload: { groupId, groupName: group.name, requestId },
+    });
+    await this.auditLogRepository.create({
+      userId: reviewerId,
+      action: `group_join_request_${outcome}`,
+      entityType: 'group',
+      entityId: groupId,
+      metadata: { requestId, requesterId: request.userId },
+    });
+
+    return toJoinRequest(request);
+  }
+}
+
+export default JoinRequestService;
@@ -0,0 +1,145 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import authorize from '../../middleware/authorize.js';
+import requireVerifiedEmail from '../../middleware/requireVerifiedEmail.js';
+import { USER_ROLES, GROUP_ROLES } from '../../types/index.js';
+import * as groupController from './controller.js';
+import {
+  groupParamsSchema,
+  memberParamsSchema,
+  listGroupsSchema,
+  listMembersSchema,
+  createGroupSchema,
+  updateGroupSchema,
+  updateMemberRoleSchema,
+  joinRequestParamsSchema,
+  inviteParamsSchema,
+  createJoinRequestSchema,
+  listJoinRequestsSchema,
+  createInviteSchema,
+  acceptInviteSchema,
+} from './validation.js';
+
+const router = Router();
+
+const groupAdmin = authorize({
+  platformRole: USER_ROLES.ADMIN,
+  groupRole: GROUP_ROLES.ADMIN,
+});
+const groupModerator = authorize({
+  platformRole: USER_ROLES.MODERATOR,
+  groupRole: GROUP_ROLES.MODERATOR,
+});
+
+router.use(authenticate);
+
+router.get(
+  '/',
+  validateRequest(listGroupsSchema, 'query'),
+  groupController.listGroups
+);
+router.post(
+  '/',
+  requireVerifiedEmail,
+  validateRequest(createGroupSchema),
+  groupController.createGroup
+);
+router.post(
+  '/invites/accept',
+  validateRequest(acceptInviteSchema),
+  groupController.acceptInvite
+);
+router.get(
+  '/:groupId',
+  validateRequest(groupParamsSchema, 'params'),
+  groupController.getGroup
+);
+router.patch(
+  '/:groupId',
+  validateRequest(groupParamsSchema, 'params'),
+  groupAdmin,
+  validateRequest(updateGroupSchema),
+  groupController.updateGroup
+);
+router.delete(
+  '/:groupId',
+  validateRequest(groupParamsSchema, 'params'),
+  groupAdmin,
+  groupController.deleteGroup
+);
+router.post(
+  '/:groupId/join',
+  validateRequest(groupParamsSchema, 'params'),
+  groupController.joinGroup
+);
+router.post(
+  '/:groupId/leave',
+  validateRequest(groupParamsSchema, 'params'),
+  groupController.leaveGroup
+);
+router.get(
+  '/:groupId/members',
+  validateRequest(groupParamsSchema, 'params'),
+  validateRequest(listMembersSchema, 'query'),
+  groupController.listMembers
+);
+router.patch(
+  '/:groupId/members/:userId',
+  validateRequest(memberParamsSchema, 'params'),
+  groupAdmin,
+  validateRequest(updateMemberRoleSchema),
+  groupController.updateMemberRole
+);
+router.delete(
+  '/:groupId/members/:userId',
+  validateRequest(memberParamsSchema, 'params'),
+  groupModerator,
+  groupController.removeMember
+);
+router.post(
+  '/:groupId/join-requests',
+  validateRequest(groupParamsSchema, 'params'),
+  validateRequest(createJoinRequestSchema),
+  groupController.createJoinRequest
+);
+router.get(
+  '/:groupId/join-requests',
+  validateRequest(groupParamsSchema, 'params'),
+  groupModerator,
+  validateRequest(listJoinRequestsSchema, 'query'),
+  groupController.listJoinRequests
+);
+router.post(
+  '/:groupId/join-requests/:requestId/approve',
+  validateRequest(joinRequestParamsSchema, 'params'),
+  groupModerator,
+  groupController.approveJoinRequest
+);
+router.post(
+  '/:groupId/join-requests/:requestId/reject',
+  validateRequest(joinRequestParamsSchema, 'params'),
+  groupModerator,
+  groupController.rejectJoinRequest
+);
+router.post(
+  '/:groupId/invites',
+  validateRequest(groupParamsSchema, 'params'),
+  groupAdmin,
+  validateRequest(createInviteSchema),
+  groupController.createInvite
+);
+router.get(
+  '/:groupId/invites',
+  validateRequest(groupParamsSchema, 'params'),
+  groupAdmin,
+  groupController.listInvites
+);
+router.delete(
+  '/:groupId/invites/:inviteId',
+  validateRequest(inviteParamsSchema, 'params'),
+  groupAdmin,
+  groupController.revokeInvite
+);
+
+export default router;
@@ -0,0 +1,348 @@
+/**
+ * Group Service
+ *
+ * Group CRUD and membership management. Private groups are invisible to
+ * non-members, and every group always keeps at least one admin.
+ */
+
+import {
+  GroupRepository,
+  GroupMemberRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import { parsePagination, buildPagination } from '../../utils/pagination.js';
+import { hasPlatformRole, hasGroupRole } from '../../utils/roles.js';
+import { USER_ROLES, GROUP_ROLES } from '../../types/index.js';
+
+/**
+ * Shape a group for clients
+ * @param {Object} group - Group record, optionally with _count
+ * @param {string|null} [myRole] - Caller's role in the group
+ * @returns {Object} Public group fields
+ */
+export const toPublicGroup = (group, myRole = null) => ({
+  id: group.id,
+  name: group.name,
+  description: group.description,
+  privacy: group.privacy,
+  createdBy: group.createdBy,
+  memberCount: group._count?.members,
+  myRole,
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt,
+});
+
+/**
+ * Shape a membership for clients
+ * @param {Object} member - GroupMember record with user
+ * @returns {Object} Public member fields
+ */
+export const toGroupMember = (member) => ({
+  userId: member.userId,
+  displayName: member.user.displayName,
+  avatarUrl: member.user.avatarUrl,
+  role: member.role,
+  joinedAt: member.joinedAt,
+});
+
+class GroupService {
+  constructor() {
+    this.groupRepository = new GroupRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Create a group; the creator becomes its first admin
+   * @param {string} userId - Creator user ID
+   * @param {Object} data - Group data
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(userId, { name, description, privacy }) {
+    const group = await this.groupRepository.create({
+      name,
+      description,
+      privacy,
+      createdBy: userId,
+    });
+
+    return toPublicGroup(group, GROUP_ROLES.ADMIN);
+  }
+
+  /**
+   * List public groups and the caller's private groups
+   * @param {string} userId - Caller user ID
+   * @param {Object} query - Request query (q, mine, page, limit)
+   * @returns {Promise<{ groups: Array, pagination: Object }>} Page of groups
+   */
+  async listGroups(userId, query = {}) {
+    const { page, limit, skip, take } = parsePagination(query);
+    const { groups, total } = await this.groupRepository.findVisible(userId, {
+      q: query.q,
+      mine: String(query.mine) === 'true',
+      skip,
+      take,
+    });
+
+    return {
+      groups: groups.map((group) =>
+        toPublicGroup(group, group.members[0]?.role ?? null)
+      ),
+      pagination: buildPagination(page, limit, total),
+    };
+  }
+
+  /**
+   * Get a group the caller is allowed to see
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} Group
+   */
+  async getGroup(userId, groupId) {
+    const { group, membership } = await this.loadVisibleGroup(userId, groupId);
+    return toPublicGroup(group, membership?.role ?? null);
+  }
+
+  /**
+   * Update group details
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateGroup(userId, groupId, data) {
+    await this.loadGroup(groupId);
+
+    const group = await this.groupRepository.update(groupId, data);
+    const membership = await this.groupMemberRepository.findMembership(
+      groupId,
+      userId
+    );
+
+    return toPublicGroup(group, membership?.role ?? null);
+  }
+
+  /**
+   * Soft delete a group
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<void>}
+   */
+  async deleteGroup(userId, groupId) {
+    const group = await this.loadGroup(groupId);
+
+    await this.groupRepository.softDelete(groupId);
+    await this.auditLogRepository.create({
+      userId,
+      action: 'group_deleted',
+      entityType: 'group',
+      entityId: groupId,
+      metadata: { name: group.name },
+    });
+  }
+
+  /**
+   * Join a public group. Private groups are joined through a join request
+   * or an invite.
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} Group with the caller's new role
+   */
+  async joinGroup(userId, groupId) {
+    const { group, membership } = await this.loadVisibleGroup(userId, groupId);
+
+    if (membership) {
+      throw ApiError.conflict('You are already a member of this group');
+    }
+
+    if (group.privacy === 'PRIVATE') {
+      throw ApiError.forbidden(
+        'This group is private, send a join request or use an invite'
+      );
+    }
+
+    await this.groupMemberRepository.create(groupId, userId);
+    return toPublicGroup(
+      { ...group, _count: { members: group._count.members + 1 } },
+      GROUP_ROLES.MEMBER
+    );
+  }
+
+  /**
+   * Leave a group. The last admin has to promote someone else first.
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<void>}
+   */
+  async leaveGroup(userId, groupId) {
+    await this.loadGroup(groupId);
+    const membership = await this.groupMemberRepository.findMembership(
+      groupId,
+      userId
+    );
+
+    if (!membership) {
+      throw ApiError.notFound('You are not a member of this group');
+    }
+
+    if (!(await this.groupMemberRepository.delete(groupId, userId))) {
+      throw ApiError.conflict(
+        'Promote another member to admin before leaving, or delete the group'
+      );
+    }
+  }
+
+  /**
+   * List members of a group the caller can see
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} query - Request query (page, limit)
+   * @returns {Promise<{ members: Array, pagination: Object }>} Page of members
+   */
+  async listMembers(userId, groupId, query = {}) {
+    await this.loadVisibleGroup(userId, groupId);
+
+    const { page, limit, skip, take } = parsePagination(query, {
+      defaultLimit: 50,
+    });
+    const { members, total } = await this.groupMemberRepository.findMembers(
+      groupId,
+      { skip, take }
+    );
+
+    return {
+      members: members.map(toGroupMember),
+      pagination: buildPagination(page, limit, total),
+    };
+  }
+
+  /**
+   * Promote or demote a member
+   * @param {string} actorId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member whose role changes
+   * @param {string} role - New group role
+   * @returns {Promise<Object>} Updated membership
+   */
+  async updateMemberRole(actorId, groupId, userId, role) {
+    await this.loadGroup(groupId);
+    const membership = await this.loadMembership(groupId, userId);
+
+    const updated = await this.groupMemberRepository.updateRole(
+      groupId,
+      userId,
+      role
+    );
+    if (!updated) {
+      throw ApiError.conflict('A group needs at least one admin');
+    }
+
+    await this.auditLogRepository.create({
+      userId: actorId,
+      action: 'group_member_role_changed',
+      entityType: 'group',
+      entityId: groupId,
+      metadata: { memberId: userId, from: membership.role, to: role },
+    });
+
+    return updated;
+  }
+
+  /**
+   * Remove a member from a group. Group moderators may only remove plain
+   * members; group admins and platform moderators may remove anyone except
+   * the last admin.
+   * @param {Object} actor - Caller
+   * @param {string} actor.id - Caller user ID
+   * @param {string} actor.role - Caller platform role
+   * @param {Object} [actor.membership] - Caller membership in the group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member to remove
+   * @returns {Promise<void>}
+   */
+  async removeMember(actor, groupId, userId) {
+    if (actor.id === userId) {
+      throw ApiError.badRequest('Leave the group instead of removing yourself');
+    }
+
+    await this.loadGroup(groupId);
+    const membership = await this.loadMembership(groupId, userId);
+
+    const canRemoveStaff =
+      hasPlatformRole(actor.role, USER_ROLES.MODERATOR) ||
+      hasGroupRole(actor.membership?.role, GROUP_ROLES.ADMIN);
+    if (membership.role !== GROUP_ROLES.MEMBER && !canRemoveStaff) {
+      throw ApiError.forbidden('Only group admins can remove moderators');
+    }
+
+    if (!(await this.groupMemberRepository.delete(groupId, userId))) {
+      throw ApiError.conflict('A group needs at least one admin');
+    }
+
+    await this.auditLogRepository.create({
+      userId: actor.id,
+      action: 'group_member_removed',
+      entityType: 'group',
+      entityId: groupId,
+      metadata: { memberId: userId, role: membership.role },
+    });
+  }
+
+  /**
+   * Load a group, 404 when missing or soft deleted
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} Group
+   */
+  async loadGroup(groupId) {
+    const group = await this.groupRepository.findById(groupId);
+
+    if (!group) {
+      throw ApiError.notFound('Group not found');
+    }
+
+    return group;
+  }
+
+  /**
+   * Load a group and the caller's membership. Private groups look like they
+   * do not exist to non-members.
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<{ group: Object, membership: Object|null }>} Group and membership
+   */
+  async loadVisibleGroup(userId, groupId) {
+    const group = await this.loadGroup(groupId);
+    const membership = await this.groupMemberRepository.findMembership(
+      groupId,
+      userId
+    );
+
+    if (group.privacy === 'PRIVATE' && !membership) {
+      throw ApiError.notFound('Group not found');
+    }
+
+    return { group, membership };
+  }
+
+  /**
+   * Load a membership, 404 when the user is not in the group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Membership
+   */
+  async loadMembership(groupId, userId) {
+    const membership = await this.groupMemberRepository.findMembership(
+      groupId,
+      userId
+    );
+
+    if (!membership) {
+      throw ApiError.notFound('Member not found');
+    }
+
+    return membership;
+  }
+}
+
+export default GroupService;
@@ -0,0 +1,80 @@
+/**
+ * Group request validation schemas
+ */
+
+import Joi from 'joi';
+import { GROUP_ROLES } from '../../types/index.js';
+
+const name = Joi.string().trim().min(1).max(100);
+const description = Joi.string().trim().max(1000).allow('', null);
+const privacy = Joi.string().valid('PUBLIC', 'PRIVATE');
+
+export const groupParamsSchema = Joi.object({
+  groupId: Joi.string().guid().required(),
+});
+
+export const memberParamsSchema = Joi.object({
+  groupId: Joi.string().guid().required(),
+  userId: Joi.string().guid().required(),
+});
+
+export const listGroupsSchema = Joi.object({
+  q: Joi.string().trim().max(100),
+  mine: Joi.boolean(),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
+
+export const listMembersSchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
+
+export const createGroupSchema = Joi.object({
+  name: name.required(),
+  description,
+  privacy,
+});
+
+export const updateGroupSchema = Joi.object({
+  name,
+  description,
+  privacy,
+}).min(1);
+
+export const updateMemberRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...Object.values(GROUP_ROLES))
+    .required(),
+});
+
+export const joinRequestParamsSchema = Joi.object({
+  groupId: Joi.string().guid().required(),
+  requestId: Joi.string().guid().required(),
+});
+
+export const inviteParamsSchema = Joi.object({
+  groupId: Joi.string().guid().required(),
+  inviteId: Joi.string().guid().required(),
+});
+
+export const createJoinRequestSchema = Joi.object({
+  message: Joi.string().trim().max(500).allow('', null),
+});
+
+export const listJoinRequestsSchema = Joi.object({
+  status: Joi.string().valid('PENDING', 'APPROVED', 'REJECTED'),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
+
+export const createInviteSchema = Joi.object({
+  email: Joi.string().email(),
+  // Email invites are always single-use
+  maxUses: Joi.number().integer().min(1).max(1000),
+  expiresInHours: Joi.number().integer().min(1).max(720),
+}).oxor('email', 'maxUses');
+
+export const acceptInviteSchema = Joi.object({
+  token: Joi.string().required(),
+});
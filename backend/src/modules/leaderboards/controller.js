@@ -0,0 +1,35 @@
+/**
+ * Leaderboard Controller
+ *
+ * HTTP handlers for XP leaderboards (/api/v1/leaderboards).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import LeaderboardService from './service.js';
+
+const leaderboardService = new LeaderboardService();
+
+/**
+ * GET /api/v1/leaderboards
+ */
+export const getLeaderboard = asyncHandler(async (req, res) => {
+  const { leaderboard, pagination } = await leaderboardService.getLeaderboard(
+    req.user.id,
+    req.query
+  );
+  return ApiResponse.paginated(res, leaderboard, pagination);
+});
+
+/**
+ * GET /api/v1/leaderboards/groups/:groupId
+ */
+export const getGroupLeaderboard = asyncHandler(async (req, res) => {
+  const { leaderboard, pagination } =
+    await leaderboardService.getGroupLeaderboard(
+      req.user.id,
+      req.params.groupId,
+      req.query
+    );
+  return ApiResponse.paginated(res, leaderboard, pagination);
+});
@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import * as leaderboardController from './controller.js';
+import { leaderboardSchema, groupParamsSchema } from './validation.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get(
+  '/',
+  validateRequest(leaderboardSchema, 'query'),
+  leaderboardController.getLeaderboard
+);
+router.get(
+  '/groups/:groupId',
+  validateRequest(groupParamsSchema, 'params'),
+  validateRequest(leaderboardSchema, 'query'),
+  leaderboardController.getGroupLeaderboard
+);
+
+export default router;
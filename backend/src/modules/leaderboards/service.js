@@ -0,0 +1,313 @@
+/**
+ * Leaderboard Service
+ *
+ * Ranks users by XP earned this week, this month or of all time, per fruit
+ * or combined, across the platform or within a group. Global leaderboards
+ * are Redis sorted sets updated as XP events are written; a group's
+ * leaderboard reads its members' scores from them, so it follows
+ * membership changes. Users who opt out or delete their account are kept
+ * off every leaderboard. The sets can be rebuilt from xp_events at any
+ * time.
+ */
+
+import {
+  UserRepository,
+  UserSettingsRepository,
+  GroupMemberRepository,
+  XpEventRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import { parsePagination, buildPagination } from '../../utils/pagination.js';
+import GroupService from '../groups/service.js';
+import LeaderboardStore from './store.js';
+import {
+  LEADERBOARD_WINDOWS,
+  LEADERBOARD_FRUITS,
+  COMBINED,
+  leaderboardKey,
+  windowStart,
+  windowEnd,
+  windowExpiresAt,
+} from './windows.js';
+
+const WINDOWS = Object.values(LEADERBOARD_WINDOWS);
+
+// Longest a rebuild may take before its lock and snapshot are given up
+const REBUILD_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Add combined totals to per-fruit sums
+ * @param {Array<{ userId: string, fruit: string, xp: number }>} sums - XP per user and fruit
+ * @returns {Map<string, Array<{ userId: string, xp: number }>>} Entries per fruit and COMBINED
+ */
+const groupByBoard = (sums) => {
+  const boards = new Map(LEADERBOARD_FRUITS.map((fruit) => [fruit, []]));
+  const combined = new Map();
+
+  for (const { userId, fruit, xp } of sums) {
+    boards.get(fruit).push({ userId, xp });
+    combined.set(userId, (combined.get(userId) ?? 0) + xp);
+  }
+  boards.set(
+    COMBINED,
+    [...combined].map(([userId, xp]) => ({ userId, xp }))
+  );
+
+  return boards;
+};
+
+class LeaderboardService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.userSettingsRepository = new UserSettingsRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.xpEventRepository = new XpEventRepository();
+    this.groupService = new GroupService();
+    this.store = new LeaderboardStore();
+  }
+
+  /**
+   * Platform-wide leaderboard
+   * @param {string} viewerId - Caller user ID
+   * @param {Object} query - Request query (window, fruit, page, limit)
+   * @returns {Promise<{ leaderboard: Object, pagination: Object }>} Ranked entries, the caller's standing and pagination
+   */
+  async getLeaderboard(viewerId, query = {}) {
+    const board = this.parseBoard(query);
+    const { page, limit, skip, take } = parsePagination(query);
+
+    const [{ entries, total }, me] = await Promise.all([
+      this.store.page(board.key, skip, take),
+      this.store.standing(board.key, viewerId),
+    ]);
+
+    return this.present(
+      board,
+      entries.map((entry, i) => ({ ...entry, rank: skip + i + 1 })),
+      me,
+      buildPagination(page, limit, total)
+    );
+  }
+
+  /**
+   * Leaderboard of a group's members, wherever they earned their XP
+   * @param {string} viewerId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} query - Request query (window, fruit, page, limit)
+   * @returns {Promise<{ leaderboard: Object, pagination: Object }>} Ranked entries, the caller's standing and pagination
+   */
+  async getGroupLeaderboard(viewerId, groupId, query = {}) {
+    await this.groupService.loadVisibleGroup(viewerId, groupId);
+
+    const board = this.parseBoard(query);
+    const { page, limit, skip, take } = parsePagination(query);
+
+    const memberIds = await this.groupMemberRepository.findMemberIds(groupId);
+    const ranked = (await this.store.scoresOf(board.key, memberIds))
+      .sort((a, b) => b.xp - a.xp || a.userId.localeCompare(b.userId))
+      .map((entry, i) => ({ ...entry, rank: i + 1 }));
+    const mine = ranked.find((entry) => entry.userId === viewerId);
+
+    return this.present(
+      board,
+      ranked.slice(skip, skip + take),
+      mine ? { rank: mine.rank, xp: mine.xp } : null,
+      buildPagination(page, limit, ranked.length)
+    );
+  }
+
+  /**
+   * Add newly written XP events to the leaderboards, or queue them while
+   * a rebuild runs. Leaderboards can be rebuilt from xp_events, so a
+   * failed update is logged instead of failing the caller.
+   * @param {Array<{ id: string, userId: string, fruit: string, amount: number, earnedAt: Date }>} events - XP earned or reversed
+   * @returns {Promise<void>}
+   */
+  async record(events) {
+    if (events.length === 0) {
+      return;
+    }
+
+    try {
+      const optedOut = new Set(
+        await this.userSettingsRepository.findLeaderboardOptOutIds([
+          ...new Set(events.map((event) => event.userId)),
+        ])
+      );
+      const visible = events.filter((event) => !optedOut.has(event.userId));
+
+      if (
+        visible.length > 0 &&
+        !(await this.store.queueIfRebuilding(visible))
+      ) {
+        await this.store.increment(visible);
+      }
+    } catch (error) {
+      logger.warn('Leaderboards not updated:', error);
+    }
+  }
+
+  /**
+   * Take a user off the current leaderboards after they opt out or delete
+   * their account, or put their scores back from xp_events when they opt
+   * in again or restore it
+   * @param {string} userId - User ID
+   * @param {boolean} optedOut - Whether the user is now hidden
+   * @returns {Promise<void>}
+   */
+  async syncVisibility(userId, optedOut) {
+    const now = new Date();
+
+    try {
+      const scores = [];
+      if (!optedOut) {
+        for (const window of WINDOWS) {
+          const sums = await this.xpEventRepository.sumForLeaderboard({
+            userId,
+            since: windowStart(window, now),
+          });
+
+          for (const [fruit, entries] of groupByBoard(sums)) {
+            for (const { xp } of entries) {
+              scores.push({ window, fruit, xp });
+            }
+          }
+        }
+      }
+
+      await this.store.setScores(userId, scores, now);
+    } catch (error) {
+      logger.warn(`Leaderboards not updated for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Recompute the current leaderboards from xp_events, e.g. after Redis
+   * lost its data or XP was fixed by hand. Each fruit is summed with the
+   * xp_events_fruit_created_desc index, all from one snapshot. Live
+   * updates are queued meanwhile; once the new sets are in place, the
+   * queued events the snapshot did not contain are applied. If a rebuild
+   * fails, run it again.
+   * @returns {Promise<Object>} Number of ranked users per window and board
+   * @throws {ApiError} 409 when another rebuild is running
+   */
+  async rebuild() {
+    if (!(await this.store.beginRebuild(REBUILD_TIMEOUT_MS))) {
+      throw ApiError.conflict('Leaderboards are already being rebuilt');
+    }
+
+    try {
+      return await this.xpEventRepository.readSnapshot(async (snapshot) => {
+        const summary = await this.replaceBoards(snapshot);
+
+        const queued = await this.store.endRebuild();
+        const counted = new Set(
+          await snapshot.findExistingIds(queued.map((event) => event.id))
+        );
+        const missed = queued.filter((event) => !counted.has(event.id));
+        if (missed.length > 0) {
+          await this.store.increment(missed);
+        }
+
+        return summary;
+      }, REBUILD_TIMEOUT_MS);
+    } catch (error) {
+      // Whatever was queued has not reached any leaderboard yet
+      const queued = await this.store.endRebuild();
+      if (queued.length > 0) {
+        await this.store.increment(queued);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace every current leaderboard with sums from a snapshot
+   * @param {Object} snapshot - XpEventRepository.readSnapshot snapshot
+   * @returns {Promise<Object>} Number of ranked users per window and board
+   */
+  async replaceBoards(snapshot) {
+    const now = new Date();
+    const summary = {};
+
+    for (const window of WINDOWS) {
+      const since = windowStart(window, now);
+      const expiresAt = windowExpiresAt(window, now);
+      summary[window] = {};
+
+      for (const fruit of LEADERBOARD_FRUITS) {
+        if (fruit === COMBINED) {
+          continue;
+        }
+
+        const sums = await snapshot.sumForLeaderboard({ fruit, since });
+        await this.store.replace(
+          leaderboardKey(window, fruit, now),
+          sums,
+          expiresAt
+        );
+        summary[window][fruit] = sums.length;
+      }
+
+      await this.store.combine(window, now);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resolve which leaderboard a query asks for
+   * @param {Object} query - Request query
+   * @returns {Object} Window, fruit, current period and Redis key
+   */
+  parseBoard(query) {
+    const now = new Date();
+    const window = query.window || LEADERBOARD_WINDOWS.WEEK;
+    const fruit = query.fruit || COMBINED;
+
+    return {
+      window,
+      fruit,
+      startsAt: windowStart(window, now),
+      endsAt: windowEnd(window, now),
+      key: leaderboardKey(window, fruit, now),
+    };
+  }
+
+  /**
+   * Attach public profiles to ranked entries. Users deleted since they
+   * were ranked are left out.
+   * @param {Object} board - parseBoard result
+   * @param {Array<{ userId: string, xp: number, rank: number }>} entries - Page of entries
+   * @param {Object|null} me - Caller's rank and XP
+   * @param {Object} pagination - Pagination block
+   * @returns {Promise<{ leaderboard: Object, pagination: Object }>} Leaderboard and pagination
+   */
+  async present(board, entries, me, pagination) {
+    const users = await this.userRepository.findPublicByIds(
+      entries.map((entry) => entry.userId)
+    );
+    const usersById = new Map(users.map((user) => [user.id, user]));
+
+    return {
+      leaderboard: {
+        window: board.window,
+        fruit: board.fruit,
+        startsAt: board.startsAt,
+        endsAt: board.endsAt,
+        entries: entries
+          .filter((entry) => usersById.has(entry.userId))
+          .map(({ userId, xp, rank }) => ({
+            rank,
+            xp,
+            user: usersById.get(userId),
+          })),
+        me,
+      },
+      pagination,
+    };
+  }
+}
+
+export default LeaderboardService;
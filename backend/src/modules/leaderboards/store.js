@@ -0,0 +1,294 @@
+/**
+ * Leaderboard Store
+ *
+ * Redis sorted sets holding each user's XP per leaderboard (see
+ * leaderboardKey). Members are user IDs and scores are XP; users who opted
+ * out of leaderboards are never added. While a rebuild holds the rebuild
+ * lock, live updates wait in a queue so they are not lost or counted
+ * twice when the rebuilt sets are renamed into place.
+ */
+
+import { redis } from '../../services/redis.js';
+import ApiError from '../../utils/ApiError.js';
+import {
+  LEADERBOARD_WINDOWS,
+  LEADERBOARD_FRUITS,
+  COMBINED,
+  leaderboardKey,
+  windowExpiresAt,
+} from './windows.js';
+
+const WINDOWS = Object.values(LEADERBOARD_WINDOWS);
+
+// Members written per ZADD while rebuilding
+const REBUILD_BATCH_SIZE = 500;
+
+// Held while a rebuild runs; live updates are queued instead of applied
+const REBUILD_LOCK_KEY = 'leaderboards:rebuild:lock';
+const REBUILD_QUEUE_KEY = 'leaderboards:rebuild:queue';
+
+// Take the rebuild lock, dropping anything queued by a rebuild that died
+// (its events are in xp_events, so the new rebuild counts them)
+const BEGIN_REBUILD_SCRIPT = `
+if redis.call('SET', KEYS[1], '1', 'NX', 'PX', ARGV[1]) then
+  redis.call('DEL', KEYS[2])
+  return 1
+end
+return 0`;
+
+// Queue entries only while the rebuild lock is held
+const QUEUE_IF_REBUILDING_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  redis.call('RPUSH', KEYS[2], unpack(ARGV))
+  return 1
+end
+return 0`;
+
+/**
+ * Turn a ZREVRANGE WITHSCORES reply into entries
+ * @param {Array<string>} reply - Alternating members and scores
+ * @returns {Array<{ userId: string, xp: number }>} Entries, highest first
+ */
+const toEntries = (reply) => {
+  const entries = [];
+  for (let i = 0; i < reply.length; i += 2) {
+    entries.push({ userId: reply[i], xp: Number(reply[i + 1]) });
+  }
+  return entries;
+};
+
+class LeaderboardStore {
+  /**
+   * Connected Redis client
+   * @returns {Object} ioredis client
+   * @throws {ApiError} 503 when Redis is down
+   */
+  client() {
+    try {
+      return redis.getClient();
+    } catch {
+      throw ApiError.serviceUnavailable(
+        'Leaderboards are temporarily unavailable'
+      );
+    }
+  }
+
+  /**
+   * Add XP to the fruit and combined leaderboards of every window period it
+   * was earned in. Negative amounts (reversals) drop users whose score
+   * reaches zero.
+   * @param {Array<{ userId: string, fruit: string, amount: number, earnedAt: Date }>} entries - XP to add
+   * @returns {Promise<void>}
+   */
+  async increment(entries) {
+    const pipeline = this.client().multi();
+
+    for (const { userId, fruit, amount, earnedAt } of entries) {
+      for (const window of WINDOWS) {
+        const expiresAt = windowExpiresAt(window, earnedAt);
+
+        for (const board of [fruit, COMBINED]) {
+          const key = leaderboardKey(window, board, earnedAt);
+
+          pipeline.zincrby(key, amount, userId);
+          if (amount < 0) {
+            pipeline.zremrangebyscore(key, '-inf', 0);
+          }
+          if (expiresAt) {
+            pipeline.pexpireat(key, expiresAt.getTime());
+          }
+        }
+      }
+    }
+
+    await pipeline.exec();
+  }
+
+  /**
+   * Hold back live updates while the leaderboards are rebuilt
+   * @param {number} ttlMs - When to give up the lock if the rebuild never ends
+   * @returns {Promise<boolean>} False when another rebuild is running
+   */
+  async beginRebuild(ttlMs) {
+    const started = await this.client().eval(
+      BEGIN_REBUILD_SCRIPT,
+      2,
+      REBUILD_LOCK_KEY,
+      REBUILD_QUEUE_KEY,
+      ttlMs
+    );
+    return started === 1;
+  }
+
+  /**
+   * Queue XP for after the running rebuild, if there is one
+   * @param {Array<{ id: string, userId: string, fruit: string, amount: number, earnedAt: Date }>} entries - XP events
+   * @returns {Promise<boolean>} True when queued, false when no rebuild is running
+   */
+  async queueIfRebuilding(entries) {
+    const queued = await this.client().eval(
+      QUEUE_IF_REBUILDING_SCRIPT,
+      2,
+      REBUILD_LOCK_KEY,
+      REBUILD_QUEUE_KEY,
+      ...entries.map((entry) => JSON.stringify(entry))
+    );
+    return queued === 1;
+  }
+
+  /**
+   * Release the rebuild lock and take everything queued while it was held
+   * @returns {Promise<Array<{ id: string, userId: string, fruit: string, amount: number, earnedAt: Date }>>} Queued XP events
+   */
+  async endRebuild() {
+    const [, [, queued]] = await this.client()
+      .multi()
+      .del(REBUILD_LOCK_KEY)
+      .lrange(REBUILD_QUEUE_KEY, 0, -1)
+      .del(REBUILD_QUEUE_KEY)
+      .exec();
+
+    return queued.map((json) => {
+      const entry = JSON.parse(json);
+      return { ...entry, earnedAt: new Date(entry.earnedAt) };
+    });
+  }
+
+  /**
+   * Set a user's scores on the current leaderboards, removing them from
+   * the ones they have no XP on
+   * @param {string} userId - User ID
+   * @param {Array<{ window: string, fruit: string, xp: number }>} scores - Current scores
+   * @param {Date} now - Current time
+   * @returns {Promise<void>}
+   */
+  async setScores(userId, scores, now) {
+    const pipeline = this.client().multi();
+
+    for (const window of WINDOWS) {
+      for (const fruit of LEADERBOARD_FRUITS) {
+        pipeline.zrem(leaderboardKey(window, fruit, now), userId);
+      }
+    }
+
+    for (const { window, fruit, xp } of scores) {
+      const key = leaderboardKey(window, fruit, now);
+      const expiresAt = windowExpiresAt(window, now);
+
+      pipeline.zadd(key, xp, userId);
+      if (expiresAt) {
+        pipeline.pexpireat(key, expiresAt.getTime());
+      }
+    }
+
+    await pipeline.exec();
+  }
+
+  /**
+   * Replace a leaderboard with freshly computed scores. The new set is
+   * built under a temporary key and renamed over the old one, so readers
+   * never see it half built.
+   * @param {string} key - Leaderboard key
+   * @param {Array<{ userId: string, xp: number }>} entries - Scores
+   * @param {Date|null} expiresAt - When the set expires, null for never
+   * @returns {Promise<void>}
+   */
+  async replace(key, entries, expiresAt) {
+    const client = this.client();
+    const staging = `${key}:rebuild`;
+
+    await client.del(staging);
+    for (let i = 0; i < entries.length; i += REBUILD_BATCH_SIZE) {
+      const batch = entries.slice(i, i + REBUILD_BATCH_SIZE);
+      await client.zadd(
+        staging,
+        ...batch.flatMap(({ userId, xp }) => [xp, userId])
+      );
+    }
+
+    const pipeline = client.multi();
+    if (entries.length === 0) {
+      pipeline.del(key);
+    } else {
+      pipeline.rename(staging, key);
+      if (expiresAt) {
+        pipeline.pexpireat(key, expiresAt.getTime());
+      }
+    }
+    await pipeline.exec();
+  }
+
+  /**
+   * Rebuild the combined leaderboard of a window period from its fruit
+   * leaderboards
+   * @param {string} window - LEADERBOARD_WINDOWS value
+   * @param {Date} date - Any time in the period
+   * @returns {Promise<void>}
+   */
+  async combine(window, date) {
+    const key = leaderboardKey(window, COMBINED, date);
+    const sources = LEADERBOARD_FRUITS.filter(
+      (fruit) => fruit !== COMBINED
+    ).map((fruit) => leaderboardKey(window, fruit, date));
+    const expiresAt = windowExpiresAt(window, date);
+
+    const pipeline = this.client().multi();
+    pipeline.zunionstore(key, sources.length, ...sources);
+    if (expiresAt) {
+      pipeline.pexpireat(key, expiresAt.getTime());
+    }
+    await pipeline.exec();
+  }
+
+  /**
+   * A page of a leaderboard, highest XP first
+   * @param {string} key - Leaderboard key
+   * @param {number} skip - Entries to skip
+   * @param {number} take - Entries to return
+   * @returns {Promise<{ entries: Array<{ userId: string, xp: number }>, total: number }>} Page and number of ranked users
+   */
+  async page(key, skip, take) {
+    const client = this.client();
+    const [reply, total] = await Promise.all([
+      client.zrevrange(key, skip, skip + take - 1, 'WITHSCORES'),
+      client.zcard(key),
+    ]);
+
+    return { entries: toEntries(reply), total };
+  }
+
+  /**
+   * A user's position on a leaderboard
+   * @param {string} key - Leaderboard key
+   * @param {string} userId - User ID
+   * @returns {Promise<{ rank: number, xp: number }|null>} 1-based rank and XP, null when unranked
+   */
+  async standing(key, userId) {
+    const client = this.client();
+    const [rank, score] = await Promise.all([
+      client.zrevrank(key, userId),
+      client.zscore(key, userId),
+    ]);
+
+    return rank === null ? null : { rank: rank + 1, xp: Number(score) };
+  }
+
+  /**
+   * Scores of the given users on a leaderboard
+   * @param {string} key - Leaderboard key
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Array<{ userId: string, xp: number }>>} Users that are ranked, in input order
+   */
+  async scoresOf(key, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const scores = await this.client().zmscore(key, ...userIds);
+    return userIds
+      .map((userId, i) => ({ userId, xp: Number(scores[i]) }))
+      .filter((entry, i) => scores[i] !== null);
+  }
+}
+
+export default LeaderboardStore;
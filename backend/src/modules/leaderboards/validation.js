@@ -0,0 +1,17 @@
+/**
+ * Leaderboard request validation schemas
+ */
+
+import Joi from 'joi';
+import { LEADERBOARD_WINDOWS, LEADERBOARD_FRUITS } from './windows.js';
+
+export const leaderboardSchema = Joi.object({
+  window: Joi.string().valid(...Object.values(LEADERBOARD_WINDOWS)),
+  fruit: Joi.string().valid(...LEADERBOARD_FRUITS),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
+
+export const groupParamsSchema = Joi.object({
+  groupId: Joi.string().guid().required(),
+});
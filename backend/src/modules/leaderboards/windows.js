@@ -0,0 +1,103 @@
+/**
+ * Leaderboard Windows
+ *
+ * Leaderboards rank XP earned this week (from Monday 00:00 UTC), this
+ * calendar month (UTC) or of all time, per fruit or for all fruits
+ * combined. Each window period and fruit has its own Redis sorted set.
+ */
+
+import { FRUIT_COLUMNS } from '../../types/index.js';
+
+export const LEADERBOARD_WINDOWS = {
+  WEEK: 'week',
+  MONTH: 'month',
+  ALL_TIME: 'all_time',
+};
+
+// Leaderboard of all fruits together
+export const COMBINED = 'all';
+
+export const LEADERBOARD_FRUITS = [...Object.keys(FRUIT_COLUMNS), COMBINED];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past periods are never read, so their sets expire this long after they end
+const EXPIRY_GRACE_MS = 7 * DAY_MS;
+
+/**
+ * Start of the window period containing `date`
+ * @param {string} window - LEADERBOARD_WINDOWS value
+ * @param {Date} date - Any time in the period
+ * @returns {Date|null} Period start, null for all time
+ */
+export const windowStart = (window, date) => {
+  if (window === LEADERBOARD_WINDOWS.WEEK) {
+    const midnight = Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate()
+    );
+    // getUTCDay() is 0 on Sunday; weeks start on Monday
+    return new Date(midnight - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+
+  if (window === LEADERBOARD_WINDOWS.MONTH) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  return null;
+};
+
+/**
+ * End (exclusive) of the window period containing `date`
+ * @param {string} window - LEADERBOARD_WINDOWS value
+ * @param {Date} date - Any time in the period
+ * @returns {Date|null} Period end, null for all time
+ */
+export const windowEnd = (window, date) => {
+  const start = windowStart(window, date);
+
+  if (window === LEADERBOARD_WINDOWS.WEEK) {
+    return new Date(start.getTime() + 7 * DAY_MS);
+  }
+
+  if (window === LEADERBOARD_WINDOWS.MONTH) {
+    return new Date(
+      Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)
+    );
+  }
+
+  return null;
+};
+
+/**
+ * When the set of a past period can be dropped
+ * @param {string} window - LEADERBOARD_WINDOWS value
+ * @param {Date} date - Any time in the period
+ * @returns {Date|null} Expiry time, null when the set never expires
+ */
+export const windowExpiresAt = (window, date) => {
+  const end = windowEnd(window, date);
+  return end && new Date(end.getTime() + EXPIRY_GRACE_MS);
+};
+
+/**
+ * Redis key of a leaderboard, e.g. "leaderboard:week:2026-10-19:KINDNESS"
+ * @param {string} window - LEADERBOARD_WINDOWS value
+ * @param {string} fruit - Fruit or COMBINED
+ * @param {Date} date - Any time in the period
+ * @returns {string} Sorted set key
+ */
+export const leaderboardKey = (window, fruit, date) => {
+  const start = windowStart(window, date);
+
+  if (!start) {
+    return `leaderboard:${window}:${fruit}`;
+  }
+
+  const period =
+    window === LEADERBOARD_WINDOWS.MONTH
+      ? start.toISOString().slice(0, 7)
+      : start.toISOString().slice(0, 10);
+  return `leaderboard:${window}:${period}:${fruit}`;
+};
@@ -0,0 +1,23 @@
+/**
+ * Mentorship Controller
+ *
+ * HTTP handlers for mentor sessions (/api/v1/mentorships).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import MentorshipService from './service.js';
+
+const mentorshipService = new MentorshipService();
+
+/**
+ * POST /api/v1/mentorships/sessions/:sessionId/complete
+ */
+export const completeSession = asyncHandler(async (req, res) => {
+  const session = await mentorshipService.completeSession(
+    req.user.id,
+    req.params.sessionId,
+    req.body
+  );
+  return ApiResponse.success(res, session, 'Session completed');
+});
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import * as mentorshipController from './controller.js';
+import { sessionParamsSchema, completeSessionSchema } from './validation.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.post(
+  '/sessions/:sessionId/complete',
+  validateRequest(sessionParamsSchema, 'params'),
+  validateRequest(completeSessionSchema),
+  mentorshipController.completeSession
+);
+
+export default router;
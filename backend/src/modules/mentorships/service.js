@@ -0,0 +1,87 @@
+/**
+ * Mentorship Service
+ *
+ * Mentor sessions of active mentorships. A session's mentor marks it
+ * completed once it has taken place, which earns the mentor and the
+ * mentee PATIENCE XP.
+ */
+
+import { MentorSessionRepository } from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import XpService from '../xp/service.js';
+import { XP_ACTIONS } from '../xp/rules.js';
+
+/**
+ * Shape a session for clients
+ * @param {Object} session - MentorSession record
+ * @returns {Object} Public session fields
+ */
+export const toPublicSession = (session) => ({
+  id: session.id,
+  mentorshipId: session.mentorshipId,
+  scheduledAt: session.scheduledAt,
+  notes: session.notes,
+  completedAt: session.completedAt,
+});
+
+class MentorshipService {
+  constructor() {
+    this.mentorSessionRepository = new MentorSessionRepository();
+    this.xpService = new XpService();
+  }
+
+  /**
+   * Mark a session completed
+   * @param {string} userId - Caller user ID, the session's mentor
+   * @param {string} sessionId - Session ID
+   * @param {Object} data - Completion data
+   * @param {string} [data.notes] - Notes on the session, replacing earlier ones
+   * @returns {Promise<Object>} Completed session
+   * @throws {ApiError} 404 unless the caller takes part in the session, 403 for the mentee, 409 when it cannot be completed
+   */
+  async completeSession(userId, sessionId, { notes }) {
+    const session = await this.mentorSessionRepository.findById(sessionId);
+    const { mentorship } = session ?? {};
+
+    if (
+      !session ||
+      (mentorship.mentorId !== userId && mentorship.menteeId !== userId)
+    ) {
+      throw ApiError.notFound('Mentor session not found');
+    }
+    if (mentorship.mentorId !== userId) {
+      throw ApiError.forbidden('Only the mentor can complete a session');
+    }
+    if (mentorship.status !== 'ACTIVE') {
+      throw ApiError.conflict(
+        `This mentorship is ${mentorship.status.toLowerCase()}`
+      );
+    }
+
+    const now = new Date();
+    if (session.scheduledAt > now) {
+      throw ApiError.conflict('This session has not taken place yet');
+    }
+
+    const completed = await this.mentorSessionRepository.complete(sessionId, {
+      completedAt: now,
+      ...(notes !== undefined && { notes: notes || null }),
+    });
+
+    if (!completed) {
+      throw ApiError.conflict('This session is already completed');
+    }
+
+    for (const participantId of [mentorship.mentorId, mentorship.menteeId]) {
+      await this.xpService.award(
+        participantId,
+        XP_ACTIONS.MENTOR_SESSION_COMPLETED,
+        { entityId: sessionId, metadata: { mentorshipId: mentorship.id } }
+      );
+    }
+
+    return toPublicSession(completed);
+  }
+}
+
+export default MentorshipService;
@@ -0,0 +1,13 @@
+/**
+ * Mentorship request validation schemas
+ */
+
+import Joi from 'joi';
+
+export const sessionParamsSchema = Joi.object({
+  sessionId: Joi.string().guid().required(),
+});
+
+export const completeSessionSchema = Joi.object({
+  notes: Joi.string().trim().max(5000).allow('', null),
+});
@@ -0,0 +1,261 @@
+/**
+ * Comment Service
+ *
+ * Comments and threaded replies on posts the caller can see. Replies nest
+ * at most MAX_COMMENT_DEPTH levels below a top-level comment. Post comment
+ * counts are maintained by database triggers, so writes re-read the post
+ * to report the new count. Commenting on someone else's testimony earns XP.
+ */
+
+import {
+  CommentRepository,
+  PostRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import { parsePagination, buildPagination } from '../../utils/pagination.js';
+import { buildCommentTree } from './commentTree.js';
+import XpService from '../xp/service.js';
+import { XP_ACTIONS } from '../xp/rules.js';
+import MentionService from './mentionService.js';
+
+export const MAX_COMMENT_DEPTH = 3;
+
+/**
+ * Shape a comment for clients
+ * @param {Object} comment - Comment record with user
+ * @returns {Object} Public comment fields
+ */
+export const toPublicComment = (comment) => ({
+  id: comment.id,
+  postId: comment.postId,
+  parentId: comment.parentId,
+  depth: comment.depth,
+  content: comment.content,
+  author: comment.user,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+});
+
+class CommentService {
+  /**
+   * @param {Object} postService - PostService used to load posts
+   */
+  constructor(postService) {
+    this.postService = postService;
+    this.commentRepository = new CommentRepository();
+    this.postRepository = new PostRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.mentionService = new MentionService();
+    this.xpService = new XpService();
+  }
+
+  /**
+   * List comments on a post, oldest first
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {Object} query - Request query (page, limit)
+   * @returns {Promise<{ comments: Array, pagination: Object }>} Page of comments
+   */
+  async listComments(userId, postId, query = {}) {
+    await this.postService.loadVisiblePost(userId, postId);
+
+    const { page, limit, skip, take } = parsePagination(query, {
+      defaultLimit: 50,
+    });
+    const { comments, total } = await this.commentRepository.findByPost(
+      postId,
+      { skip, take }
+    );
+
+    return {
+      comments: comments.map(toPublicComment),
+      pagination: buildPagination(page, limit, total),
+    };
+  }
+
+  /**
+   * A page of a post's top-level comments, each with its nested replies
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {Object} query - Request query (page, limit)
+   * @returns {Promise<{ threads: Array, pagination: Object }>} Threads and pagination
+   */
+  async getCommentTree(userId, postId, query = {}) {
+    await this.postService.loadVisiblePost(userId, postId);
+
+    const { page, limit, skip, take } = parsePagination(query);
+    const { comments, total } = await this.commentRepository.findTopLevelByPost(
+      postId,
+      { skip, take }
+    );
+    const threads = await this.commentRepository.findThreads(
+      postId,
+      comments.map((comment) => comment.id)
+    );
+
+    return {
+      threads: buildCommentTree(threads, toPublicComment),
+      pagination: buildPagination(page, limit, total),
+    };
+  }
+
+  /**
+   * A single thread of a post, from the given comment down
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {string} rootId - Comment the thread starts at
+   * @returns {Promise<Array>} The root comment with nested replies, or nothing when it was deleted without replies
+   */
+  async getCommentThread(userId, postId, rootId) {
+    await this.postService.loadVisiblePost(userId, postId);
+
+    const comments = await this.commentRepository.findThreads(postId, [rootId]);
+    if (comments.length === 0) {
+      throw ApiError.notFound('Comment not found');
+    }
+
+    return buildCommentTree(comments, toPublicComment, rootId);
+  }
+
+  /**
+   * Comment on a post, or reply to a comment when `parentId` is given.
+   * Users mentioned in the comment are notified.
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {Object} data - Comment data
+   * @param {string} data.content - Comment body
+   * @param {string} [data.parentId] - Comment being replied to
+   * @returns {Promise<{ comment: Object, commentCount: number }>} Comment and new count
+   */
+  async createComment(userId, postId, { content, parentId }) {
+    const post = await this.postService.loadVisiblePost(userId, postId);
+
+    let depth = 0;
+    if (parentId) {
+      const parent = await this.loadComment(postId, parentId);
+      depth = parent.depth + 1;
+
+      if (depth > MAX_COMMENT_DEPTH) {
+        throw ApiError.badRequest(
+          `Replies cannot be nested more than ${MAX_COMMENT_DEPTH} levels deep`
+        );
+      }
+    }
+
+    const comment = await this.commentRepository.create({
+      postId,
+      userId,
+      content,
+      parentId: parentId || null,
+      depth,
+    });
+    await this.mentionService.notifyMentions({
+      authorId: userId,
+      post,
+      commentId: comment.id,
+      text: content,
+    });
+
+    if (post.type === 'TESTIMONY' && post.userId !== userId) {
+      await this.xpService.award(userId, XP_ACTIONS.TESTIMONY_COMMENT, {
+        entityId: comment.id,
+        metadata: { postId },
+      });
+    }
+
+    const { commentCount } = await this.postRepository.findCounts(postId);
+
+    return { comment: toPublicComment(comment), commentCount };
+  }
+
+  /**
+   * Edit the caller's own comment
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {string} commentId - Comment ID
+   * @param {string} content - New comment body
+   * @returns {Promise<Object>} Updated comment
+   */
+  async updateComment(userId, postId, commentId, content) {
+    const post = await this.postService.loadVisiblePost(userId, postId);
+    const comment = await this.loadComment(postId, commentId);
+
+    if (comment.userId !== userId) {
+      throw ApiError.forbidden('You can only edit your own comments');
+    }
+
+    const updated = await this.commentRepository.update(commentId, {
+      content,
+    });
+    await this.mentionService.notifyMentions({
+      authorId: userId,
+      post,
+      commentId,
+      text: content,
+      previousText: comment.content,
+    });
+
+    return toPublicComment(updated);
+  }
+
+  /**
+   * Soft delete a comment. Authors can delete their own comments;
+   * moderators can delete any comment on posts they moderate. XP earned
+   * for the comment is taken back.
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<{ commentCount: number }>} New comment count
+   */
+  async deleteComment(userId, postId, commentId) {
+    const post = await this.postService.loadVisiblePost(userId, postId);
+    const comment = await this.loadComment(postId, commentId);
+    const isAuthor = comment.userId === userId;
+
+    if (!isAuthor && !(await this.postService.canModerate(userId, post))) {
+      throw ApiError.forbidden('You can only delete your own comments');
+    }
+
+    await this.commentRepository.softDelete(commentId);
+    await this.xpService.reverse(
+      'comment',
+      commentId,
+      isAuthor ? 'comment_deleted' : 'comment_removed'
+    );
+
+    if (!isAuthor) {
+      await this.auditLogRepository.create({
+        userId,
+        action: 'comment_deleted',
+        entityType: 'comment',
+        entityId: commentId,
+        metadata: { postId, authorId: comment.userId },
+      });
+    }
+
+    const { commentCount } = await this.postRepository.findCounts(postId);
+    return { commentCount };
+  }
+
+  /**
+   * Load a comment on a post, 404 when missing or soft deleted
+   * @param {string} postId - Post ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>} Comment
+   */
+  async loadComment(postId, commentId) {
+    const comment = await this.commentRepository.findByIdOnPost(
+      postId,
+      commentId
+    );
+
+    if (!comment) {
+      throw ApiError.notFound('Comment not found');
+    }
+
+    return comment;
+  }
+}
+
+export default CommentService;
@@ -0,0 +1,68 @@
+/**
+ * Comment tree builder
+ * Turns the flat, oldest-first list of a post's comments into nested
+ * threads. A deleted comment that still has live replies is kept as a
+ * placeholder so the replies stay attached; deleted leaves are dropped.
+ */
+
+/**
+ * Shape a comment as a tree node, or as a placeholder when it was deleted
+ * @param {Object} comment - Comment record
+ * @param {Function} toNode - Shapes a live comment for clients
+ * @returns {Object} Node without replies
+ */
+const toTreeNode = (comment, toNode) => {
+  if (comment.deletedAt) {
+    return {
+      id: comment.id,
+      parentId: comment.parentId,
+      depth: comment.depth,
+      deleted: true,
+    };
+  }
+
+  return { ...toNode(comment), deleted: false };
+};
+
+/**
+ * Build comment threads
+ * @param {Array<Object>} comments - Top-level or root comments and all their replies, oldest first
+ * @param {Function} toNode - Shapes a live comment for clients
+ * @param {string|null} [rootId] - Only return the thread under this comment
+ * @returns {Array<Object>} Top-level nodes, each with nested `replies`
+ */
+export const buildCommentTree = (comments, toNode, rootId = null) => {
+  const nodes = new Map();
+
+  for (const comment of comments) {
+    nodes.set(comment.id, {
+      ...toTreeNode(comment, toNode),
+      replies: [],
+    });
+  }
+
+  const roots = [];
+  for (const comment of comments) {
+    const node = nodes.get(comment.id);
+    const parent = comment.parentId && nodes.get(comment.parentId);
+
+    if (parent) {
+      parent.replies.push(node);
+    } else if (!comment.parentId) {
+      roots.push(node);
+    }
+  }
+
+  const prune = (list) =>
+    list.filter((node) => {
+      node.replies = prune(node.replies);
+      return !node.deleted || node.replies.length > 0;
+    });
+
+  if (rootId) {
+    const root = nodes.get(rootId);
+    return root ? prune([root]) : [];
+  }
+
+  return prune(roots);
+};
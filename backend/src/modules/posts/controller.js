@@ -0,0 +1,223 @@
+/**
+ * Post Controller
+ *
+ * HTTP handlers for posts, feeds, comments and reactions (/api/v1/posts).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import { HTTP_STATUS } from '../../types/index.js';
+import PostService from './service.js';
+import CommentService from './commentService.js';
+import ReactionService from './reactionService.js';
+import MediaService from './mediaService.js';
+
+const postService = new PostService();
+const commentService = new CommentService(postService);
+const reactionService = new ReactionService(postService);
+const mediaService = new MediaService(postService);
+
+/**
+ * GET /api/v1/posts/feed
+ */
+export const getHomeFeed = asyncHandler(async (req, res) => {
+  const { posts, pagination } = await postService.getHomeFeed(
+    req.user.id,
+    req.query
+  );
+  return ApiResponse.paginated(res, posts, pagination);
+});
+
+/**
+ * GET /api/v1/posts/feed/groups/:groupId
+ */
+export const getGroupFeed = asyncHandler(async (req, res) => {
+  const { posts, pagination } = await postService.getGroupFeed(
+    req.user.id,
+    req.params.groupId,
+    req.query
+  );
+  return ApiResponse.paginated(res, posts, pagination);
+});
+
+/**
+ * GET /api/v1/posts/feed/users/:userId
+ */
+export const getUserFeed = asyncHandler(async (req, res) => {
+  const { posts, pagination } = await postService.getUserFeed(
+    req.user.id,
+    req.params.userId,
+    req.query
+  );
+  return ApiResponse.paginated(res, posts, pagination);
+});
+
+/**
+ * POST /api/v1/posts
+ */
+export const createPost = asyncHandler(async (req, res) => {
+  const post = await postService.createPost(req.user.id, req.body);
+  return ApiResponse.success(res, post, 'Post created', HTTP_STATUS.CREATED);
+});
+
+/**
+ * GET /api/v1/posts/:postId
+ */
+export const getPost = asyncHandler(async (req, res) => {
+  const post = await postService.getPost(req.user.id, req.params.postId);
+  return ApiResponse.success(res, post);
+});
+
+/**
+ * PATCH /api/v1/posts/:postId
+ */
+export const updatePost = asyncHandler(async (req, res) => {
+  const post = await postService.updatePost(
+    req.user.id,
+    req.params.postId,
+    req.body
+  );
+  return ApiResponse.success(res, post, 'Post updated');
+});
+
+/**
+ * DELETE /api/v1/posts/:postId
+ */
+export const deletePost = asyncHandler(async (req, res) => {
+  await postService.deletePost(req.user.id, req.params.postId);
+  return ApiResponse.success(res, null, 'Post deleted');
+});
+
+/**
+ * POST /api/v1/posts/:postId/remove
+ */
+export const removePost = asyncHandler(async (req, res) => {
+  await postService.removePost(req.user.id, req.params.postId, req.body);
+  return ApiResponse.success(res, null, 'Post removed');
+});
+
+/**
+ * POST /api/v1/posts/:postId/media
+ */
+export const addMedia = asyncHandler(async (req, res) => {
+  const post = await mediaService.addMedia(
+    req.user.id,
+    req.params.postId,
+    req.files
+  );
+  return ApiResponse.success(res, post, 'Media uploaded', HTTP_STATUS.CREATED);
+});
+
+/**
+ * DELETE /api/v1/posts/:postId/media/:mediaId
+ */
+export const removeMedia = asyncHandler(async (req, res) => {
+  const post = await mediaService.removeMedia(
+    req.user.id,
+    req.params.postId,
+    req.params.mediaId
+  );
+  return ApiResponse.success(res, post, 'Media removed');
+});
+
+/**
+ * GET /api/v1/posts/:postId/comments
+ */
+export const listComments = asyncHandler(async (req, res) => {
+  const { comments, pagination } = await commentService.listComments(
+    req.user.id,
+    req.params.postId,
+    req.query
+  );
+  return ApiResponse.paginated(res, comments, pagination);
+});
+
+/**
+ * GET /api/v1/posts/:postId/comments/tree
+ */
+export const getCommentTree = asyncHandler(async (req, res) => {
+  if (req.query.rootId) {
+    const thread = await commentService.getCommentThread(
+      req.user.id,
+      req.params.postId,
+      req.query.rootId
+    );
+    return ApiResponse.success(res, thread);
+  }
+
+  const { threads, pagination } = await commentService.getCommentTree(
+    req.user.id,
+    req.params.postId,
+    req.query
+  );
+  return ApiResponse.paginated(res, threads, pagination);
+});
+
+/**
+ * POST /api/v1/posts/:postId/comments
+ */
+export const createComment = asyncHandler(async (req, res) => {
+  const result = await commentService.createComment(
+    req.user.id,
+    req.params.postId,
+    req.body
+  );
+  return ApiResponse.success(
+    res,
+    result,
+    'Comment created',
+    HTTP_STATUS.CREATED
+  );
+});
+
+/**
+ * PATCH /api/v1/posts/:postId/comments/:commentId
+ */
+export const updateComment = asyncHandler(async (req, res) => {
+  const comment = await commentService.updateComment(
+    req.user.id,
+    req.params.postId,
+    req.params.commentId,
+    req.body.content
+  );
+  return ApiResponse.success(res, comment, 'Comment updated');
+});
+
+/**
+ * DELETE /api/v1/posts/:postId/comments/:commentId
+ */
+export const deleteComment = asyncHandler(async (req, res) => {
+  const result = await commentService.deleteComment(
+    req.user.id,
+    req.params.postId,
+    req.params.commentId
+  );
+  return ApiResponse.success(res, result, 'Comment deleted');
+});
+
+/**
+ * GET /api/v1/posts/:postId/reactions
+ */
+export const getReactions = asyncHandler(async (req, res) => {
+  const reactions = await reactionService.getReactions(
+    req.user.id,
+    req.params.postId
+  );
+  return ApiResponse.success(res, reactions);
+});
+
+/**
+ * POST /api/v1/posts/:postId/reactions
+ */
+export const toggleReaction = asyncHandler(async (req, res) => {
+  const result = await reactionService.toggleReaction(
+    req.user.id,
+    req.params.postId,
+    req.body.type
+  );
+  return ApiResponse.success(
+    res,
+    result,
+    result.reacted ? 'Reaction added' : 'Reaction removed'
+  );
+});
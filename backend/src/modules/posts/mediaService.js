@@ -0,0 +1,163 @@
+/**
+ * Media Service
+ *
+ * Attachments on posts. Files are checked by their contents, stored
+ * through the storage service and described in Post.mediaUrls as
+ * { id, url, path, mimeType, size, createdAt }. Changes lock the post, so
+ * concurrent requests cannot drop each other's attachments.
+ */
+
+import crypto from 'crypto';
+import { PostRepository } from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import storage from '../../services/storage/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import { MEDIA_TYPES, detectMediaType } from '../../utils/mediaTypes.js';
+import { toPublicPost, readMedia } from './service.js';
+
+class MediaService {
+  /**
+   * @param {Object} postService - PostService used to load posts
+   */
+  constructor(postService) {
+    this.postService = postService;
+    this.postRepository = new PostRepository();
+  }
+
+  /**
+   * Attach uploaded files to the caller's post
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {Array<Object>} files - Multer files with buffer and size
+   * @returns {Promise<Object>} Updated post
+   */
+  async addMedia(userId, postId, files) {
+    const post = await this.loadOwnPost(userId, postId);
+    this.checkAttachmentLimit(readMedia(post.mediaUrls), files);
+
+    const types = files.map((file) => detectMediaType(file.buffer));
+    if (types.some((type, index) => type !== files[index].mimetype)) {
+      throw ApiError.unsupportedMediaType(
+        'File contents do not match a supported image or video type'
+      );
+    }
+
+    const stored = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        const id = crypto.randomUUID();
+        const { path, url } = await storage.put({
+          path: `posts/${userId}/${id}.${MEDIA_TYPES[types[index]]}`,
+          body: file.buffer,
+          contentType: types[index],
+        });
+
+        stored.push({
+          id,
+          url,
+          path,
+          mimeType: types[index],
+          size: file.size,
+          createdAt: new Date().toISOString(),
+        });
+      }
+
+      // Checked again under the lock, in case other uploads landed meanwhile
+      const updated = await this.postRepository.updateMedia(
+        postId,
+        (mediaUrls) => {
+          const media = readMedia(mediaUrls);
+          this.checkAttachmentLimit(media, files);
+          return [...media, ...stored];
+        }
+      );
+      return toPublicPost(updated);
+    } catch (error) {
+      await this.removeObjects(stored);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an attachment from the caller's post
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {string} mediaId - Attachment ID
+   * @returns {Promise<Object>} Updated post
+   */
+  async removeMedia(userId, postId, mediaId) {
+    await this.loadOwnPost(userId, postId);
+
+    let target;
+    const updated = await this.postRepository.updateMedia(
+      postId,
+      (mediaUrls) => {
+        const media = readMedia(mediaUrls);
+        target = media.find((item) => item.id === mediaId);
+
+        if (!target) {
+          throw ApiError.notFound('Attachment not found');
+        }
+
+        return media.filter((item) => item !== target);
+      }
+    );
+    await this.removeObjects([target]);
+
+    return toPublicPost(updated);
+  }
+
+  /**
+   * Reject uploads that would take a post past the attachment limit
+   * @param {Array<Object>} media - Current attachments
+   * @param {Array<Object>} files - Files being added
+   * @returns {void}
+   */
+  checkAttachmentLimit(media, files) {
+    if (media.length + files.length > config.media.maxPerPost) {
+      throw ApiError.badRequest(
+        `A post can have at most ${config.media.maxPerPost} attachments`
+      );
+    }
+  }
+
+  /**
+   * Load a post the caller wrote
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Post
+   */
+  async loadOwnPost(userId, postId) {
+    const post = await this.postService.loadVisiblePost(userId, postId);
+
+    if (post.userId !== userId) {
+      throw ApiError.forbidden('You can only change media on your own posts');
+    }
+
+    return post;
+  }
+
+  /**
+   * Delete stored objects, logging rather than failing the request when
+   * storage is unavailable; an orphaned file is harmless. Legacy
+   * attachments that are only a URL have no stored object.
+   * @param {Array<Object>} media - Attachments with a storage path
+   * @returns {Promise<void>}
+   */
+  async removeObjects(media) {
+    for (const item of media) {
+      if (!item.path) {
+        continue;
+      }
+
+      try {
+        await storage.remove(item.path);
+      } catch {
+        logger.warn(`Could not delete stored media: ${item.path}`);
+      }
+    }
+  }
+}
+
+export default MediaService;
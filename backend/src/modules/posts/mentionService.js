@@ -0,0 +1,70 @@
+/**
+ * Mention Service
+ *
+ * Sends a `mention` notification to every user tagged in a post or
+ * comment. Mentions never leak private content: in a private group only
+ * members are notified, and posts awaiting moderation notify nobody.
+ */
+
+import {
+  UserRepository,
+  GroupMemberRepository,
+  NotificationRepository,
+} from '../../repositories/index.js';
+import { parseNewMentions } from '../../utils/mentions.js';
+
+class MentionService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  /**
+   * Notify users newly mentioned in a post or comment
+   * @param {Object} options - Mention context
+   * @param {string} options.authorId - User who wrote the text
+   * @param {Object} options.post - Post record with group
+   * @param {string} [options.commentId] - Comment ID when the text is a comment
+   * @param {string} options.text - Current body
+   * @param {string} [options.previousText] - Body before an edit
+   * @returns {Promise<Array<string>>} IDs of notified users
+   */
+  async notifyMentions({ authorId, post, commentId, text, previousText }) {
+    if (post.status !== 'ACTIVE') {
+      return [];
+    }
+
+    const mentioned = parseNewMentions(text, previousText).filter(
+      (id) => id !== authorId
+    );
+    if (mentioned.length === 0) {
+      return [];
+    }
+
+    let recipients = await this.userRepository.findActiveIds(mentioned);
+    if (post.group?.privacy === 'PRIVATE') {
+      recipients = await this.groupMemberRepository.filterMemberIds(
+        post.groupId,
+        recipients
+      );
+    }
+
+    await this.notificationRepository.createMany(
+      recipients.map((userId) => ({
+        userId,
+        type: 'mention',
+        payload: {
+          postId: post.id,
+          commentId: commentId ?? null,
+          groupId: post.groupId,
+          mentionedBy: authorId,
+        },
+      }))
+    );
+
+    return recipients;
+  }
+}
+
+export default MentionService;
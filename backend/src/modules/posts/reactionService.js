@@ -0,0 +1,89 @@
+/**
+ * Reaction Service
+ *
+ * LIKE, AMEN and PRAYER reactions on posts. A user can leave each type
+ * once per post (unique_post_user_reaction); reacting again with the same
+ * type takes it back. Reaction counts are maintained by database triggers.
+ */
+
+import {
+  ReactionRepository,
+  PostRepository,
+} from '../../repositories/index.js';
+import { REACTION_TYPES } from '../../types/index.js';
+
+/**
+ * Turn per-type counts into a breakdown with every type present
+ * @param {Array<{ type: string, count: number }>} counts - Counts per type
+ * @returns {Object} Count for each reaction type
+ */
+export const buildBreakdown = (counts) =>
+  Object.values(REACTION_TYPES).reduce(
+    (breakdown, type) => ({
+      ...breakdown,
+      [type]: counts.find((entry) => entry.type === type)?.count ?? 0,
+    }),
+    {}
+  );
+
+class ReactionService {
+  /**
+   * @param {Object} postService - PostService used to load posts
+   */
+  constructor(postService) {
+    this.postService = postService;
+    this.reactionRepository = new ReactionRepository();
+    this.postRepository = new PostRepository();
+  }
+
+  /**
+   * Add the reaction, or take it back when the caller already left it
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {string} type - Reaction type
+   * @returns {Promise<Object>} Whether the caller now has the reaction, plus counts
+   */
+  async toggleReaction(userId, postId, type) {
+    await this.postService.loadVisiblePost(userId, postId);
+
+    const removed = await this.reactionRepository.remove(postId, userId, type);
+    if (!removed) {
+      await this.reactionRepository.add(postId, userId, type);
+    }
+
+    return { type, reacted: !removed, ...(await this.getCounts(postId)) };
+  }
+
+  /**
+   * Reaction breakdown of a post and the caller's own reactions
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Counts per type, total and the caller's types
+   */
+  async getReactions(userId, postId) {
+    await this.postService.loadVisiblePost(userId, postId);
+
+    const [counts, mine] = await Promise.all([
+      this.getCounts(postId),
+      this.reactionRepository.findTypesByUser(postId, userId),
+    ]);
+
+    return { ...counts, mine };
+  }
+
+  /**
+   * Current reaction counts of a post
+   * @param {string} postId - Post ID
+   * @returns {Promise<{ reactionCount: number, breakdown: Object }>} Counts
+   */
+  async getCounts(postId) {
+    const [{ reactionCount }, counts] = await Promise.all([
+      this.postRepository.findCounts(postId),
+      this.reactionRepository.countByType(postId),
+    ]);
+
+    return { reactionCount, breakdown: buildBreakdown(counts) };
+  }
+}
+
+export default ReactionService;
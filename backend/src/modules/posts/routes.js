@@ -0,0 +1,137 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import requireVerifiedEmail from '../../middleware/requireVerifiedEmail.js';
+import uploadFiles from '../../middleware/uploadFiles.js';
+import { config } from '../../config/index.js';
+import { MEDIA_TYPES } from '../../utils/mediaTypes.js';
+import * as postController from './controller.js';
+import {
+  groupFeedParamsSchema,
+  userFeedParamsSchema,
+  feedQuerySchema,
+  postParamsSchema,
+  mediaParamsSchema,
+  commentParamsSchema,
+  createPostSchema,
+  updatePostSchema,
+  removePostSchema,
+  listCommentsSchema,
+  commentTreeSchema,
+  createCommentSchema,
+  updateCommentSchema,
+  reactionSchema,
+} from './validation.js';
+
+const router = Router();
+
+const uploadMedia = uploadFiles({
+  field: 'files',
+  maxFiles: config.media.maxPerPost,
+  maxBytes: config.media.maxUploadBytes,
+  types: Object.keys(MEDIA_TYPES),
+});
+
+router.use(authenticate);
+
+router.get(
+  '/feed',
+  validateRequest(feedQuerySchema, 'query'),
+  postController.getHomeFeed
+);
+router.get(
+  '/feed/groups/:groupId',
+  validateRequest(groupFeedParamsSchema, 'params'),
+  validateRequest(feedQuerySchema, 'query'),
+  postController.getGroupFeed
+);
+router.get(
+  '/feed/users/:userId',
+  validateRequest(userFeedParamsSchema, 'params'),
+  validateRequest(feedQuerySchema, 'query'),
+  postController.getUserFeed
+);
+router.post(
+  '/',
+  requireVerifiedEmail,
+  validateRequest(createPostSchema),
+  postController.createPost
+);
+router.get(
+  '/:postId',
+  validateRequest(postParamsSchema, 'params'),
+  postController.getPost
+);
+router.patch(
+  '/:postId',
+  validateRequest(postParamsSchema, 'params'),
+  validateRequest(updatePostSchema),
+  postController.updatePost
+);
+router.delete(
+  '/:postId',
+  validateRequest(postParamsSchema, 'params'),
+  postController.deletePost
+);
+router.post(
+  '/:postId/remove',
+  validateRequest(postParamsSchema, 'params'),
+  validateRequest(removePostSchema),
+  postController.removePost
+);
+router.post(
+  '/:postId/media',
+  requireVerifiedEmail,
+  validateRequest(postParamsSchema, 'params'),
+  uploadMedia,
+  postController.addMedia
+);
+router.delete(
+  '/:postId/media/:mediaId',
+  validateRequest(mediaParamsSchema, 'params'),
+  postController.removeMedia
+);
+router.get(
+  '/:postId/comments',
+  validateRequest(postParamsSchema, 'params'),
+  validateRequest(listCommentsSchema, 'query'),
+  postController.listComments
+);
+router.get(
+  '/:postId/comments/tree',
+  validateRequest(postParamsSchema, 'params'),
+  validateRequest(commentTreeSchema, 'query'),
+  postController.getCommentTree
+);
+router.post(
+  '/:postId/comments',
+  requireVerifiedEmail,
+  validateRequest(postParamsSchema, 'params'),
+  validateRequest(createCommentSchema),
+  postController.createComment
+);
+router.patch(
+  '/:postId/comments/:commentId',
+  validateRequest(commentParamsSchema, 'params'),
+  validateRequest(updateCommentSchema),
+  postController.updateComment
+);
+router.delete(
+  '/:postId/comments/:commentId',
+  validateRequest(commentParamsSchema, 'params'),
+  postController.deleteComment
+);
+router.get(
+  '/:postId/reactions',
+  validateRequest(postParamsSchema, 'params'),
+  postController.getReactions
+);
+router.post(
+  '/:postId/reactions',
+  requireVerifiedEmail,
+  validateRequest(postParamsSchema, 'params'),
+  validateRequest(reactionSchema),
+  postController.toggleReaction
+);
+
+export default router;
@@ -0,0 +1,383 @@
+/**
+ * Post Service
+ *
+ * Creating, editing and soft deleting posts, removing them through
+ * moderation, and feeds of posts: the home feed (the caller's own posts
+ * and posts from their groups), group feeds and user profile feeds. Feeds
+ * use cursor pagination on (createdAt, id) and never include removed or
+ * soft deleted posts. Sharing a testimony earns XP.
+ */
+
+import {
+  UserRepository,
+  PostRepository,
+  GroupMemberRepository,
+  AuditLogRepository,
+  ModerationActionRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import {
+  decodeCursor,
+  parseCursorLimit,
+  buildCursorPage,
+} from '../../utils/cursor.js';
+import { hasPlatformRole, hasGroupRole } from '../../utils/roles.js';
+import { USER_ROLES, GROUP_ROLES } from '../../types/index.js';
+import GroupService from '../groups/service.js';
+import XpService from '../xp/service.js';
+import { XP_ACTIONS } from '../xp/rules.js';
+import MentionService from './mentionService.js';
+
+/**
+ * Read a post's attachments. Posts from before the media API listed plain
+ * URL strings, which are read as attachments with only a URL.
+ * @param {Array|null} mediaUrls - Post.mediaUrls
+ * @returns {Array<Object>} Attachments
+ */
+export const readMedia = (mediaUrls) =>
+  (mediaUrls ?? []).map((media) =>
+    typeof media === 'string' ? { url: media } : media
+  );
+
+/**
+ * Shape a post for clients
+ * @param {Object} post - Post record with user and group
+ * @returns {Object} Public post fields
+ */
+export const toPublicPost = (post) => ({
+  id: post.id,
+  type: post.type,
+  content: post.content,
+  mediaUrls: readMedia(post.mediaUrls).map((media) => ({
+    id: media.id,
+    url: media.url,
+    mimeType: media.mimeType,
+    size: media.size,
+  })),
+  status: post.status,
+  author: post.user,
+  group: post.group && { id: post.group.id, name: post.group.name },
+  commentCount: post.commentCount,
+  reactionCount: post.reactionCount,
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt,
+});
+
+class PostService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.postRepository = new PostRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.moderationActionRepository = new ModerationActionRepository();
+    this.groupService = new GroupService();
+    this.mentionService = new MentionService();
+    this.xpService = new XpService();
+  }
+
+  /**
+   * Create a post, optionally in a group the caller belongs to. Users
+   * mentioned in it are notified.
+   * @param {string} userId - Caller user ID
+   * @param {Object} data - Post data (content, type, groupId)
+   * @returns {Promise<Object>} Created post
+   */
+  async createPost(userId, { content, type, groupId }) {
+    if (groupId) {
+      const { membership } = await this.groupService.loadVisibleGroup(
+        userId,
+        groupId
+      );
+
+      if (!membership) {
+        throw ApiError.forbidden('Join the group to post in it');
+      }
+    }
+
+    const post = await this.postRepository.create({
+      userId,
+      content,
+      type,
+      groupId: groupId || null,
+    });
+    await this.mentionService.notifyMentions({
+      authorId: userId,
+      post,
+      text: content,
+    });
+
+    if (post.type === 'TESTIMONY' && post.status === 'ACTIVE') {
+      await this.xpService.award(userId, XP_ACTIONS.TESTIMONY_SHARED, {
+        entityId: post.id,
+        metadata: { groupId: post.groupId },
+      });
+    }
+
+    return toPublicPost(post);
+  }
+
+  /**
+   * Get a post the caller can see
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Post
+   */
+  async getPost(userId, postId) {
+    return toPublicPost(await this.loadVisiblePost(userId, postId));
+  }
+
+  /**
+   * Edit the caller's own post. Changing its type to or from TESTIMONY
+   * awards or takes back the testimony XP.
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {Object} data - Fields to update (content, type)
+   * @returns {Promise<Object>} Updated post
+   */
+  async updatePost(userId, postId, data) {
+    const post = await this.loadVisiblePost(userId, postId);
+
+    if (post.userId !== userId) {
+      throw ApiError.forbidden('You can only edit your own posts');
+    }
+
+    const updated = await this.postRepository.update(postId, data);
+    await this.mentionService.notifyMentions({
+      authorId: userId,
+      post: updated,
+      text: updated.content,
+      previousText: post.content,
+    });
+    await this.syncTestimonyXp(post, updated);
+
+    return toPublicPost(updated);
+  }
+
+  /**
+   * Keep testimony XP in line with an edited post's type. A post that
+   * stops being a testimony loses its testimony_shared XP; one that
+   * becomes a testimony earns it, at most once per post since the award
+   * is keyed by the post.
+   * @param {Object} before - Post before the edit
+   * @param {Object} after - Post after the edit
+   * @returns {Promise<void>}
+   */
+  async syncTestimonyXp(before, after) {
+    if (before.type === after.type) {
+      return;
+    }
+
+    if (before.type === 'TESTIMONY') {
+      await this.xpService.reverse('post', after.id, 'post_type_changed');
+    } else if (after.type === 'TESTIMONY' && after.status === 'ACTIVE') {
+      await this.xpService.award(after.userId, XP_ACTIONS.TESTIMONY_SHARED, {
+        entityId: after.id,
+        metadata: { groupId: after.groupId },
+      });
+    }
+  }
+
+  /**
+   * Soft delete a post. Authors can delete their own posts; platform
+   * moderators and moderators of the post's group can delete any post.
+   * XP earned for the post is taken back.
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @returns {Promise<void>}
+   */
+  async deletePost(userId, postId) {
+    const post = await this.loadVisiblePost(userId, postId);
+
+    if (post.userId !== userId && !(await this.canModerate(userId, post))) {
+      throw ApiError.forbidden('You can only delete your own posts');
+    }
+
+    await this.postRepository.softDelete(postId);
+
+    const removedByModerator = post.userId !== userId;
+    await this.xpService.reverse(
+      'post',
+      postId,
+      removedByModerator ? 'post_removed' : 'post_deleted'
+    );
+
+    if (removedByModerator) {
+      await this.auditLogRepository.create({
+        userId,
+        action: 'post_deleted',
+        entityType: 'post',
+        entityId: postId,
+        metadata: { authorId: post.userId, groupId: post.groupId },
+      });
+    }
+  }
+
+  /**
+   * Remove a post through moderation: it is marked REMOVED rather than
+   * deleted, so it stays on record for review. Platform moderators and
+   * moderators of the post's group can remove posts. The removal is
+   * recorded as a REMOVE moderation action and in the audit log, and XP
+   * earned for the post is taken back.
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @param {Object} data - Removal data
+   * @param {string} [data.reason] - Why the post was removed
+   * @returns {Promise<void>}
+   */
+  async removePost(userId, postId, { reason }) {
+    const post = await this.loadVisiblePost(userId, postId);
+
+    if (!(await this.canModerate(userId, post))) {
+      throw ApiError.forbidden('Only moderators can remove posts');
+    }
+
+    if (!(await this.postRepository.markRemoved(postId))) {
+      throw ApiError.notFound('Post not found');
+    }
+
+    await this.moderationActionRepository.create({
+      entityType: 'post',
+      entityId: postId,
+      actorId: userId,
+      action: 'REMOVE',
+      notes: reason || null,
+    });
+    await this.auditLogRepository.create({
+      userId,
+      action: 'post_removed',
+      entityType: 'post',
+      entityId: postId,
+      metadata: { authorId: post.userId, groupId: post.groupId },
+    });
+    await this.xpService.reverse('post', postId, 'post_removed');
+  }
+
+  /**
+   * Load a post the caller is allowed to see. Removed and deleted posts,
+   * other people's posts awaiting moderation and posts in groups the
+   * caller cannot see all look like they do not exist.
+   * @param {string} userId - Caller user ID
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Post with author and group
+   */
+  async loadVisiblePost(userId, postId) {
+    const post = await this.postRepository.findById(postId);
+    const visibleStatus =
+      post?.status === 'ACTIVE' ||
+      (post?.status === 'PENDING_MOD' && post.userId === userId);
+
+    if (!visibleStatus || post.group?.deletedAt) {
+      throw ApiError.notFound('Post not found');
+    }
+
+    if (
+      post.group?.privacy === 'PRIVATE' &&
+      !(await this.groupMemberRepository.findMembership(post.groupId, userId))
+    ) {
+      throw ApiError.notFound('Post not found');
+    }
+
+    return post;
+  }
+
+  /**
+   * Check whether a user may moderate content on a post: platform
+   * moderators anywhere, group moderators within their group
+   * @param {string} userId - User ID
+   * @param {Object} post - Post record
+   * @returns {Promise<boolean>} True when the user can moderate
+   */
+  async canModerate(userId, post) {
+    const user = await this.userRepository.findById(userId);
+
+    if (hasPlatformRole(user?.role, USER_ROLES.MODERATOR)) {
+      return true;
+    }
+
+    const membership =
+      post.groupId &&
+      (await this.groupMemberRepository.findMembership(post.groupId, userId));
+    return hasGroupRole(membership?.role, GROUP_ROLES.MODERATOR);
+  }
+
+  /**
+   * The caller's own posts and posts from every group they belong to
+   * @param {string} userId - Caller user ID
+   * @param {Object} query - Request query (type, cursor, limit)
+   * @returns {Promise<{ posts: Array, pagination: Object }>} Page of posts
+   */
+  async getHomeFeed(userId, query = {}) {
+    return this.loadFeed(
+      (options) => this.postRepository.findHomeFeed(options),
+      userId,
+      query
+    );
+  }
+
+  /**
+   * Posts in a group the caller can see
+   * @param {string} userId - Caller user ID
+   * @param {string} groupId - Group ID
+   * @param {Object} query - Request query (type, cursor, limit)
+   * @returns {Promise<{ posts: Array, pagination: Object }>} Page of posts
+   */
+  async getGroupFeed(userId, groupId, query = {}) {
+    await this.groupService.loadVisibleGroup(userId, groupId);
+
+    return this.loadFeed(
+      (options) => this.postRepository.findGroupFeed(groupId, options),
+      userId,
+      query
+    );
+  }
+
+  /**
+   * Posts by a user, limited to groups the caller can see
+   * @param {string} userId - Caller user ID
+   * @param {string} authorId - Profile owner user ID
+   * @param {Object} query - Request query (type, cursor, limit)
+   * @returns {Promise<{ posts: Array, pagination: Object }>} Page of posts
+   */
+  async getUserFeed(userId, authorId, query = {}) {
+    const author = await this.userRepository.findById(authorId);
+
+    if (!author) {
+      throw ApiError.notFound('User not found');
+    }
+
+    return this.loadFeed(
+      (options) => this.postRepository.findUserFeed(authorId, options),
+      userId,
+      query
+    );
+  }
+
+  /**
+   * Fetch one page of a feed. One extra post is requested to learn whether
+   * another page exists.
+   * @param {Function} find - Repository call taking feed options
+   * @param {string} viewerId - Caller user ID
+   * @param {Object} query - Request query (type, cursor, limit)
+   * @returns {Promise<{ posts: Array, pagination: Object }>} Page of posts
+   */
+  async loadFeed(find, viewerId, query) {
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+    if (query.cursor && !cursor) {
+      throw ApiError.badRequest('Invalid cursor');
+    }
+
+    const limit = parseCursorLimit(query);
+    const records = await find({
+      viewerId,
+      type: query.type,
+      cursor,
+      take: limit + 1,
+    });
+    const { items, pagination } = buildCursorPage(records, limit);
+
+    return { posts: items.map(toPublicPost), pagination };
+  }
+}
+
+export default PostService;
@@ -0,0 +1,79 @@
+/**
+ * Post request validation schemas
+ */
+
+import Joi from 'joi';
+import { REACTION_TYPES } from '../../types/index.js';
+
+const postType = Joi.string().valid('POST', 'TESTIMONY');
+const postContent = Joi.string().trim().min(1).max(10000);
+const commentContent = Joi.string().trim().min(1).max(2000);
+
+export const postParamsSchema = Joi.object({
+  postId: Joi.string().guid().required(),
+});
+
+export const removePostSchema = Joi.object({
+  reason: Joi.string().trim().max(1000).allow('', null),
+});
+
+export const mediaParamsSchema = Joi.object({
+  postId: Joi.string().guid().required(),
+  mediaId: Joi.string().guid().required(),
+});
+
+export const commentParamsSchema = Joi.object({
+  postId: Joi.string().guid().required(),
+  commentId: Joi.string().guid().required(),
+});
+
+export const groupFeedParamsSchema = Joi.object({
+  groupId: Joi.string().guid().required(),
+});
+
+export const userFeedParamsSchema = Joi.object({
+  userId: Joi.string().guid().required(),
+});
+
+export const feedQuerySchema = Joi.object({
+  type: postType,
+  cursor: Joi.string().max(200),
+  limit: Joi.number().integer().min(1).max(50),
+});
+
+export const createPostSchema = Joi.object({
+  content: postContent.required(),
+  type: postType,
+  groupId: Joi.string().guid().allow(null),
+});
+
+export const updatePostSchema = Joi.object({
+  content: postContent,
+  type: postType,
+}).min(1);
+
+export const listCommentsSchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
+
+export const commentTreeSchema = Joi.object({
+  rootId: Joi.string().guid(),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
+
+export const createCommentSchema = Joi.object({
+  content: commentContent.required(),
+  parentId: Joi.string().guid().allow(null),
+});
+
+export const updateCommentSchema = Joi.object({
+  content: commentContent.required(),
+});
+
+export const reactionSchema = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(REACTION_TYPES))
+    .required(),
+});
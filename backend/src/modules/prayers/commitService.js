@@ -0,0 +1,124 @@
+/**
+ * Prayer Commit Service
+ *
+ * "I prayed" commitments on prayers the caller can see. Committing again
+ * to the same prayer returns the existing commit, which carries an
+ * optional short message for its owner and a schedule of reminders to
+ * pray again (see PrayerReminderService). Commit counts are maintained by
+ * database triggers, so writes re-read the prayer to report the new
+ * count. Praying for someone else's request earns XP, and every new
+ * commit counts towards the user's prayer streak.
+ */
+
+import {
+  PrayerRepository,
+  PrayerCommitRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import { parsePagination, buildPagination } from '../../utils/pagination.js';
+import XpService from '../xp/service.js';
+import { XP_ACTIONS } from '../xp/rules.js';
+import AchievementService from '../achievements/service.js';
+import PrayerReminderService, { toPublicReminder } from './reminderService.js';
+
+/**
+ * Shape a commit for clients
+ * @param {Object} commit - PrayerCommit record with user
+ * @returns {Object} Public commit fields
+ */
+export const toPublicCommit = (commit) => ({
+  id: commit.id,
+  user: commit.user,
+  message: commit.message,
+  createdAt: commit.createdAt,
+});
+
+class PrayerCommitService {
+  /**
+   * @param {Object} prayerService - PrayerService used to load prayers
+   */
+  constructor(prayerService) {
+    this.prayerService = prayerService;
+    this.prayerRepository = new PrayerRepository();
+    this.prayerCommitRepository = new PrayerCommitRepository();
+    this.reminderService = new PrayerReminderService(prayerService);
+    this.xpService = new XpService();
+    this.achievementService = new AchievementService();
+  }
+
+  /**
+   * Commit to pray for an open prayer. Committing again returns the
+   * existing commit, without its message changing or XP being awarded,
+   * and still sets the reminder if one is given.
+   * @param {string} userId - Caller user ID
+   * @param {string} prayerId - Prayer ID
+   * @param {Object} data - Commit data
+   * @param {string} [data.message] - Message for the prayer's owner
+   * @param {Object} [data.reminder] - Reminder schedule (frequency, time, days, weeks)
+   * @returns {Promise<{ commit: Object, commitCount: number, reminder: Object|null, created: boolean }>} Commit, new count, reminder and whether the commit is new
+   */
+  async commit(userId, prayerId, { message, reminder }) {
+    const prayer = await this.prayerService.loadVisiblePrayer(userId, prayerId);
+
+    if (prayer.status !== 'OPEN') {
+      throw ApiError.conflict(
+        `This prayer has been ${prayer.status.toLowerCase()}`
+      );
+    }
+
+    const { commit, created } = await this.prayerCommitRepository.createOnce({
+      prayerId,
+      userId,
+      message: message?.trim() || null,
+    });
+
+    if (created) {
+      if (prayer.userId !== userId) {
+        await this.xpService.award(userId, XP_ACTIONS.PRAYER_COMMIT, {
+          entityId: commit.id,
+          metadata: { prayerId },
+        });
+      }
+
+      await this.achievementService.recordStreak(userId, 'PRAYER');
+    }
+
+    const scheduled = reminder
+      ? await this.reminderService.schedule(userId, commit.id, reminder)
+      : null;
+
+    const { commitCount } = await this.prayerRepository.findById(prayerId);
+    return {
+      commit: toPublicCommit(commit),
+      commitCount,
+      reminder: toPublicReminder(scheduled),
+      created,
+    };
+  }
+
+  /**
+   * List who prayed for a prayer, most recent first
+   * @param {string} userId - Caller user ID
+   * @param {string} prayerId - Prayer ID
+   * @param {Object} query - Request query (page, limit)
+   * @returns {Promise<{ commits: Array, pagination: Object }>} Page of commits
+   */
+  async listCommits(userId, prayerId, query = {}) {
+    await this.prayerService.loadVisiblePrayer(userId, prayerId);
+
+    const { page, limit, skip, take } = parsePagination(query, {
+      defaultLimit: 50,
+    });
+    const { commits, total } = await this.prayerCommitRepository.findByPrayer(
+      prayerId,
+      { skip, take }
+    );
+
+    return {
+      commits: commits.map(toPublicCommit),
+      pagination: buildPagination(page, limit, total),
+    };
+  }
+}
+
+export default PrayerCommitService;
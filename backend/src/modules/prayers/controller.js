@@ -0,0 +1,102 @@
+/**
+ * Prayer Controller
+ *
+ * HTTP handlers for prayer requests, "I prayed" commits and reminders
+ * (/api/v1/prayers).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import { HTTP_STATUS } from '../../types/index.js';
+import PrayerService from './service.js';
+import PrayerCommitService from './commitService.js';
+import PrayerReminderService from './reminderService.js';
+
+const prayerService = new PrayerService();
+const commitService = new PrayerCommitService(prayerService);
+const reminderService = new PrayerReminderService(prayerService);
+
+/**
+ * POST /api/v1/prayers
+ */
+export const createPrayer = asyncHandler(async (req, res) => {
+  const prayer = await prayerService.createPrayer(req.user.id, req.body);
+  return ApiResponse.success(
+    res,
+    prayer,
+    'Prayer created',
+    HTTP_STATUS.CREATED
+  );
+});
+
+/**
+ * GET /api/v1/prayers/:prayerId
+ */
+export const getPrayer = asyncHandler(async (req, res) => {
+  const prayer = await prayerService.getPrayer(
+    req.user.id,
+    req.params.prayerId
+  );
+  return ApiResponse.success(res, prayer);
+});
+
+/**
+ * PATCH /api/v1/prayers/:prayerId/status
+ */
+export const updatePrayerStatus = asyncHandler(async (req, res) => {
+  const prayer = await prayerService.updateStatus(
+    req.user.id,
+    req.params.prayerId,
+    req.body
+  );
+  return ApiResponse.success(res, prayer, 'Prayer updated');
+});
+
+/**
+ * POST /api/v1/prayers/:prayerId/commits
+ */
+export const commitToPrayer = asyncHandler(async (req, res) => {
+  const { created, ...result } = await commitService.commit(
+    req.user.id,
+    req.params.prayerId,
+    req.body
+  );
+  return ApiResponse.success(
+    res,
+    result,
+    created ? 'Prayer commitment recorded' : 'Already committed to this prayer',
+    created ? HTTP_STATUS.CREATED : HTTP_STATUS.OK
+  );
+});
+
+/**
+ * GET /api/v1/prayers/:prayerId/commits
+ */
+export const listCommits = asyncHandler(async (req, res) => {
+  const { commits, pagination } = await commitService.listCommits(
+    req.user.id,
+    req.params.prayerId,
+    req.query
+  );
+  return ApiResponse.paginated(res, commits, pagination);
+});
+
+/**
+ * PUT /api/v1/prayers/:prayerId/reminder
+ */
+export const setReminder = asyncHandler(async (req, res) => {
+  const reminder = await reminderService.setReminder(
+    req.user.id,
+    req.params.prayerId,
+    req.body
+  );
+  return ApiResponse.success(res, reminder, 'Reminder scheduled');
+});
+
+/**
+ * DELETE /api/v1/prayers/:prayerId/reminder
+ */
+export const cancelReminder = asyncHandler(async (req, res) => {
+  await reminderService.cancelReminder(req.user.id, req.params.prayerId);
+  return ApiResponse.success(res, null, 'Reminder cancelled');
+});
@@ -0,0 +1,291 @@
+/**
+ * Prayer Reminder Service
+ *
+ * Optional "pray again" reminders attached to a prayer commit: once, daily
+ * for N days or weekly for N weeks, at a time of day in the user's time
+ * zone. The prayer-reminder job delivers due reminders as notifications,
+ * holding them back until the user's quiet time is over. Reminders are
+ * dropped as soon as the prayer is answered or archived.
+ */
+
+import {
+  UserRepository,
+  PrayerCommitRepository,
+  PrayerReminderRepository,
+  GroupMemberRepository,
+  NotificationRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import {
+  resolveTimeZone,
+  nextLocalTime,
+  addLocalDays,
+  quietTimeEndsAt,
+} from '../../utils/timezone.js';
+
+// Weekly reminders run for a month unless told otherwise
+const DEFAULT_WEEKS = 4;
+
+// Reminders delivered per job run
+const BATCH_SIZE = 100;
+
+/**
+ * Shape a reminder for clients
+ * @param {Object|null} reminder - PrayerReminder record
+ * @returns {Object|null} Public reminder fields
+ */
+export const toPublicReminder = (reminder) =>
+  reminder && {
+    frequency: reminder.frequency,
+    time: reminder.timeOfDay,
+    remaining: reminder.remaining,
+    nextRunAt: reminder.nextRunAt,
+  };
+
+/**
+ * Number of reminders a schedule sends in total
+ * @param {Object} schedule - Reminder schedule (frequency, days, weeks)
+ * @returns {number} Reminder count
+ */
+const countReminders = ({ frequency, days, weeks }) => {
+  if (frequency === 'DAILY') {
+    return days;
+  }
+  return frequency === 'WEEKLY' ? (weeks ?? DEFAULT_WEEKS) : 1;
+};
+
+class PrayerReminderService {
+  /**
+   * @param {Object} prayerService - PrayerService used to load prayers
+   */
+  constructor(prayerService) {
+    this.prayerService = prayerService;
+    this.userRepository = new UserRepository();
+    this.prayerCommitRepository = new PrayerCommitRepository();
+    this.prayerReminderRepository = new PrayerReminderRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  /**
+   * Set or replace the reminder on the caller's commit to a prayer
+   * @param {string} userId - Caller user ID
+   * @param {string} prayerId - Prayer ID
+   * @param {Object} schedule - Reminder schedule (frequency, time, days, weeks)
+   * @returns {Promise<Object>} Reminder
+   */
+  async setReminder(userId, prayerId, schedule) {
+    const prayer = await this.prayerService.loadVisiblePrayer(userId, prayerId);
+
+    if (prayer.status !== 'OPEN') {
+      throw ApiError.conflict(
+        `This prayer has been ${prayer.status.toLowerCase()}`
+      );
+    }
+
+    const commit = await this.prayerCommitRepository.findByPrayerAndUser(
+      prayerId,
+      userId
+    );
+
+    if (!commit) {
+      throw ApiError.badRequest(
+        'Commit to pray for this prayer before setting a reminder'
+      );
+    }
+
+    return toPublicReminder(await this.schedule(userId, commit.id, schedule));
+  }
+
+  /**
+   * Remove the reminder on the caller's commit to a prayer
+   * @param {string} userId - Caller user ID
+   * @param {string} prayerId - Prayer ID
+   * @returns {Promise<void>}
+   */
+  async cancelReminder(userId, prayerId) {
+    await this.prayerService.loadVisiblePrayer(userId, prayerId);
+
+    const commit = await this.prayerCommitRepository.findByPrayerAndUser(
+      prayerId,
+      userId
+    );
+
+    if (
+      !commit ||
+      !(await this.prayerReminderRepository.deleteByCommit(commit.id))
+    ) {
+      throw ApiError.notFound('No reminder is set for this prayer');
+    }
+  }
+
+  /**
+   * Save a schedule for a commit. The first reminder goes out at the next
+   * occurrence of `time` in the user's time zone.
+   * @param {string} userId - Commit owner user ID
+   * @param {string} commitId - Prayer commit ID
+   * @param {Object} schedule - Reminder schedule (frequency, time, days, weeks)
+   * @returns {Promise<Object>} Reminder record
+   */
+  async schedule(userId, commitId, schedule) {
+    const user = await this.userRepository.findById(userId);
+    const timeZone = resolveTimeZone(user?.tz);
+
+    return this.prayerReminderRepository.upsertForCommit(commitId, {
+      frequency: schedule.frequency,
+      timeOfDay: schedule.time,
+      remaining: countReminders(schedule),
+      nextRunAt: nextLocalTime(new Date(), timeZone, schedule.time),
+    });
+  }
+
+  /**
+   * Deliver every reminder that is due. A reminder that fails is logged
+   * and left for the next run, without holding up the rest.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of reminders delivered
+   */
+  async sendDue(now = new Date()) {
+    const due = await this.prayerReminderRepository.findDue(now, BATCH_SIZE);
+    let sent = 0;
+
+    for (const reminder of due) {
+      try {
+        if (await this.deliver(reminder, now)) {
+          sent++;
+        }
+      } catch (error) {
+        logger.error(`Error delivering prayer reminder ${reminder.id}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Sent ${sent} prayer reminder(s)`);
+    }
+    return sent;
+  }
+
+  /**
+   * Deliver one due reminder, defer it past quiet time, or drop it when
+   * the prayer is closed or no longer visible to the user. The reminder is
+   * claimed by moving it to its next run before the notification is
+   * written, and put back if that fails so the next run retries it.
+   * @param {Object} reminder - Due reminder with commit, prayer and user
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True when a notification was sent
+   */
+  async deliver(reminder, now) {
+    const { userId, prayer, user } = reminder.commit;
+
+    if (
+      reminder.remaining <= 0 ||
+      !(await this.isStillWanted(userId, prayer, user))
+    ) {
+      await this.prayerReminderRepository.claimAndDelete(
+        reminder.id,
+        reminder.nextRunAt
+      );
+      return false;
+    }
+
+    const timeZone = resolveTimeZone(user.tz);
+    const quietUntil = quietTimeEndsAt(
+      now,
+      timeZone,
+      user.userSettings?.quietTimeStart,
+      user.userSettings?.quietTimeEnd
+    );
+
+    if (quietUntil) {
+      await this.prayerReminderRepository.claim(
+        reminder.id,
+        reminder.nextRunAt,
+        { nextRunAt: quietUntil }
+      );
+      return false;
+    }
+
+    const remaining = reminder.remaining - 1;
+    const nextRunAt = this.nextRun(reminder, timeZone, now);
+    const claimed = await this.prayerReminderRepository.claim(
+      reminder.id,
+      reminder.nextRunAt,
+      { remaining, lastSentAt: now, nextRunAt }
+    );
+
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      await this.notificationRepository.create({
+        userId,
+        type: 'prayer_reminder',
+        payload: {
+          prayerId: prayer.id,
+          title: prayer.title,
+          groupId: prayer.groupId,
+          remaining,
+        },
+      });
+    } catch (error) {
+      await this.prayerReminderRepository.claim(reminder.id, nextRunAt, {
+        remaining: reminder.remaining,
+        lastSentAt: reminder.lastSentAt,
+        nextRunAt: reminder.nextRunAt,
+      });
+      throw error;
+    }
+
+    if (remaining === 0) {
+      await this.prayerReminderRepository.claimAndDelete(
+        reminder.id,
+        nextRunAt
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Whether a reminder should still be delivered: the prayer is open and
+   * the user still exists and can see it
+   * @param {string} userId - Reminder owner user ID
+   * @param {Object} prayer - Prayer with group
+   * @param {Object} user - User with deletedAt
+   * @returns {Promise<boolean>} True when the reminder is still wanted
+   */
+  async isStillWanted(userId, prayer, user) {
+    if (
+      prayer.status !== 'OPEN' ||
+      prayer.deletedAt ||
+      prayer.group?.deletedAt ||
+      user.deletedAt
+    ) {
+      return false;
+    }
+
+    return (
+      prayer.group?.privacy !== 'PRIVATE' ||
+      Boolean(
+        await this.groupMemberRepository.findMembership(prayer.groupId, userId)
+      )
+    );
+  }
+
+  /**
+   * When a reminder fires next, at its time of day in the user's time zone
+   * @param {Object} reminder - Reminder record
+   * @param {string} timeZone - User's time zone
+   * @param {Date} now - Current time
+   * @returns {Date} Next run
+   */
+  nextRun(reminder, timeZone, now) {
+    const next = nextLocalTime(now, timeZone, reminder.timeOfDay);
+    return reminder.frequency === 'WEEKLY'
+      ? addLocalDays(next, timeZone, 6)
+      : next;
+  }
+}
+
+export default PrayerReminderService;
@@ -0,0 +1,60 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import requireVerifiedEmail from '../../middleware/requireVerifiedEmail.js';
+import * as prayerController from './controller.js';
+import {
+  prayerParamsSchema,
+  createPrayerSchema,
+  updatePrayerStatusSchema,
+  commitSchema,
+  listCommitsSchema,
+  reminderSchema,
+} from './validation.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.post(
+  '/',
+  requireVerifiedEmail,
+  validateRequest(createPrayerSchema),
+  prayerController.createPrayer
+);
+router.get(
+  '/:prayerId',
+  validateRequest(prayerParamsSchema, 'params'),
+  prayerController.getPrayer
+);
+router.patch(
+  '/:prayerId/status',
+  validateRequest(prayerParamsSchema, 'params'),
+  validateRequest(updatePrayerStatusSchema),
+  prayerController.updatePrayerStatus
+);
+router.post(
+  '/:prayerId/commits',
+  validateRequest(prayerParamsSchema, 'params'),
+  validateRequest(commitSchema),
+  prayerController.commitToPrayer
+);
+router.get(
+  '/:prayerId/commits',
+  validateRequest(prayerParamsSchema, 'params'),
+  validateRequest(listCommitsSchema, 'query'),
+  prayerController.listCommits
+);
+router.put(
+  '/:prayerId/reminder',
+  validateRequest(prayerParamsSchema, 'params'),
+  validateRequest(reminderSchema),
+  prayerController.setReminder
+);
+router.delete(
+  '/:prayerId/reminder',
+  validateRequest(prayerParamsSchema, 'params'),
+  prayerController.cancelReminder
+);
+
+export default router;
@@ -0,0 +1,222 @@
+/**
+ * Prayer Service
+ *
+ * Prayer requests: personal or shared in a group, optionally linked to a
+ * post. An OPEN prayer can be marked ANSWERED, with a testimony of how it
+ * was answered, or ARCHIVED by its owner; an answered prayer can still be
+ * archived. Everyone who committed to pray is told when it is answered,
+ * and closing a prayer cancels its reminders.
+ */
+
+import {
+  UserRepository,
+  PrayerRepository,
+  PrayerCommitRepository,
+  PrayerReminderRepository,
+  GroupMemberRepository,
+  NotificationRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import GroupService from '../groups/service.js';
+import PostService from '../posts/service.js';
+import { toPublicReminder } from './reminderService.js';
+
+// Statuses a prayer may be moved to, and the statuses it may come from
+const TRANSITIONS = {
+  ANSWERED: ['OPEN'],
+  ARCHIVED: ['OPEN', 'ANSWERED'],
+};
+
+/**
+ * Shape a prayer for clients
+ * @param {Object} prayer - Prayer record with user and group
+ * @returns {Object} Public prayer fields
+ */
+export const toPublicPrayer = (prayer) => ({
+  id: prayer.id,
+  title: prayer.title,
+  content: prayer.content,
+  status: prayer.status,
+  answer: prayer.answerText,
+  answeredAt: prayer.answeredAt,
+  archivedAt: prayer.archivedAt,
+  commitCount: prayer.commitCount,
+  author: prayer.user,
+  group: prayer.group && { id: prayer.group.id, name: prayer.group.name },
+  linkedPostId: prayer.linkedPostId,
+  createdAt: prayer.createdAt,
+  updatedAt: prayer.updatedAt,
+});
+
+class PrayerService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.prayerRepository = new PrayerRepository();
+    this.prayerCommitRepository = new PrayerCommitRepository();
+    this.prayerReminderRepository = new PrayerReminderRepository();
+    this.groupMemberRepository = new GroupMemberRepository();
+    this.notificationRepository = new NotificationRepository();
+    this.groupService = new GroupService();
+    this.postService = new PostService();
+  }
+
+  /**
+   * Create a prayer request, optionally in a group the caller belongs to
+   * and linked to a post they can see
+   * @param {string} userId - Caller user ID
+   * @param {Object} data - Prayer data (title, content, groupId, linkedPostId)
+   * @returns {Promise<Object>} Created prayer
+   */
+  async createPrayer(userId, { title, content, groupId, linkedPostId }) {
+    if (groupId) {
+      const { membership } = await this.groupService.loadVisibleGroup(
+        userId,
+        groupId
+      );
+
+      if (!membership) {
+        throw ApiError.forbidden('Join the group to share prayers in it');
+      }
+    }
+
+    if (linkedPostId) {
+      await this.postService.loadVisiblePost(userId, linkedPostId);
+    }
+
+    const prayer = await this.prayerRepository.create({
+      userId,
+      title,
+      content,
+      groupId: groupId || null,
+      linkedPostId: linkedPostId || null,
+    });
+
+    return toPublicPrayer(prayer);
+  }
+
+  /**
+   * Get a prayer the caller can see
+   * @param {string} userId - Caller user ID
+   * @param {string} prayerId - Prayer ID
+   * @returns {Promise<Object>} Prayer, with `committed` and `reminder` for the caller
+   */
+  async getPrayer(userId, prayerId) {
+    const prayer = await this.loadVisiblePrayer(userId, prayerId);
+    const commit = await this.prayerCommitRepository.findByPrayerAndUser(
+      prayerId,
+      userId
+    );
+
+    return {
+      ...toPublicPrayer(prayer),
+      committed: Boolean(commit),
+      reminder: toPublicReminder(commit?.reminder ?? null),
+    };
+  }
+
+  /**
+   * Mark the caller's prayer ANSWERED or ARCHIVED. Answering notifies
+   * everyone who committed to pray for it. Either way, pending reminders
+   * are cancelled.
+   * @param {string} userId - Caller user ID
+   * @param {string} prayerId - Prayer ID
+   * @param {Object} data - New status and, when answered, the answer testimony
+   * @param {string} data.status - ANSWERED or ARCHIVED
+   * @param {string} [data.answer] - How the prayer was answered
+   * @returns {Promise<Object>} Updated prayer
+   */
+  async updateStatus(userId, prayerId, { status, answer }) {
+    const prayer = await this.loadVisiblePrayer(userId, prayerId);
+
+    if (prayer.userId !== userId) {
+      throw ApiError.forbidden('You can only update your own prayers');
+    }
+
+    const now = new Date();
+    const updated = await this.prayerRepository.transition(
+      prayerId,
+      TRANSITIONS[status],
+      status === 'ANSWERED'
+        ? { status, answerText: answer ?? null, answeredAt: now }
+        : { status, archivedAt: now }
+    );
+
+    if (!updated) {
+      throw ApiError.conflict(
+        `Prayer is already ${prayer.status.toLowerCase()}`
+      );
+    }
+
+    await this.prayerReminderRepository.deleteByPrayer(prayerId);
+    if (status === 'ANSWERED') {
+      await this.notifyAnswered(updated);
+    }
+
+    return toPublicPrayer(updated);
+  }
+
+  /**
+   * Send a `prayer_answered` notification to everyone who committed to a
+   * prayer. In a private group only current members are notified.
+   * @param {Object} prayer - Answered prayer with group
+   * @returns {Promise<Array<string>>} IDs of notified users
+   */
+  async notifyAnswered(prayer) {
+    const committed = (
+      await this.prayerCommitRepository.findUserIds(prayer.id)
+    ).filter((id) => id !== prayer.userId);
+
+    if (committed.length === 0) {
+      return [];
+    }
+
+    let recipients = await this.userRepository.findActiveIds(committed);
+    if (prayer.group?.privacy === 'PRIVATE') {
+      recipients = await this.groupMemberRepository.filterMemberIds(
+        prayer.groupId,
+        recipients
+      );
+    }
+
+    await this.notificationRepository.createMany(
+      recipients.map((userId) => ({
+        userId,
+        type: 'prayer_answered',
+        payload: {
+          prayerId: prayer.id,
+          title: prayer.title,
+          groupId: prayer.groupId,
+          ownerId: prayer.userId,
+        },
+      }))
+    );
+
+    return recipients;
+  }
+
+  /**
+   * Load a prayer the caller is allowed to see. Deleted prayers and
+   * prayers in groups the caller cannot see look like they do not exist.
+   * @param {string} userId - Caller user ID
+   * @param {string} prayerId - Prayer ID
+   * @returns {Promise<Object>} Prayer with owner and group
+   */
+  async loadVisiblePrayer(userId, prayerId) {
+    const prayer = await this.prayerRepository.findById(prayerId);
+
+    if (!prayer || prayer.group?.deletedAt) {
+      throw ApiError.notFound('Prayer not found');
+    }
+
+    if (
+      prayer.group?.privacy === 'PRIVATE' &&
+      !(await this.groupMemberRepository.findMembership(prayer.groupId, userId))
+    ) {
+      throw ApiError.notFound('Prayer not found');
+    }
+
+    return prayer;
+  }
+}
+
+export default PrayerService;
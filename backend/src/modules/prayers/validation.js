@@ -0,0 +1,53 @@
+/**
+ * Prayer request validation schemas
+ */
+
+import Joi from 'joi';
+
+export const prayerParamsSchema = Joi.object({
+  prayerId: Joi.string().guid().required(),
+});
+
+export const createPrayerSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  content: Joi.string().trim().min(1).max(5000).required(),
+  groupId: Joi.string().guid().allow(null),
+  linkedPostId: Joi.string().guid().allow(null),
+});
+
+export const updatePrayerStatusSchema = Joi.object({
+  status: Joi.string().valid('ANSWERED', 'ARCHIVED').required(),
+  answer: Joi.when('status', {
+    is: 'ANSWERED',
+    then: Joi.string().trim().min(1).max(5000),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+export const reminderSchema = Joi.object({
+  frequency: Joi.string().valid('ONCE', 'DAILY', 'WEEKLY').required(),
+  // Local time of day in the user's time zone, "HH:MM"
+  time: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .required(),
+  days: Joi.when('frequency', {
+    is: 'DAILY',
+    then: Joi.number().integer().min(1).max(30).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  weeks: Joi.when('frequency', {
+    is: 'WEEKLY',
+    then: Joi.number().integer().min(1).max(12),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+export const commitSchema = Joi.object({
+  message: Joi.string().trim().max(1000).allow(''),
+  reminder: reminderSchema,
+});
+
+export const listCommitsSchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+});
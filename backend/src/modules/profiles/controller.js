@@ -0,0 +1,19 @@
+/**
+ * Profile Controller
+ *
+ * HTTP handlers for public user profiles (/api/v1/profiles).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import ProfileService from './service.js';
+
+const profileService = new ProfileService();
+
+/**
+ * GET /api/v1/profiles/:userId
+ */
+export const getProfile = asyncHandler(async (req, res) => {
+  const profile = await profileService.getProfile(req.params.userId);
+  return ApiResponse.success(res, profile);
+});
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import * as profileController from './controller.js';
+import { profileParamsSchema } from './validation.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get(
+  '/:userId',
+  validateRequest(profileParamsSchema, 'params'),
+  profileController.getProfile
+);
+
+export default router;
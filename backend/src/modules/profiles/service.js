@@ -0,0 +1,43 @@
+/**
+ * Profile Service
+ *
+ * Public profiles: who a user is, their levels and the badges they earned.
+ */
+
+import { UserRepository } from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import AchievementService from '../achievements/service.js';
+
+class ProfileService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.achievementService = new AchievementService();
+  }
+
+  /**
+   * A user's public profile
+   * @param {string} userId - Profile owner user ID
+   * @returns {Promise<Object>} Profile with levels and badges
+   */
+  async getProfile(userId) {
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    const { levels, badges } =
+      await this.achievementService.getAchievements(userId);
+
+    return {
+      id: user.id,
+      displayName: user.displayName,
+      avatarUrl: user.avatarUrl,
+      joinedAt: user.createdAt,
+      levels,
+      badges,
+    };
+  }
+}
+
+export default ProfileService;
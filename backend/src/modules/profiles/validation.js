@@ -0,0 +1,9 @@
+/**
+ * Profile request validation schemas
+ */
+
+import Joi from 'joi';
+
+export const profileParamsSchema = Joi.object({
+  userId: Joi.string().guid().required(),
+});
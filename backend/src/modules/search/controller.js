@@ -0,0 +1,30 @@
+/**
+ * Search Controller
+ *
+ * HTTP handlers for full-text search (/api/v1/search).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import SearchService from './service.js';
+
+const searchService = new SearchService();
+
+/**
+ * GET /api/v1/search
+ */
+export const search = asyncHandler(async (req, res) => {
+  const results = await searchService.search(req.user.id, req.query);
+  return ApiResponse.success(res, results);
+});
+
+/**
+ * GET /api/v1/search/posts
+ */
+export const searchPosts = asyncHandler(async (req, res) => {
+  const { results, pagination } = await searchService.searchPosts(
+    req.user.id,
+    req.query
+  );
+  return ApiResponse.paginated(res, results, pagination);
+});
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import * as searchController from './controller.js';
+import { searchSchema, searchPostsSchema } from './validation.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get(
+  '/',
+  validateRequest(searchSchema, 'query'),
+  searchController.search
+);
+router.get(
+  '/posts',
+  validateRequest(searchPostsSchema, 'query'),
+  searchController.searchPosts
+);
+
+export default router;
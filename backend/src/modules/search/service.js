@@ -0,0 +1,180 @@
+/**
+ * Search Service
+ *
+ * Full-text search over posts, prayers, groups, events and users. Queries
+ * use web search syntax ("quoted phrases", OR, -excluded words) and results
+ * come back best match first with a highlighted snippet. Pages are keyed on
+ * rank, so a cursor stays valid as long as the query is unchanged.
+ */
+
+import { SearchRepository } from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import {
+  encodeRankCursor,
+  decodeRankCursor,
+  parseCursorLimit,
+  buildCursorPage,
+} from '../../utils/cursor.js';
+import { renderHeadline } from '../../utils/headline.js';
+import { SEARCH_TYPES } from '../../types/index.js';
+import { toPublicPost } from '../posts/service.js';
+import { toPublicGroup } from '../groups/service.js';
+import { toPublicPrayer } from '../prayers/service.js';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Shape each type of search result for clients
+ */
+const toSearchItem = {
+  [SEARCH_TYPES.POST]: toPublicPost,
+  [SEARCH_TYPES.PRAYER]: toPublicPrayer,
+  [SEARCH_TYPES.GROUP]: (group) =>
+    toPublicGroup(group, group.members[0]?.role ?? null),
+  [SEARCH_TYPES.EVENT]: (event) => ({
+    id: event.id,
+    title: event.title,
+    description: event.description,
+    location: event.location,
+    startsAt: event.startsAt,
+    endsAt: event.endsAt,
+    visibility: event.visibility,
+    creator: event.creator,
+    group: event.group,
+  }),
+  [SEARCH_TYPES.USER]: (user) => user,
+};
+
+class SearchService {
+  constructor() {
+    this.searchRepository = new SearchRepository();
+  }
+
+  /**
+   * Search everything the caller can see. `facets` counts the matches of
+   * every type, whichever types were asked for, so clients can show how
+   * many results each tab would have.
+   * @param {string} userId - Caller user ID
+   * @param {Object} query - Request query (q, types, cursor, limit)
+   * @returns {Promise<{ results: Array, facets: Object, pagination: Object }>} Page of results
+   */
+  async search(userId, query = {}) {
+    const q = query.q.trim();
+    const types = query.types
+      ? [...new Set(query.types.split(','))]
+      : Object.values(SEARCH_TYPES);
+    const cursor = this.parseCursor(query.cursor);
+    const limit = parseCursorLimit(query);
+
+    if (cursor && !cursor.kind) {
+      throw ApiError.badRequest('Invalid cursor');
+    }
+
+    const [matches, facets] = await Promise.all([
+      this.searchRepository.searchAll({
+        query: q,
+        viewerId: userId,
+        types,
+        cursor,
+        take: limit + 1,
+      }),
+      this.searchRepository.countByType({ query: q, viewerId: userId }),
+    ]);
+    const { items, pagination } = buildCursorPage(matches, limit, (match) =>
+      encodeRankCursor({ rank: match.rank, id: `${match.kind}:${match.id}` })
+    );
+
+    const idsByType = {};
+    for (const { kind, id } of items) {
+      (idsByType[kind] ??= []).push(id);
+    }
+    const records = await this.searchRepository.findRecords(userId, idsByType);
+    const byId = new Map(
+      Object.values(records)
+        .flat()
+        .map((record) => [record.id, record])
+    );
+
+    return {
+      // A record deleted since the search ran is skipped
+      results: items
+        .filter(({ id }) => byId.has(id))
+        .map(({ kind, id, rank, headline }) => ({
+          type: kind,
+          rank,
+          headline: renderHeadline(headline),
+          item: toSearchItem[kind](byId.get(id)),
+        })),
+      facets,
+      pagination,
+    };
+  }
+
+  /**
+   * Search posts the caller can see
+   * @param {string} userId - Caller user ID
+   * @param {Object} query - Request query (q, type, groupId, cursor, limit)
+   * @returns {Promise<{ results: Array, pagination: Object }>} Page of results
+   */
+  async searchPosts(userId, query = {}) {
+    const cursor = this.parseCursor(query.cursor);
+    const limit = parseCursorLimit(query);
+
+    if (cursor?.kind) {
+      throw ApiError.badRequest('Invalid cursor');
+    }
+
+    const records = await this.searchRepository.searchPosts({
+      query: query.q.trim(),
+      viewerId: userId,
+      type: query.type,
+      groupId: query.groupId,
+      cursor,
+      take: limit + 1,
+    });
+    const { items, pagination } = buildCursorPage(
+      records,
+      limit,
+      encodeRankCursor
+    );
+
+    return {
+      results: items.map((post) => ({
+        ...toPublicPost(post),
+        headline: renderHeadline(post.headline),
+        rank: post.rank,
+      })),
+      pagination,
+    };
+  }
+
+  /**
+   * Decode a search cursor, rejecting anything encodeRankCursor did not make.
+   * Unified search cursors prefix the ID with the result type ("group:<id>").
+   * @param {string} [value] - Cursor from the query string
+   * @returns {{ rank: number, id: string, kind?: string }|null} Position, or null for the first page
+   */
+  parseCursor(value) {
+    if (!value) {
+      return null;
+    }
+
+    const cursor = decodeRankCursor(value);
+    const [kind, id] = cursor?.id.includes(':')
+      ? cursor.id.split(':')
+      : [undefined, cursor?.id];
+
+    if (
+      !cursor ||
+      !UUID_PATTERN.test(id ?? '') ||
+      (kind && !Object.values(SEARCH_TYPES).includes(kind))
+    ) {
+      throw ApiError.badRequest('Invalid cursor');
+    }
+
+    return { rank: cursor.rank, id, ...(kind && { kind }) };
+  }
+}
+
+export default SearchService;
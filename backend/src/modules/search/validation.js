@@ -0,0 +1,24 @@
+/**
+ * Search request validation schemas
+ */
+
+import Joi from 'joi';
+import { SEARCH_TYPES } from '../../types/index.js';
+
+const searchType = `(${Object.values(SEARCH_TYPES).join('|')})`;
+
+export const searchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  // Comma separated, e.g. "prayer,group"
+  types: Joi.string().pattern(new RegExp(`^${searchType}(,${searchType})*$`)),
+  cursor: Joi.string().max(300),
+  limit: Joi.number().integer().min(1).max(50),
+});
+
+export const searchPostsSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  type: Joi.string().valid('POST', 'TESTIMONY'),
+  groupId: Joi.string().guid(),
+  cursor: Joi.string().max(200),
+  limit: Joi.number().integer().min(1).max(50),
+});
@@ -0,0 +1,198 @@
+/**
+ * Account Deletion Service
+ *
+ * Deleting an account soft deletes it, signs out every session and takes
+ * the user off the leaderboards. For the grace period that follows,
+ * logging in again restores the account. Once
+ * it ends, the account-deletion job anonymises the user: personal data is
+ * scrubbed, groups they created are handed to another member (or archived
+ * when nobody is left), and authored content stays behind as "Deleted user".
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { rm } from 'fs/promises';
+import {
+  UserRepository,
+  RefreshTokenRepository,
+  GroupRepository,
+  DataExportRepository,
+  AuditLogRepository,
+} from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import mailer from '../../services/mail/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import LeaderboardService from '../leaderboards/service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AccountDeletionService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.refreshTokenRepository = new RefreshTokenRepository();
+    this.groupRepository = new GroupRepository();
+    this.dataExportRepository = new DataExportRepository();
+    this.auditLogRepository = new AuditLogRepository();
+    this.leaderboardService = new LeaderboardService();
+  }
+
+  /**
+   * When a soft deleted account will be anonymised
+   * @param {Date} deletedAt - Soft delete timestamp
+   * @returns {Date} End of the grace period
+   */
+  getAnonymizationDate(deletedAt) {
+    return new Date(
+      deletedAt.getTime() + config.auth.accountDeletionGraceDays * DAY_MS
+    );
+  }
+
+  /**
+   * Schedule the signed-in user's account for deletion
+   * @param {string} userId - User ID
+   * @param {string} password - Current password, to confirm intent
+   * @param {Object} context - Request context for auditing
+   * @returns {Promise<{ deletionScheduledFor: Date }>} Anonymisation date
+   */
+  async requestDeletion(userId, password, context = {}) {
+    const user = await this.userRepository.findById(userId);
+
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    if (!(await bcrypt.compare(password, user.passwordHash))) {
+      throw ApiError.unauthorized('Password is incorrect');
+    }
+
+    const deleted = await this.userRepository.softDelete(userId);
+    await this.refreshTokenRepository.revokeAllForUser(userId);
+    await this.leaderboardService.syncVisibility(userId, true);
+
+    const deletionScheduledFor = this.getAnonymizationDate(deleted.deletedAt);
+    await this.auditLogRepository.create({
+      userId,
+      action: 'account_deletion_requested',
+      entityType: 'user',
+      entityId: userId,
+      metadata: {
+        deletionScheduledFor: deletionScheduledFor.toISOString(),
+        ip: context.ip,
+        userAgent: context.userAgent,
+      },
+    });
+
+    // The deletion itself must not depend on the mail server
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: 'Your Anointed account is scheduled for deletion',
+        text: [
+          `Your account will be permanently deleted on ${deletionScheduledFor.toDateString()}.`,
+          '',
+          'Changed your mind? Simply log in again before then and your account will be restored.',
+        ].join('\n'),
+      });
+    } catch (error) {
+      logger.error('Error sending account deletion email:', error);
+    }
+
+    return { deletionScheduledFor };
+  }
+
+  /**
+   * Undo a pending deletion. Called when the user logs in during the grace
+   * period. Their leaderboard scores are put back unless they opted out.
+   * @param {Object} user - Soft deleted user record
+   * @returns {Promise<Object>} Restored user
+   */
+  async restore(user) {
+    const restored = await this.userRepository.restore(user.id);
+    await this.leaderboardService.syncVisibility(user.id, false);
+
+    await this.auditLogRepository.create({
+      userId: user.id,
+      action: 'account_restored',
+      entityType: 'user',
+      entityId: user.id,
+      metadata: { deletedAt: user.deletedAt.toISOString() },
+    });
+
+    return restored;
+  }
+
+  /**
+   * Anonymise every account whose grace period has ended
+   * @returns {Promise<number>} Number of accounts anonymised
+   */
+  async anonymizeDue() {
+    const cutoff = new Date(
+      Date.now() - config.auth.accountDeletionGraceDays * DAY_MS
+    );
+    const users = await this.userRepository.findDueForAnonymization(cutoff);
+
+    for (const user of users) {
+      await this.anonymize(user);
+    }
+
+    return users.length;
+  }
+
+  /**
+   * Anonymise one account
+   * @param {Object} user - Soft deleted user record
+   * @returns {Promise<void>}
+   */
+  async anonymize(user) {
+    const transferredGroups = [];
+    const archivedGroups = [];
+
+    for (const group of await this.groupRepository.findByCreator(user.id)) {
+      const successor = await this.groupRepository.findSuccessor(
+        group.id,
+        user.id
+      );
+
+      if (successor) {
+        await this.groupRepository.transferOwnership(
+          group.id,
+          successor.userId
+        );
+        transferredGroups.push(group.id);
+      } else {
+        await this.groupRepository.softDelete(group.id);
+        archivedGroups.push(group.id);
+      }
+    }
+
+    // Export archives hold a full copy of the user's data
+    for (const dataExport of await this.dataExportRepository.findByUserId(
+      user.id
+    )) {
+      if (dataExport.filePath) {
+        await rm(dataExport.filePath, { force: true });
+      }
+    }
+
+    await this.userRepository.anonymize(user.id, {
+      email: `deleted-${user.id}@deleted.invalid`,
+      // Random bytes are never a valid bcrypt hash, so no password matches
+      passwordHash: crypto.randomBytes(32).toString('hex'),
+    });
+
+    await this.auditLogRepository.create({
+      userId: null,
+      action: 'account_anonymized',
+      entityType: 'user',
+      entityId: user.id,
+      metadata: {
+        deletedAt: user.deletedAt.toISOString(),
+        transferredGroups,
+        archivedGroups,
+      },
+    });
+  }
+}
+
+export default AccountDeletionService;
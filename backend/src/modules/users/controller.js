@@ -0,0 +1,95 @@
+/**
+ * User Controller
+ *
+ * HTTP handlers for the signed-in user's account (/api/v1/me).
+ */
+
+import asyncHandler from '../../utils/asyncHandler.js';
+import ApiResponse from '../../utils/response.js';
+import { HTTP_STATUS } from '../../types/index.js';
+import UserService from './service.js';
+import DataExportService, { toPublicExport } from './dataExportService.js';
+import AccountDeletionService from './accountDeletionService.js';
+
+const userService = new UserService();
+const dataExportService = new DataExportService();
+const accountDeletionService = new AccountDeletionService();
+
+/**
+ * PATCH /api/v1/me/settings
+ */
+export const updateSettings = asyncHandler(async (req, res) => {
+  const settings = await userService.updateSettings(req.user.id, req.body);
+  return ApiResponse.success(res, settings, 'Settings updated');
+});
+
+/**
+ * GET /api/v1/me/sessions
+ */
+export const listSessions = asyncHandler(async (req, res) => {
+  const sessions = await userService.listSessions(
+    req.user.id,
+    req.user.sessionId
+  );
+  return ApiResponse.success(res, sessions);
+});
+
+/**
+ * DELETE /api/v1/me/sessions/:id
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  await userService.revokeSession(req.user.id, req.params.id);
+  return ApiResponse.success(res, null, 'Session revoked');
+});
+
+/**
+ * POST /api/v1/me/exports
+ */
+export const requestExport = asyncHandler(async (req, res) => {
+  const dataExport = await dataExportService.requestExport(
+    req.user.id,
+    req.body.format
+  );
+  return ApiResponse.success(
+    res,
+    toPublicExport(dataExport),
+    'Your export is being prepared. You will be notified when it is ready',
+    HTTP_STATUS.ACCEPTED
+  );
+});
+
+/**
+ * GET /api/v1/me/exports
+ */
+export const listExports = asyncHandler(async (req, res) => {
+  const exports = await dataExportService.listExports(req.user.id);
+  return ApiResponse.success(res, exports.map(toPublicExport));
+});
+
+/**
+ * GET /api/v1/me/exports/:id/download
+ */
+export const downloadExport = asyncHandler(async (req, res) => {
+  const { filePath, fileName } = await dataExportService.getDownload(
+    req.user.id,
+    req.params.id
+  );
+  return res.download(filePath, fileName);
+});
+
+/**
+ * DELETE /api/v1/me
+ */
+export const deleteAccount = asyncHandler(async (req, res) => {
+  const result = await accountDeletionService.requestDeletion(
+    req.user.id,
+    req.body.password,
+    { ip: req.ip, userAgent: req.get('User-Agent') }
+  );
+  return ApiResponse.success(
+    res,
+    result,
+    'Your account is scheduled for deletion. Log in again before then to restore it',
+    HTTP_STATUS.ACCEPTED
+  );
+});
@@ -0,0 +1,219 @@
+/**
+ * Data Export Service
+ *
+ * Personal data exports for data-subject requests. Requests are queued and
+ * built by the data-export job into a single JSON document or a ZIP archive
+ * with one JSON file per domain. The user is notified once it is ready.
+ */
+
+import { createWriteStream } from 'fs';
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { join, resolve } from 'path';
+import archiver from 'archiver';
+import {
+  DataExportRepository,
+  NotificationRepository,
+} from '../../repositories/index.js';
+import { config } from '../../config/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Strip storage details from an export before returning it to clients
+ * @param {Object} dataExport - DataExport record
+ * @returns {Object} Public export fields
+ */
+export const toPublicExport = (dataExport) => ({
+  id: dataExport.id,
+  format: dataExport.format,
+  status: dataExport.status,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+});
+
+/**
+ * Write a ZIP archive with one JSON file per domain
+ * @param {string} filePath - Destination path
+ * @param {Object} files - File name to JSON value
+ * @returns {Promise<void>}
+ */
+const writeZip = (filePath, files) =>
+  new Promise((resolvePromise, reject) => {
+    const output = createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolvePromise);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    for (const [name, value] of Object.entries(files)) {
+      archive.append(JSON.stringify(value, null, 2), { name });
+    }
+
+    archive.finalize();
+  });
+
+class DataExportService {
+  constructor() {
+    this.dataExportRepository = new DataExportRepository();
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  /**
+   * Queue a new export. Only one export per user may be in progress.
+   * @param {string} userId - User ID
+   * @param {string} [format='zip'] - "json" or "zip"
+   * @returns {Promise<Object>} Queued export
+   */
+  async requestExport(userId, format = 'zip') {
+    if (await this.dataExportRepository.findInProgress(userId)) {
+      throw ApiError.conflict('An export is already being prepared');
+    }
+
+    return this.dataExportRepository.create({
+      userId,
+      format: format.toUpperCase(),
+    });
+  }
+
+  /**
+   * List a user's exports
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Exports, newest first
+   */
+  async listExports(userId) {
+    return this.dataExportRepository.findByUserId(userId);
+  }
+
+  /**
+   * Locate a ready export archive for download
+   * @param {string} userId - User ID
+   * @param {string} exportId - Export ID
+   * @returns {Promise<{ filePath: string, fileName: string }>} Archive location
+   */
+  async getDownload(userId, exportId) {
+    const dataExport = await this.dataExportRepository.findByIdForUser(
+      exportId,
+      userId
+    );
+
+    if (!dataExport) {
+      throw ApiError.notFound('Export not found');
+    }
+
+    if (
+      dataExport.status === 'EXPIRED' ||
+      (dataExport.expiresAt && dataExport.expiresAt <= new Date())
+    ) {
+      throw ApiError.notFound('Export has expired');
+    }
+
+    if (dataExport.status !== 'READY') {
+      throw ApiError.conflict('Export is not ready yet');
+    }
+
+    const extension = dataExport.format.toLowerCase();
+    return {
+      filePath: resolve(dataExport.filePath),
+      fileName: `anointed-export-${dataExport.createdAt.toISOString().slice(0, 10)}.${extension}`,
+    };
+  }
+
+  /**
+   * Build the oldest pending export, if any. Exports stuck in PROCESSING
+   * for longer than EXPORT_CLAIM_TIMEOUT_MINUTES are retried.
+   * @returns {Promise<boolean>} False when the queue is empty
+   */
+  async processNext() {
+    const dataExport = await this.dataExportRepository.claimNextPending(
+      new Date(Date.now() - config.exports.claimTimeoutMinutes * 60 * 1000)
+    );
+
+    if (!dataExport) {
+      return false;
+    }
+
+    try {
+      const filePath = await this.buildArchive(dataExport);
+      const expiresAt = new Date(
+        Date.now() + config.exports.ttlHours * 60 * 60 * 1000
+      );
+
+      await this.dataExportRepository.markReady(dataExport.id, {
+        filePath,
+        expiresAt,
+      });
+      await this.notificationRepository.create({
+        userId: dataExport.userId,
+        type: 'data_export_ready',
+        payload: {
+          exportId: dataExport.id,
+          format: dataExport.format,
+          expiresAt: expiresAt.toISOString(),
+        },
+      });
+
+      logger.info(`Data export ready: ${dataExport.id}`);
+    } catch (error) {
+      logger.error(`Data export ${dataExport.id} failed:`, error);
+      await this.dataExportRepository.markFailed(dataExport.id, error.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Collect the user's data and write it to the export directory
+   * @param {Object} dataExport - Claimed export
+   * @returns {Promise<string>} Path of the written file
+   */
+  async buildArchive(dataExport) {
+    const data = await this.dataExportRepository.collectUserData(
+      dataExport.userId
+    );
+    const manifest = {
+      exportId: dataExport.id,
+      userId: dataExport.userId,
+      exportedAt: new Date().toISOString(),
+      domains: Object.keys(data),
+    };
+
+    await mkdir(config.exports.dir, { recursive: true });
+
+    if (dataExport.format === 'JSON') {
+      const filePath = join(config.exports.dir, `${dataExport.id}.json`);
+      await writeFile(filePath, JSON.stringify({ manifest, ...data }, null, 2));
+      return filePath;
+    }
+
+    const files = { 'manifest.json': manifest };
+    for (const [domain, records] of Object.entries(data)) {
+      files[`${domain}.json`] = records;
+    }
+
+    const filePath = join(config.exports.dir, `${dataExport.id}.zip`);
+    await writeZip(filePath, files);
+    return filePath;
+  }
+
+  /**
+   * Delete archives whose download window has passed
+   * @returns {Promise<number>} Number of exports expired
+   */
+  async purgeExpired() {
+    const expired = await this.dataExportRepository.findExpired();
+
+    for (const dataExport of expired) {
+      if (dataExport.filePath) {
+        await rm(dataExport.filePath, { force: true });
+      }
+      await this.dataExportRepository.markExpired(dataExport.id);
+    }
+
+    return expired.length;
+  }
+}
+
+export default DataExportService;
@@ -0,0 +1,48 @@
+import { Router } from 'express';
+import validateRequest from '../../middleware/validateRequest.js';
+import authenticate from '../../middleware/authenticate.js';
+import * as userController from './controller.js';
+import {
+  sessionParamsSchema,
+  exportRequestSchema,
+  exportParamsSchema,
+  deleteAccountSchema,
+  updateSettingsSchema,
+} from './validation.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.delete(
+  '/',
+  validateRequest(deleteAccountSchema),
+  userController.deleteAccount
+);
+
+router.patch(
+  '/settings',
+  validateRequest(updateSettingsSchema),
+  userController.updateSettings
+);
+
+router.get('/sessions', userController.listSessions);
+router.delete(
+  '/sessions/:id',
+  validateRequest(sessionParamsSchema, 'params'),
+  userController.revokeSession
+);
+
+router.post(
+  '/exports',
+  validateRequest(exportRequestSchema),
+  userController.requestExport
+);
+router.get('/exports', userController.listExports);
+router.get(
+  '/exports/:id/download',
+  validateRequest(exportParamsSchema, 'params'),
+  userController.downloadExport
+);
+
+export default router;
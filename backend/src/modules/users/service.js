@@ -0,0 +1,116 @@
+/**
+ * User Service
+ *
+ * Account-level operations for the signed-in user.
+ */
+
+import {
+  RefreshTokenRepository,
+  DeviceRepository,
+  UserSettingsRepository,
+} from '../../repositories/index.js';
+import ApiError from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import LeaderboardService from '../leaderboards/service.js';
+
+const toSessionDevice = (device) => ({
+  id: device.id,
+  platform: device.platform,
+  lastSeenAt: device.lastSeenAt,
+});
+
+const toPublicSettings = (settings) => ({
+  bibleTranslation: settings.bibleTranslation,
+  denomination: settings.denomination,
+  quietTimeStart: settings.quietTimeStart,
+  quietTimeEnd: settings.quietTimeEnd,
+  pushOptIn: settings.pushOptIn,
+  leaderboardOptOut: settings.leaderboardOptOut,
+});
+
+class UserService {
+  constructor() {
+    this.refreshTokenRepository = new RefreshTokenRepository();
+    this.deviceRepository = new DeviceRepository();
+    this.userSettingsRepository = new UserSettingsRepository();
+    this.leaderboardService = new LeaderboardService();
+  }
+
+  /**
+   * List active sessions for a user. A session is one refresh token family,
+   * so its ID stays stable while the underlying token rotates.
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session of the calling access token
+   * @returns {Promise<Array>} Sessions with their device, newest first
+   */
+  async listSessions(userId, currentSessionId) {
+    const [tokens, devices] = await Promise.all([
+      this.refreshTokenRepository.findValidTokensByUserId(userId),
+      this.deviceRepository.findByUserId(userId),
+    ]);
+    const devicesById = new Map(devices.map((device) => [device.id, device]));
+
+    return tokens.map((token) => {
+      const device = devicesById.get(token.deviceId);
+
+      return {
+        id: token.familyId,
+        current: token.familyId === currentSessionId,
+        lastActiveAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        device: device ? toSessionDevice(device) : null,
+      };
+    });
+  }
+
+  /**
+   * Sign out one session and forget its device's push token
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session (refresh token family) ID
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, sessionId) {
+    const token = await this.refreshTokenRepository.findValidTokenByFamily(
+      userId,
+      sessionId
+    );
+
+    if (!token) {
+      throw ApiError.notFound('Session not found');
+    }
+
+    await this.refreshTokenRepository.revokeFamily(sessionId);
+
+    if (token.deviceId) {
+      await this.deviceRepository.delete(token.deviceId);
+    }
+
+    logger.info(`Session revoked for user: ${userId}, session: ${sessionId}`);
+  }
+
+  /**
+   * Update the user's settings. Changing leaderboardOptOut takes the user
+   * off the leaderboards or puts them back right away.
+   * @param {string} userId - User ID
+   * @param {Object} changes - Settings to change
+   * @param {boolean} [changes.leaderboardOptOut] - Hide the user from leaderboards
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSettings(userId, { leaderboardOptOut }) {
+    const previous = await this.userSettingsRepository.findByUserId(userId);
+    const settings = await this.userSettingsRepository.upsert(userId, {
+      leaderboardOptOut,
+    });
+
+    if (
+      leaderboardOptOut !== undefined &&
+      leaderboardOptOut !== (previous?.leaderboardOptOut ?? false)
+    ) {
+      await this.leaderboardService.syncVisibility(userId, leaderboardOptOut);
+    }
+
+    return toPublicSettings(settings);
+  }
+}
+
+export default UserService;
@@ -0,0 +1,25 @@
+/**
+ * User request validation schemas
+ */
+
+import Joi from 'joi';
+
+export const sessionParamsSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+export const exportRequestSchema = Joi.object({
+  format: Joi.string().valid('json', 'zip').insensitive(),
+});
+
+export const exportParamsSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+export const deleteAccountSchema = Joi.object({
+  password: Joi.string().required(),
+});
+
+export const updateSettingsSchema = Joi.object({
+  leaderboardOptOut: Joi.boolean().strict(),
+}).min(1);
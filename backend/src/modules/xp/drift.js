@@ -0,0 +1,48 @@
+/**
+ * XP Totals Drift
+ *
+ * Turns the per-column comparison of xp_totals against xp_events into a
+ * report keyed by Fruit, listing only the fruits that differ.
+ */
+
+import { FRUIT_COLUMNS } from '../../types/index.js';
+
+/**
+ * Describe how one user's totals drifted
+ * @param {Object} row - Drift row ({ userId, recorded, expected } by column)
+ * @returns {{ userId: string, fruits: Object }} Recorded and expected XP, and their difference, per drifted fruit
+ */
+export const describeDrift = ({ userId, recorded, expected }) => ({
+  userId,
+  fruits: Object.entries(FRUIT_COLUMNS).reduce((fruits, [fruit, column]) => {
+    if (recorded[column] === expected[column]) {
+      return fruits;
+    }
+
+    return {
+      ...fruits,
+      [fruit]: {
+        recorded: recorded[column],
+        expected: expected[column],
+        drift: expected[column] - recorded[column],
+      },
+    };
+  }, {}),
+});
+
+/**
+ * Total drift per fruit across users, every fruit present
+ * @param {Array} users - describeDrift results
+ * @returns {Object} Summed difference (expected minus recorded) per fruit
+ */
+export const summarizeDrift = (users) =>
+  Object.keys(FRUIT_COLUMNS).reduce(
+    (summary, fruit) => ({
+      ...summary,
+      [fruit]: users.reduce(
+        (sum, user) => sum + (user.fruits[fruit]?.drift ?? 0),
+        0
+      ),
+    }),
+    {}
+  );
@@ -0,0 +1,48 @@
+/**
+ * XP Reconciliation Service
+ *
+ * XpTotals are kept up to date by the update_xp_totals trigger, so they
+ * can drift after incidents or manual SQL fixes. Reconciling recomputes
+ * each user's totals from xp_events and reports the difference per fruit;
+ * a dry run only reports it, applying also rewrites the drifted rows.
+ * Used by the admin API and scripts/reconcile-xp-totals.js.
+ */
+
+import { XpTotalsRepository } from '../../repositories/index.js';
+import logger from '../../utils/logger.js';
+import { describeDrift, summarizeDrift } from './drift.js';
+
+class XpReconciliationService {
+  constructor() {
+    this.xpTotalsRepository = new XpTotalsRepository();
+  }
+
+  /**
+   * Compare XpTotals with xp_events and optionally repair them
+   * @param {Object} [options] - Reconciliation options
+   * @param {boolean} [options.apply=false] - Rewrite drifted totals
+   * @param {string} [options.userId] - Only reconcile this user
+   * @returns {Promise<Object>} Whether it was applied, drift per fruit and the drifted users
+   */
+  async reconcile({ apply = false, userId } = {}) {
+    const rows = apply
+      ? await this.xpTotalsRepository.repairDrift({ userId })
+      : await this.xpTotalsRepository.findDrift({ userId });
+
+    const users = rows.map(describeDrift);
+    if (users.length > 0) {
+      logger.warn(
+        `XP totals drift found for ${users.length} user(s)${apply ? ', repaired' : ''}`
+      );
+    }
+
+    return {
+      applied: apply,
+      driftedUsers: users.length,
+      drift: summarizeDrift(users),
+      users,
+    };
+  }
+}
+
+export default XpReconciliationService;
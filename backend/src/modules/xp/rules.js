@@ -0,0 +1,116 @@
+/**
+ * XP Rules
+ *
+ * Declarative table of the community actions that earn XP, the Fruit of
+ * the Spirit each one grows and how much of it. `dailyCap` limits the XP a
+ * user can earn from one action per UTC day and `cooldownSeconds` is the
+ * minimum gap between two awards for it, so repeating an action in bulk
+ * stops paying off.
+ */
+
+// Action names, stored as XpEvent.reason
+export const XP_ACTIONS = {
+  PRAYER_COMMIT: 'prayer_commit',
+  TESTIMONY_SHARED: 'testimony_shared',
+  TESTIMONY_COMMENT: 'testimony_comment',
+  MENTOR_SESSION_COMPLETED: 'mentor_session_completed',
+};
+
+// Reason of the events that claw back an award (see XpService.reverse)
+export const XP_REVERSAL_REASON = 'xp_reversal';
+
+export const XP_RULES = Object.freeze({
+  // Praying for someone else's request
+  [XP_ACTIONS.PRAYER_COMMIT]: {
+    fruit: 'FAITHFULNESS',
+    amount: 5,
+    dailyCap: 50,
+    cooldownSeconds: 30,
+    entityType: 'prayer_commit',
+  },
+  // Sharing a testimony post
+  [XP_ACTIONS.TESTIMONY_SHARED]: {
+    fruit: 'JOY',
+    amount: 10,
+    dailyCap: 20,
+    cooldownSeconds: 600,
+    entityType: 'post',
+  },
+  // Encouraging someone else's testimony
+  [XP_ACTIONS.TESTIMONY_COMMENT]: {
+    fruit: 'KINDNESS',
+    amount: 3,
+    dailyCap: 30,
+    cooldownSeconds: 60,
+    entityType: 'comment',
+  },
+  // Mentor and mentee both earn XP for a completed session
+  [XP_ACTIONS.MENTOR_SESSION_COMPLETED]: {
+    fruit: 'PATIENCE',
+    amount: 20,
+    dailyCap: 40,
+    cooldownSeconds: 0,
+    entityType: 'mentor_session',
+  },
+});
+
+/**
+ * Look up the rule for an action
+ * @param {string} action - XP_ACTIONS value
+ * @returns {Object} Rule
+ * @throws {Error} When the action has no rule
+ */
+export const getRule = (action) => {
+  const rule = XP_RULES[action];
+
+  if (!rule) {
+    throw new Error(`Unknown XP action: ${action}`);
+  }
+
+  return rule;
+};
+
+/**
+ * Key identifying one award, so the same action on the same entity never
+ * pays a user twice
+ * @param {string} action - XP_ACTIONS value
+ * @param {string} userId - Earning user ID
+ * @param {string} entityId - Triggering entity ID
+ * @returns {string} Idempotency key
+ */
+export const buildIdempotencyKey = (action, userId, entityId) =>
+  `${action}:${userId}:${entityId}`;
+
+/**
+ * Midnight UTC of the day containing `now`, when daily caps reset
+ * @param {Date} now - Current time
+ * @returns {Date} Start of the UTC day
+ */
+export const startOfUtcDay = (now) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+/**
+ * Decide how much XP an award may still pay. The last award before the cap
+ * is trimmed to what is left of it.
+ * @param {Object} rule - XP rule
+ * @param {Object} usage - The user's recent awards for the action
+ * @param {number} usage.earnedToday - XP earned from it since startOfUtcDay
+ * @param {Date|null} usage.lastAwardedAt - When it last paid out
+ * @param {Date} now - Current time
+ * @returns {{ amount: number, skipped: string|null }} Amount to award, or why nothing is
+ */
+export const applyLimits = (rule, { earnedToday, lastAwardedAt }, now) => {
+  if (
+    lastAwardedAt &&
+    now.getTime() - lastAwardedAt.getTime() < rule.cooldownSeconds * 1000
+  ) {
+    return { amount: 0, skipped: 'cooldown' };
+  }
+
+  const amount = Math.min(rule.amount, rule.dailyCap - earnedToday);
+  if (amount <= 0) {
+    return { amount: 0, skipped: 'daily_cap' };
+  }
+
+  return { amount, skipped: null };
+};
@@ -0,0 +1,149 @@
+/**
+ * XP Service
+ *
+ * Awards XP for community actions according to XP_RULES. Each award
+ * records the action as the event's reason and the triggering entity in
+ * its metadata, and is keyed by action, user and entity so replayed
+ * requests never pay twice. When that entity is deleted, by its author
+ * or by a moderator, or removed through moderation, its awards are
+ * cancelled by reversal events.
+ * Leaderboards are updated as events are written, and badges evaluated
+ * after awards.
+ */
+
+import { XpEventRepository } from '../../repositories/index.js';
+import logger from '../../utils/logger.js';
+import LeaderboardService from '../leaderboards/service.js';
+import AchievementService from '../achievements/service.js';
+import {
+  XP_REVERSAL_REASON,
+  getRule,
+  buildIdempotencyKey,
+  startOfUtcDay,
+  applyLimits,
+} from './rules.js';
+
+class XpService {
+  constructor() {
+    this.xpEventRepository = new XpEventRepository();
+    this.leaderboardService = new LeaderboardService();
+    this.achievementService = new AchievementService();
+  }
+
+  /**
+   * Award XP for an action. Awards are a side effect of the action, so a
+   * failure is logged instead of failing the caller's request.
+   * @param {string} userId - Earning user ID
+   * @param {string} action - XP_ACTIONS value
+   * @param {Object} source - What triggered the award
+   * @param {string} source.entityId - Triggering entity ID
+   * @param {Object} [source.metadata] - Extra context stored on the event
+   * @returns {Promise<{ event: Object|null, skipped: string|null }|null>} Award outcome, null on failure
+   */
+  async award(userId, action, { entityId, metadata = {} }) {
+    const rule = getRule(action);
+    const now = new Date();
+
+    try {
+      const result = await this.xpEventRepository.createWithinLimits(
+        {
+          userId,
+          fruit: rule.fruit,
+          reason: action,
+          idempotencyKey: buildIdempotencyKey(action, userId, entityId),
+          metadata: {
+            ...metadata,
+            action,
+            entityType: rule.entityType,
+            entityId,
+          },
+        },
+        startOfUtcDay(now),
+        (usage) => applyLimits(rule, usage, now)
+      );
+
+      if (result.skipped) {
+        logger.debug(
+          `XP for ${action} not awarded to user ${userId}: ${result.skipped}`
+        );
+      } else {
+        const { event } = result;
+        await this.leaderboardService.record([
+          {
+            id: event.id,
+            userId,
+            fruit: event.fruit,
+            amount: event.amount,
+            earnedAt: event.createdAt,
+          },
+        ]);
+      }
+
+      // Badges can count the action itself (e.g. prayers prayed for), so
+      // they are evaluated even when a cap or cooldown withheld the XP
+      if (result.skipped !== 'duplicate') {
+        await this.achievementService.evaluate(userId);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Error awarding XP for ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Claw back the XP awarded for a piece of content. Each award gets a
+   * reversal event with the negated amount, which the update_xp_totals
+   * trigger subtracts from XpTotals, and which is taken off the
+   * leaderboards of the periods the award was earned in. Repeating it
+   * reverses nothing more. It runs after the content is deleted, so like
+   * award() a failure is logged instead of failing the caller's request.
+   * @param {string} entityType - Rule entityType, e.g. "post" or "comment"
+   * @param {string} entityId - Entity ID
+   * @param {string} cause - Why the XP is taken back, e.g. "post_deleted"
+   * @returns {Promise<Array|null>} Reversal events, null on failure
+   */
+  async reverse(entityType, entityId, cause) {
+    const earnedAt = new Map();
+
+    try {
+      const reversals = await this.xpEventRepository.reverseForEntity(
+        entityType,
+        entityId,
+        (award) => {
+          earnedAt.set(award.id, award.createdAt);
+          return {
+            userId: award.userId,
+            fruit: award.fruit,
+            amount: -award.amount,
+            reason: XP_REVERSAL_REASON,
+            reversalOfId: award.id,
+            metadata: {
+              ...award.metadata,
+              reversedReason: award.reason,
+              cause,
+            },
+          };
+        }
+      );
+
+      await this.leaderboardService.record(
+        reversals.map((reversal) => ({
+          id: reversal.id,
+          userId: reversal.userId,
+          fruit: reversal.fruit,
+          amount: reversal.amount,
+          earnedAt: earnedAt.get(reversal.reversalOfId),
+        }))
+      );
+
+      return reversals;
+    } catch (error) {
+      logger.error(`Error reversing XP for ${entityType} ${entityId}:`, error);
+      return null;
+    }
+  }
+}
+
+export default XpService;
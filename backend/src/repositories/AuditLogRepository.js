@@ -0,0 +1,86 @@
+/**
+ * Audit Log Repository
+ *
+ * Handles all database operations for AuditLog model.
+ * Audit entries are append-only records of security relevant events.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class AuditLogRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a new audit log entry
+   * @param {Object} logData - Audit log data
+   * @param {string|null} logData.userId - Acting user ID (null for system)
+   * @param {string} logData.action - Action performed (e.g., "user_login")
+   * @param {string} logData.entityType - Type of entity affected
+   * @param {string} logData.entityId - ID of entity affected
+   * @param {Object} [logData.metadata] - Additional context
+   * @returns {Promise<Object>} Created audit log entry
+   */
+  async create(logData) {
+    try {
+      const entry = await this.prisma.auditLog.create({
+        data: logData,
+      });
+
+      logger.info(
+        `Audit log created: ${logData.action} on ${logData.entityType} ${logData.entityId}`
+      );
+      return entry;
+    } catch (error) {
+      logger.error('Error creating audit log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find audit log entries for an entity
+   * @param {string} entityType - Type of entity
+   * @param {string} entityId - Entity ID
+   * @returns {Promise<Array>} Audit log entries, newest first
+   */
+  async findByEntity(entityType, entityId) {
+    try {
+      return await this.prisma.auditLog.findMany({
+        where: { entityType, entityId },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error finding audit logs by entity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find audit log entries for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Audit log entries, newest first
+   */
+  async findByUserId(userId, options = {}) {
+    try {
+      const { skip = 0, take = 50, action } = options;
+
+      return await this.prisma.auditLog.findMany({
+        where: {
+          userId,
+          ...(action && { action }),
+        },
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error finding audit logs by user ID:', error);
+      throw error;
+    }
+  }
+}
+
+export default AuditLogRepository;
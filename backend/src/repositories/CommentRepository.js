@@ -0,0 +1,209 @@
+/**
+ * Comment Repository
+ *
+ * Handles all database operations for the Comment model.
+ * Post comment counts are kept in sync by database triggers.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+const commentInclude = {
+  user: { select: { id: true, displayName: true, avatarUrl: true } },
+};
+
+class CommentRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a comment
+   * @param {Object} commentData - Comment data
+   * @param {string} commentData.postId - Post ID
+   * @param {string} commentData.userId - Author user ID
+   * @param {string} commentData.content - Comment body
+   * @param {string} [commentData.parentId] - Comment being replied to
+   * @param {number} [commentData.depth] - Nesting depth, 0 for top-level
+   * @returns {Promise<Object>} Created comment with author
+   */
+  async create(commentData) {
+    try {
+      const comment = await this.prisma.comment.create({
+        data: commentData,
+        include: commentInclude,
+      });
+
+      logger.info(
+        `Comment created: ${comment.id} on post ${commentData.postId}`
+      );
+      return comment;
+    } catch (error) {
+      logger.error('Error creating comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a comment on a post that has not been soft deleted
+   * @param {string} postId - Post ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object|null>} Comment with author, or null
+   */
+  async findByIdOnPost(postId, id) {
+    try {
+      return await this.prisma.comment.findFirst({
+        where: { id, postId, deletedAt: null },
+        include: commentInclude,
+      });
+    } catch (error) {
+      logger.error('Error finding comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List comments on a post, oldest first
+   * @param {string} postId - Post ID
+   * @param {Object} options - Query options
+   * @param {number} [options.skip=0] - Records to skip
+   * @param {number} [options.take=50] - Records to return
+   * @returns {Promise<{ comments: Array, total: number }>} Page of comments
+   */
+  async findByPost(postId, options = {}) {
+    try {
+      const { skip = 0, take = 50 } = options;
+      const where = { postId, deletedAt: null };
+
+      const [comments, total] = await this.prisma.$transaction([
+        this.prisma.comment.findMany({
+          where,
+          include: commentInclude,
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+          skip,
+          take,
+        }),
+        this.prisma.comment.count({ where }),
+      ]);
+
+      return { comments, total };
+    } catch (error) {
+      logger.error('Error finding comments by post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a post's top-level comments, oldest first. Soft deleted ones are
+   * included while they still have replies, as thread placeholders.
+   * @param {string} postId - Post ID
+   * @param {Object} options - Query options
+   * @param {number} [options.skip=0] - Records to skip
+   * @param {number} [options.take=20] - Records to return
+   * @returns {Promise<{ comments: Array, total: number }>} Page of comments
+   */
+  async findTopLevelByPost(postId, options = {}) {
+    try {
+      const { skip = 0, take = 20 } = options;
+      const where = {
+        postId,
+        parentId: null,
+        OR: [{ deletedAt: null }, { replies: { some: {} } }],
+      };
+
+      const [comments, total] = await this.prisma.$transaction([
+        this.prisma.comment.findMany({
+          where,
+          include: commentInclude,
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+          skip,
+          take,
+        }),
+        this.prisma.comment.count({ where }),
+      ]);
+
+      return { comments, total };
+    } catch (error) {
+      logger.error('Error finding top-level comments by post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load comments on a post and every reply below them, soft deleted ones
+   * included, oldest first. Replies are fetched one nesting level at a
+   * time. Used to assemble reply threads.
+   * @param {string} postId - Post ID
+   * @param {Array<string>} rootIds - Comments whose threads to load
+   * @returns {Promise<Array>} The comments and their replies, with author
+   */
+  async findThreads(postId, rootIds) {
+    try {
+      const comments = await this.prisma.comment.findMany({
+        where: { postId, id: { in: rootIds } },
+        include: commentInclude,
+      });
+
+      let parentIds = comments.map((comment) => comment.id);
+      while (parentIds.length > 0) {
+        const replies = await this.prisma.comment.findMany({
+          where: { postId, parentId: { in: parentIds } },
+          include: commentInclude,
+        });
+        comments.push(...replies);
+        parentIds = replies.map((reply) => reply.id);
+      }
+
+      return comments.sort(
+        (a, b) => a.createdAt - b.createdAt || a.id.localeCompare(b.id)
+      );
+    } catch (error) {
+      logger.error('Error finding comment threads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a comment
+   * @param {string} id - Comment ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated comment with author
+   */
+  async update(id, updateData) {
+    try {
+      const comment = await this.prisma.comment.update({
+        where: { id },
+        data: updateData,
+        include: commentInclude,
+      });
+
+      logger.info(`Comment updated: ${id}`);
+      return comment;
+    } catch (error) {
+      logger.error('Error updating comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a comment
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object>} Updated comment
+   */
+  async softDelete(id) {
+    try {
+      const comment = await this.prisma.comment.update({
+        where: { id },
+        data: { deletedAt: new Date() },
+      });
+
+      logger.info(`Comment soft deleted: ${id}`);
+      return comment;
+    } catch (error) {
+      logger.error('Error soft deleting comment:', error);
+      throw error;
+    }
+  }
+}
+
+export default CommentRepository;
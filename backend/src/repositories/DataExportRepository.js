@@ -0,0 +1,286 @@
+/**
+ * Data Export Repository
+ *
+ * Handles all database operations for DataExport model, and gathers every
+ * record tied to a user for personal data exports.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class DataExportRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a pending export
+   * @param {Object} exportData - Export data
+   * @param {string} exportData.userId - User ID
+   * @param {string} exportData.format - "JSON" or "ZIP"
+   * @returns {Promise<Object>} Created export
+   */
+  async create(exportData) {
+    try {
+      const dataExport = await this.prisma.dataExport.create({
+        data: exportData,
+      });
+
+      logger.info(`Data export requested for user: ${exportData.userId}`);
+      return dataExport;
+    } catch (error) {
+      logger.error('Error creating data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an export belonging to a user
+   * @param {string} id - Export ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Export or null
+   */
+  async findByIdForUser(id, userId) {
+    try {
+      return await this.prisma.dataExport.findFirst({
+        where: { id, userId },
+      });
+    } catch (error) {
+      logger.error('Error finding data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's exports, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Exports
+   */
+  async findByUserId(userId) {
+    try {
+      return await this.prisma.dataExport.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error finding data exports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an export that is still queued or being built
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Export or null
+   */
+  async findInProgress(userId) {
+    try {
+      return await this.prisma.dataExport.findFirst({
+        where: { userId, status: { in: ['PENDING', 'PROCESSING'] } },
+      });
+    } catch (error) {
+      logger.error('Error finding in-progress data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the oldest pending export, or one whose claim went stale because
+   * its worker died mid-build. The conditional update makes sure two
+   * workers never build the same export.
+   * @param {Date} staleBefore - PROCESSING exports last touched before this are claimed again
+   * @returns {Promise<Object|null>} Claimed export or null when none are queued
+   */
+  async claimNextPending(staleBefore) {
+    try {
+      const next = await this.prisma.dataExport.findFirst({
+        where: {
+          OR: [
+            { status: 'PENDING' },
+            { status: 'PROCESSING', updatedAt: { lt: staleBefore } },
+          ],
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      if (!next) {
+        return null;
+      }
+
+      // updatedAt changes with every claim, so only one worker wins
+      const { count } = await this.prisma.dataExport.updateMany({
+        where: { id: next.id, status: next.status, updatedAt: next.updatedAt },
+        data: { status: 'PROCESSING' },
+      });
+
+      if (count !== 1) {
+        return null;
+      }
+
+      if (next.status === 'PROCESSING') {
+        logger.warn(`Reclaimed stale data export: ${next.id}`);
+      }
+      return { ...next, status: 'PROCESSING' };
+    } catch (error) {
+      logger.error('Error claiming data export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an export as ready to download
+   * @param {string} id - Export ID
+   * @param {Object} data - Completion data
+   * @param {string} data.filePath - Archive location
+   * @param {Date} data.expiresAt - Download expiry
+   * @returns {Promise<Object>} Updated export
+   */
+  async markReady(id, { filePath, expiresAt }) {
+    try {
+      return await this.prisma.dataExport.update({
+        where: { id },
+        data: { status: 'READY', filePath, expiresAt, completedAt: new Date() },
+      });
+    } catch (error) {
+      logger.error('Error marking data export ready:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an export as failed
+   * @param {string} id - Export ID
+   * @param {string} message - Failure reason
+   * @returns {Promise<Object>} Updated export
+   */
+  async markFailed(id, message) {
+    try {
+      return await this.prisma.dataExport.update({
+        where: { id },
+        data: { status: 'FAILED', error: message, completedAt: new Date() },
+      });
+    } catch (error) {
+      logger.error('Error marking data export failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find ready exports whose download window has passed
+   * @returns {Promise<Array>} Expired exports
+   */
+  async findExpired() {
+    try {
+      return await this.prisma.dataExport.findMany({
+        where: { status: 'READY', expiresAt: { lte: new Date() } },
+      });
+    } catch (error) {
+      logger.error('Error finding expired data exports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an export as expired once its archive is removed
+   * @param {string} id - Export ID
+   * @returns {Promise<Object>} Updated export
+   */
+  async markExpired(id) {
+    try {
+      return await this.prisma.dataExport.update({
+        where: { id },
+        data: { status: 'EXPIRED', filePath: null },
+      });
+    } catch (error) {
+      logger.error('Error marking data export expired:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gather everything tied to a user, keyed by domain. Credentials and
+   * security tokens are deliberately left out.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Records per domain
+   */
+  async collectUserData(userId) {
+    try {
+      const byUser = { where: { userId } };
+      const [
+        profile,
+        settings,
+        devices,
+        posts,
+        comments,
+        reactions,
+        prayers,
+        prayerCommits,
+        xpEvents,
+        xpTotals,
+        streaks,
+        badges,
+        eventRsvps,
+        mentorships,
+        notifications,
+        aiResponses,
+      ] = await Promise.all([
+        this.prisma.user.findUnique({
+          where: { id: userId },
+          select: {
+            id: true,
+            email: true,
+            displayName: true,
+            avatarUrl: true,
+            tz: true,
+            role: true,
+            emailVerifiedAt: true,
+            createdAt: true,
+            updatedAt: true,
+          },
+        }),
+        this.prisma.userSettings.findUnique(byUser),
+        this.prisma.device.findMany(byUser),
+        this.prisma.post.findMany(byUser),
+        this.prisma.comment.findMany(byUser),
+        this.prisma.reaction.findMany(byUser),
+        this.prisma.prayer.findMany(byUser),
+        this.prisma.prayerCommit.findMany(byUser),
+        this.prisma.xpEvent.findMany(byUser),
+        this.prisma.xpTotals.findUnique(byUser),
+        this.prisma.streak.findMany(byUser),
+        this.prisma.userBadge.findMany(byUser),
+        this.prisma.eventRsvp.findMany(byUser),
+        this.prisma.mentorship.findMany({
+          where: { OR: [{ mentorId: userId }, { menteeId: userId }] },
+          include: { sessions: true },
+        }),
+        this.prisma.notification.findMany(byUser),
+        this.prisma.aIResponse.findMany(byUser),
+      ]);
+
+      return {
+        profile,
+        settings,
+        devices,
+        posts,
+        comments,
+        reactions,
+        prayers,
+        prayer_commits: prayerCommits,
+        xp_events: xpEvents,
+        xp_totals: xpTotals,
+        streaks,
+        badges,
+        event_rsvps: eventRsvps,
+        mentorships,
+        notifications,
+        ai_responses: aiResponses,
+      };
+    } catch (error) {
+      logger.error('Error collecting user data for export:', error);
+      throw error;
+    }
+  }
+}
+
+export default DataExportRepository;
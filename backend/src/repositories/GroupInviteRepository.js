@@ -0,0 +1,165 @@
+/**
+ * Group Invite Repository
+ *
+ * Handles all database operations for the GroupInvite model.
+ * Only the hash of an invite token is stored.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class GroupInviteRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create an invite
+   * @param {Object} inviteData - Invite data
+   * @param {string} inviteData.groupId - Group ID
+   * @param {string} inviteData.createdBy - Inviting user ID
+   * @param {string} inviteData.tokenHash - Hashed invite token
+   * @param {Date} inviteData.expiresAt - Expiration date
+   * @param {string} [inviteData.email] - Invitee email for direct invites
+   * @param {number} [inviteData.maxUses] - Use limit, null for unlimited
+   * @returns {Promise<Object>} Created invite
+   */
+  async create(inviteData) {
+    try {
+      const invite = await this.prisma.groupInvite.create({
+        data: inviteData,
+      });
+
+      logger.info(
+        `Group invite created: ${invite.id} for group ${inviteData.groupId}`
+      );
+      return invite;
+    } catch (error) {
+      logger.error('Error creating group invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an invite by token hash, including its group
+   * @param {string} tokenHash - Hashed invite token
+   * @returns {Promise<Object|null>} Invite or null
+   */
+  async findByTokenHash(tokenHash) {
+    try {
+      return await this.prisma.groupInvite.findUnique({
+        where: { tokenHash },
+        include: { group: true },
+      });
+    } catch (error) {
+      logger.error('Error finding group invite by token hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an invite within a group
+   * @param {string} groupId - Group ID
+   * @param {string} id - Invite ID
+   * @returns {Promise<Object|null>} Invite or null
+   */
+  async findByIdInGroup(groupId, id) {
+    try {
+      return await this.prisma.groupInvite.findFirst({
+        where: { id, groupId },
+      });
+    } catch (error) {
+      logger.error('Error finding group invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List invites of a group that can still be used, newest first
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} Active invites
+   */
+  async findActiveByGroup(groupId) {
+    try {
+      return await this.prisma.groupInvite.findMany({
+        where: {
+          groupId,
+          revokedAt: null,
+          expiresAt: { gt: new Date() },
+          OR: [
+            { maxUses: null },
+            { useCount: { lt: this.prisma.groupInvite.fields.maxUses } },
+          ],
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error finding active group invites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume one use of an invite and add the user to its group. The use is
+   * claimed with a conditional update so a single-use link cannot be
+   * redeemed twice.
+   * @param {string} id - Invite ID
+   * @param {string} userId - Redeeming user ID
+   * @returns {Promise<boolean>} False when the invite is no longer usable
+   */
+  async redeem(id, userId) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const { count } = await tx.groupInvite.updateMany({
+          where: {
+            id,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+            OR: [
+              { maxUses: null },
+              { useCount: { lt: tx.groupInvite.fields.maxUses } },
+            ],
+          },
+          data: { useCount: { increment: 1 } },
+        });
+
+        if (count === 0) {
+          return false;
+        }
+
+        const invite = await tx.groupInvite.findUnique({ where: { id } });
+        await tx.groupMember.create({
+          data: { groupId: invite.groupId, userId },
+        });
+
+        logger.info(`Group invite ${id} redeemed by user ${userId}`);
+        return true;
+      });
+    } catch (error) {
+      logger.error('Error redeeming group invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an invite
+   * @param {string} id - Invite ID
+   * @returns {Promise<Object>} Updated invite
+   */
+  async revoke(id) {
+    try {
+      const invite = await this.prisma.groupInvite.update({
+        where: { id },
+        data: { revokedAt: new Date() },
+      });
+
+      logger.info(`Group invite revoked: ${id}`);
+      return invite;
+    } catch (error) {
+      logger.error('Error revoking group invite:', error);
+      throw error;
+    }
+  }
+}
+
+export default GroupInviteRepository;
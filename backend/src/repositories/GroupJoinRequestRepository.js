@@ -0,0 +1,191 @@
+/**
+ * Group Join Request Repository
+ *
+ * Handles all database operations for the GroupJoinRequest model.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+const requesterSelect = {
+  select: { id: true, displayName: true, avatarUrl: true },
+};
+
+class GroupJoinRequestRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a pending join request
+   * @param {Object} requestData - Join request data
+   * @param {string} requestData.groupId - Group ID
+   * @param {string} requestData.userId - Requesting user ID
+   * @param {string} [requestData.message] - Note for the group staff
+   * @returns {Promise<Object>} Created join request
+   */
+  async create(requestData) {
+    try {
+      const request = await this.prisma.groupJoinRequest.create({
+        data: requestData,
+        include: { user: requesterSelect },
+      });
+
+      logger.info(
+        `Join request created: ${request.id} for group ${requestData.groupId}`
+      );
+      return request;
+    } catch (error) {
+      logger.error('Error creating group join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a join request within a group
+   * @param {string} groupId - Group ID
+   * @param {string} id - Join request ID
+   * @returns {Promise<Object|null>} Join request or null
+   */
+  async findByIdInGroup(groupId, id) {
+    try {
+      return await this.prisma.groupJoinRequest.findFirst({
+        where: { id, groupId },
+        include: { user: requesterSelect },
+      });
+    } catch (error) {
+      logger.error('Error finding group join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's open request for a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Pending join request or null
+   */
+  async findPending(groupId, userId) {
+    try {
+      return await this.prisma.groupJoinRequest.findFirst({
+        where: { groupId, userId, status: 'PENDING' },
+      });
+    } catch (error) {
+      logger.error('Error finding pending group join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List join requests for a group, oldest first
+   * @param {string} groupId - Group ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status='PENDING'] - Request status
+   * @param {number} [options.skip=0] - Records to skip
+   * @param {number} [options.take=20] - Records to return
+   * @returns {Promise<{ requests: Array, total: number }>} Page of requests
+   */
+  async findByGroup(groupId, options = {}) {
+    try {
+      const { status = 'PENDING', skip = 0, take = 20 } = options;
+      const where = { groupId, status, user: { deletedAt: null } };
+
+      const [requests, total] = await this.prisma.$transaction([
+        this.prisma.groupJoinRequest.findMany({
+          where,
+          include: { user: requesterSelect },
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+          skip,
+          take,
+        }),
+        this.prisma.groupJoinRequest.count({ where }),
+      ]);
+
+      return { requests, total };
+    } catch (error) {
+      logger.error('Error finding group join requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending request and add the requester as a member. Only one
+   * reviewer can win when two decide at the same time.
+   * @param {string} id - Join request ID
+   * @param {string} reviewerId - Reviewing user ID
+   * @returns {Promise<Object|null>} Approved request, or null when it was no longer pending
+   */
+  async approve(id, reviewerId) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const { count } = await tx.groupJoinRequest.updateMany({
+          where: { id, status: 'PENDING' },
+          data: {
+            status: 'APPROVED',
+            reviewedBy: reviewerId,
+            reviewedAt: new Date(),
+          },
+        });
+
+        if (count === 0) {
+          return null;
+        }
+
+        const request = await tx.groupJoinRequest.findUnique({
+          where: { id },
+          include: { user: requesterSelect },
+        });
+        await tx.groupMember.upsert({
+          where: {
+            groupId_userId: {
+              groupId: request.groupId,
+              userId: request.userId,
+            },
+          },
+          create: { groupId: request.groupId, userId: request.userId },
+          update: {},
+        });
+
+        logger.info(`Join request approved: ${id}`);
+        return request;
+      });
+    } catch (error) {
+      logger.error('Error approving group join request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending request
+   * @param {string} id - Join request ID
+   * @param {string} reviewerId - Reviewing user ID
+   * @returns {Promise<Object|null>} Rejected request, or null when it was no longer pending
+   */
+  async reject(id, reviewerId) {
+    try {
+      const { count } = await this.prisma.groupJoinRequest.updateMany({
+        where: { id, status: 'PENDING' },
+        data: {
+          status: 'REJECTED',
+          reviewedBy: reviewerId,
+          reviewedAt: new Date(),
+        },
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      logger.info(`Join request rejected: ${id}`);
+      return await this.prisma.groupJoinRequest.findUnique({
+        where: { id },
+        include: { user: requesterSelect },
+      });
+    } catch (error) {
+      logger.error('Error rejecting group join request:', error);
+      throw error;
+    }
+  }
+}
+
+export default GroupJoinRequestRepository;
@@ -0,0 +1,228 @@
+/**
+ * Group Member Repository
+ *
+ * Handles all database operations for the GroupMember model.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Lock a group's admin memberships and check whether a user is the only
+ * one. Must run inside a transaction.
+ * @param {Object} tx - Transaction client
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True when the user is the group's last admin
+ */
+const isLastAdmin = async (tx, groupId, userId) => {
+  const admins = await tx.$queryRaw`
+    SELECT user_id AS "userId"
+    FROM group_members
+    WHERE group_id = ${groupId}::uuid AND role = 'ADMIN'
+    FOR UPDATE
+  `;
+
+  return admins.length === 1 && admins[0].userId === userId;
+};
+
+class GroupMemberRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Find a user's membership in a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Membership or null
+   */
+  async findMembership(groupId, userId) {
+    try {
+      return await this.prisma.groupMember.findUnique({
+        where: { groupId_userId: { groupId, userId } },
+      });
+    } catch (error) {
+      logger.error('Error finding group membership:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a user to a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @param {string} [role='MEMBER'] - Group role
+   * @returns {Promise<Object>} Created membership
+   */
+  async create(groupId, userId, role = 'MEMBER') {
+    try {
+      const membership = await this.prisma.groupMember.create({
+        data: { groupId, userId, role },
+      });
+
+      logger.info(`User ${userId} joined group ${groupId} as ${role}`);
+      return membership;
+    } catch (error) {
+      logger.error('Error creating group membership:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role, unless that demotes the group's last admin.
+   * The group's admin rows are locked first, so concurrent demotions and
+   * removals wait for each other and see each other's result.
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @param {string} role - New group role
+   * @returns {Promise<Object|null>} Updated membership, null when the member is the last admin
+   */
+  async updateRole(groupId, userId, role) {
+    try {
+      const membership = await this.prisma.$transaction(async (tx) => {
+        if (role !== 'ADMIN' && (await isLastAdmin(tx, groupId, userId))) {
+          return null;
+        }
+
+        return tx.groupMember.update({
+          where: { groupId_userId: { groupId, userId } },
+          data: { role },
+        });
+      });
+
+      if (membership) {
+        logger.info(`User ${userId} is now ${role} in group ${groupId}`);
+      }
+      return membership;
+    } catch (error) {
+      logger.error('Error updating group member role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from a group, unless they are its last admin. Locks
+   * the admin rows like updateRole().
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Deleted membership, null when the member is the last admin
+   */
+  async delete(groupId, userId) {
+    try {
+      const membership = await this.prisma.$transaction(async (tx) => {
+        if (await isLastAdmin(tx, groupId, userId)) {
+          return null;
+        }
+
+        return tx.groupMember.delete({
+          where: { groupId_userId: { groupId, userId } },
+        });
+      });
+
+      if (membership) {
+        logger.info(`User ${userId} removed from group ${groupId}`);
+      }
+      return membership;
+    } catch (error) {
+      logger.error('Error deleting group membership:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Narrow a list of users down to those who belong to a group
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} userIds - Candidate user IDs
+   * @returns {Promise<Array<string>>} IDs of members
+   */
+  async filterMemberIds(groupId, userIds) {
+    try {
+      const members = await this.prisma.groupMember.findMany({
+        where: { groupId, userId: { in: userIds } },
+        select: { userId: true },
+      });
+
+      return members.map((member) => member.userId);
+    } catch (error) {
+      logger.error('Error filtering group members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of every member of a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async findMemberIds(groupId) {
+    try {
+      const members = await this.prisma.groupMember.findMany({
+        where: { groupId },
+        select: { userId: true },
+      });
+
+      return members.map((member) => member.userId);
+    } catch (error) {
+      logger.error('Error finding group member IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of a group's admins and moderators
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async findStaffIds(groupId) {
+    try {
+      const staff = await this.prisma.groupMember.findMany({
+        where: { groupId, role: { in: ['ADMIN', 'MODERATOR'] } },
+        select: { userId: true },
+      });
+
+      return staff.map((member) => member.userId);
+    } catch (error) {
+      logger.error('Error finding group staff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List members of a group, admins first, then by join date
+   * @param {string} groupId - Group ID
+   * @param {Object} options - Query options
+   * @param {number} [options.skip=0] - Records to skip
+   * @param {number} [options.take=50] - Records to return
+   * @returns {Promise<{ members: Array, total: number }>} Page of members
+   */
+  async findMembers(groupId, options = {}) {
+    try {
+      const { skip = 0, take = 50 } = options;
+      const where = { groupId, user: { deletedAt: null } };
+
+      const [members, total] = await this.prisma.$transaction([
+        this.prisma.groupMember.findMany({
+          where,
+          include: {
+            user: {
+              select: { id: true, displayName: true, avatarUrl: true },
+            },
+          },
+          // GroupMemberRole is declared ADMIN, MODERATOR, MEMBER
+          orderBy: [{ role: 'asc' }, { joinedAt: 'asc' }],
+          skip,
+          take,
+        }),
+        this.prisma.groupMember.count({ where }),
+      ]);
+
+      return { members, total };
+    } catch (error) {
+      logger.error('Error finding group members:', error);
+      throw error;
+    }
+  }
+}
+
+export default GroupMemberRepository;
@@ -0,0 +1,208 @@
+/**
+ * Group Repository
+ *
+ * Handles all database operations for Group model including soft deletes.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class GroupRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a group with its creator as the first admin
+   * @param {Object} groupData - Group data
+   * @param {string} groupData.createdBy - Creator user ID
+   * @returns {Promise<Object>} Created group with member count
+   */
+  async create(groupData) {
+    try {
+      const group = await this.prisma.group.create({
+        data: {
+          ...groupData,
+          members: { create: { userId: groupData.createdBy, role: 'ADMIN' } },
+        },
+        include: { _count: { select: { members: true } } },
+      });
+
+      logger.info(`Group created: ${group.id}`);
+      return group;
+    } catch (error) {
+      logger.error('Error creating group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find group by ID (excluding soft deleted)
+   * @param {string} id - Group ID
+   * @returns {Promise<Object|null>} Group with member count, or null
+   */
+  async findById(id) {
+    try {
+      return await this.prisma.group.findFirst({
+        where: { id, deletedAt: null },
+        include: { _count: { select: { members: true } } },
+      });
+    } catch (error) {
+      logger.error('Error finding group by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update group
+   * @param {string} id - Group ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated group with member count
+   */
+  async update(id, updateData) {
+    try {
+      const group = await this.prisma.group.update({
+        where: { id },
+        data: updateData,
+        include: { _count: { select: { members: true } } },
+      });
+
+      logger.info(`Group updated: ${id}`);
+      return group;
+    } catch (error) {
+      logger.error('Error updating group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List groups visible to a user: every public group plus private groups
+   * they belong to (excluding soft deleted)
+   * @param {string} userId - Viewing user ID
+   * @param {Object} options - Query options
+   * @param {string} [options.q] - Case-insensitive name filter
+   * @param {boolean} [options.mine] - Only groups the user belongs to
+   * @param {number} [options.skip=0] - Records to skip
+   * @param {number} [options.take=20] - Records to return
+   * @returns {Promise<{ groups: Array, total: number }>} Page of groups
+   */
+  async findVisible(userId, options = {}) {
+    try {
+      const { q, mine = false, skip = 0, take = 20 } = options;
+      const isMember = { members: { some: { userId } } };
+      const where = {
+        deletedAt: null,
+        ...(q && { name: { contains: q, mode: 'insensitive' } }),
+        ...(mine ? isMember : { OR: [{ privacy: 'PUBLIC' }, isMember] }),
+      };
+
+      const [groups, total] = await this.prisma.$transaction([
+        this.prisma.group.findMany({
+          where,
+          include: {
+            _count: { select: { members: true } },
+            members: { where: { userId }, select: { role: true } },
+          },
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take,
+        }),
+        this.prisma.group.count({ where }),
+      ]);
+
+      return { groups, total };
+    } catch (error) {
+      logger.error('Error finding visible groups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find groups created by a user (excluding soft deleted)
+   * @param {string} userId - Creator user ID
+   * @returns {Promise<Array>} Groups
+   */
+  async findByCreator(userId) {
+    try {
+      return await this.prisma.group.findMany({
+        where: { createdBy: userId, deletedAt: null },
+      });
+    } catch (error) {
+      logger.error('Error finding groups by creator:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the member who should take over a group: the most senior role
+   * first, then whoever joined earliest
+   * @param {string} groupId - Group ID
+   * @param {string} excludeUserId - Departing owner
+   * @returns {Promise<Object|null>} Membership or null when nobody is left
+   */
+  async findSuccessor(groupId, excludeUserId) {
+    try {
+      return await this.prisma.groupMember.findFirst({
+        where: {
+          groupId,
+          userId: { not: excludeUserId },
+          user: { deletedAt: null },
+        },
+        // GroupMemberRole is declared ADMIN, MODERATOR, MEMBER
+        orderBy: [{ role: 'asc' }, { joinedAt: 'asc' }],
+      });
+    } catch (error) {
+      logger.error('Error finding group successor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a group to a new owner, who becomes a group admin
+   * @param {string} groupId - Group ID
+   * @param {string} userId - New owner user ID
+   * @returns {Promise<Object>} Updated group
+   */
+  async transferOwnership(groupId, userId) {
+    try {
+      const [group] = await this.prisma.$transaction([
+        this.prisma.group.update({
+          where: { id: groupId },
+          data: { createdBy: userId },
+        }),
+        this.prisma.groupMember.update({
+          where: { groupId_userId: { groupId, userId } },
+          data: { role: 'ADMIN' },
+        }),
+      ]);
+
+      logger.info(`Group ${groupId} transferred to user: ${userId}`);
+      return group;
+    } catch (error) {
+      logger.error('Error transferring group ownership:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a group
+   * @param {string} id - Group ID
+   * @returns {Promise<Object>} Archived group
+   */
+  async softDelete(id) {
+    try {
+      const group = await this.prisma.group.update({
+        where: { id },
+        data: { deletedAt: new Date() },
+      });
+
+      logger.info(`Group soft deleted: ${id}`);
+      return group;
+    } catch (error) {
+      logger.error('Error soft deleting group:', error);
+      throw error;
+    }
+  }
+}
+
+export default GroupRepository;
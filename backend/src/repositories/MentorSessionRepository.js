@@ -0,0 +1,56 @@
+/**
+ * Mentor Session Repository
+ *
+ * Handles all database operations for the MentorSession model.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class MentorSessionRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Find a session with its mentorship
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>} Session, or null
+   */
+  async findById(id) {
+    try {
+      return await this.prisma.mentorSession.findUnique({
+        where: { id },
+        include: { mentorship: true },
+      });
+    } catch (error) {
+      logger.error('Error finding mentor session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a session completed, unless it already is. Only one of two
+   * concurrent completions succeeds.
+   * @param {string} id - Session ID
+   * @param {Object} data - Fields to set with completedAt (notes)
+   * @returns {Promise<Object|null>} Completed session, or null when it was already completed
+   */
+  async complete(id, data) {
+    try {
+      const { count } = await this.prisma.mentorSession.updateMany({
+        where: { id, completedAt: null },
+        data,
+      });
+
+      return count === 0
+        ? null
+        : await this.prisma.mentorSession.findUnique({ where: { id } });
+    } catch (error) {
+      logger.error('Error completing mentor session:', error);
+      throw error;
+    }
+  }
+}
+
+export default MentorSessionRepository;
@@ -0,0 +1,36 @@
+/**
+ * Moderation Action Repository
+ *
+ * Handles all database operations for the ModerationAction model, the
+ * record of what moderators did to content and users.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class ModerationActionRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Record a moderation action
+   * @param {Object} actionData - Action data
+   * @param {string} actionData.entityType - Type of entity moderated (e.g., "post")
+   * @param {string} actionData.entityId - ID of entity moderated
+   * @param {string} actionData.actorId - Moderating user ID
+   * @param {string} actionData.action - ModerationActionType
+   * @param {string|null} [actionData.notes] - Why the action was taken
+   * @returns {Promise<Object>} Created moderation action
+   */
+  async create(actionData) {
+    try {
+      return await this.prisma.moderationAction.create({ data: actionData });
+    } catch (error) {
+      logger.error('Error creating moderation action:', error);
+      throw error;
+    }
+  }
+}
+
+export default ModerationActionRepository;
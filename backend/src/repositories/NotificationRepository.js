@@ -0,0 +1,60 @@
+/**
+ * Notification Repository
+ *
+ * Handles all database operations for Notification model.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class NotificationRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a notification
+   * @param {Object} notificationData - Notification data
+   * @param {string} notificationData.userId - Recipient user ID
+   * @param {string} notificationData.type - Notification type (e.g., "mention")
+   * @param {Object} notificationData.payload - Type specific data
+   * @returns {Promise<Object>} Created notification
+   */
+  async create(notificationData) {
+    try {
+      const notification = await this.prisma.notification.create({
+        data: notificationData,
+      });
+
+      logger.info(
+        `Notification created: ${notificationData.type} for user ${notificationData.userId}`
+      );
+      return notification;
+    } catch (error) {
+      logger.error('Error creating notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the same kind of notification for many users
+   * @param {Array<Object>} notifications - Notification data
+   * @returns {Promise<Object>} Batch result with count
+   */
+  async createMany(notifications) {
+    try {
+      if (notifications.length === 0) {
+        return { count: 0 };
+      }
+
+      return await this.prisma.notification.createMany({
+        data: notifications,
+      });
+    } catch (error) {
+      logger.error('Error creating notifications:', error);
+      throw error;
+    }
+  }
+}
+
+export default NotificationRepository;
@@ -0,0 +1,278 @@
+/**
+ * Post Repository
+ *
+ * Handles all database operations for the Post model.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+import { afterCursor } from '../utils/cursor.js';
+
+const postInclude = {
+  user: { select: { id: true, displayName: true, avatarUrl: true } },
+  group: { select: { id: true, name: true, privacy: true } },
+};
+
+/**
+ * Posts a viewer may see: removed and soft deleted posts are hidden, and
+ * posts awaiting moderation are only shown to their author
+ * @param {string} viewerId - Viewing user ID
+ * @returns {Object} Prisma where fragment
+ */
+const visibleStatus = (viewerId) => ({
+  deletedAt: null,
+  OR: [{ status: 'ACTIVE' }, { status: 'PENDING_MOD', userId: viewerId }],
+});
+
+/**
+ * Groups whose posts a viewer may see
+ * @param {string} viewerId - Viewing user ID
+ * @returns {Object} Prisma where fragment
+ */
+const visibleGroup = (viewerId) => ({
+  OR: [
+    { groupId: null },
+    { group: { deletedAt: null, privacy: 'PUBLIC' } },
+    { group: { deletedAt: null, members: { some: { userId: viewerId } } } },
+  ],
+});
+
+class PostRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a post
+   * @param {Object} postData - Post data
+   * @param {string} postData.userId - Author user ID
+   * @param {string} postData.content - Post body
+   * @param {string} [postData.type] - PostType
+   * @param {string} [postData.groupId] - Group the post belongs to
+   * @returns {Promise<Object>} Created post with author and group
+   */
+  async create(postData) {
+    try {
+      const post = await this.prisma.post.create({
+        data: postData,
+        include: postInclude,
+      });
+
+      logger.info(`Post created: ${post.id} by user ${postData.userId}`);
+      return post;
+    } catch (error) {
+      logger.error('Error creating post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a post that has not been soft deleted
+   * @param {string} id - Post ID
+   * @returns {Promise<Object|null>} Post with author and group, or null
+   */
+  async findById(id) {
+    try {
+      return await this.prisma.post.findFirst({
+        where: { id, deletedAt: null },
+        include: {
+          ...postInclude,
+          group: {
+            select: { id: true, name: true, privacy: true, deletedAt: true },
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Error finding post by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the trigger maintained counters of a post
+   * @param {string} id - Post ID
+   * @returns {Promise<{ commentCount: number, reactionCount: number }|null>} Counters
+   */
+  async findCounts(id) {
+    try {
+      return await this.prisma.post.findUnique({
+        where: { id },
+        select: { commentCount: true, reactionCount: true },
+      });
+    } catch (error) {
+      logger.error('Error finding post counts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a post
+   * @param {string} id - Post ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated post with author and group
+   */
+  async update(id, updateData) {
+    try {
+      const post = await this.prisma.post.update({
+        where: { id },
+        data: updateData,
+        include: postInclude,
+      });
+
+      logger.info(`Post updated: ${id}`);
+      return post;
+    } catch (error) {
+      logger.error('Error updating post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a post's attachments. The post row is locked for the rest of the
+   * transaction, so concurrent uploads and removals apply one after the
+   * other instead of overwriting each other's mediaUrls.
+   * @param {string} id - Post ID
+   * @param {Function} change - (mediaUrls) => new mediaUrls; throw to leave the post unchanged
+   * @returns {Promise<Object>} Updated post with author and group
+   */
+  async updateMedia(id, change) {
+    try {
+      const post = await this.prisma.$transaction(async (tx) => {
+        const [locked] = await tx.$queryRaw`
+          SELECT media_urls AS "mediaUrls" FROM posts WHERE id = ${id}::uuid FOR UPDATE
+        `;
+
+        return tx.post.update({
+          where: { id },
+          data: { mediaUrls: change(locked.mediaUrls) },
+          include: postInclude,
+        });
+      });
+
+      logger.info(`Post media updated: ${id}`);
+      return post;
+    } catch (error) {
+      logger.error('Error updating post media:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a post
+   * @param {string} id - Post ID
+   * @returns {Promise<Object>} Updated post
+   */
+  async softDelete(id) {
+    try {
+      const post = await this.prisma.post.update({
+        where: { id },
+        data: { deletedAt: new Date() },
+      });
+
+      logger.info(`Post soft deleted: ${id}`);
+      return post;
+    } catch (error) {
+      logger.error('Error soft deleting post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a post REMOVED by moderation, unless it already is or was
+   * deleted. Only one of two concurrent removals succeeds.
+   * @param {string} id - Post ID
+   * @returns {Promise<boolean>} True when this call removed the post
+   */
+  async markRemoved(id) {
+    try {
+      const { count } = await this.prisma.post.updateMany({
+        where: { id, status: { not: 'REMOVED' }, deletedAt: null },
+        data: { status: 'REMOVED' },
+      });
+
+      if (count > 0) {
+        logger.info(`Post removed by moderation: ${id}`);
+      }
+      return count > 0;
+    } catch (error) {
+      logger.error('Error removing post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch one page of a feed, newest first, keyed on (createdAt, id).
+   * Visibility rules are always applied on top of the feed filter.
+   * @param {Object} where - Feed specific filter
+   * @param {Object} options - Query options
+   * @param {string} options.viewerId - Viewing user ID
+   * @param {string} [options.type] - PostType filter
+   * @param {Object} [options.cursor] - Decoded cursor
+   * @param {number} [options.take=21] - Records to return
+   * @returns {Promise<Array>} Posts with author and group
+   */
+  async findFeed(where, options) {
+    try {
+      const { viewerId, type, cursor = null, take = 21 } = options;
+
+      return await this.prisma.post.findMany({
+        where: {
+          AND: [
+            where,
+            visibleStatus(viewerId),
+            visibleGroup(viewerId),
+            afterCursor(cursor),
+            type ? { type } : {},
+          ],
+        },
+        include: postInclude,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take,
+      });
+    } catch (error) {
+      logger.error('Error finding feed posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Posts in one group
+   * @param {string} groupId - Group ID
+   * @param {Object} options - See findFeed
+   * @returns {Promise<Array>} Posts
+   */
+  async findGroupFeed(groupId, options) {
+    return this.findFeed({ groupId }, options);
+  }
+
+  /**
+   * Posts by one author that the viewer is allowed to see
+   * @param {string} authorId - Author user ID
+   * @param {Object} options - See findFeed
+   * @returns {Promise<Array>} Posts
+   */
+  async findUserFeed(authorId, options) {
+    return this.findFeed({ userId: authorId }, options);
+  }
+
+  /**
+   * The viewer's own posts and posts from every group they belong to
+   * @param {Object} options - See findFeed
+   * @returns {Promise<Array>} Posts
+   */
+  async findHomeFeed(options) {
+    const { viewerId } = options;
+
+    return this.findFeed(
+      {
+        OR: [
+          { userId: viewerId },
+          { group: { members: { some: { userId: viewerId } } } },
+        ],
+      },
+      options
+    );
+  }
+}
+
+export default PostRepository;
@@ -0,0 +1,144 @@
+/**
+ * Prayer Commit Repository
+ *
+ * Handles all database operations for the PrayerCommit model ("I prayed").
+ * Prayer commit counts are kept in sync by database triggers.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+const commitInclude = {
+  user: { select: { id: true, displayName: true, avatarUrl: true } },
+};
+
+class PrayerCommitRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Record that a user prayed, unless they already committed to the
+   * prayer. Commits of the same user and prayer are serialised with an
+   * advisory lock, so two at once cannot both create one.
+   * @param {Object} commitData - Commit data (prayerId, userId, message)
+   * @returns {Promise<{ commit: Object, created: boolean }>} New or existing commit with user
+   */
+  async createOnce(commitData) {
+    try {
+      const { prayerId, userId } = commitData;
+
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`
+          SELECT pg_advisory_xact_lock(hashtext(${prayerId}::text), hashtext(${userId}::text))
+        `;
+
+        const existing = await tx.prayerCommit.findFirst({
+          where: { prayerId, userId },
+          include: commitInclude,
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        });
+        if (existing) {
+          return { commit: existing, created: false };
+        }
+
+        const commit = await tx.prayerCommit.create({
+          data: commitData,
+          include: commitInclude,
+        });
+        return { commit, created: true };
+      });
+    } catch (error) {
+      logger.error('Error creating prayer commit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's commit to a prayer, the earliest one if there are
+   * several
+   * @param {string} prayerId - Prayer ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Commit with its reminder, or null
+   */
+  async findByPrayerAndUser(prayerId, userId) {
+    try {
+      return await this.prisma.prayerCommit.findFirst({
+        where: { prayerId, userId },
+        include: { reminder: true },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      });
+    } catch (error) {
+      logger.error('Error finding prayer commit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List who prayed for a prayer, most recent first
+   * @param {string} prayerId - Prayer ID
+   * @param {Object} options - Query options
+   * @param {number} [options.skip=0] - Records to skip
+   * @param {number} [options.take=50] - Records to return
+   * @returns {Promise<{ commits: Array, total: number }>} Page of commits
+   */
+  async findByPrayer(prayerId, options = {}) {
+    try {
+      const { skip = 0, take = 50 } = options;
+      const where = { prayerId };
+
+      const [commits, total] = await this.prisma.$transaction([
+        this.prisma.prayerCommit.findMany({
+          where,
+          include: commitInclude,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip,
+          take,
+        }),
+        this.prisma.prayerCommit.count({ where }),
+      ]);
+
+      return { commits, total };
+    } catch (error) {
+      logger.error('Error finding prayer commits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the prayers a user committed to, other than their own
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of commits
+   */
+  async countForOthers(userId) {
+    try {
+      return await this.prisma.prayerCommit.count({
+        where: { userId, prayer: { userId: { not: userId } } },
+      });
+    } catch (error) {
+      logger.error('Error counting prayer commits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of everyone who committed to a prayer
+   * @param {string} prayerId - Prayer ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async findUserIds(prayerId) {
+    try {
+      const commits = await this.prisma.prayerCommit.findMany({
+        where: { prayerId },
+        select: { userId: true },
+      });
+
+      return commits.map((commit) => commit.userId);
+    } catch (error) {
+      logger.error('Error finding prayer commit user IDs:', error);
+      throw error;
+    }
+  }
+}
+
+export default PrayerCommitRepository;
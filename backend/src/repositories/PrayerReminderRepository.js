@@ -0,0 +1,177 @@
+/**
+ * Prayer Reminder Repository
+ *
+ * Handles all database operations for the PrayerReminder model.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class PrayerReminderRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create or replace the reminder schedule of a commit
+   * @param {string} commitId - Prayer commit ID
+   * @param {Object} reminderData - Schedule (frequency, timeOfDay, remaining, nextRunAt)
+   * @returns {Promise<Object>} Reminder
+   */
+  async upsertForCommit(commitId, reminderData) {
+    try {
+      const reminder = await this.prisma.prayerReminder.upsert({
+        where: { commitId },
+        create: { commitId, ...reminderData },
+        update: { ...reminderData, lastSentAt: null },
+      });
+
+      logger.info(`Prayer reminder scheduled for commit ${commitId}`);
+      return reminder;
+    } catch (error) {
+      logger.error('Error saving prayer reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the reminder of a commit
+   * @param {string} commitId - Prayer commit ID
+   * @returns {Promise<Object|null>} Reminder or null
+   */
+  async findByCommit(commitId) {
+    try {
+      return await this.prisma.prayerReminder.findUnique({
+        where: { commitId },
+      });
+    } catch (error) {
+      logger.error('Error finding prayer reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the reminder of a commit
+   * @param {string} commitId - Prayer commit ID
+   * @returns {Promise<boolean>} True when a reminder was removed
+   */
+  async deleteByCommit(commitId) {
+    try {
+      const { count } = await this.prisma.prayerReminder.deleteMany({
+        where: { commitId },
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error deleting prayer reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every reminder for a prayer
+   * @param {string} prayerId - Prayer ID
+   * @returns {Promise<number>} Number of reminders removed
+   */
+  async deleteByPrayer(prayerId) {
+    try {
+      const { count } = await this.prisma.prayerReminder.deleteMany({
+        where: { commit: { prayerId } },
+      });
+
+      if (count > 0) {
+        logger.info(`Cancelled ${count} reminder(s) for prayer ${prayerId}`);
+      }
+      return count;
+    } catch (error) {
+      logger.error('Error deleting prayer reminders by prayer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find reminders that are due, oldest first, with everything needed to
+   * decide whether and when to deliver them
+   * @param {Date} now - Current time
+   * @param {number} [take=100] - Maximum reminders to return
+   * @returns {Promise<Array>} Reminders with commit, prayer and user settings
+   */
+  async findDue(now, take = 100) {
+    try {
+      return await this.prisma.prayerReminder.findMany({
+        where: { nextRunAt: { lte: now } },
+        include: {
+          commit: {
+            select: {
+              userId: true,
+              prayer: {
+                select: {
+                  id: true,
+                  title: true,
+                  status: true,
+                  groupId: true,
+                  deletedAt: true,
+                  group: { select: { privacy: true, deletedAt: true } },
+                },
+              },
+              user: {
+                select: {
+                  tz: true,
+                  deletedAt: true,
+                  userSettings: {
+                    select: { quietTimeStart: true, quietTimeEnd: true },
+                  },
+                },
+              },
+            },
+          },
+        },
+        orderBy: { nextRunAt: 'asc' },
+        take,
+      });
+    } catch (error) {
+      logger.error('Error finding due prayer reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a reminder only if it is still scheduled for `nextRunAt`, so two
+   * job runs cannot both deliver the same reminder
+   * @param {string} id - Reminder ID
+   * @param {Date} nextRunAt - Schedule the caller read
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<boolean>} True when this caller claimed the reminder
+   */
+  async claim(id, nextRunAt, updateData) {
+    try {
+      const { count } = await this.prisma.prayerReminder.updateMany({
+        where: { id, nextRunAt },
+        data: updateData,
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error claiming prayer reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a reminder only if it is still scheduled for `nextRunAt`
+   * @param {string} id - Reminder ID
+   * @param {Date} nextRunAt - Schedule the caller read
+   * @returns {Promise<boolean>} True when this caller removed the reminder
+   */
+  async claimAndDelete(id, nextRunAt) {
+    try {
+      const { count } = await this.prisma.prayerReminder.deleteMany({
+        where: { id, nextRunAt },
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error deleting prayer reminder:', error);
+      throw error;
+    }
+  }
+}
+
+export default PrayerReminderRepository;
@@ -0,0 +1,94 @@
+/**
+ * Prayer Repository
+ *
+ * Handles all database operations for the Prayer model.
+ * Commit counts are kept in sync by database triggers.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+const prayerInclude = {
+  user: { select: { id: true, displayName: true, avatarUrl: true } },
+  group: {
+    select: { id: true, name: true, privacy: true, deletedAt: true },
+  },
+};
+
+class PrayerRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Create a prayer request
+   * @param {Object} prayerData - Prayer data
+   * @param {string} prayerData.userId - Owner user ID
+   * @param {string} prayerData.title - Short title
+   * @param {string} prayerData.content - Request body
+   * @param {string} [prayerData.groupId] - Group the prayer is shared in
+   * @param {string} [prayerData.linkedPostId] - Post the prayer belongs to
+   * @returns {Promise<Object>} Created prayer with owner and group
+   */
+  async create(prayerData) {
+    try {
+      const prayer = await this.prisma.prayer.create({
+        data: prayerData,
+        include: prayerInclude,
+      });
+
+      logger.info(`Prayer created: ${prayer.id} by user ${prayerData.userId}`);
+      return prayer;
+    } catch (error) {
+      logger.error('Error creating prayer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a prayer that has not been soft deleted
+   * @param {string} id - Prayer ID
+   * @returns {Promise<Object|null>} Prayer with owner and group, or null
+   */
+  async findById(id) {
+    try {
+      return await this.prisma.prayer.findFirst({
+        where: { id, deletedAt: null },
+        include: prayerInclude,
+      });
+    } catch (error) {
+      logger.error('Error finding prayer by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a prayer to a new status, but only from one of the given statuses.
+   * The condition makes concurrent updates safe: only one of two requests
+   * answering the same prayer succeeds.
+   * @param {string} id - Prayer ID
+   * @param {Array<string>} fromStatuses - PrayerStatus values allowed before the change
+   * @param {Object} updateData - Fields to set, including status
+   * @returns {Promise<Object|null>} Updated prayer, or null when its status did not allow the change
+   */
+  async transition(id, fromStatuses, updateData) {
+    try {
+      const { count } = await this.prisma.prayer.updateMany({
+        where: { id, deletedAt: null, status: { in: fromStatuses } },
+        data: updateData,
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      logger.info(`Prayer ${id} marked ${updateData.status}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating prayer status:', error);
+      throw error;
+    }
+  }
+}
+
+export default PrayerRepository;
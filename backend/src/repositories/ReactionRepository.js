@@ -0,0 +1,100 @@
+/**
+ * Reaction Repository
+ *
+ * Handles all database operations for the Reaction model.
+ * Post reaction counts are kept in sync by database triggers.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class ReactionRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Add a reaction. A reaction that already exists is left untouched.
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @param {string} type - ReactionType
+   * @returns {Promise<boolean>} True when a reaction was created
+   */
+  async add(postId, userId, type) {
+    try {
+      await this.prisma.reaction.create({ data: { postId, userId, type } });
+      return true;
+    } catch (error) {
+      // unique_post_user_reaction: a concurrent request added it first
+      if (error.code === 'P2002') {
+        return false;
+      }
+      logger.error('Error creating reaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a reaction
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @param {string} type - ReactionType
+   * @returns {Promise<boolean>} True when a reaction was removed
+   */
+  async remove(postId, userId, type) {
+    try {
+      const { count } = await this.prisma.reaction.deleteMany({
+        where: { postId, userId, type },
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error deleting reaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a post's reactions by type
+   * @param {string} postId - Post ID
+   * @returns {Promise<Array<{ type: string, count: number }>>} Counts per type
+   */
+  async countByType(postId) {
+    try {
+      const groups = await this.prisma.reaction.groupBy({
+        by: ['type'],
+        where: { postId },
+        _count: { _all: true },
+      });
+
+      return groups.map((group) => ({
+        type: group.type,
+        count: group._count._all,
+      }));
+    } catch (error) {
+      logger.error('Error counting reactions by type:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reaction types a user has left on a post
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Reaction types
+   */
+  async findTypesByUser(postId, userId) {
+    try {
+      const reactions = await this.prisma.reaction.findMany({
+        where: { postId, userId },
+        select: { type: true },
+      });
+
+      return reactions.map((reaction) => reaction.type);
+    } catch (error) {
+      logger.error('Error finding user reactions:', error);
+      throw error;
+    }
+  }
+}
+
+export default ReactionRepository;
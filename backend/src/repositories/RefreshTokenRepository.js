@@ -18,6 +18,9 @@ class RefreshTokenRepository {
    * @param {Object} tokenData - Token data
    * @param {string} tokenData.userId - User ID
    * @param {string} tokenData.tokenHash - Hashed token
+   * @param {string} [tokenData.familyId] - Rotation family ID (new family when omitted)
+   * @param {string} [tokenData.parentId] - Token this one was rotated from
+   * @param {string} [tokenData.deviceId] - Device the session belongs to
    * @param {Date} tokenData.expiresAt - Expiration date
    * @returns {Promise<Object>} Created refresh token
    */
@@ -124,6 +127,28 @@ class RefreshTokenRepository {
     }
   }
 
+  /**
+   * Find the active token of a rotation family owned by a user
+   * @param {string} userId - User ID
+   * @param {string} familyId - Family ID
+   * @returns {Promise<Object|null>} Active token or null
+   */
+  async findValidTokenByFamily(userId, familyId) {
+    try {
+      return await this.prisma.refreshToken.findFirst({
+        where: {
+          userId,
+          familyId,
+          revokedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+      });
+    } catch (error) {
+      logger.error('Error finding valid token by family:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find all tokens for a user (including revoked/expired)
    * @param {string} userId - User ID
@@ -204,6 +229,66 @@ class RefreshTokenRepository {
     }
   }
 
+  /**
+   * Rotate a refresh token: revoke the presented token and create its
+   * successor in the same family. The revoke only succeeds if the token is
+   * still active, so two concurrent rotations cannot both win.
+   * @param {string} id - ID of the token being rotated
+   * @param {Object} tokenData - Successor token data
+   * @returns {Promise<Object|null>} New token, or null if the old one was already revoked
+   */
+  async rotate(id, tokenData) {
+    try {
+      const token = await this.prisma.$transaction(async (tx) => {
+        const revoked = await tx.refreshToken.updateMany({
+          where: { id, revokedAt: null },
+          data: { revokedAt: new Date() },
+        });
+
+        if (revoked.count === 0) {
+          return null;
+        }
+
+        return tx.refreshToken.create({
+          data: { ...tokenData, parentId: id },
+        });
+      });
+
+      if (token) {
+        logger.info(`Refresh token rotated: ${id} -> ${token.id}`);
+      }
+      return token;
+    } catch (error) {
+      logger.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active token in a rotation family
+   * @param {string} familyId - Family ID
+   * @returns {Promise<Object>} Update result with count
+   */
+  async revokeFamily(familyId) {
+    try {
+      const result = await this.prisma.refreshToken.updateMany({
+        where: {
+          familyId,
+          revokedAt: null,
+        },
+        data: { revokedAt: new Date() },
+      });
+
+      logger.info(
+        `Refresh token family revoked: ${familyId}, count: ${result.count}`
+      );
+      return result;
+    } catch (error) {
+      logger.error('Error revoking refresh token family:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if a token is valid (not revoked and not expired)
    * @param {string} tokenHash - Hashed token
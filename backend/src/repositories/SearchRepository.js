@@ -0,0 +1,366 @@
+/**
+ * Search Repository
+ *
+ * Full-text queries over the tsvector columns kept up to date by triggers.
+ * Prisma cannot express tsquery matching or ranking, so these use raw SQL
+ * built with Prisma.sql; every value is passed as a bound parameter.
+ */
+
+import { Prisma } from '../generated/prisma/index.js';
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+import { HEADLINE_OPTIONS } from '../utils/headline.js';
+import { SEARCH_TYPES } from '../types/index.js';
+
+// Must match the configuration used by the search_tsv triggers
+const TEXT_SEARCH_CONFIG = 'english';
+
+/**
+ * SQL condition: the group joined as `g` is one the viewer may see, i.e.
+ * not deleted and either public or one they belong to
+ * @param {string} viewerId - Viewing user ID
+ * @returns {Prisma.Sql} SQL fragment
+ */
+const groupVisibleSql = (viewerId) => Prisma.sql`(
+  g.deleted_at IS NULL
+  AND (
+    g.privacy = 'PUBLIC'
+    OR EXISTS (
+      SELECT 1 FROM group_members gm
+      WHERE gm.group_id = g.id AND gm.user_id = ${viewerId}::uuid
+    )
+  )
+)`;
+
+/**
+ * SQL condition: the post `p` (with its group joined as `g`) is visible,
+ * following the same rules as the feeds
+ * @param {string} viewerId - Viewing user ID
+ * @returns {Prisma.Sql} SQL fragment
+ */
+const postVisibleSql = (viewerId) => Prisma.sql`(
+  p.deleted_at IS NULL
+  AND (
+    p.status = 'ACTIVE'
+    OR (p.status = 'PENDING_MOD' AND p.user_id = ${viewerId}::uuid)
+  )
+  AND (p.group_id IS NULL OR ${groupVisibleSql(viewerId)})
+)`;
+
+/**
+ * One SELECT per searchable type, each returning (kind, id, rank, document)
+ * for the rows the viewer may see. `document` is the text snippets are
+ * cut from. The query CTE `q` holds an english and a simple tsquery.
+ */
+const searchBranches = {
+  [SEARCH_TYPES.POST]: (viewerId) => Prisma.sql`
+    SELECT 'post'::text AS kind, p.id, ts_rank(p.search_tsv, q.english) AS rank,
+      p.content AS document
+    FROM posts p
+    CROSS JOIN q
+    LEFT JOIN groups g ON g.id = p.group_id
+    WHERE p.search_tsv @@ q.english AND ${postVisibleSql(viewerId)}`,
+
+  [SEARCH_TYPES.PRAYER]: (viewerId) => Prisma.sql`
+    SELECT 'prayer'::text AS kind, pr.id, ts_rank(pr.search_tsv, q.english) AS rank,
+      pr.content AS document
+    FROM prayers pr
+    CROSS JOIN q
+    LEFT JOIN groups g ON g.id = pr.group_id
+    WHERE pr.search_tsv @@ q.english
+      AND pr.deleted_at IS NULL
+      AND (pr.group_id IS NULL OR ${groupVisibleSql(viewerId)})`,
+
+  [SEARCH_TYPES.GROUP]: (viewerId) => Prisma.sql`
+    SELECT 'group'::text AS kind, g.id, ts_rank(g.search_tsv, q.english) AS rank,
+      COALESCE(g.description, g.name) AS document
+    FROM groups g
+    CROSS JOIN q
+    WHERE g.search_tsv @@ q.english AND ${groupVisibleSql(viewerId)}`,
+
+  // Public events are open to everyone, group events to members of the
+  // group and private events to their creator only
+  [SEARCH_TYPES.EVENT]: (viewerId) => Prisma.sql`
+    SELECT 'event'::text AS kind, e.id, ts_rank(e.search_tsv, q.english) AS rank,
+      concat_ws(' — ', e.description, e.location) AS document
+    FROM events e
+    CROSS JOIN q
+    LEFT JOIN groups g ON g.id = e.group_id
+    WHERE e.search_tsv @@ q.english
+      AND (
+        e.created_by = ${viewerId}::uuid
+        OR (
+          e.visibility = 'PUBLIC'
+          AND (e.group_id IS NULL OR g.deleted_at IS NULL)
+        )
+        OR (
+          e.visibility = 'GROUP'
+          AND e.group_id IS NOT NULL
+          AND g.deleted_at IS NULL
+          AND EXISTS (
+            SELECT 1 FROM group_members gm
+            WHERE gm.group_id = e.group_id AND gm.user_id = ${viewerId}::uuid
+          )
+        )
+      )`,
+
+  [SEARCH_TYPES.USER]: () => Prisma.sql`
+    SELECT 'user'::text AS kind, u.id, ts_rank(u.search_tsv, q.simple) AS rank,
+      COALESCE(u.display_name, '') AS document
+    FROM users u
+    CROSS JOIN q
+    WHERE u.search_tsv @@ q.simple
+      AND u.deleted_at IS NULL
+      AND u.anonymized_at IS NULL`,
+};
+
+/**
+ * Common table expressions shared by the unified search queries
+ * @param {string} query - Web search style query
+ * @param {string} viewerId - Viewing user ID
+ * @param {Array<string>} types - SEARCH_TYPES to include
+ * @returns {Prisma.Sql} WITH clause defining `q` and `matches`
+ */
+const matchesSql = (query, viewerId, types) => {
+  const branches = Prisma.join(
+    types.map((type) => searchBranches[type](viewerId)),
+    ' UNION ALL '
+  );
+
+  return Prisma.sql`
+  WITH q AS (
+    SELECT
+      websearch_to_tsquery(${TEXT_SEARCH_CONFIG}::regconfig, ${query}) AS english,
+      websearch_to_tsquery('simple'::regconfig, ${query}) AS simple
+  ),
+  matches AS (
+    ${branches}
+  )`;
+};
+
+/**
+ * Shape a raw post row like the records returned by PostRepository
+ * @param {Object} row - Row selected by searchPosts
+ * @returns {Object} Post with user, group, rank and headline
+ */
+const toPostResult = (row) => ({
+  id: row.id,
+  userId: row.userId,
+  groupId: row.groupId,
+  type: row.type,
+  content: row.content,
+  mediaUrls: row.mediaUrls,
+  status: row.status,
+  commentCount: row.commentCount,
+  reactionCount: row.reactionCount,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt,
+  user: {
+    id: row.userId,
+    displayName: row.authorDisplayName,
+    avatarUrl: row.authorAvatarUrl,
+  },
+  group: row.groupId && {
+    id: row.groupId,
+    name: row.groupName,
+    privacy: row.groupPrivacy,
+  },
+  rank: row.rank,
+  headline: row.headline,
+});
+
+class SearchRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Search posts a viewer may see, best matches first. Visibility follows
+   * the feeds: removed and soft deleted posts are hidden, posts awaiting
+   * moderation only match for their author, and posts in deleted or
+   * private groups only match for members.
+   * @param {Object} options - Search options
+   * @param {string} options.query - Web search style query
+   * @param {string} options.viewerId - Viewing user ID
+   * @param {string} [options.type] - Only posts of this PostType
+   * @param {string} [options.groupId] - Only posts in this group
+   * @param {{ rank: number, id: string }|null} [options.cursor] - Position of the last result seen
+   * @param {number} options.take - Number of results to fetch
+   * @returns {Promise<Array>} Posts with author, group, rank and headline
+   */
+  async searchPosts({ query, viewerId, type, groupId, cursor, take }) {
+    try {
+      const rows = await this.prisma.$queryRaw`
+        WITH q AS (
+          SELECT websearch_to_tsquery(${TEXT_SEARCH_CONFIG}::regconfig, ${query}) AS query
+        ),
+        matches AS (
+          SELECT p.*, ts_rank(p.search_tsv, q.query) AS rank
+          FROM posts p
+          CROSS JOIN q
+          LEFT JOIN groups g ON g.id = p.group_id
+          WHERE p.search_tsv @@ q.query
+            AND ${postVisibleSql(viewerId)}
+            ${type ? Prisma.sql`AND p.type = ${type}::"PostType"` : Prisma.empty}
+            ${groupId ? Prisma.sql`AND p.group_id = ${groupId}::uuid` : Prisma.empty}
+        )
+        SELECT
+          m.id,
+          m.user_id AS "userId",
+          m.group_id AS "groupId",
+          m.type::text AS type,
+          m.content,
+          m.media_urls AS "mediaUrls",
+          m.status::text AS status,
+          m.comment_count AS "commentCount",
+          m.reaction_count AS "reactionCount",
+          m.created_at AS "createdAt",
+          m.updated_at AS "updatedAt",
+          m.rank,
+          ts_headline(${TEXT_SEARCH_CONFIG}::regconfig, m.content, q.query, ${HEADLINE_OPTIONS}) AS headline,
+          u.display_name AS "authorDisplayName",
+          u.avatar_url AS "authorAvatarUrl",
+          g.name AS "groupName",
+          g.privacy::text AS "groupPrivacy"
+        FROM (
+          SELECT * FROM matches
+          ${cursor ? Prisma.sql`WHERE (rank, id) < (${cursor.rank}::real, ${cursor.id}::uuid)` : Prisma.empty}
+          ORDER BY rank DESC, id DESC
+          LIMIT ${take}
+        ) m
+        CROSS JOIN q
+        JOIN users u ON u.id = m.user_id
+        LEFT JOIN groups g ON g.id = m.group_id
+        ORDER BY m.rank DESC, m.id DESC
+      `;
+
+      return rows.map(toPostResult);
+    } catch (error) {
+      logger.error('Error searching posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search every type of content at once, best matches first. Results are
+   * ordered by (rank, kind, id) so they can be paged with a cursor.
+   * @param {Object} options - Search options
+   * @param {string} options.query - Web search style query
+   * @param {string} options.viewerId - Viewing user ID
+   * @param {Array<string>} options.types - SEARCH_TYPES to include
+   * @param {{ rank: number, kind: string, id: string }|null} [options.cursor] - Position of the last result seen
+   * @param {number} options.take - Number of results to fetch
+   * @returns {Promise<Array<{ kind: string, id: string, rank: number, headline: string }>>} Matches
+   */
+  async searchAll({ query, viewerId, types, cursor, take }) {
+    try {
+      return await this.prisma.$queryRaw`
+        ${matchesSql(query, viewerId, types)}
+        SELECT
+          m.kind,
+          m.id,
+          m.rank,
+          CASE m.kind
+            WHEN 'user' THEN ts_headline('simple'::regconfig, m.document, q.simple, ${HEADLINE_OPTIONS})
+            ELSE ts_headline(${TEXT_SEARCH_CONFIG}::regconfig, m.document, q.english, ${HEADLINE_OPTIONS})
+          END AS headline
+        FROM (
+          SELECT * FROM matches
+          ${cursor ? Prisma.sql`WHERE (rank, kind, id) < (${cursor.rank}::real, ${cursor.kind}::text, ${cursor.id}::uuid)` : Prisma.empty}
+          ORDER BY rank DESC, kind DESC, id DESC
+          LIMIT ${take}
+        ) m
+        CROSS JOIN q
+        ORDER BY m.rank DESC, m.kind DESC, m.id DESC
+      `;
+    } catch (error) {
+      logger.error('Error searching:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count matches per type, for search facets
+   * @param {Object} options - Search options
+   * @param {string} options.query - Web search style query
+   * @param {string} options.viewerId - Viewing user ID
+   * @returns {Promise<Object>} Match count keyed by SEARCH_TYPES value
+   */
+  async countByType({ query, viewerId }) {
+    try {
+      const types = Object.values(SEARCH_TYPES);
+      const rows = await this.prisma.$queryRaw`
+        ${matchesSql(query, viewerId, types)}
+        SELECT kind, COUNT(*)::int AS count
+        FROM matches
+        GROUP BY kind
+      `;
+      const counts = Object.fromEntries(types.map((type) => [type, 0]));
+
+      for (const { kind, count } of rows) {
+        counts[kind] = count;
+      }
+
+      return counts;
+    } catch (error) {
+      logger.error('Error counting search matches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the records behind search matches
+   * @param {string} viewerId - Viewing user ID, for the caller's group role
+   * @param {Object<string, Array<string>>} idsByType - IDs keyed by SEARCH_TYPES value
+   * @returns {Promise<Object<string, Array<Object>>>} Records keyed by SEARCH_TYPES value
+   */
+  async findRecords(viewerId, idsByType) {
+    try {
+      const author = {
+        select: { id: true, displayName: true, avatarUrl: true },
+      };
+      const group = { select: { id: true, name: true } };
+      // Skip the query for types with no matches on this page
+      const find = (type, model, args) => {
+        if (!idsByType[type]?.length) {
+          return [];
+        }
+
+        return this.prisma[model].findMany({
+          where: { id: { in: idsByType[type] } },
+          ...args,
+        });
+      };
+
+      const [posts, prayers, groups, events, users] = await Promise.all([
+        find(SEARCH_TYPES.POST, 'post', { include: { user: author, group } }),
+        find(SEARCH_TYPES.PRAYER, 'prayer', {
+          include: { user: author, group },
+        }),
+        find(SEARCH_TYPES.GROUP, 'group', {
+          include: {
+            _count: { select: { members: true } },
+            members: { where: { userId: viewerId }, select: { role: true } },
+          },
+        }),
+        find(SEARCH_TYPES.EVENT, 'event', {
+          include: { creator: author, group },
+        }),
+        find(SEARCH_TYPES.USER, 'user', { select: author.select }),
+      ]);
+
+      return {
+        [SEARCH_TYPES.POST]: posts,
+        [SEARCH_TYPES.PRAYER]: prayers,
+        [SEARCH_TYPES.GROUP]: groups,
+        [SEARCH_TYPES.EVENT]: events,
+        [SEARCH_TYPES.USER]: users,
+      };
+    } catch (error) {
+      logger.error('Error loading search records:', error);
+      throw error;
+    }
+  }
+}
+
+export default SearchRepository;
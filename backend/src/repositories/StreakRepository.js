@@ -0,0 +1,64 @@
+/**
+ * Streak Repository
+ *
+ * Handles all database operations for the Streak model.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class StreakRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * List a user's streaks, one per kind at most
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Streaks
+   */
+  async findByUserId(userId) {
+    try {
+      return await this.prisma.streak.findMany({ where: { userId } });
+    } catch (error) {
+      logger.error('Error finding streaks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an activity on a user's streak of one kind. Activities of the
+   * same user and kind are serialised with an advisory lock, so two at
+   * once cannot both extend the streak.
+   * @param {string} userId - User ID
+   * @param {string} kind - StreakKind
+   * @param {Function} advance - (streak|null) => new streak fields, or null to leave it unchanged
+   * @returns {Promise<Object|null>} Updated streak, null when unchanged
+   */
+  async recordActivity(userId, kind, advance) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`
+          SELECT pg_advisory_xact_lock(hashtext(${userId}::text), hashtext(${kind}::text))
+        `;
+
+        const where = { unique_user_streak_kind: { userId, kind } };
+        const next = advance(await tx.streak.findUnique({ where }));
+        if (!next) {
+          return null;
+        }
+
+        return tx.streak.upsert({
+          where,
+          create: { userId, kind, ...next },
+          update: next,
+        });
+      });
+    } catch (error) {
+      logger.error('Error recording streak activity:', error);
+      throw error;
+    }
+  }
+}
+
+export default StreakRepository;
@@ -0,0 +1,207 @@
+/**
+ * Two-Factor Repository
+ *
+ * Handles all database operations for UserTwoFactor and RecoveryCode models.
+ * Secrets are stored encrypted and recovery codes only as hashes.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class TwoFactorRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Find two-factor settings for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Two-factor settings or null
+   */
+  async findByUserId(userId) {
+    try {
+      return await this.prisma.userTwoFactor.findUnique({
+        where: { userId },
+      });
+    } catch (error) {
+      logger.error('Error finding two-factor settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start (or restart) enrollment with a new pending secret
+   * @param {string} userId - User ID
+   * @param {string} secretEncrypted - Encrypted TOTP secret
+   * @returns {Promise<Object>} Pending two-factor settings
+   */
+  async upsertPending(userId, secretEncrypted) {
+    try {
+      const settings = await this.prisma.userTwoFactor.upsert({
+        where: { userId },
+        create: { userId, secretEncrypted },
+        update: {
+          secretEncrypted,
+          enabledAt: null,
+          lastUsedStep: null,
+          failedAttempts: 0,
+          lastFailedAt: null,
+        },
+      });
+
+      logger.info(`Two-factor enrollment started for user: ${userId}`);
+      return settings;
+    } catch (error) {
+      logger.error('Error starting two-factor enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable two-factor and replace the user's recovery codes
+   * @param {string} userId - User ID
+   * @param {number} step - TOTP step used to confirm enrollment
+   * @param {Array<string>} codeHashes - Hashed recovery codes
+   * @returns {Promise<Object>} Enabled two-factor settings
+   */
+  async enable(userId, step, codeHashes) {
+    try {
+      const [settings] = await this.prisma.$transaction([
+        this.prisma.userTwoFactor.update({
+          where: { userId },
+          data: { enabledAt: new Date(), lastUsedStep: step },
+        }),
+        this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+        this.prisma.recoveryCode.createMany({
+          data: codeHashes.map((codeHash) => ({ userId, codeHash })),
+        }),
+      ]);
+
+      logger.info(`Two-factor enabled for user: ${userId}`);
+      return settings;
+    } catch (error) {
+      logger.error('Error enabling two-factor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove two-factor settings and recovery codes
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async disable(userId) {
+    try {
+      await this.prisma.$transaction([
+        this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+        this.prisma.userTwoFactor.deleteMany({ where: { userId } }),
+      ]);
+
+      logger.info(`Two-factor disabled for user: ${userId}`);
+    } catch (error) {
+      logger.error('Error disabling two-factor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful code, rejecting steps at or before the last one used
+   * @param {string} userId - User ID
+   * @param {number} step - Accepted TOTP step
+   * @returns {Promise<boolean>} False if the step was already used
+   */
+  async recordSuccess(userId, step) {
+    try {
+      const result = await this.prisma.userTwoFactor.updateMany({
+        where: {
+          userId,
+          OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: step } }],
+        },
+        data: { lastUsedStep: step, failedAttempts: 0, lastFailedAt: null },
+      });
+
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error recording two-factor success:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset the failed attempt counter
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Update result
+   */
+  async resetFailures(userId) {
+    try {
+      return await this.prisma.userTwoFactor.update({
+        where: { userId },
+        data: { failedAttempts: 0, lastFailedAt: null },
+      });
+    } catch (error) {
+      logger.error('Error resetting two-factor failures:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed code attempt
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated settings
+   */
+  async recordFailure(userId) {
+    try {
+      return await this.prisma.userTwoFactor.update({
+        where: { userId },
+        data: {
+          failedAttempts: { increment: 1 },
+          lastFailedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      logger.error('Error recording two-factor failure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume an unused recovery code
+   * @param {string} userId - User ID
+   * @param {string} codeHash - Hashed recovery code
+   * @returns {Promise<boolean>} True if a code was consumed
+   */
+  async consumeRecoveryCode(userId, codeHash) {
+    try {
+      const result = await this.prisma.recoveryCode.updateMany({
+        where: { userId, codeHash, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (result.count > 0) {
+        logger.info(`Recovery code used for user: ${userId}`);
+      }
+      return result.count > 0;
+    } catch (error) {
+      logger.error('Error consuming recovery code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count unused recovery codes for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unused code count
+   */
+  async countUnusedRecoveryCodes(userId) {
+    try {
+      return await this.prisma.recoveryCode.count({
+        where: { userId, usedAt: null },
+      });
+    } catch (error) {
+      logger.error('Error counting recovery codes:', error);
+      throw error;
+    }
+  }
+}
+
+export default TwoFactorRepository;
@@ -0,0 +1,62 @@
+/**
+ * User Badge Repository
+ *
+ * Handles all database operations for the UserBadge model. Badge
+ * definitions live in the BADGES catalog, not in the database.
+ */
+
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+class UserBadgeRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * List a user's badges, most recently awarded first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Badges
+   */
+  async findByUserId(userId) {
+    try {
+      return await this.prisma.userBadge.findMany({
+        where: { userId },
+        orderBy: [{ awardedAt: 'desc' }, { badgeKey: 'asc' }],
+      });
+    } catch (error) {
+      logger.error('Error finding user badges:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Award badges to a user. Badges the user already holds are skipped, so
+   * concurrent evaluations award each badge once.
+   * @param {string} userId - User ID
+   * @param {Array<string>} badgeKeys - BADGES catalog keys
+   * @returns {Promise<Array>} Badges that were newly awarded
+   */
+  async award(userId, badgeKeys) {
+    try {
+      const badges = await this.prisma.userBadge.createManyAndReturn({
+        data: badgeKeys.map((badgeKey) => ({ userId, badgeKey })),
+        skipDuplicates: true,
+      });
+
+      if (badges.length > 0) {
+        logger.info(
+          `Badges awarded to user ${userId}: ${badges
+            .map((badge) => badge.badgeKey)
+            .join(', ')}`
+        );
+      }
+      return badges;
+    } catch (error) {
+      logger.error('Error awarding badges:', error);
+      throw error;
+    }
+  }
+}
+
+export default UserBadgeRepository;
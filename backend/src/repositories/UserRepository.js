@@ -58,6 +58,43 @@ class UserRepository {
     }
   }
 
+  /**
+   * Narrow a list of user IDs down to accounts that still exist
+   * (excluding soft deleted)
+   * @param {Array<string>} ids - Candidate user IDs
+   * @returns {Promise<Array<string>>} IDs of active users
+   */
+  async findActiveIds(ids) {
+    try {
+      const users = await this.prisma.user.findMany({
+        where: { id: { in: ids }, deletedAt: null },
+        select: { id: true },
+      });
+
+      return users.map((user) => user.id);
+    } catch (error) {
+      logger.error('Error finding active user IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Public profile fields of the given users (excluding soft deleted)
+   * @param {Array<string>} ids - User IDs
+   * @returns {Promise<Array<{ id: string, displayName: string, avatarUrl: string }>>} Users
+   */
+  async findPublicByIds(ids) {
+    try {
+      return await this.prisma.user.findMany({
+        where: { id: { in: ids }, deletedAt: null },
+        select: { id: true, displayName: true, avatarUrl: true },
+      });
+    } catch (error) {
+      logger.error('Error finding users by IDs:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find user by email (excluding soft deleted)
    * @param {string} email - User email
@@ -81,6 +118,38 @@ class UserRepository {
     }
   }
 
+  /**
+   * Find user by email, including accounts pending deletion
+   * @param {string} email - User email
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByEmailIncludingDeleted(email) {
+    try {
+      return await this.prisma.user.findUnique({
+        where: { email },
+      });
+    } catch (error) {
+      logger.error('Error finding user by email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find user by ID, including accounts pending deletion
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByIdIncludingDeleted(id) {
+    try {
+      return await this.prisma.user.findUnique({
+        where: { id },
+      });
+    } catch (error) {
+      logger.error('Error finding user by ID:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update user
    * @param {string} id - User ID
@@ -106,6 +175,26 @@ class UserRepository {
     }
   }
 
+  /**
+   * Mark a user's email address as verified
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Updated user
+   */
+  async markEmailVerified(id) {
+    try {
+      const user = await this.prisma.user.update({
+        where: { id },
+        data: { emailVerifiedAt: new Date() },
+      });
+
+      logger.info(`User email verified: ${user.email}`);
+      return user;
+    } catch (error) {
+      logger.error('Error marking user email as verified:', error);
+      throw error;
+    }
+  }
+
   /**
    * Soft delete user
    * @param {string} id - User ID
@@ -150,6 +239,79 @@ class UserRepository {
     }
   }
 
+  /**
+   * Find soft deleted users whose grace period has ended and who have not
+   * been anonymised yet
+   * @param {Date} deletedBefore - Grace period cutoff
+   * @param {number} [take=50] - Batch size
+   * @returns {Promise<Array>} Users due for anonymisation
+   */
+  async findDueForAnonymization(deletedBefore, take = 50) {
+    try {
+      return await this.prisma.user.findMany({
+        where: {
+          deletedAt: { lte: deletedBefore },
+          anonymizedAt: null,
+        },
+        orderBy: { deletedAt: 'asc' },
+        take,
+      });
+    } catch (error) {
+      logger.error('Error finding users due for anonymization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a user's personal data with placeholders and remove everything
+   * that could identify or sign in as them. Authored content is kept but
+   * now points at an anonymous account.
+   * @param {string} id - User ID
+   * @param {Object} placeholders - Replacement values
+   * @param {string} placeholders.email - Placeholder email
+   * @param {string} placeholders.passwordHash - Unusable password hash
+   * @returns {Promise<Object>} Anonymised user
+   */
+  async anonymize(id, { email, passwordHash }) {
+    try {
+      const byUser = { where: { userId: id } };
+      const [user] = await this.prisma.$transaction([
+        this.prisma.user.update({
+          where: { id },
+          data: {
+            email,
+            passwordHash,
+            displayName: 'Deleted user',
+            avatarUrl: null,
+            tz: null,
+            role: 'USER',
+            emailVerifiedAt: null,
+            anonymizedAt: new Date(),
+          },
+        }),
+        this.prisma.userSettings.deleteMany(byUser),
+        this.prisma.refreshToken.updateMany({
+          where: { userId: id, revokedAt: null },
+          data: { revokedAt: new Date() },
+        }),
+        this.prisma.device.deleteMany(byUser),
+        this.prisma.magicLink.deleteMany(byUser),
+        this.prisma.passwordReset.deleteMany(byUser),
+        this.prisma.recoveryCode.deleteMany(byUser),
+        this.prisma.userTwoFactor.deleteMany(byUser),
+        this.prisma.groupMember.deleteMany(byUser),
+        this.prisma.notification.deleteMany(byUser),
+        this.prisma.dataExport.deleteMany(byUser),
+      ]);
+
+      logger.info(`User anonymized: ${id}`);
+      return user;
+    } catch (error) {
+      logger.error('Error anonymizing user:', error);
+      throw error;
+    }
+  }
+
   /**
    * Permanently delete user (hard delete)
    * @param {string} id - User ID
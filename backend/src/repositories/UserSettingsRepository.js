@@ -129,6 +129,25 @@ class UserSettingsRepository {
     }
   }
 
+  /**
+   * Narrow a list of users down to those who opted out of leaderboards
+   * @param {Array<string>} userIds - Candidate user IDs
+   * @returns {Promise<Array<string>>} IDs of opted out users
+   */
+  async findLeaderboardOptOutIds(userIds) {
+    try {
+      const settings = await this.prisma.userSettings.findMany({
+        where: { userId: { in: userIds }, leaderboardOptOut: true },
+        select: { userId: true },
+      });
+
+      return settings.map((entry) => entry.userId);
+    } catch (error) {
+      logger.error('Error finding leaderboard opt-outs:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete user settings
    * @param {string} userId - User ID
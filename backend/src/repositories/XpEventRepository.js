@@ -0,0 +1,226 @@
+/**
+ * XP Event Repository
+ *
+ * Handles all database operations for the XpEvent model. XpTotals are
+ * maintained from inserted and deleted events by the update_xp_totals
+ * trigger.
+ */
+
+import { Prisma } from '../generated/prisma/index.js';
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Query behind XpEventRepository.sumForLeaderboard
+ * @param {Object} filters - fruit, userId and since
+ * @returns {Prisma.Sql} Query
+ */
+const leaderboardSumSql = ({ fruit, userId, since }) => {
+  const conditions = [
+    Prisma.sql`COALESCE(s.leaderboard_opt_out, false) = false`,
+  ];
+  if (fruit) {
+    conditions.push(Prisma.sql`e.fruit = ${fruit}::"Fruit"`);
+  }
+  if (userId) {
+    conditions.push(Prisma.sql`e.user_id = ${userId}::uuid`);
+  }
+  if (since) {
+    // Reversals are written after their award, so the first condition
+    // narrows by index and the second drops reversals of older awards
+    conditions.push(
+      Prisma.sql`e.created_at >= ${since}`,
+      Prisma.sql`COALESCE(o.created_at, e.created_at) >= ${since}`
+    );
+  }
+
+  return Prisma.sql`
+    SELECT e.user_id AS "userId", e.fruit::text AS fruit,
+      SUM(e.amount)::int AS xp
+    FROM xp_events e
+    JOIN users u ON u.id = e.user_id AND u.deleted_at IS NULL
+    LEFT JOIN xp_events o ON o.id = e.reversal_of_id
+    LEFT JOIN user_settings s ON s.user_id = e.user_id
+    WHERE ${Prisma.join(conditions, ' AND ')}
+    GROUP BY e.user_id, e.fruit
+    HAVING SUM(e.amount) > 0
+  `;
+};
+
+class XpEventRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * Record an award unless it was already made or its limits say no. Awards
+   * of the same action for a user are serialised with an advisory lock, so
+   * concurrent requests cannot both slip under a cap or cooldown.
+   * @param {Object} eventData - Event (userId, fruit, reason, metadata, idempotencyKey)
+   * @param {Date} since - Start of the window daily caps count from
+   * @param {Function} limit - (usage) => { amount, skipped }, see applyLimits
+   * @returns {Promise<{ event: Object|null, skipped: string|null }>} Created or existing event, or why none was made
+   */
+  async createWithinLimits(eventData, since, limit) {
+    const { userId, reason, idempotencyKey } = eventData;
+
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`
+          SELECT pg_advisory_xact_lock(hashtext(${userId}::text), hashtext(${reason}::text))
+        `;
+
+        const existing = await tx.xpEvent.findUnique({
+          where: { idempotencyKey },
+        });
+        if (existing) {
+          return { event: existing, skipped: 'duplicate' };
+        }
+
+        const earned = await tx.xpEvent.aggregate({
+          where: { userId, reason, createdAt: { gte: since } },
+          _sum: { amount: true },
+        });
+        const last = await tx.xpEvent.findFirst({
+          where: { userId, reason },
+          orderBy: { createdAt: 'desc' },
+          select: { createdAt: true },
+        });
+
+        const { amount, skipped } = limit({
+          earnedToday: earned._sum.amount ?? 0,
+          lastAwardedAt: last?.createdAt ?? null,
+        });
+        if (skipped) {
+          return { event: null, skipped };
+        }
+
+        const event = await tx.xpEvent.create({
+          data: { ...eventData, amount },
+        });
+
+        logger.info(
+          `XP awarded: ${amount} ${event.fruit} to user ${userId} for ${reason}`
+        );
+        return { event, skipped: null };
+      });
+    } catch (error) {
+      logger.error('Error creating XP event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel every award tied to a piece of content by inserting reversal
+   * events with the negated amount. Awards that were already reversed are
+   * skipped, so this is safe to repeat.
+   * @param {string} entityType - Metadata entityType of the awards
+   * @param {string} entityId - Metadata entityId of the awards
+   * @param {Function} buildReversal - (award) => reversal event data
+   * @returns {Promise<Array>} Created reversal events
+   */
+  async reverseForEntity(entityType, entityId, buildReversal) {
+    try {
+      const awards = await this.prisma.$queryRaw`
+        SELECT e.id, e.user_id AS "userId", e.fruit::text AS fruit, e.amount,
+          e.reason, e.metadata, e.created_at AS "createdAt"
+        FROM xp_events e
+        WHERE e.metadata @> ${JSON.stringify({ entityType, entityId })}::jsonb
+          AND e.reversal_of_id IS NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM xp_events r WHERE r.reversal_of_id = e.id
+          )
+      `;
+
+      if (awards.length === 0) {
+        return [];
+      }
+
+      const reversals = await this.prisma.xpEvent.createManyAndReturn({
+        data: awards.map(buildReversal),
+        skipDuplicates: true,
+      });
+
+      logger.info(
+        `XP reversed: ${reversals.length} award(s) for ${entityType} ${entityId}`
+      );
+      return reversals;
+    } catch (error) {
+      logger.error('Error reversing XP events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Net XP per user and fruit for leaderboards. Deleted users and users
+   * who opted out of leaderboards are left out. A reversal counts in the
+   * window of the award it cancels, so windows never go negative. Filtering
+   * by fruit and time uses the xp_events_fruit_created_desc index.
+   * @param {Object} filters - What to sum
+   * @param {string} [filters.fruit] - Only this fruit
+   * @param {string} [filters.userId] - Only this user
+   * @param {Date} [filters.since] - Only XP earned from this time on
+   * @returns {Promise<Array<{ userId: string, fruit: string, xp: number }>>} Positive sums
+   */
+  async sumForLeaderboard(filters = {}) {
+    try {
+      return await this.prisma.$queryRaw(leaderboardSumSql(filters));
+    } catch (error) {
+      logger.error('Error summing XP for leaderboards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read xp_events from one snapshot, so a series of reads sees the same
+   * events while new ones keep being written. The snapshot offers
+   * sumForLeaderboard(filters) and findExistingIds(ids), which tells which
+   * of the given events it contains.
+   * @param {Function} read - async (snapshot) => result
+   * @param {number} timeoutMs - How long the snapshot may stay open
+   * @returns {Promise<*>} What read returns
+   */
+  async readSnapshot(read, timeoutMs) {
+    try {
+      return await this.prisma.$transaction(
+        (tx) =>
+          read({
+            sumForLeaderboard: (filters = {}) =>
+              tx.$queryRaw(leaderboardSumSql(filters)),
+            findExistingIds: async (ids) => {
+              const events = await tx.xpEvent.findMany({
+                where: { id: { in: ids } },
+                select: { id: true },
+              });
+              return events.map(({ id }) => id);
+            },
+          }),
+        {
+          isolationLevel: Prisma.TransactionIsolationLevel.RepeatableRead,
+          timeout: timeoutMs,
+        }
+      );
+    } catch (error) {
+      logger.error('Error reading XP events snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an award by its idempotency key
+   * @param {string} idempotencyKey - Idempotency key
+   * @returns {Promise<Object|null>} XP event or null
+   */
+  async findByIdempotencyKey(idempotencyKey) {
+    try {
+      return await this.prisma.xpEvent.findUnique({
+        where: { idempotencyKey },
+      });
+    } catch (error) {
+      logger.error('Error finding XP event:', error);
+      throw error;
+    }
+  }
+}
+
+export default XpEventRepository;
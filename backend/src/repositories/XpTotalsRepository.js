@@ -0,0 +1,171 @@
+/**
+ * XP Totals Repository
+ *
+ * Reads the trigger-maintained xp_totals, compares them with totals
+ * recomputed from xp_events, and rewrites the rows that drifted. The
+ * per-fruit columns are built from FRUIT_COLUMNS, so those queries use raw
+ * SQL built with Prisma.sql; every value is passed as a bound parameter.
+ */
+
+import { Prisma } from '../generated/prisma/index.js';
+import prismaService from '../services/prisma.js';
+import logger from '../utils/logger.js';
+import { FRUIT_COLUMNS } from '../types/index.js';
+
+const FRUITS = Object.entries(FRUIT_COLUMNS);
+
+/**
+ * SQL json_build_object of the fruit columns of the row aliased `alias`,
+ * with missing rows read as zero
+ * @param {string} alias - Table alias
+ * @returns {Prisma.Sql} SQL fragment
+ */
+const fruitObjectSql = (alias) =>
+  Prisma.raw(
+    `json_build_object(${FRUITS.map(
+      ([, column]) => `'${column}', COALESCE(${alias}.${column}, 0)`
+    ).join(', ')})`
+  );
+
+/**
+ * SQL list of the per-fruit sums of the events joined as `e`, one column
+ * per fruit named after its xp_totals column
+ * @returns {Prisma.Sql} SQL fragment
+ */
+const fruitSumsSql = () =>
+  Prisma.join(
+    FRUITS.map(
+      ([fruit, column]) =>
+        Prisma.sql`COALESCE(SUM(e.amount) FILTER (WHERE e.fruit::text = ${fruit}), 0)::int AS ${Prisma.raw(column)}`
+    )
+  );
+
+/**
+ * Prisma field of an xp_totals column, e.g. "selfControl" for "self_control"
+ * @param {string} column - Column name
+ * @returns {string} Field name
+ */
+const toField = (column) =>
+  column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+class XpTotalsRepository {
+  constructor() {
+    this.prisma = prismaService.getClient();
+  }
+
+  /**
+   * A user's XP per fruit
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} XP keyed by Fruit, all zero when the user has no totals yet
+   */
+  async findFruitXp(userId) {
+    try {
+      const totals = await this.prisma.xpTotals.findUnique({
+        where: { userId },
+      });
+
+      return Object.fromEntries(
+        FRUITS.map(([fruit, column]) => [fruit, totals?.[toField(column)] ?? 0])
+      );
+    } catch (error) {
+      logger.error('Error finding XP totals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find users whose xp_totals differ from the sum of their events,
+   * including users with events but no totals row and the reverse
+   * @param {Object} [options] - Filters
+   * @param {string} [options.userId] - Only check this user
+   * @param {Object} [client] - Transaction client, defaults to the shared client
+   * @returns {Promise<Array<{ userId: string, recorded: Object, expected: Object }>>} Drifted users with per-column values
+   */
+  async findDrift({ userId } = {}, client = this.prisma) {
+    const userFilter = (alias) =>
+      userId
+        ? Prisma.sql`WHERE ${Prisma.raw(alias)}.user_id = ${userId}::uuid`
+        : Prisma.empty;
+
+    try {
+      const rows = await client.$queryRaw`
+        WITH expected AS (
+          SELECT e.user_id, ${fruitSumsSql()}
+          FROM xp_events e
+          ${userFilter('e')}
+          GROUP BY e.user_id
+        ),
+        recorded AS (
+          SELECT * FROM xp_totals t ${userFilter('t')}
+        )
+        SELECT COALESCE(x.user_id, t.user_id) AS "userId",
+          ${fruitObjectSql('t')} AS recorded,
+          ${fruitObjectSql('x')} AS expected
+        FROM expected x
+        FULL JOIN recorded t ON t.user_id = x.user_id
+        ORDER BY 1
+      `;
+
+      return rows.filter((row) =>
+        FRUITS.some(
+          ([, column]) => row.recorded[column] !== row.expected[column]
+        )
+      );
+    } catch (error) {
+      logger.error('Error finding XP totals drift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite drifted totals from the events. Inserting events is blocked
+   * while this runs, so no award can land between the comparison and the
+   * rewrite.
+   * @param {Object} [options] - Filters
+   * @param {string} [options.userId] - Only repair this user
+   * @returns {Promise<Array>} Drift that was repaired, as findDrift returns it
+   */
+  async repairDrift(options = {}) {
+    try {
+      // Checking every user can outlast the default 5s transaction timeout
+      return await this.prisma.$transaction(
+        async (tx) => {
+          await tx.$executeRaw`LOCK TABLE xp_events IN SHARE MODE`;
+
+          const drift = await this.findDrift(options, tx);
+          if (drift.length === 0) {
+            return drift;
+          }
+
+          const columns = Prisma.join(
+            FRUITS.map(([, column]) => Prisma.raw(column))
+          );
+          const updates = Prisma.join(
+            FRUITS.map(([, column]) =>
+              Prisma.raw(`${column} = EXCLUDED.${column}`)
+            )
+          );
+
+          await tx.$executeRaw`
+          INSERT INTO xp_totals (user_id, ${columns}, updated_at)
+          SELECT u.id, ${fruitSumsSql()}, NOW()
+          FROM users u
+          LEFT JOIN xp_events e ON e.user_id = u.id
+          WHERE u.id = ANY(${drift.map((row) => row.userId)}::uuid[])
+          GROUP BY u.id
+          ON CONFLICT (user_id) DO UPDATE SET ${updates}, updated_at = NOW()
+        `;
+
+          logger.info(`XP totals repaired for ${drift.length} user(s)`);
+          return drift;
+        },
+        { timeout: 60000 }
+      );
+    } catch (error) {
+      logger.error('Error repairing XP totals:', error);
+      throw error;
+    }
+  }
+}
+
+export default XpTotalsRepository;
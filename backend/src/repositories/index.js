@@ -10,3 +10,24 @@ export { default as DeviceRepository } from './DeviceRepository.js';
 export { default as RefreshTokenRepository } from './RefreshTokenRepository.js';
 export { default as PasswordResetRepository } from './PasswordResetRepository.js';
 export { default as MagicLinkRepository } from './MagicLinkRepository.js';
+export { default as AuditLogRepository } from './AuditLogRepository.js';
+export { default as TwoFactorRepository } from './TwoFactorRepository.js';
+export { default as GroupMemberRepository } from './GroupMemberRepository.js';
+export { default as NotificationRepository } from './NotificationRepository.js';
+export { default as DataExportRepository } from './DataExportRepository.js';
+export { default as GroupRepository } from './GroupRepository.js';
+export { default as GroupJoinRequestRepository } from './GroupJoinRequestRepository.js';
+export { default as GroupInviteRepository } from './GroupInviteRepository.js';
+export { default as PostRepository } from './PostRepository.js';
+export { default as CommentRepository } from './CommentRepository.js';
+export { default as ReactionRepository } from './ReactionRepository.js';
+export { default as SearchRepository } from './SearchRepository.js';
+export { default as PrayerRepository } from './PrayerRepository.js';
+export { default as PrayerCommitRepository } from './PrayerCommitRepository.js';
+export { default as PrayerReminderRepository } from './PrayerReminderRepository.js';
+export { default as XpEventRepository } from './XpEventRepository.js';
+export { default as XpTotalsRepository } from './XpTotalsRepository.js';
+export { default as StreakRepository } from './StreakRepository.js';
+export { default as UserBadgeRepository } from './UserBadgeRepository.js';
+export { default as MentorSessionRepository } from './MentorSessionRepository.js';
+export { default as ModerationActionRepository } from './ModerationActionRepository.js';
@@ -6,7 +6,19 @@ import { config } from './config/index.js';
 import { errorHandler, notFound, requestLogger } from './middleware/index.js';
 import { database } from './services/database.js';
 import { redis } from './services/redis.js';
+import { scheduler } from './jobs/index.js';
 import healthRoutes from './routes/health.js';
+import authRoutes from './modules/auth/routes.js';
+import userRoutes from './modules/users/routes.js';
+import adminRoutes from './modules/admin/routes.js';
+import groupRoutes from './modules/groups/routes.js';
+import postRoutes from './modules/posts/routes.js';
+import searchRoutes from './modules/search/routes.js';
+import prayerRoutes from './modules/prayers/routes.js';
+import mentorshipRoutes from './modules/mentorships/routes.js';
+import leaderboardRoutes from './modules/leaderboards/routes.js';
+import achievementRoutes from './modules/achievements/routes.js';
+import profileRoutes from './modules/profiles/routes.js';
 
 // Initialize logger
 const logger = pino({
@@ -37,6 +49,17 @@ app.use(
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded media, when stored on local disk instead of Supabase Storage
+if (config.storage.driver === 'local') {
+  app.use(
+    '/uploads',
+    express.static(config.storage.localDir, {
+      setHeaders: (res) =>
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+    })
+  );
+}
+
 // Request logging
 app.use(requestLogger(logger));
 
@@ -58,6 +81,39 @@ async function initializeServices() {
 // Health check routes
 app.use('/api/v1', healthRoutes);
 
+// Auth routes
+app.use('/api/v1/auth', authRoutes);
+
+// Signed-in user routes
+app.use('/api/v1/me', userRoutes);
+
+// Group routes
+app.use('/api/v1/groups', groupRoutes);
+
+// Post and feed routes
+app.use('/api/v1/posts', postRoutes);
+
+// Prayer routes
+app.use('/api/v1/prayers', prayerRoutes);
+
+// Mentorship routes
+app.use('/api/v1/mentorships', mentorshipRoutes);
+
+// Leaderboard routes
+app.use('/api/v1/leaderboards', leaderboardRoutes);
+
+// Level and badge routes
+app.use('/api/v1/achievements', achievementRoutes);
+
+// Public profile routes
+app.use('/api/v1/profiles', profileRoutes);
+
+// Search routes
+app.use('/api/v1/search', searchRoutes);
+
+// Platform admin routes
+app.use('/api/v1/admin', adminRoutes);
+
 // Legacy health check endpoint (for backward compatibility)
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -92,6 +148,10 @@ if (config.nodeEnv !== 'test') {
           `Server running on port ${config.port} in ${config.nodeEnv} mode`
         );
       });
+
+      if (config.jobs.enabled) {
+        scheduler.start();
+      }
     })
     .catch((error) => {
       logger.error('Failed to start server:', error);
@@ -104,6 +164,8 @@ const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
   try {
+    scheduler.stop();
+
     // Close database and Redis connections
     await Promise.all([database.disconnect(), redis.disconnect()]);
 
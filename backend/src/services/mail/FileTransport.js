@@ -0,0 +1,40 @@
+/**
+ * File mail transport
+ * Writes each outgoing message as a JSON file so tests and developers can
+ * read links out of the outbox without an SMTP provider.
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import crypto from 'crypto';
+
+class FileTransport {
+  /**
+   * @param {string} outboxDir - Directory messages are written to
+   */
+  constructor(outboxDir) {
+    this.outboxDir = outboxDir;
+  }
+
+  /**
+   * Write a message to the outbox
+   * @param {Object} message - Mail message
+   * @returns {Promise<Object>} Delivery info including the file path
+   */
+  async send(message) {
+    await mkdir(this.outboxDir, { recursive: true });
+
+    const file = join(
+      this.outboxDir,
+      `${Date.now()}-${crypto.randomUUID()}.json`
+    );
+    await writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { accepted: [message.to], file };
+  }
+}
+
+export default FileTransport;
@@ -0,0 +1,78 @@
+/**
+ * Mail Service
+ *
+ * Sends mail through a pluggable transport. A transport is any object with
+ * an async send({ from, to, subject, text, html }) method; the console and
+ * file transports cover development and tests until an SMTP or API provider
+ * is wired in.
+ */
+
+import { config } from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import ConsoleTransport from './ConsoleTransport.js';
+import FileTransport from './FileTransport.js';
+
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: (mailConfig) => new FileTransport(mailConfig.outboxDir),
+};
+
+const createTransport = (mailConfig) => {
+  const factory = transports[mailConfig.transport];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+
+  return factory(mailConfig);
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Get the active transport, creating it from config on first use
+   * @returns {Object} Mail transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(config.mail);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the active transport
+   * @param {Object} transport - Object implementing send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Mail message
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain text body
+   * @param {string} [message.html] - HTML body
+   * @returns {Promise<Object>} Transport delivery info
+   */
+  async send(message) {
+    try {
+      return await this.getTransport().send({
+        from: config.mail.from,
+        ...message,
+      });
+    } catch (error) {
+      logger.error('Error sending mail:', error);
+      throw error;
+    }
+  }
+}
+
+export const mailer = new MailService();
+export { ConsoleTransport, FileTransport };
+export default mailer;
@@ -52,6 +52,18 @@ class RedisService {
     }
   }
 
+  /**
+   * Raw ioredis client, for data structures the helpers below do not cover
+   * @returns {Redis} Connected client
+   */
+  getClient() {
+    if (!this.isConnected || !this.client) {
+      throw new Error('Redis not connected');
+    }
+
+    return this.client;
+  }
+
   async set(key, value, ttl = null) {
     if (!this.isConnected || !this.client) {
       throw new Error('Redis not connected');
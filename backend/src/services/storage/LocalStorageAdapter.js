@@ -0,0 +1,72 @@
+/**
+ * Local filesystem storage adapter
+ * Keeps uploads on disk so development and tests work offline. Files are
+ * served by the API under /uploads (see server.js).
+ */
+
+import { mkdir, writeFile, rm } from 'fs/promises';
+import { dirname, join, resolve, sep } from 'path';
+
+class LocalStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.dir - Root directory for stored objects
+   * @param {string} options.publicUrl - Base URL the directory is served from
+   */
+  constructor({ dir, publicUrl }) {
+    this.dir = resolve(dir);
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Resolve an object path inside the root directory
+   * @param {string} path - Object path, e.g. "posts/<userId>/<id>.jpg"
+   * @returns {string} Absolute file path
+   */
+  resolvePath(path) {
+    const file = resolve(join(this.dir, path));
+
+    if (!file.startsWith(this.dir + sep)) {
+      throw new Error(`Invalid storage path: ${path}`);
+    }
+
+    return file;
+  }
+
+  /**
+   * Store an object
+   * @param {Object} object - Object to store
+   * @param {string} object.path - Object path
+   * @param {Buffer} object.body - File contents
+   * @param {string} object.contentType - MIME type
+   * @returns {Promise<{ path: string, url: string }>} Stored object
+   */
+  async put({ path, body }) {
+    const file = this.resolvePath(path);
+
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, body);
+
+    return { path, url: this.getPublicUrl(path) };
+  }
+
+  /**
+   * Delete an object. Missing objects are ignored.
+   * @param {string} path - Object path
+   * @returns {Promise<void>}
+   */
+  async remove(path) {
+    await rm(this.resolvePath(path), { force: true });
+  }
+
+  /**
+   * Public URL of an object
+   * @param {string} path - Object path
+   * @returns {string} URL
+   */
+  getPublicUrl(path) {
+    return `${this.publicUrl}/${path}`;
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,105 @@
+/**
+ * Supabase Storage adapter
+ * Talks to the Storage REST API with the service role key, so no extra SDK
+ * is needed. The bucket is expected to be public; objects are addressed by
+ * their path inside it.
+ */
+
+class SupabaseStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.url - Supabase project URL
+   * @param {string} options.serviceRoleKey - Service role key
+   * @param {string} options.bucket - Storage bucket name
+   */
+  constructor({ url, serviceRoleKey, bucket }) {
+    if (!url || !serviceRoleKey || !bucket) {
+      throw new Error(
+        'Supabase storage needs SUPABASE_URL, SUPABASE_SERVICE_ROLE and SUPABASE_BUCKET'
+      );
+    }
+
+    this.baseUrl = `${url.replace(/\/$/, '')}/storage/v1`;
+    this.serviceRoleKey = serviceRoleKey;
+    this.bucket = bucket;
+  }
+
+  /**
+   * Headers authenticating a Storage API request
+   * @param {Object} [extra] - Additional headers
+   * @returns {Object} Request headers
+   */
+  headers(extra = {}) {
+    return {
+      Authorization: `Bearer ${this.serviceRoleKey}`,
+      apikey: this.serviceRoleKey,
+      ...extra,
+    };
+  }
+
+  /**
+   * Throw with the Storage API's message when a request failed
+   * @param {Response} response - Fetch response
+   * @param {string} action - What was attempted, for the error message
+   * @returns {Promise<void>}
+   */
+  async assertOk(response, action) {
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(
+        `Supabase storage ${action} failed (${response.status}): ${body}`
+      );
+    }
+  }
+
+  /**
+   * Store an object
+   * @param {Object} object - Object to store
+   * @param {string} object.path - Object path
+   * @param {Buffer} object.body - File contents
+   * @param {string} object.contentType - MIME type
+   * @returns {Promise<{ path: string, url: string }>} Stored object
+   */
+  async put({ path, body, contentType }) {
+    const response = await fetch(
+      `${this.baseUrl}/object/${this.bucket}/${path}`,
+      {
+        method: 'POST',
+        headers: this.headers({
+          'Content-Type': contentType,
+          'Cache-Control': 'max-age=31536000',
+          'x-upsert': 'false',
+        }),
+        body,
+      }
+    );
+    await this.assertOk(response, 'upload');
+
+    return { path, url: this.getPublicUrl(path) };
+  }
+
+  /**
+   * Delete an object
+   * @param {string} path - Object path
+   * @returns {Promise<void>}
+   */
+  async remove(path) {
+    const response = await fetch(`${this.baseUrl}/object/${this.bucket}`, {
+      method: 'DELETE',
+      headers: this.headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ prefixes: [path] }),
+    });
+    await this.assertOk(response, 'delete');
+  }
+
+  /**
+   * Public URL of an object
+   * @param {string} path - Object path
+   * @returns {string} URL
+   */
+  getPublicUrl(path) {
+    return `${this.baseUrl}/object/public/${this.bucket}/${path}`;
+  }
+}
+
+export default SupabaseStorageAdapter;
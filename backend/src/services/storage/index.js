@@ -0,0 +1,92 @@
+/**
+ * Storage Service
+ *
+ * Stores uploaded files through a pluggable adapter. An adapter is any
+ * object with async put({ path, body, contentType }), async remove(path)
+ * and getPublicUrl(path). Supabase Storage is used in deployed
+ * environments; the local adapter keeps development and tests offline.
+ */
+
+import { config } from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import SupabaseStorageAdapter from './SupabaseStorageAdapter.js';
+
+const adapters = {
+  local: ({ storage }) =>
+    new LocalStorageAdapter({
+      dir: storage.localDir,
+      publicUrl: storage.localPublicUrl,
+    }),
+  supabase: ({ supabase }) => new SupabaseStorageAdapter(supabase),
+};
+
+const createAdapter = (appConfig) => {
+  const factory = adapters[appConfig.storage.driver];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${appConfig.storage.driver}`);
+  }
+
+  return factory(appConfig);
+};
+
+class StorageService {
+  constructor() {
+    this.adapter = null;
+  }
+
+  /**
+   * Get the active adapter, creating it from config on first use
+   * @returns {Object} Storage adapter
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = createAdapter(config);
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Replace the active adapter
+   * @param {Object} adapter - Object implementing put, remove and getPublicUrl
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Store an object
+   * @param {Object} object - Object to store
+   * @param {string} object.path - Object path
+   * @param {Buffer} object.body - File contents
+   * @param {string} object.contentType - MIME type
+   * @returns {Promise<{ path: string, url: string }>} Stored object
+   */
+  async put(object) {
+    try {
+      return await this.getAdapter().put(object);
+    } catch (error) {
+      logger.error('Error storing object:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object
+   * @param {string} path - Object path
+   * @returns {Promise<void>}
+   */
+  async remove(path) {
+    try {
+      await this.getAdapter().remove(path);
+    } catch (error) {
+      logger.error('Error deleting stored object:', error);
+      throw error;
+    }
+  }
+}
+
+export const storage = new StorageService();
+export { LocalStorageAdapter, SupabaseStorageAdapter };
+export default storage;
@@ -0,0 +1,194 @@
+/**
+ * Account Deletion Integration Tests
+ *
+ * Covers scheduling deletion, restoring the account by logging in during
+ * the grace period, and anonymisation by the account-deletion job.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { config } from '../../config/index.js';
+import { runAccountDeletionJob } from '../../jobs/accountDeletionJob.js';
+
+describe('Account Deletion Integration', () => {
+  let prisma;
+  let owner;
+  let member;
+  let sharedGroup;
+  let soloGroup;
+  const email = 'account-deletion-test@example.com';
+  const memberEmail = 'account-deletion-member@example.com';
+  const password = 'delete-me-eventually';
+
+  const login = () =>
+    request(app).post('/api/v1/auth/login').send({ email, password });
+
+  const deleteAccount = (accessToken, body = { password }) =>
+    request(app)
+      .delete('/api/v1/me')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(body);
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    await prisma.user.deleteMany({
+      where: { email: { in: [email, memberEmail] } },
+    });
+
+    owner = (
+      await request(app)
+        .post('/api/v1/auth/signup')
+        .send({ email, password, displayName: 'Leaving User' })
+        .expect(201)
+    ).body.data;
+    member = await prisma.user.create({
+      data: { email: memberEmail, passwordHash: 'unused' },
+    });
+
+    await prisma.userSettings.create({
+      data: { userId: owner.user.id, denomination: 'Baptist' },
+    });
+    sharedGroup = await prisma.group.create({
+      data: {
+        name: 'Shared Group',
+        createdBy: owner.user.id,
+        members: {
+          create: [
+            { userId: owner.user.id, role: 'ADMIN' },
+            { userId: member.id, role: 'MODERATOR' },
+          ],
+        },
+      },
+    });
+    soloGroup = await prisma.group.create({
+      data: {
+        name: 'Solo Group',
+        createdBy: owner.user.id,
+        members: { create: [{ userId: owner.user.id, role: 'ADMIN' }] },
+      },
+    });
+    await prisma.post.create({
+      data: { userId: owner.user.id, content: 'Still here after I leave' },
+    });
+  });
+
+  afterAll(async () => {
+    const ids = [owner.user.id, member.id];
+    await prisma.auditLog.deleteMany({ where: { entityId: { in: ids } } });
+    await prisma.auditLog.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.post.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.group.deleteMany({
+      where: { id: { in: [sharedGroup.id, soloGroup.id] } },
+    });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prisma.user.deleteMany({ where: { email } });
+    await prismaService.disconnect();
+  });
+
+  it('should require the current password', async () => {
+    await deleteAccount(owner.accessToken, { password: 'wrong' }).expect(401);
+  });
+
+  it('should sign out everywhere and restore the account on login', async () => {
+    const response = await deleteAccount(owner.accessToken).expect(202);
+    expect(new Date(response.body.data.deletionScheduledFor).getTime()).toBe(
+      (
+        await prisma.user.findUnique({ where: { id: owner.user.id } })
+      ).deletedAt.getTime() +
+        config.auth.accountDeletionGraceDays * 24 * 60 * 60 * 1000
+    );
+
+    await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: owner.refreshToken })
+      .expect(401);
+
+    // The email is still reserved during the grace period
+    await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email, password })
+      .expect(409);
+
+    const restored = await login().expect(200);
+    owner.accessToken = restored.body.data.accessToken;
+
+    const user = await prisma.user.findUnique({
+      where: { id: owner.user.id },
+    });
+    expect(user.deletedAt).toBeNull();
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId: owner.user.id, action: 'account_restored' },
+    });
+    expect(audit).toBeTruthy();
+  });
+
+  it('should anonymise the account once the grace period ends', async () => {
+    await deleteAccount(owner.accessToken).expect(202);
+
+    // Not due yet
+    await runAccountDeletionJob();
+    expect(
+      (await prisma.user.findUnique({ where: { id: owner.user.id } }))
+        .anonymizedAt
+    ).toBeNull();
+
+    await prisma.user.update({
+      where: { id: owner.user.id },
+      data: {
+        deletedAt: new Date(
+          Date.now() -
+            (config.auth.accountDeletionGraceDays + 1) * 24 * 60 * 60 * 1000
+        ),
+      },
+    });
+    await runAccountDeletionJob();
+
+    const user = await prisma.user.findUnique({
+      where: { id: owner.user.id },
+      include: { userSettings: true, groupMemberships: true },
+    });
+    expect(user.anonymizedAt).toBeTruthy();
+    expect(user.email).not.toBe(email);
+    expect(user.displayName).toBe('Deleted user');
+    expect(user.userSettings).toBeNull();
+    expect(user.groupMemberships).toHaveLength(0);
+
+    // Content stays, attributed to the anonymous account
+    expect(await prisma.post.count({ where: { userId: user.id } })).toBe(1);
+
+    const shared = await prisma.group.findUnique({
+      where: { id: sharedGroup.id },
+    });
+    expect(shared.createdBy).toBe(member.id);
+    const successor = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: { groupId: sharedGroup.id, userId: member.id },
+      },
+    });
+    expect(successor.role).toBe('ADMIN');
+
+    const solo = await prisma.group.findUnique({ where: { id: soloGroup.id } });
+    expect(solo.deletedAt).toBeTruthy();
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { entityId: user.id, action: 'account_anonymized' },
+    });
+    expect(audit.metadata).toMatchObject({
+      transferredGroups: [sharedGroup.id],
+      archivedGroups: [soloGroup.id],
+    });
+  });
+
+  it('should no longer recognise the old credentials', async () => {
+    await login().expect(401);
+
+    // The email is free to register again
+    await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email, password })
+      .expect(201);
+  });
+});
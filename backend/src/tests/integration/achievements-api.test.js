@@ -0,0 +1,198 @@
+/**
+ * Achievements Integration Tests
+ *
+ * Covers badges earned through prayer commits and streaks, including
+ * recorded Scripture readings, their notifications, idempotent
+ * evaluation, and levels and badges on public profiles.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import AchievementService from '../../modules/achievements/service.js';
+
+describe('Achievements Integration', () => {
+  let prisma;
+  let achievementService;
+  const users = {};
+  const emailPrefix = 'achievements-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  const badgeKeysOf = async (user) =>
+    (
+      await prisma.userBadge.findMany({
+        where: { userId: user.id },
+        orderBy: { badgeKey: 'asc' },
+      })
+    ).map((badge) => badge.badgeKey);
+
+  const badgeNotificationsOf = (user) =>
+    prisma.notification.findMany({
+      where: { userId: user.id, type: 'badge_earned' },
+    });
+
+  const cleanup = () =>
+    prisma.user.deleteMany({ where: { email: { startsWith: emailPrefix } } });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    achievementService = new AchievementService();
+
+    await cleanup();
+
+    for (const name of ['owner', 'friend', 'reader']) {
+      users[name] = await createUser(name);
+    }
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prismaService.disconnect();
+  });
+
+  it('should award a badge and notify when a user first prays for someone', async () => {
+    const prayer = await prisma.prayer.create({
+      data: { userId: users.owner.id, title: 'Surgery', content: 'Pray' },
+    });
+
+    await request(app)
+      .post(`/api/v1/prayers/${prayer.id}/commits`)
+      .set('Authorization', as(users.friend))
+      .send({})
+      .expect(201);
+
+    expect(await badgeKeysOf(users.friend)).toEqual(['first_prayer']);
+
+    const [notification] = await badgeNotificationsOf(users.friend);
+    expect(notification.payload).toMatchObject({
+      key: 'first_prayer',
+      name: 'First Prayer',
+      description: 'Prayed for a request',
+    });
+  });
+
+  it('should not award or notify a badge twice', async () => {
+    expect(await achievementService.evaluate(users.friend.id)).toEqual([]);
+
+    expect(await badgeKeysOf(users.friend)).toEqual(['first_prayer']);
+    expect(await badgeNotificationsOf(users.friend)).toHaveLength(1);
+  });
+
+  it('should count prayer commits towards a daily prayer streak', async () => {
+    const prayer = await prisma.prayer.create({
+      data: { userId: users.owner.id, title: 'Travel', content: 'Pray' },
+    });
+
+    await request(app)
+      .post(`/api/v1/prayers/${prayer.id}/commits`)
+      .set('Authorization', as(users.friend))
+      .send({})
+      .expect(201);
+
+    // Both commits fall on the same UTC day
+    const streak = await prisma.streak.findFirst({
+      where: { userId: users.friend.id, kind: 'PRAYER' },
+    });
+    expect(streak).toMatchObject({ current: 1, longest: 1 });
+  });
+
+  it('should award Scripture streak badges as readings extend the streak', async () => {
+    await prisma.streak.create({
+      data: {
+        userId: users.reader.id,
+        kind: 'SCRIPTURE',
+        current: 29,
+        longest: 29,
+        lastAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      },
+    });
+
+    const response = await request(app)
+      .post('/api/v1/achievements/streaks/scripture')
+      .set('Authorization', as(users.reader))
+      .expect(200);
+
+    expect(response.body.data.streak).toMatchObject({
+      kind: 'SCRIPTURE',
+      current: 30,
+      longest: 30,
+    });
+    expect(response.body.data.badges.map((badge) => badge.key).sort()).toEqual([
+      'scripture_streak_30',
+      'scripture_streak_7',
+    ]);
+    expect(await badgeNotificationsOf(users.reader)).toHaveLength(2);
+
+    // A second reading the same day changes nothing
+    const again = await request(app)
+      .post('/api/v1/achievements/streaks/scripture')
+      .set('Authorization', as(users.reader))
+      .expect(200);
+    expect(again.body.data).toMatchObject({
+      streak: { current: 30 },
+      badges: [],
+    });
+  });
+
+  it('should show levels and badges on the public profile', async () => {
+    const response = await request(app)
+      .get(`/api/v1/profiles/${users.friend.id}`)
+      .set('Authorization', as(users.owner))
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      id: users.friend.id,
+      displayName: 'friend',
+      levels: {
+        overall: { level: 1, xp: 5 },
+        fruits: { FAITHFULNESS: { level: 1, xp: 5, nextLevelXp: 50 } },
+      },
+      badges: [
+        {
+          key: 'first_prayer',
+          name: 'First Prayer',
+          awardedAt: expect.any(String),
+        },
+      ],
+    });
+    expect(response.body.data).not.toHaveProperty('email');
+  });
+
+  it('should 404 for unknown users', async () => {
+    await request(app)
+      .get('/api/v1/profiles/00000000-0000-4000-8000-000000000000')
+      .set('Authorization', as(users.owner))
+      .expect(404);
+  });
+
+  it('should list the badge catalog', async () => {
+    const response = await request(app)
+      .get('/api/v1/achievements/badges')
+      .set('Authorization', as(users.owner))
+      .expect(200);
+
+    expect(response.body.data).toEqual(
+      expect.arrayContaining([
+        {
+          key: 'prayer_warrior',
+          name: 'Prayer Warrior',
+          description: 'Prayed for 100 requests',
+        },
+      ])
+    );
+  });
+});
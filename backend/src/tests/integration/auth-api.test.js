@@ -0,0 +1,155 @@
+/**
+ * Auth API Integration Tests
+ *
+ * Exercises signup, login, refresh and logout over HTTP against the database.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+
+describe('Auth API Integration', () => {
+  let prisma;
+  const email = 'auth-api-test@example.com';
+  const password = 'correct-horse-battery';
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    await prisma.user.deleteMany({ where: { email } });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email } });
+    await prismaService.disconnect();
+  });
+
+  it('should sign up, log in, refresh and log out', async () => {
+    // Signup
+    const signup = await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email: 'Auth-API-Test@example.com', password, displayName: 'A' })
+      .expect(201);
+
+    expect(signup.body.success).toBe(true);
+    expect(signup.body.data.user.email).toBe(email);
+    expect(signup.body.data.user).not.toHaveProperty('passwordHash');
+    expect(signup.body.data.accessToken).toBeTruthy();
+    expect(signup.body.data.refreshToken).toBeTruthy();
+
+    // Password is stored hashed
+    const stored = await prisma.user.findUnique({ where: { email } });
+    expect(stored.passwordHash).not.toBe(password);
+
+    // Only the hash of the refresh token is persisted
+    const tokens = await prisma.refreshToken.findMany({
+      where: { userId: stored.id },
+    });
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0].tokenHash).not.toBe(signup.body.data.refreshToken);
+
+    // Duplicate signup is rejected
+    await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email, password })
+      .expect(409);
+
+    // Login
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password })
+      .expect(200);
+    const { refreshToken } = login.body.data;
+
+    // Refresh rotates the token
+    const refreshed = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken })
+      .expect(200);
+    expect(refreshed.body.data.accessToken).toBeTruthy();
+    expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+    const rotatedToken = refreshed.body.data.refreshToken;
+
+    // Logout revokes the refresh token
+    await request(app)
+      .post('/api/v1/auth/logout')
+      .send({ refreshToken: rotatedToken })
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: rotatedToken })
+      .expect(401);
+  });
+
+  it('should revoke the whole token family when a rotated token is reused', async () => {
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password })
+      .expect(200);
+    const original = login.body.data.refreshToken;
+
+    const first = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: original })
+      .expect(200);
+    const second = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: first.body.data.refreshToken })
+      .expect(200);
+
+    // Rotated tokens are linked to their parent within one family
+    const user = await prisma.user.findUnique({ where: { email } });
+    const latest = await prisma.refreshToken.findFirst({
+      where: { userId: user.id, revokedAt: null },
+      orderBy: { createdAt: 'desc' },
+    });
+    const family = await prisma.refreshToken.findMany({
+      where: { familyId: latest.familyId },
+    });
+    expect(family).toHaveLength(3);
+    expect(latest.parentId).toBeTruthy();
+
+    // Replaying the original token is treated as theft
+    await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: original })
+      .expect(401);
+
+    // The legitimate latest token no longer works either
+    await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: second.body.data.refreshToken })
+      .expect(401);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId: user.id, action: 'refresh_token_reuse_detected' },
+    });
+    expect(audit).toBeTruthy();
+    expect(audit.metadata.familyId).toBe(latest.familyId);
+
+    await prisma.auditLog.deleteMany({ where: { userId: user.id } });
+  });
+
+  it('should reject invalid credentials without revealing which part failed', async () => {
+    const wrongPassword = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password: 'not-the-password' })
+      .expect(401);
+
+    const unknownEmail = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'nobody@example.com', password })
+      .expect(401);
+
+    expect(wrongPassword.body.error).toBe(unknownEmail.body.error);
+  });
+
+  it('should validate request bodies', async () => {
+    await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email: 'not-an-email', password: 'short' })
+      .expect(400);
+  });
+});
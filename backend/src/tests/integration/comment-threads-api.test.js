@@ -0,0 +1,191 @@
+/**
+ * Comment Threads and Mentions API Integration Tests
+ *
+ * Covers nested replies, the depth limit, the thread tree endpoint and
+ * mention notifications in public and private groups.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Comment Threads and Mentions API Integration', () => {
+  let prisma;
+  let privateGroup;
+  let post;
+  const users = {};
+  const emailPrefix = 'comment-threads-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+  const mention = (user) => `@[${user.displayName}](${user.id})`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  const mentionsOf = (user) =>
+    prisma.notification.findMany({
+      where: { userId: user.id, type: 'mention' },
+      orderBy: { createdAt: 'asc' },
+    });
+
+  const reply = (user, parentId, content = 'reply') =>
+    request(app)
+      .post(`/api/v1/posts/${post.id}/comments`)
+      .set('Authorization', as(user))
+      .send({ content, parentId });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: staleIds } } });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    for (const name of ['author', 'member', 'outsider']) {
+      users[name] = await createUser(name);
+    }
+
+    privateGroup = await prisma.group.create({
+      data: {
+        name: 'Threads Private',
+        privacy: 'PRIVATE',
+        createdBy: users.author.id,
+        members: {
+          create: [
+            { userId: users.author.id, role: 'ADMIN' },
+            { userId: users.member.id },
+          ],
+        },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: ids } } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+  });
+
+  it('should only notify group members mentioned in private posts', async () => {
+    const created = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.author))
+      .send({
+        content: `Thank you ${mention(users.member)} and ${mention(users.outsider)}`,
+        groupId: privateGroup.id,
+      })
+      .expect(201);
+    post = created.body.data;
+
+    const [notification] = await mentionsOf(users.member);
+    expect(notification.payload).toMatchObject({
+      postId: post.id,
+      commentId: null,
+      groupId: privateGroup.id,
+      mentionedBy: users.author.id,
+    });
+    expect(await mentionsOf(users.outsider)).toHaveLength(0);
+  });
+
+  it('should only notify newly added mentions on edit', async () => {
+    await request(app)
+      .patch(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.author))
+      .send({ content: `${post.content} (edited)` })
+      .expect(200);
+
+    expect(await mentionsOf(users.member)).toHaveLength(1);
+  });
+
+  it('should nest replies up to the depth limit', async () => {
+    const top = await reply(users.member, null, 'top').expect(201);
+    expect(top.body.data.comment).toMatchObject({ parentId: null, depth: 0 });
+
+    let parentId = top.body.data.comment.id;
+    for (const depth of [1, 2, 3]) {
+      const child = await reply(users.author, parentId).expect(201);
+      expect(child.body.data.comment.depth).toBe(depth);
+      parentId = child.body.data.comment.id;
+    }
+
+    await reply(users.member, parentId).expect(400);
+  });
+
+  it('should notify mentions in replies', async () => {
+    const tree = await request(app)
+      .get(`/api/v1/posts/${post.id}/comments/tree`)
+      .set('Authorization', as(users.member))
+      .expect(200);
+    const [top] = tree.body.data;
+
+    const created = await reply(
+      users.author,
+      top.id,
+      `Amen ${mention(users.member)}`
+    ).expect(201);
+
+    const notifications = await mentionsOf(users.member);
+    expect(notifications).toHaveLength(2);
+    expect(notifications[1].payload.commentId).toBe(
+      created.body.data.comment.id
+    );
+  });
+
+  it('should return threads as a tree with deleted placeholders', async () => {
+    const before = await request(app)
+      .get(`/api/v1/posts/${post.id}/comments/tree`)
+      .set('Authorization', as(users.member))
+      .expect(200);
+    const [top] = before.body.data;
+
+    expect(top.content).toBe('top');
+    expect(top.replies).toHaveLength(2);
+    expect(top.replies[0].replies[0].replies[0].depth).toBe(3);
+    expect(before.body.pagination).toMatchObject({ page: 1, total: 1 });
+
+    await request(app)
+      .delete(`/api/v1/posts/${post.id}/comments/${top.id}`)
+      .set('Authorization', as(users.member))
+      .expect(200);
+
+    const after = await request(app)
+      .get(`/api/v1/posts/${post.id}/comments/tree`)
+      .set('Authorization', as(users.member))
+      .expect(200);
+    expect(after.body.data[0]).toMatchObject({ id: top.id, deleted: true });
+    expect(after.body.data[0].content).toBeUndefined();
+    expect(after.body.data[0].replies).toHaveLength(2);
+
+    const thread = await request(app)
+      .get(`/api/v1/posts/${post.id}/comments/tree`)
+      .query({ rootId: top.replies[1].id })
+      .set('Authorization', as(users.member))
+      .expect(200);
+    expect(thread.body.data.map(({ id }) => id)).toEqual([top.replies[1].id]);
+
+    await request(app)
+      .get(`/api/v1/posts/${post.id}/comments/tree`)
+      .query({ rootId: users.member.id })
+      .set('Authorization', as(users.member))
+      .expect(404);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Data Export API Integration Tests
+ *
+ * Requests personal data exports, builds them with the data-export job and
+ * downloads the result.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { config } from '../../config/index.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import { runDataExportJob } from '../../jobs/dataExportJob.js';
+
+describe('Data Export API Integration', () => {
+  let prisma;
+  let user;
+  let authorization;
+  let exportDir;
+  const originalExportDir = config.exports.dir;
+  const email = 'data-export-test@example.com';
+
+  // supertest buffers binary bodies only with a custom parser
+  const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    exportDir = await mkdtemp(join(tmpdir(), 'anointed-export-'));
+    config.exports.dir = exportDir;
+
+    await prisma.user.deleteMany({ where: { email } });
+    user = await prisma.user.create({
+      data: {
+        email,
+        passwordHash: 'never-exported',
+        displayName: 'Export User',
+        userSettings: { create: { bibleTranslation: 'ESV' } },
+      },
+    });
+    await prisma.prayer.create({
+      data: { userId: user.id, title: 'Exams', content: 'Please pray' },
+    });
+    authorization = `Bearer ${signAccessToken(user, user.id)}`;
+  });
+
+  afterAll(async () => {
+    config.exports.dir = originalExportDir;
+    await prisma.user.deleteMany({ where: { email } });
+    await rm(exportDir, { recursive: true, force: true });
+    await prismaService.disconnect();
+  });
+
+  it('should build a ZIP export with one file per domain and notify the user', async () => {
+    const requested = await request(app)
+      .post('/api/v1/me/exports')
+      .set('Authorization', authorization)
+      .send({})
+      .expect(202);
+    expect(requested.body.data.status).toBe('PENDING');
+    expect(requested.body.data.format).toBe('ZIP');
+
+    // Only one export at a time
+    await request(app)
+      .post('/api/v1/me/exports')
+      .set('Authorization', authorization)
+      .send({ format: 'json' })
+      .expect(409);
+
+    await runDataExportJob();
+
+    const notification = await prisma.notification.findFirst({
+      where: { userId: user.id, type: 'data_export_ready' },
+    });
+    expect(notification.payload.exportId).toBe(requested.body.data.id);
+
+    const download = await request(app)
+      .get(`/api/v1/me/exports/${requested.body.data.id}/download`)
+      .set('Authorization', authorization)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    // Local file header signature, then the entries
+    expect(download.body.subarray(0, 4).toString('hex')).toBe('504b0304');
+    const listing = download.body.toString('latin1');
+    for (const name of ['manifest.json', 'settings.json', 'prayers.json']) {
+      expect(listing).toContain(name);
+    }
+  });
+
+  it('should build a single JSON document without credentials', async () => {
+    const requested = await request(app)
+      .post('/api/v1/me/exports')
+      .set('Authorization', authorization)
+      .send({ format: 'JSON' })
+      .expect(202);
+
+    await runDataExportJob();
+
+    const download = await request(app)
+      .get(`/api/v1/me/exports/${requested.body.data.id}/download`)
+      .set('Authorization', authorization)
+      .expect(200);
+    const body = JSON.parse(download.text);
+
+    expect(body.profile.email).toBe(email);
+    expect(body.settings.bibleTranslation).toBe('ESV');
+    expect(body.prayers).toHaveLength(1);
+    expect(download.text).not.toContain('never-exported');
+  });
+
+  it('should list exports and keep them private to their owner', async () => {
+    const list = await request(app)
+      .get('/api/v1/me/exports')
+      .set('Authorization', authorization)
+      .expect(200);
+    expect(list.body.data).toHaveLength(2);
+    expect(list.body.data[0].filePath).toBeUndefined();
+
+    const other = await prisma.user.create({
+      data: { email: `other-${email}`, passwordHash: 'unused' },
+    });
+    try {
+      await request(app)
+        .get(`/api/v1/me/exports/${list.body.data[0].id}/download`)
+        .set('Authorization', `Bearer ${signAccessToken(other, other.id)}`)
+        .expect(404);
+    } finally {
+      await prisma.user.delete({ where: { id: other.id } });
+    }
+  });
+
+  it('should rebuild exports a crashed worker left in progress', async () => {
+    const stale = await prisma.dataExport.create({
+      data: {
+        userId: user.id,
+        format: 'JSON',
+        status: 'PROCESSING',
+        updatedAt: new Date(
+          Date.now() - (config.exports.claimTimeoutMinutes + 1) * 60 * 1000
+        ),
+      },
+    });
+
+    await runDataExportJob();
+
+    const rebuilt = await prisma.dataExport.findUnique({
+      where: { id: stale.id },
+    });
+    expect(rebuilt.status).toBe('READY');
+  });
+
+  it('should delete archives once they expire', async () => {
+    await prisma.dataExport.updateMany({
+      where: { userId: user.id },
+      data: { expiresAt: new Date(Date.now() - 1000) },
+    });
+
+    await runDataExportJob();
+
+    expect(await readdir(exportDir)).toHaveLength(0);
+    const statuses = await prisma.dataExport.findMany({
+      where: { userId: user.id },
+      select: { status: true },
+    });
+    expect(statuses.every(({ status }) => status === 'EXPIRED')).toBe(true);
+  });
+});
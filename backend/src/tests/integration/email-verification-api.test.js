@@ -0,0 +1,113 @@
+/**
+ * Email Verification Integration Tests
+ *
+ * Covers the verification email sent on signup, confirming it, and the
+ * requireVerifiedEmail gate used by community write routes.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import pino from 'pino';
+import request from 'supertest';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { mailer, FileTransport } from '../../services/mail/index.js';
+import {
+  authenticate,
+  requireVerifiedEmail,
+  errorHandler,
+} from '../../middleware/index.js';
+
+describe('Email Verification Integration', () => {
+  let prisma;
+  let outboxDir;
+  let accessToken;
+  const email = 'email-verification-test@example.com';
+
+  // Minimal app with one gated write route and one open read route
+  const gatedApp = express();
+  gatedApp.get('/read', authenticate, (req, res) => res.json({ ok: true }));
+  gatedApp.post('/write', authenticate, requireVerifiedEmail, (req, res) =>
+    res.json({ ok: true })
+  );
+  gatedApp.use(errorHandler(pino({ level: 'silent' })));
+
+  const readLatestToken = async () => {
+    const files = (await readdir(outboxDir)).sort();
+    const message = JSON.parse(
+      await readFile(join(outboxDir, files[files.length - 1]), 'utf8')
+    );
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get(
+      'token'
+    );
+  };
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    outboxDir = await mkdtemp(join(tmpdir(), 'anointed-verify-'));
+    mailer.setTransport(new FileTransport(outboxDir));
+
+    await prisma.user.deleteMany({ where: { email } });
+    const signup = await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email, password: 'verify-me-please' })
+      .expect(201);
+    accessToken = signup.body.data.accessToken;
+    expect(signup.body.data.user.emailVerifiedAt).toBeNull();
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email } });
+    await rm(outboxDir, { recursive: true, force: true });
+    await prismaService.disconnect();
+  });
+
+  it('should let unverified accounts read but not write', async () => {
+    await request(gatedApp)
+      .get('/read')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    await request(gatedApp)
+      .post('/write')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(403);
+  });
+
+  it('should verify the email with the link sent on signup', async () => {
+    const token = await readLatestToken();
+
+    const verified = await request(app)
+      .post('/api/v1/auth/email/verify')
+      .send({ token })
+      .expect(200);
+    expect(verified.body.data.emailVerifiedAt).toBeTruthy();
+
+    // Links are single use
+    await request(app)
+      .post('/api/v1/auth/email/verify')
+      .send({ token })
+      .expect(400);
+
+    await request(gatedApp)
+      .post('/write')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+  });
+
+  it('should refuse to resend once verified', async () => {
+    await request(app)
+      .post('/api/v1/auth/email/verification')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(409);
+  });
+
+  it('should require authentication to request a verification email', async () => {
+    await request(app).post('/api/v1/auth/email/verification').expect(401);
+  });
+});
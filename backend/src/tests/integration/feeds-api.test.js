@@ -0,0 +1,211 @@
+/**
+ * Feeds API Integration Tests
+ *
+ * Covers home, group and user feeds, cursor pagination, the post type
+ * filter and visibility of removed posts and private groups.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Feeds API Integration', () => {
+  let prisma;
+  let publicGroup;
+  let privateGroup;
+  const users = {};
+  const posts = {};
+  const emailPrefix = 'feeds-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+      },
+    });
+
+  // Spread posts a second apart so the order is deterministic
+  const base = Date.now() - 60 * 1000;
+  const createPost = (name, data, offset) =>
+    prisma.post
+      .create({
+        data: {
+          content: name,
+          createdAt: new Date(base + offset * 1000),
+          ...data,
+        },
+      })
+      .then((post) => {
+        posts[name] = post;
+      });
+
+  const ids = (response) => response.body.data.map(({ content }) => content);
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: staleIds } } });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    for (const name of ['author', 'member', 'outsider']) {
+      users[name] = await createUser(name);
+    }
+
+    publicGroup = await prisma.group.create({
+      data: {
+        name: 'Feed Public',
+        createdBy: users.author.id,
+        members: {
+          create: [
+            { userId: users.author.id, role: 'ADMIN' },
+            { userId: users.member.id },
+          ],
+        },
+      },
+    });
+    privateGroup = await prisma.group.create({
+      data: {
+        name: 'Feed Private',
+        privacy: 'PRIVATE',
+        createdBy: users.author.id,
+        members: { create: [{ userId: users.author.id, role: 'ADMIN' }] },
+      },
+    });
+
+    const author = { userId: users.author.id };
+    await createPost('personal', author, 1);
+    await createPost(
+      'public-1',
+      { ...author, groupId: publicGroup.id, type: 'TESTIMONY' },
+      2
+    );
+    await createPost('public-2', { ...author, groupId: publicGroup.id }, 3);
+    await createPost('private', { ...author, groupId: privateGroup.id }, 4);
+    await createPost(
+      'removed',
+      { ...author, groupId: publicGroup.id, status: 'REMOVED' },
+      5
+    );
+    await createPost(
+      'deleted',
+      { ...author, groupId: publicGroup.id, deletedAt: new Date() },
+      6
+    );
+    await createPost(
+      'pending',
+      { ...author, groupId: publicGroup.id, status: 'PENDING_MOD' },
+      7
+    );
+    await createPost(
+      'member-post',
+      { userId: users.member.id, groupId: publicGroup.id },
+      8
+    );
+  });
+
+  afterAll(async () => {
+    const userIds = Object.values(users).map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: userIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prismaService.disconnect();
+  });
+
+  it('should build the home feed from own posts and group posts', async () => {
+    const response = await request(app)
+      .get('/api/v1/posts/feed')
+      .set('Authorization', as(users.member))
+      .expect(200);
+
+    expect(ids(response)).toEqual(['member-post', 'public-2', 'public-1']);
+    expect(response.body.data[0].author.displayName).toBe('member');
+    expect(response.body.pagination).toMatchObject({
+      hasMore: false,
+      nextCursor: null,
+    });
+  });
+
+  it('should show authors their own pending posts', async () => {
+    const response = await request(app)
+      .get('/api/v1/posts/feed')
+      .set('Authorization', as(users.author))
+      .expect(200);
+
+    expect(ids(response)).toEqual([
+      'member-post',
+      'pending',
+      'private',
+      'public-2',
+      'public-1',
+      'personal',
+    ]);
+  });
+
+  it('should page through a group feed with cursors', async () => {
+    const first = await request(app)
+      .get(`/api/v1/posts/feed/groups/${publicGroup.id}`)
+      .query({ limit: 2 })
+      .set('Authorization', as(users.outsider))
+      .expect(200);
+
+    expect(ids(first)).toEqual(['member-post', 'public-2']);
+    expect(first.body.pagination).toMatchObject({ limit: 2, hasMore: true });
+
+    const second = await request(app)
+      .get(`/api/v1/posts/feed/groups/${publicGroup.id}`)
+      .query({ limit: 2, cursor: first.body.pagination.nextCursor })
+      .set('Authorization', as(users.outsider))
+      .expect(200);
+
+    expect(ids(second)).toEqual(['public-1']);
+    expect(second.body.pagination.hasMore).toBe(false);
+  });
+
+  it('should filter by post type', async () => {
+    const response = await request(app)
+      .get(`/api/v1/posts/feed/groups/${publicGroup.id}`)
+      .query({ type: 'TESTIMONY' })
+      .set('Authorization', as(users.member))
+      .expect(200);
+
+    expect(ids(response)).toEqual(['public-1']);
+    expect(response.body.data[0].type).toBe('TESTIMONY');
+  });
+
+  it('should hide private groups from non-members', async () => {
+    await request(app)
+      .get(`/api/v1/posts/feed/groups/${privateGroup.id}`)
+      .set('Authorization', as(users.outsider))
+      .expect(404);
+
+    const profile = await request(app)
+      .get(`/api/v1/posts/feed/users/${users.author.id}`)
+      .set('Authorization', as(users.outsider))
+      .expect(200);
+
+    expect(ids(profile)).toEqual(['public-2', 'public-1', 'personal']);
+  });
+
+  it('should reject malformed cursors', async () => {
+    await request(app)
+      .get('/api/v1/posts/feed')
+      .query({ cursor: 'not-a-cursor' })
+      .set('Authorization', as(users.member))
+      .expect(400);
+  });
+});
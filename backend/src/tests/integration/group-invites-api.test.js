@@ -0,0 +1,264 @@
+/**
+ * Group Join Requests and Invites API Integration Tests
+ *
+ * Covers asking to join private groups, reviewing requests, invite links
+ * and direct email invites.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken, hashToken } from '../../modules/auth/tokens.js';
+
+describe('Group Join Requests and Invites API Integration', () => {
+  let prisma;
+  let group;
+  const users = {};
+  const emailPrefix = 'group-invites-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  const notificationsFor = (user, type) =>
+    prisma.notification.findMany({ where: { userId: user.id, type } });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    await prisma.group.deleteMany({
+      where: { createdBy: { in: stale.map(({ id }) => id) } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    for (const name of [
+      'owner',
+      'requester',
+      'rejected',
+      'linked',
+      'invited',
+    ]) {
+      users[name] = await createUser(name);
+    }
+
+    group = (
+      await request(app)
+        .post('/api/v1/groups')
+        .set('Authorization', as(users.owner))
+        .send({ name: 'Elders Only', privacy: 'PRIVATE' })
+        .expect(201)
+    ).body.data;
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map(({ id }) => id);
+    await prisma.auditLog.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: ids } } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+  });
+
+  it('should point private group joiners at join requests', async () => {
+    const response = await request(app)
+      .post(`/api/v1/groups/${group.id}/join`)
+      .set('Authorization', as(users.requester))
+      .expect(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should approve a join request and notify both sides', async () => {
+    const created = await request(app)
+      .post(`/api/v1/groups/${group.id}/join-requests`)
+      .set('Authorization', as(users.requester))
+      .send({ message: 'I lead the Tuesday study' })
+      .expect(201);
+    expect(created.body.data.status).toBe('PENDING');
+
+    await request(app)
+      .post(`/api/v1/groups/${group.id}/join-requests`)
+      .set('Authorization', as(users.requester))
+      .send({})
+      .expect(409);
+
+    expect(
+      await notificationsFor(users.owner, 'group_join_request')
+    ).toHaveLength(1);
+
+    await request(app)
+      .get(`/api/v1/groups/${group.id}/join-requests`)
+      .set('Authorization', as(users.requester))
+      .expect(403);
+
+    const list = await request(app)
+      .get(`/api/v1/groups/${group.id}/join-requests`)
+      .set('Authorization', as(users.owner))
+      .expect(200);
+    expect(list.body.data.map(({ id }) => id)).toEqual([created.body.data.id]);
+    expect(list.body.data[0].user.displayName).toBe('requester');
+
+    const approved = await request(app)
+      .post(
+        `/api/v1/groups/${group.id}/join-requests/${created.body.data.id}/approve`
+      )
+      .set('Authorization', as(users.owner))
+      .expect(200);
+    expect(approved.body.data.status).toBe('APPROVED');
+
+    await request(app)
+      .post(
+        `/api/v1/groups/${group.id}/join-requests/${created.body.data.id}/reject`
+      )
+      .set('Authorization', as(users.owner))
+      .expect(409);
+
+    const membership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: { groupId: group.id, userId: users.requester.id },
+      },
+    });
+    expect(membership.role).toBe('MEMBER');
+    expect(
+      await notificationsFor(users.requester, 'group_join_request_approved')
+    ).toHaveLength(1);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId: users.owner.id, action: 'group_join_request_approved' },
+    });
+    expect(audit.metadata.requesterId).toBe(users.requester.id);
+  });
+
+  it('should reject a join request without adding a member', async () => {
+    const created = await request(app)
+      .post(`/api/v1/groups/${group.id}/join-requests`)
+      .set('Authorization', as(users.rejected))
+      .send({})
+      .expect(201);
+
+    await request(app)
+      .post(
+        `/api/v1/groups/${group.id}/join-requests/${created.body.data.id}/reject`
+      )
+      .set('Authorization', as(users.owner))
+      .expect(200);
+
+    expect(
+      await prisma.groupMember.findUnique({
+        where: {
+          groupId_userId: { groupId: group.id, userId: users.rejected.id },
+        },
+      })
+    ).toBeNull();
+    expect(
+      await notificationsFor(users.rejected, 'group_join_request_rejected')
+    ).toHaveLength(1);
+  });
+
+  it('should let a single-use invite link be redeemed once', async () => {
+    const created = await request(app)
+      .post(`/api/v1/groups/${group.id}/invites`)
+      .set('Authorization', as(users.owner))
+      .send({ maxUses: 1, expiresInHours: 2 })
+      .expect(201);
+    const { invite, token, url } = created.body.data;
+
+    expect(invite.maxUses).toBe(1);
+    expect(url).toContain(token);
+
+    const stored = await prisma.groupInvite.findUnique({
+      where: { id: invite.id },
+    });
+    expect(stored.tokenHash).not.toBe(token);
+
+    const accepted = await request(app)
+      .post('/api/v1/groups/invites/accept')
+      .set('Authorization', as(users.linked))
+      .send({ token })
+      .expect(200);
+    expect(accepted.body.data).toMatchObject({
+      id: group.id,
+      myRole: 'MEMBER',
+    });
+
+    await request(app)
+      .post('/api/v1/groups/invites/accept')
+      .set('Authorization', as(users.rejected))
+      .send({ token })
+      .expect(400);
+
+    expect(
+      await notificationsFor(users.owner, 'group_invite_accepted')
+    ).toHaveLength(1);
+  });
+
+  it('should not accept revoked invites', async () => {
+    const { invite, token } = (
+      await request(app)
+        .post(`/api/v1/groups/${group.id}/invites`)
+        .set('Authorization', as(users.owner))
+        .send({})
+        .expect(201)
+    ).body.data;
+
+    await request(app)
+      .delete(`/api/v1/groups/${group.id}/invites/${invite.id}`)
+      .set('Authorization', as(users.owner))
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/groups/invites/accept')
+      .set('Authorization', as(users.rejected))
+      .send({ token })
+      .expect(400);
+  });
+
+  it('should bind email invites to the invited address', async () => {
+    const created = await request(app)
+      .post(`/api/v1/groups/${group.id}/invites`)
+      .set('Authorization', as(users.owner))
+      .send({ email: users.invited.email })
+      .expect(201);
+
+    expect(created.body.data.token).toBeUndefined();
+    expect(created.body.data.invite.maxUses).toBe(1);
+
+    const [notification] = await notificationsFor(
+      users.invited,
+      'group_invite'
+    );
+    expect(notification.payload.inviteId).toBe(created.body.data.invite.id);
+
+    // The raw token only travels by email, so issue a known one for the test
+    await prisma.groupInvite.update({
+      where: { id: created.body.data.invite.id },
+      data: { tokenHash: hashToken('email-invite-token') },
+    });
+
+    await request(app)
+      .post('/api/v1/groups/invites/accept')
+      .set('Authorization', as(users.rejected))
+      .send({ token: 'email-invite-token' })
+      .expect(403);
+
+    await request(app)
+      .post('/api/v1/groups/invites/accept')
+      .set('Authorization', as(users.invited))
+      .send({ token: 'email-invite-token' })
+      .expect(200);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Groups API Integration Tests
+ *
+ * Covers group CRUD, privacy, joining and leaving, and role management.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Groups API Integration', () => {
+  let prisma;
+  let publicGroup;
+  let privateGroup;
+  const users = {};
+  const emailPrefix = 'groups-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    await prisma.group.deleteMany({
+      where: { createdBy: { in: stale.map(({ id }) => id) } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    for (const name of ['owner', 'joiner', 'moderator', 'outsider']) {
+      users[name] = await createUser(name);
+    }
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map(({ id }) => id);
+    await prisma.auditLog.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: ids } } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+  });
+
+  it('should create groups with the creator as admin', async () => {
+    const created = await request(app)
+      .post('/api/v1/groups')
+      .set('Authorization', as(users.owner))
+      .send({ name: 'Morning Prayer Circle', description: 'Daily at 6am' })
+      .expect(201);
+    publicGroup = created.body.data;
+
+    expect(publicGroup.privacy).toBe('PUBLIC');
+    expect(publicGroup.myRole).toBe('ADMIN');
+    expect(publicGroup.memberCount).toBe(1);
+
+    privateGroup = (
+      await request(app)
+        .post('/api/v1/groups')
+        .set('Authorization', as(users.owner))
+        .send({ name: 'Elders Only', privacy: 'PRIVATE' })
+        .expect(201)
+    ).body.data;
+  });
+
+  it('should hide private groups from non-members', async () => {
+    const list = await request(app)
+      .get('/api/v1/groups')
+      .query({ q: 'prayer circle' })
+      .set('Authorization', as(users.outsider))
+      .expect(200);
+    expect(list.body.data.map(({ id }) => id)).toContain(publicGroup.id);
+    expect(list.body.pagination).toMatchObject({ page: 1, total: 1 });
+
+    const all = await request(app)
+      .get('/api/v1/groups')
+      .set('Authorization', as(users.outsider))
+      .expect(200);
+    expect(all.body.data.map(({ id }) => id)).not.toContain(privateGroup.id);
+
+    await request(app)
+      .get(`/api/v1/groups/${privateGroup.id}`)
+      .set('Authorization', as(users.outsider))
+      .expect(404);
+    await request(app)
+      .post(`/api/v1/groups/${privateGroup.id}/join`)
+      .set('Authorization', as(users.outsider))
+      .expect(404);
+
+    const mine = await request(app)
+      .get('/api/v1/groups')
+      .query({ mine: true })
+      .set('Authorization', as(users.owner))
+      .expect(200);
+    expect(mine.body.data.map(({ id }) => id)).toEqual(
+      expect.arrayContaining([publicGroup.id, privateGroup.id])
+    );
+  });
+
+  it('should let users join and list members', async () => {
+    for (const name of ['joiner', 'moderator']) {
+      const joined = await request(app)
+        .post(`/api/v1/groups/${publicGroup.id}/join`)
+        .set('Authorization', as(users[name]))
+        .expect(200);
+      expect(joined.body.data.myRole).toBe('MEMBER');
+    }
+
+    await request(app)
+      .post(`/api/v1/groups/${publicGroup.id}/join`)
+      .set('Authorization', as(users.joiner))
+      .expect(409);
+
+    const members = await request(app)
+      .get(`/api/v1/groups/${publicGroup.id}/members`)
+      .set('Authorization', as(users.outsider))
+      .expect(200);
+    expect(members.body.data).toHaveLength(3);
+    expect(members.body.data[0]).toMatchObject({
+      userId: users.owner.id,
+      role: 'ADMIN',
+    });
+  });
+
+  it('should restrict updates and role changes to group admins', async () => {
+    await request(app)
+      .patch(`/api/v1/groups/${publicGroup.id}`)
+      .set('Authorization', as(users.joiner))
+      .send({ name: 'Hijacked' })
+      .expect(403);
+
+    const updated = await request(app)
+      .patch(`/api/v1/groups/${publicGroup.id}`)
+      .set('Authorization', as(users.owner))
+      .send({ description: 'Daily at 6:30am' })
+      .expect(200);
+    expect(updated.body.data.description).toBe('Daily at 6:30am');
+
+    await request(app)
+      .patch(`/api/v1/groups/${publicGroup.id}/members/${users.moderator.id}`)
+      .set('Authorization', as(users.owner))
+      .send({ role: 'MODERATOR' })
+      .expect(200);
+  });
+
+  it('should let moderators remove members but not other staff', async () => {
+    await request(app)
+      .delete(`/api/v1/groups/${publicGroup.id}/members/${users.owner.id}`)
+      .set('Authorization', as(users.moderator))
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/v1/groups/${publicGroup.id}/members/${users.joiner.id}`)
+      .set('Authorization', as(users.moderator))
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/v1/groups/${publicGroup.id}/members/${users.moderator.id}`)
+      .set('Authorization', as(users.joiner))
+      .expect(403);
+  });
+
+  it('should keep at least one admin in every group', async () => {
+    await request(app)
+      .post(`/api/v1/groups/${publicGroup.id}/leave`)
+      .set('Authorization', as(users.owner))
+      .expect(409);
+
+    await request(app)
+      .patch(`/api/v1/groups/${publicGroup.id}/members/${users.owner.id}`)
+      .set('Authorization', as(users.owner))
+      .send({ role: 'MEMBER' })
+      .expect(409);
+
+    // Hand over ownership, then leave
+    await request(app)
+      .patch(`/api/v1/groups/${publicGroup.id}/members/${users.moderator.id}`)
+      .set('Authorization', as(users.owner))
+      .send({ role: 'ADMIN' })
+      .expect(200);
+    await request(app)
+      .post(`/api/v1/groups/${publicGroup.id}/leave`)
+      .set('Authorization', as(users.owner))
+      .expect(200);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: {
+        userId: users.owner.id,
+        action: 'group_member_role_changed',
+        entityId: publicGroup.id,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+    expect(audit.metadata).toMatchObject({ from: 'MODERATOR', to: 'ADMIN' });
+  });
+
+  it('should keep an admin when two admins leave at once', async () => {
+    const group = (
+      await request(app)
+        .post('/api/v1/groups')
+        .set('Authorization', as(users.owner))
+        .send({ name: 'Evening Vespers' })
+        .expect(201)
+    ).body.data;
+    await request(app)
+      .post(`/api/v1/groups/${group.id}/join`)
+      .set('Authorization', as(users.outsider))
+      .expect(200);
+    await request(app)
+      .patch(`/api/v1/groups/${group.id}/members/${users.outsider.id}`)
+      .set('Authorization', as(users.owner))
+      .send({ role: 'ADMIN' })
+      .expect(200);
+
+    const responses = await Promise.all(
+      [users.owner, users.outsider].map((user) =>
+        request(app)
+          .post(`/api/v1/groups/${group.id}/leave`)
+          .set('Authorization', as(user))
+      )
+    );
+
+    expect(responses.map(({ status }) => status).sort()).toEqual([200, 409]);
+    expect(
+      await prisma.groupMember.count({
+        where: { groupId: group.id, role: 'ADMIN' },
+      })
+    ).toBe(1);
+  });
+
+  it('should soft delete groups', async () => {
+    await request(app)
+      .delete(`/api/v1/groups/${privateGroup.id}`)
+      .set('Authorization', as(users.owner))
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/groups/${privateGroup.id}`)
+      .set('Authorization', as(users.owner))
+      .expect(404);
+
+    const archived = await prisma.group.findUnique({
+      where: { id: privateGroup.id },
+    });
+    expect(archived.deletedAt).toBeTruthy();
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Leaderboards Integration Tests
+ *
+ * Covers global and group leaderboards per fruit and combined, updates as
+ * XP is awarded and reversed, rebuilding from xp_events, opting out and
+ * deleting accounts. Needs Redis as well as the database.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { redis } from '../../services/redis.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import { USER_ROLES } from '../../types/index.js';
+import XpService from '../../modules/xp/service.js';
+import { XP_ACTIONS } from '../../modules/xp/rules.js';
+import LeaderboardService from '../../modules/leaderboards/service.js';
+import LeaderboardStore from '../../modules/leaderboards/store.js';
+import { leaderboardKey } from '../../modules/leaderboards/windows.js';
+import AccountDeletionService from '../../modules/users/accountDeletionService.js';
+
+describe('Leaderboards Integration', () => {
+  let prisma;
+  let xpService;
+  let group;
+  let privateGroup;
+  const users = {};
+  const emailPrefix = 'leaderboards-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name, role = USER_ROLES.USER) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+        role,
+      },
+    });
+
+  const board = (user, path, query = {}) =>
+    request(app)
+      .get(`/api/v1/leaderboards${path}`)
+      .query(query)
+      .set('Authorization', as(user));
+
+  const setOptOut = (user, leaderboardOptOut) =>
+    request(app)
+      .patch('/api/v1/me/settings')
+      .set('Authorization', as(user))
+      .send({ leaderboardOptOut })
+      .expect(200);
+
+  const ranked = (response) =>
+    response.body.data.entries.map((entry) => [
+      entry.user.displayName,
+      entry.xp,
+    ]);
+
+  const cleanup = async () => {
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.auditLog.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: staleIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: staleIds } } });
+  };
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    await redis.connect();
+    prisma = prismaService.getClient();
+    xpService = new XpService();
+
+    await cleanup();
+
+    for (const name of ['alice', 'bob', 'carol']) {
+      users[name] = await createUser(name);
+    }
+    users.admin = await createUser('admin', USER_ROLES.ADMIN);
+
+    group = await prisma.group.create({
+      data: {
+        name: 'Leaderboard Small Group',
+        createdBy: users.alice.id,
+        members: {
+          create: [
+            { userId: users.alice.id, role: 'ADMIN' },
+            { userId: users.bob.id },
+          ],
+        },
+      },
+    });
+    privateGroup = await prisma.group.create({
+      data: {
+        name: 'Leaderboard Private Group',
+        privacy: 'PRIVATE',
+        createdBy: users.alice.id,
+        members: { create: [{ userId: users.alice.id, role: 'ADMIN' }] },
+      },
+    });
+
+    const lastYear = new Date();
+    lastYear.setUTCFullYear(lastYear.getUTCFullYear() - 1);
+
+    await prisma.xpEvent.createMany({
+      data: [
+        {
+          userId: users.alice.id,
+          fruit: 'KINDNESS',
+          amount: 12,
+          reason: 'test',
+        },
+        { userId: users.alice.id, fruit: 'JOY', amount: 4, reason: 'test' },
+        { userId: users.bob.id, fruit: 'KINDNESS', amount: 5, reason: 'test' },
+        {
+          userId: users.carol.id,
+          fruit: 'KINDNESS',
+          amount: 8,
+          reason: 'test',
+        },
+        {
+          userId: users.bob.id,
+          fruit: 'KINDNESS',
+          amount: 30,
+          reason: 'test',
+          createdAt: lastYear,
+        },
+      ],
+    });
+
+    // Events written directly skip the live updates, so start from a rebuild
+    await request(app)
+      .post('/api/v1/admin/leaderboards/rebuild')
+      .set('Authorization', as(users.admin))
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await redis.disconnect();
+    await prismaService.disconnect();
+  });
+
+  it('should only let admins rebuild leaderboards', async () => {
+    await request(app)
+      .post('/api/v1/admin/leaderboards/rebuild')
+      .set('Authorization', as(users.alice))
+      .expect(403);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId: users.admin.id, action: 'leaderboards_rebuilt' },
+    });
+    expect(audit.metadata.summary.week.KINDNESS).toBeGreaterThanOrEqual(3);
+  });
+
+  it('should rank group members by XP in a fruit this month', async () => {
+    const response = await board(users.bob, `/groups/${group.id}`, {
+      window: 'month',
+      fruit: 'KINDNESS',
+    }).expect(200);
+
+    expect(ranked(response)).toEqual([
+      ['alice', 12],
+      ['bob', 5],
+    ]);
+    expect(response.body.data).toMatchObject({
+      window: 'month',
+      fruit: 'KINDNESS',
+      me: { rank: 2, xp: 5 },
+    });
+    expect(response.body.pagination).toMatchObject({ total: 2 });
+  });
+
+  it('should count XP from before the window only on all time', async () => {
+    const response = await board(users.bob, `/groups/${group.id}`, {
+      window: 'all_time',
+      fruit: 'KINDNESS',
+    }).expect(200);
+
+    expect(ranked(response)).toEqual([
+      ['bob', 35],
+      ['alice', 12],
+    ]);
+  });
+
+  it('should combine fruits by default', async () => {
+    const response = await board(users.alice, `/groups/${group.id}`).expect(
+      200
+    );
+
+    expect(response.body.data).toMatchObject({ window: 'week', fruit: 'all' });
+    expect(ranked(response)).toEqual([
+      ['alice', 16],
+      ['bob', 5],
+    ]);
+  });
+
+  it('should rank users across the platform', async () => {
+    const response = await board(users.carol, '', {
+      fruit: 'KINDNESS',
+      limit: 100,
+    }).expect(200);
+    const names = ranked(response).map(([name]) => name);
+
+    expect(names.indexOf('alice')).toBeLessThan(names.indexOf('carol'));
+    expect(names.indexOf('carol')).toBeLessThan(names.indexOf('bob'));
+    expect(response.body.data.me).toMatchObject({ xp: 8 });
+  });
+
+  it('should add and take away XP as it is awarded and reversed', async () => {
+    const commentId = crypto.randomUUID();
+    const query = { fruit: 'KINDNESS' };
+
+    await xpService.award(users.bob.id, XP_ACTIONS.TESTIMONY_COMMENT, {
+      entityId: commentId,
+    });
+    let response = await board(users.bob, `/groups/${group.id}`, query);
+    expect(response.body.data.me.xp).toBe(8);
+
+    await xpService.reverse('comment', commentId, 'comment_deleted');
+    response = await board(users.bob, `/groups/${group.id}`, query);
+    expect(response.body.data.me.xp).toBe(5);
+  });
+
+  it('should hide users who opt out until they opt back in', async () => {
+    await setOptOut(users.carol, true);
+
+    let response = await board(users.alice, '', {
+      fruit: 'KINDNESS',
+      limit: 100,
+    });
+    expect(ranked(response).map(([name]) => name)).not.toContain('carol');
+
+    await xpService.award(users.carol.id, XP_ACTIONS.TESTIMONY_COMMENT, {
+      entityId: crypto.randomUUID(),
+    });
+    response = await board(users.carol, '', { fruit: 'KINDNESS' });
+    expect(response.body.data.me).toBeNull();
+
+    const { body } = await setOptOut(users.carol, false);
+    expect(body.data.leaderboardOptOut).toBe(false);
+
+    response = await board(users.carol, '', { fruit: 'KINDNESS' });
+    expect(response.body.data.me).toMatchObject({ xp: 11 });
+  });
+
+  it('should count XP awarded during a rebuild exactly once', async () => {
+    const leaderboardService = new LeaderboardService();
+
+    const rebuilt = leaderboardService.rebuild();
+    await expect(leaderboardService.rebuild()).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    await xpService.award(users.alice.id, XP_ACTIONS.TESTIMONY_COMMENT, {
+      entityId: crypto.randomUUID(),
+    });
+    await rebuilt;
+
+    const response = await board(users.alice, `/groups/${group.id}`, {
+      fruit: 'KINDNESS',
+    });
+    expect(response.body.data.me.xp).toBe(15);
+  });
+
+  it('should drop deleted accounts until they are restored', async () => {
+    const store = new LeaderboardStore();
+    const key = leaderboardKey('week', 'KINDNESS', new Date());
+    const password = 'Sup3rSecret!';
+    await prisma.user.update({
+      where: { id: users.carol.id },
+      data: { passwordHash: await bcrypt.hash(password, 4) },
+    });
+
+    const accountDeletionService = new AccountDeletionService();
+    await accountDeletionService.requestDeletion(users.carol.id, password);
+    expect(await store.standing(key, users.carol.id)).toBeNull();
+
+    await accountDeletionService.restore(
+      await prisma.user.findUnique({ where: { id: users.carol.id } })
+    );
+    expect(await store.standing(key, users.carol.id)).toMatchObject({
+      xp: 11,
+    });
+  });
+
+  it('should hide private group leaderboards from non-members', async () => {
+    await board(users.bob, `/groups/${privateGroup.id}`).expect(404);
+  });
+
+  it('should reject unknown windows and fruits', async () => {
+    await board(users.alice, '', { window: 'year' }).expect(400);
+    await board(users.alice, '', { fruit: 'HOPE' }).expect(400);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Magic Link API Integration Tests
+ *
+ * Requests a passwordless login link, reads it from the mail outbox and
+ * redeems it for a session.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { mailer, FileTransport } from '../../services/mail/index.js';
+import { config } from '../../config/index.js';
+
+describe('Magic Link API Integration', () => {
+  let prisma;
+  let outboxDir;
+  let testUser;
+  const email = 'magic-link-test@example.com';
+
+  const readLatestToken = async () => {
+    const files = (await readdir(outboxDir)).sort();
+    const message = JSON.parse(
+      await readFile(join(outboxDir, files[files.length - 1]), 'utf8')
+    );
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get(
+      'token'
+    );
+  };
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    outboxDir = await mkdtemp(join(tmpdir(), 'anointed-magic-'));
+    mailer.setTransport(new FileTransport(outboxDir));
+
+    await prisma.user.deleteMany({ where: { email } });
+    testUser = await prisma.user.create({
+      data: { email, passwordHash: 'unused', displayName: 'Magic Link User' },
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({ where: { email } });
+    await rm(outboxDir, { recursive: true, force: true });
+    await prismaService.disconnect();
+  });
+
+  it('should email a single-use link that signs the user in', async () => {
+    await request(app)
+      .post('/api/v1/auth/magic-link')
+      .send({ email })
+      .expect(202);
+
+    const token = await readLatestToken();
+    expect(token).toBeTruthy();
+
+    // Only the hash is stored
+    const link = await prisma.magicLink.findFirst({
+      where: { userId: testUser.id },
+    });
+    expect(link.tokenHash).not.toBe(token);
+    expect(link.purpose).toBe('login');
+
+    const redeemed = await request(app)
+      .post('/api/v1/auth/magic-link/verify')
+      .send({ token })
+      .expect(200);
+    expect(redeemed.body.data.user.id).toBe(testUser.id);
+    expect(redeemed.body.data.accessToken).toBeTruthy();
+
+    // Links expire on use
+    await request(app)
+      .post('/api/v1/auth/magic-link/verify')
+      .send({ token })
+      .expect(401);
+  });
+
+  it('should respond identically for unknown emails', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/magic-link')
+      .send({ email: 'nobody-here@example.com' })
+      .expect(202);
+
+    expect(response.body.success).toBe(true);
+  });
+
+  it('should stop issuing links after the hourly limit', async () => {
+    await prisma.magicLink.deleteMany({ where: { userId: testUser.id } });
+
+    for (let i = 0; i < config.auth.magicLinkMaxPerHour + 2; i++) {
+      await request(app)
+        .post('/api/v1/auth/magic-link')
+        .send({ email })
+        .expect(202);
+    }
+
+    const issued = await prisma.magicLink.count({
+      where: { userId: testUser.id, purpose: 'login' },
+    });
+    expect(issued).toBe(config.auth.magicLinkMaxPerHour);
+  });
+});
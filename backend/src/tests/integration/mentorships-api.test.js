@@ -0,0 +1,123 @@
+/**
+ * Mentorships API Integration Tests
+ *
+ * Covers completing mentor sessions: who may complete them, when, and the
+ * PATIENCE XP the mentor and mentee earn.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import { XP_ACTIONS } from '../../modules/xp/rules.js';
+
+describe('Mentorships API Integration', () => {
+  let prisma;
+  let mentorship;
+  const users = {};
+  const emailPrefix = 'mentorships-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  const createSession = (hoursFromNow) =>
+    prisma.mentorSession.create({
+      data: {
+        mentorshipId: mentorship.id,
+        scheduledAt: new Date(Date.now() + hoursFromNow * 60 * 60 * 1000),
+      },
+    });
+
+  const complete = (user, sessionId, body = {}) =>
+    request(app)
+      .post(`/api/v1/mentorships/sessions/${sessionId}/complete`)
+      .set('Authorization', as(user))
+      .send(body);
+
+  const sessionXpOf = (user) =>
+    prisma.xpEvent.findMany({
+      where: { userId: user.id, reason: XP_ACTIONS.MENTOR_SESSION_COMPLETED },
+    });
+
+  const cleanup = () =>
+    prisma.user.deleteMany({ where: { email: { startsWith: emailPrefix } } });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    await cleanup();
+
+    for (const name of ['mentor', 'mentee', 'outsider']) {
+      users[name] = await createUser(name);
+    }
+    mentorship = await prisma.mentorship.create({
+      data: { mentorId: users.mentor.id, menteeId: users.mentee.id },
+    });
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prismaService.disconnect();
+  });
+
+  it('should let the mentor complete a session and award both PATIENCE', async () => {
+    const session = await createSession(-1);
+
+    const response = await complete(users.mentor, session.id, {
+      notes: 'Read Philippians 4 together',
+    }).expect(200);
+
+    expect(response.body.data).toMatchObject({
+      id: session.id,
+      notes: 'Read Philippians 4 together',
+      completedAt: expect.any(String),
+    });
+
+    for (const user of [users.mentor, users.mentee]) {
+      const [event] = await sessionXpOf(user);
+      expect(event).toMatchObject({ fruit: 'PATIENCE', amount: 20 });
+      expect(event.metadata).toMatchObject({
+        entityType: 'mentor_session',
+        entityId: session.id,
+        mentorshipId: mentorship.id,
+      });
+    }
+
+    await complete(users.mentor, session.id).expect(409);
+    expect(await sessionXpOf(users.mentor)).toHaveLength(1);
+  });
+
+  it('should only let the mentor complete a session', async () => {
+    const session = await createSession(-1);
+
+    await complete(users.mentee, session.id).expect(403);
+    await complete(users.outsider, session.id).expect(404);
+  });
+
+  it('should not complete a session before it takes place', async () => {
+    const session = await createSession(24);
+
+    await complete(users.mentor, session.id).expect(409);
+  });
+
+  it('should not complete sessions of a paused mentorship', async () => {
+    const session = await createSession(-1);
+    await prisma.mentorship.update({
+      where: { id: mentorship.id },
+      data: { status: 'PAUSED' },
+    });
+
+    await complete(users.mentor, session.id).expect(409);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Password Reset API Integration Tests
+ *
+ * Covers the forgot/reset flow, token invalidation and session revocation.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { mailer, FileTransport } from '../../services/mail/index.js';
+import { config } from '../../config/index.js';
+
+describe('Password Reset API Integration', () => {
+  let prisma;
+  let outboxDir;
+  const email = 'password-reset-test@example.com';
+  const password = 'original-password-1';
+  const newPassword = 'brand-new-password-2';
+
+  const readLatestToken = async () => {
+    const files = (await readdir(outboxDir)).sort();
+    const message = JSON.parse(
+      await readFile(join(outboxDir, files[files.length - 1]), 'utf8')
+    );
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get(
+      'token'
+    );
+  };
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    outboxDir = await mkdtemp(join(tmpdir(), 'anointed-reset-'));
+    mailer.setTransport(new FileTransport(outboxDir));
+
+    await prisma.user.deleteMany({ where: { email } });
+    await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email, password })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+      await prisma.auditLog.deleteMany({ where: { userId: user.id } });
+    }
+    await prisma.user.deleteMany({ where: { email } });
+    await rm(outboxDir, { recursive: true, force: true });
+    await prismaService.disconnect();
+  });
+
+  it('should reset the password and sign out every session', async () => {
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password })
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/password/forgot')
+      .send({ email })
+      .expect(202);
+    const olderToken = await readLatestToken();
+
+    // Requesting again invalidates the previous link
+    await request(app)
+      .post('/api/v1/auth/password/forgot')
+      .send({ email })
+      .expect(202);
+    const token = await readLatestToken();
+    expect(token).not.toBe(olderToken);
+
+    await request(app)
+      .post('/api/v1/auth/password/reset')
+      .send({ token: olderToken, password: newPassword })
+      .expect(400);
+
+    await request(app)
+      .post('/api/v1/auth/password/reset')
+      .send({ token, password: newPassword })
+      .expect(200);
+
+    // Tokens are single use
+    await request(app)
+      .post('/api/v1/auth/password/reset')
+      .send({ token, password: 'yet-another-password' })
+      .expect(400);
+
+    // Existing sessions are revoked
+    await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: login.body.data.refreshToken })
+      .expect(401);
+
+    // Only the new password works
+    await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password })
+      .expect(401);
+    await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password: newPassword })
+      .expect(200);
+  });
+
+  it('should not reveal whether an email is registered', async () => {
+    const known = await request(app)
+      .post('/api/v1/auth/password/forgot')
+      .send({ email })
+      .expect(202);
+    const unknown = await request(app)
+      .post('/api/v1/auth/password/forgot')
+      .send({ email: 'not-registered@example.com' })
+      .expect(202);
+
+    expect(known.body).toEqual(unknown.body);
+  });
+
+  it('should stop issuing reset tokens after the hourly limit', async () => {
+    const user = await prisma.user.findUnique({ where: { email } });
+    await prisma.passwordReset.deleteMany({ where: { userId: user.id } });
+
+    for (let i = 0; i < config.auth.passwordResetMaxPerHour + 2; i++) {
+      await request(app)
+        .post('/api/v1/auth/password/forgot')
+        .send({ email })
+        .expect(202);
+    }
+
+    const issued = await prisma.passwordReset.count({
+      where: { userId: user.id },
+    });
+    expect(issued).toBe(config.auth.passwordResetMaxPerHour);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Post Media API Integration Tests
+ *
+ * Covers multipart uploads to the local storage adapter, content type
+ * checks, size limits and removing attachments.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import storage, { LocalStorageAdapter } from '../../services/storage/index.js';
+import { config } from '../../config/index.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Post Media API Integration', () => {
+  let prisma;
+  let dir;
+  let post;
+  const users = {};
+  const emailPrefix = 'post-media-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.alloc(64),
+  ]);
+
+  const storedFiles = async () =>
+    readdir(join(dir, 'posts', users.author.id)).catch(() => []);
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    dir = await mkdtemp(join(tmpdir(), 'anointed-media-'));
+    storage.setAdapter(
+      new LocalStorageAdapter({
+        dir,
+        publicUrl: 'http://localhost:3000/uploads',
+      })
+    );
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    await prisma.post.deleteMany({
+      where: { userId: { in: stale.map(({ id }) => id) } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    users.author = await createUser('author');
+    users.other = await createUser('other');
+
+    post = await prisma.post.create({
+      data: { userId: users.author.id, content: 'Sunrise over the lake' },
+    });
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+    storage.setAdapter(null);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should store uploads and record them on the post', async () => {
+    const response = await request(app)
+      .post(`/api/v1/posts/${post.id}/media`)
+      .set('Authorization', as(users.author))
+      .attach('files', png, { filename: 'lake.png', contentType: 'image/png' })
+      .expect(201);
+
+    const [media] = response.body.data.mediaUrls;
+    expect(media).toMatchObject({ mimeType: 'image/png', size: png.length });
+    expect(media.url).toBe(
+      `http://localhost:3000/uploads/posts/${users.author.id}/${media.id}.png`
+    );
+    expect(media.path).toBeUndefined();
+    expect(await storedFiles()).toEqual([`${media.id}.png`]);
+
+    const stored = await prisma.post.findUnique({ where: { id: post.id } });
+    expect(stored.mediaUrls[0].path).toBe(
+      `posts/${users.author.id}/${media.id}.png`
+    );
+  });
+
+  it('should reject files whose contents do not match their type', async () => {
+    await request(app)
+      .post(`/api/v1/posts/${post.id}/media`)
+      .set('Authorization', as(users.author))
+      .attach('files', Buffer.from('<html>not an image</html>'), {
+        filename: 'fake.png',
+        contentType: 'image/png',
+      })
+      .expect(415);
+
+    await request(app)
+      .post(`/api/v1/posts/${post.id}/media`)
+      .set('Authorization', as(users.author))
+      .attach('files', Buffer.from('%PDF-1.7'), {
+        filename: 'doc.pdf',
+        contentType: 'application/pdf',
+      })
+      .expect(415);
+  });
+
+  it('should reject oversized files', async () => {
+    const huge = Buffer.concat([
+      png,
+      Buffer.alloc(config.media.maxUploadBytes),
+    ]);
+
+    await request(app)
+      .post(`/api/v1/posts/${post.id}/media`)
+      .set('Authorization', as(users.author))
+      .attach('files', huge, { filename: 'huge.png', contentType: 'image/png' })
+      .expect(413);
+  });
+
+  it('should only let the author change attachments', async () => {
+    await request(app)
+      .post(`/api/v1/posts/${post.id}/media`)
+      .set('Authorization', as(users.other))
+      .attach('files', png, { filename: 'x.png', contentType: 'image/png' })
+      .expect(403);
+  });
+
+  it('should remove attachments and their files', async () => {
+    const before = await request(app)
+      .get(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.author))
+      .expect(200);
+    const [media] = before.body.data.mediaUrls;
+
+    const response = await request(app)
+      .delete(`/api/v1/posts/${post.id}/media/${media.id}`)
+      .set('Authorization', as(users.author))
+      .expect(200);
+
+    expect(response.body.data.mediaUrls).toEqual([]);
+    expect(await storedFiles()).toEqual([]);
+  });
+
+  it('should keep every attachment from concurrent uploads', async () => {
+    const upload = (filename) =>
+      request(app)
+        .post(`/api/v1/posts/${post.id}/media`)
+        .set('Authorization', as(users.author))
+        .attach('files', png, { filename, contentType: 'image/png' })
+        .expect(201);
+
+    await Promise.all([upload('first.png'), upload('second.png')]);
+
+    const stored = await prisma.post.findUnique({ where: { id: post.id } });
+    expect(stored.mediaUrls).toHaveLength(2);
+    expect(await storedFiles()).toHaveLength(2);
+  });
+
+  it('should read legacy attachments stored as plain URLs', async () => {
+    const legacy = await prisma.post.create({
+      data: {
+        userId: users.author.id,
+        content: 'From the old app',
+        mediaUrls: ['https://example.com/old.jpg'],
+      },
+    });
+
+    const response = await request(app)
+      .get(`/api/v1/posts/${legacy.id}`)
+      .set('Authorization', as(users.author))
+      .expect(200);
+    expect(response.body.data.mediaUrls).toEqual([
+      { url: 'https://example.com/old.jpg' },
+    ]);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Posts API Integration Tests
+ *
+ * Covers creating, editing and deleting posts and comments, reaction
+ * toggles, and the trigger maintained counters.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Posts API Integration', () => {
+  let prisma;
+  let group;
+  let post;
+  const users = {};
+  const emailPrefix = 'posts-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name, data = {}) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+        ...data,
+      },
+    });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: staleIds } } });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    users.author = await createUser('author');
+    users.friend = await createUser('friend');
+    users.moderator = await createUser('moderator');
+    users.outsider = await createUser('outsider');
+    users.unverified = await createUser('unverified', {
+      emailVerifiedAt: null,
+    });
+
+    group = await prisma.group.create({
+      data: {
+        name: 'Posts Private',
+        privacy: 'PRIVATE',
+        createdBy: users.author.id,
+        members: {
+          create: [
+            { userId: users.author.id, role: 'ADMIN' },
+            { userId: users.friend.id },
+            { userId: users.moderator.id, role: 'MODERATOR' },
+            { userId: users.unverified.id },
+          ],
+        },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map(({ id }) => id);
+    await prisma.auditLog.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.post.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: ids } } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+  });
+
+  it('should create posts only in groups the author belongs to', async () => {
+    await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.outsider))
+      .send({ content: 'Let me in', groupId: group.id })
+      .expect(404);
+
+    const created = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.author))
+      .send({
+        content: 'He restored my health',
+        type: 'TESTIMONY',
+        groupId: group.id,
+      })
+      .expect(201);
+    post = created.body.data;
+
+    expect(post).toMatchObject({
+      type: 'TESTIMONY',
+      commentCount: 0,
+      reactionCount: 0,
+      group: { id: group.id, name: 'Posts Private' },
+      author: { id: users.author.id },
+    });
+  });
+
+  it('should only let authors edit their posts', async () => {
+    await request(app)
+      .patch(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.friend))
+      .send({ content: 'Hijacked' })
+      .expect(403);
+
+    const updated = await request(app)
+      .patch(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.author))
+      .send({ content: 'He restored my health, praise God' })
+      .expect(200);
+    expect(updated.body.data.content).toBe('He restored my health, praise God');
+
+    await request(app)
+      .get(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.outsider))
+      .expect(404);
+  });
+
+  it('should keep the comment count in sync', async () => {
+    const first = await request(app)
+      .post(`/api/v1/posts/${post.id}/comments`)
+      .set('Authorization', as(users.friend))
+      .send({ content: 'Amazing!' })
+      .expect(201);
+    expect(first.body.data.commentCount).toBe(1);
+
+    const second = await request(app)
+      .post(`/api/v1/posts/${post.id}/comments`)
+      .set('Authorization', as(users.author))
+      .send({ content: 'Thank you' })
+      .expect(201);
+    expect(second.body.data.commentCount).toBe(2);
+
+    await request(app)
+      .patch(`/api/v1/posts/${post.id}/comments/${first.body.data.comment.id}`)
+      .set('Authorization', as(users.author))
+      .send({ content: 'Edited' })
+      .expect(403);
+
+    const deleted = await request(app)
+      .delete(`/api/v1/posts/${post.id}/comments/${first.body.data.comment.id}`)
+      .set('Authorization', as(users.moderator))
+      .expect(200);
+    expect(deleted.body.data.commentCount).toBe(1);
+
+    const list = await request(app)
+      .get(`/api/v1/posts/${post.id}/comments`)
+      .set('Authorization', as(users.friend))
+      .expect(200);
+    expect(list.body.data.map(({ content }) => content)).toEqual(['Thank you']);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId: users.moderator.id, action: 'comment_deleted' },
+    });
+    expect(audit.metadata.authorId).toBe(users.friend.id);
+  });
+
+  it('should toggle reactions and report the breakdown', async () => {
+    const toggle = (user, type) =>
+      request(app)
+        .post(`/api/v1/posts/${post.id}/reactions`)
+        .set('Authorization', as(user))
+        .send({ type })
+        .expect(200);
+
+    await toggle(users.friend, 'AMEN');
+    await toggle(users.friend, 'PRAYER');
+    const added = await toggle(users.moderator, 'AMEN');
+    expect(added.body.data).toMatchObject({
+      type: 'AMEN',
+      reacted: true,
+      reactionCount: 3,
+      breakdown: { LIKE: 0, AMEN: 2, PRAYER: 1 },
+    });
+
+    const removed = await toggle(users.friend, 'PRAYER');
+    expect(removed.body.data).toMatchObject({
+      reacted: false,
+      reactionCount: 2,
+      breakdown: { LIKE: 0, AMEN: 2, PRAYER: 0 },
+    });
+
+    const breakdown = await request(app)
+      .get(`/api/v1/posts/${post.id}/reactions`)
+      .set('Authorization', as(users.friend))
+      .expect(200);
+    expect(breakdown.body.data).toEqual({
+      reactionCount: 2,
+      breakdown: { LIKE: 0, AMEN: 2, PRAYER: 0 },
+      mine: ['AMEN'],
+    });
+
+    await request(app)
+      .post(`/api/v1/posts/${post.id}/reactions`)
+      .set('Authorization', as(users.friend))
+      .send({ type: 'LOVE' })
+      .expect(400);
+  });
+
+  it('should require a verified email to comment or react', async () => {
+    await request(app)
+      .post(`/api/v1/posts/${post.id}/comments`)
+      .set('Authorization', as(users.unverified))
+      .send({ content: 'Amen' })
+      .expect(403);
+
+    await request(app)
+      .post(`/api/v1/posts/${post.id}/reactions`)
+      .set('Authorization', as(users.unverified))
+      .send({ type: 'AMEN' })
+      .expect(403);
+  });
+
+  it('should let group moderators soft delete posts', async () => {
+    await request(app)
+      .delete(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.friend))
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.moderator))
+      .expect(200);
+
+    const stored = await prisma.post.findUnique({ where: { id: post.id } });
+    expect(stored.deletedAt).not.toBeNull();
+
+    await request(app)
+      .get(`/api/v1/posts/${post.id}`)
+      .set('Authorization', as(users.author))
+      .expect(404);
+  });
+});
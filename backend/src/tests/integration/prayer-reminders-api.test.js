@@ -0,0 +1,210 @@
+/**
+ * Prayer Reminders API Integration Tests
+ *
+ * Covers scheduling reminders on a commit, delivery by the prayer-reminder
+ * job, quiet time deferral and cancellation when a prayer is answered.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import { runPrayerReminderJob } from '../../jobs/prayerReminderJob.js';
+
+describe('Prayer Reminders API Integration', () => {
+  let prisma;
+  let prayer;
+  let quietTimeEnd;
+  const users = {};
+  const emailPrefix = 'prayer-reminders-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name, data = {}) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+        ...data,
+      },
+    });
+
+  // "HH:MM" in UTC, `hours` from now
+  const utcTime = (hours) =>
+    new Date(Date.now() + hours * 60 * 60 * 1000).toISOString().slice(11, 16);
+
+  const reminderOf = async (user) => {
+    const commit = await prisma.prayerCommit.findFirst({
+      where: { prayerId: prayer.id, userId: user.id },
+      include: { reminder: true },
+    });
+    return commit?.reminder ?? null;
+  };
+
+  const makeDue = (user) =>
+    prisma.prayerReminder.updateMany({
+      where: { commit: { prayerId: prayer.id, userId: user.id } },
+      data: { nextRunAt: new Date(Date.now() - 1000) },
+    });
+
+  const remindersFor = (user) =>
+    prisma.notification.findMany({
+      where: { userId: user.id, type: 'prayer_reminder' },
+    });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    users.owner = await createUser('owner');
+    users.daily = await createUser('daily', { tz: 'America/Chicago' });
+    quietTimeEnd = utcTime(1);
+    users.quiet = await createUser('quiet', {
+      tz: 'UTC',
+      userSettings: {
+        create: { quietTimeStart: utcTime(-1), quietTimeEnd },
+      },
+    });
+
+    prayer = await prisma.prayer.create({
+      data: {
+        userId: users.owner.id,
+        title: 'Job interview',
+        content: 'Pray for peace on Friday',
+      },
+    });
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map(({ id }) => id);
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+  });
+
+  it('should schedule a reminder when committing', async () => {
+    const response = await request(app)
+      .post(`/api/v1/prayers/${prayer.id}/commits`)
+      .set('Authorization', as(users.daily))
+      .send({ reminder: { frequency: 'DAILY', time: '08:00', days: 3 } })
+      .expect(201);
+
+    expect(response.body.data.reminder).toMatchObject({
+      frequency: 'DAILY',
+      time: '08:00',
+      remaining: 3,
+    });
+
+    // 08:00 in Chicago is 13:00 or 14:00 UTC depending on DST
+    const nextRunAt = new Date(response.body.data.reminder.nextRunAt);
+    expect([13, 14]).toContain(nextRunAt.getUTCHours());
+    expect(nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    expect(nextRunAt.getTime() - Date.now()).toBeLessThanOrEqual(
+      24 * 60 * 60 * 1000
+    );
+  });
+
+  it('should validate reminder schedules', async () => {
+    await request(app)
+      .put(`/api/v1/prayers/${prayer.id}/reminder`)
+      .set('Authorization', as(users.daily))
+      .send({ frequency: 'DAILY', time: '08:00' })
+      .expect(400);
+
+    await request(app)
+      .put(`/api/v1/prayers/${prayer.id}/reminder`)
+      .set('Authorization', as(users.daily))
+      .send({ frequency: 'ONCE', time: '25:00' })
+      .expect(400);
+
+    await request(app)
+      .put(`/api/v1/prayers/${prayer.id}/reminder`)
+      .set('Authorization', as(users.owner))
+      .send({ frequency: 'ONCE', time: '08:00' })
+      .expect(400);
+  });
+
+  it('should deliver due reminders and count them down', async () => {
+    await makeDue(users.daily);
+    await runPrayerReminderJob();
+
+    const [notification] = await remindersFor(users.daily);
+    expect(notification.payload).toMatchObject({
+      prayerId: prayer.id,
+      title: 'Job interview',
+      remaining: 2,
+    });
+
+    const reminder = await reminderOf(users.daily);
+    expect(reminder.remaining).toBe(2);
+    expect(reminder.lastSentAt).not.toBeNull();
+    expect(reminder.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+
+    const detail = await request(app)
+      .get(`/api/v1/prayers/${prayer.id}`)
+      .set('Authorization', as(users.daily))
+      .expect(200);
+    expect(detail.body.data.reminder.remaining).toBe(2);
+  });
+
+  it('should hold reminders until quiet time is over', async () => {
+    await request(app)
+      .post(`/api/v1/prayers/${prayer.id}/commits`)
+      .set('Authorization', as(users.quiet))
+      .send({ reminder: { frequency: 'ONCE', time: '08:00' } })
+      .expect(201);
+
+    await makeDue(users.quiet);
+    await runPrayerReminderJob();
+
+    expect(await remindersFor(users.quiet)).toHaveLength(0);
+    const reminder = await reminderOf(users.quiet);
+    expect(reminder.remaining).toBe(1);
+    expect(reminder.nextRunAt.toISOString().slice(11, 16)).toBe(quietTimeEnd);
+  });
+
+  it('should replace and cancel reminders', async () => {
+    const response = await request(app)
+      .put(`/api/v1/prayers/${prayer.id}/reminder`)
+      .set('Authorization', as(users.quiet))
+      .send({ frequency: 'WEEKLY', time: '19:30' })
+      .expect(200);
+    expect(response.body.data).toMatchObject({
+      frequency: 'WEEKLY',
+      remaining: 4,
+    });
+
+    await request(app)
+      .delete(`/api/v1/prayers/${prayer.id}/reminder`)
+      .set('Authorization', as(users.quiet))
+      .expect(200);
+    expect(await reminderOf(users.quiet)).toBeNull();
+
+    await request(app)
+      .delete(`/api/v1/prayers/${prayer.id}/reminder`)
+      .set('Authorization', as(users.quiet))
+      .expect(404);
+  });
+
+  it('should stop reminders once the prayer is answered', async () => {
+    await request(app)
+      .patch(`/api/v1/prayers/${prayer.id}/status`)
+      .set('Authorization', as(users.owner))
+      .send({ status: 'ANSWERED', answer: 'Got the job' })
+      .expect(200);
+
+    expect(await reminderOf(users.daily)).toBeNull();
+
+    await request(app)
+      .put(`/api/v1/prayers/${prayer.id}/reminder`)
+      .set('Authorization', as(users.daily))
+      .send({ frequency: 'ONCE', time: '08:00' })
+      .expect(409);
+  });
+});
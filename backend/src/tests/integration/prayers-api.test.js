@@ -0,0 +1,261 @@
+/**
+ * Prayers API Integration Tests
+ *
+ * Covers creating prayers, "I prayed" commits and the list of who prayed,
+ * the ANSWERED / ARCHIVED lifecycle and prayer_answered notifications.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Prayers API Integration', () => {
+  let prisma;
+  let group;
+  let prayer;
+  const users = {};
+  const emailPrefix = 'prayers-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  const commit = (user, prayerId, body = {}) =>
+    request(app)
+      .post(`/api/v1/prayers/${prayerId}/commits`)
+      .set('Authorization', as(user))
+      .send(body);
+
+  const answeredNotificationsOf = (user) =>
+    prisma.notification.findMany({
+      where: { userId: user.id, type: 'prayer_answered' },
+    });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: staleIds } } });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    for (const name of ['owner', 'friend', 'member', 'outsider']) {
+      users[name] = await createUser(name);
+    }
+
+    group = await prisma.group.create({
+      data: {
+        name: 'Prayer Circle',
+        privacy: 'PRIVATE',
+        createdBy: users.owner.id,
+        members: {
+          create: [
+            { userId: users.owner.id, role: 'ADMIN' },
+            { userId: users.member.id },
+          ],
+        },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: ids } } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+  });
+
+  it('should create a personal prayer linked to a post', async () => {
+    const post = await prisma.post.create({
+      data: { userId: users.owner.id, content: 'Surgery on Monday' },
+    });
+
+    const response = await request(app)
+      .post('/api/v1/prayers')
+      .set('Authorization', as(users.owner))
+      .send({
+        title: 'Healing for my mother',
+        content: 'Please pray for a quick recovery',
+        linkedPostId: post.id,
+      })
+      .expect(201);
+
+    prayer = response.body.data;
+    expect(prayer).toMatchObject({
+      status: 'OPEN',
+      commitCount: 0,
+      linkedPostId: post.id,
+      group: null,
+      author: { id: users.owner.id },
+    });
+  });
+
+  it('should only create group prayers for members', async () => {
+    const body = {
+      title: 'Circle prayer',
+      content: 'For our week',
+      groupId: group.id,
+    };
+
+    await request(app)
+      .post('/api/v1/prayers')
+      .set('Authorization', as(users.outsider))
+      .send(body)
+      .expect(404);
+
+    const response = await request(app)
+      .post('/api/v1/prayers')
+      .set('Authorization', as(users.member))
+      .send(body)
+      .expect(201);
+    expect(response.body.data.group).toEqual({
+      id: group.id,
+      name: 'Prayer Circle',
+    });
+
+    await request(app)
+      .get(`/api/v1/prayers/${response.body.data.id}`)
+      .set('Authorization', as(users.outsider))
+      .expect(404);
+  });
+
+  it('should record one commit per user and count them', async () => {
+    const first = await commit(users.friend, prayer.id, {
+      message: 'Praying for her tonight',
+    }).expect(201);
+    expect(first.body.data).toMatchObject({
+      commit: {
+        message: 'Praying for her tonight',
+        user: { id: users.friend.id },
+      },
+      commitCount: 1,
+    });
+
+    const again = await commit(users.friend, prayer.id, {
+      message: 'Praying again',
+    }).expect(200);
+    expect(again.body.data).toMatchObject({
+      commit: {
+        id: first.body.data.commit.id,
+        message: 'Praying for her tonight',
+      },
+      commitCount: 1,
+    });
+
+    const second = await commit(users.outsider, prayer.id).expect(201);
+    expect(second.body.data.commitCount).toBe(2);
+
+    const detail = await request(app)
+      .get(`/api/v1/prayers/${prayer.id}`)
+      .set('Authorization', as(users.friend))
+      .expect(200);
+    expect(detail.body.data).toMatchObject({ commitCount: 2, committed: true });
+  });
+
+  it('should list who prayed, most recent first', async () => {
+    const response = await request(app)
+      .get(`/api/v1/prayers/${prayer.id}/commits`)
+      .set('Authorization', as(users.owner))
+      .expect(200);
+
+    expect(response.body.data.map(({ user }) => user.id)).toEqual([
+      users.outsider.id,
+      users.friend.id,
+    ]);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  it('should record a single commit when a user commits twice at once', async () => {
+    const responses = await Promise.all([
+      commit(users.member, prayer.id),
+      commit(users.member, prayer.id),
+    ]);
+
+    expect(responses.map(({ status }) => status).sort()).toEqual([200, 201]);
+    expect(
+      await prisma.prayerCommit.count({
+        where: { prayerId: prayer.id, userId: users.member.id },
+      })
+    ).toBe(1);
+  });
+
+  it('should let only the owner mark a prayer answered', async () => {
+    await request(app)
+      .patch(`/api/v1/prayers/${prayer.id}/status`)
+      .set('Authorization', as(users.friend))
+      .send({ status: 'ANSWERED' })
+      .expect(403);
+
+    await request(app)
+      .patch(`/api/v1/prayers/${prayer.id}/status`)
+      .set('Authorization', as(users.owner))
+      .send({ status: 'ARCHIVED', answer: 'Not allowed here' })
+      .expect(400);
+
+    const response = await request(app)
+      .patch(`/api/v1/prayers/${prayer.id}/status`)
+      .set('Authorization', as(users.owner))
+      .send({ status: 'ANSWERED', answer: 'The surgery went perfectly' })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      status: 'ANSWERED',
+      answer: 'The surgery went perfectly',
+    });
+    expect(response.body.data.answeredAt).not.toBeNull();
+  });
+
+  it('should notify everyone who committed when answered', async () => {
+    for (const user of [users.friend, users.outsider]) {
+      const [notification] = await answeredNotificationsOf(user);
+      expect(notification.payload).toMatchObject({
+        prayerId: prayer.id,
+        title: 'Healing for my mother',
+        ownerId: users.owner.id,
+      });
+    }
+
+    expect(await answeredNotificationsOf(users.owner)).toHaveLength(0);
+  });
+
+  it('should close answered prayers to commits and allow archiving', async () => {
+    await commit(users.member, prayer.id).expect(409);
+
+    await request(app)
+      .patch(`/api/v1/prayers/${prayer.id}/status`)
+      .set('Authorization', as(users.owner))
+      .send({ status: 'ANSWERED', answer: 'Again' })
+      .expect(409);
+
+    const response = await request(app)
+      .patch(`/api/v1/prayers/${prayer.id}/status`)
+      .set('Authorization', as(users.owner))
+      .send({ status: 'ARCHIVED' })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      status: 'ARCHIVED',
+      answer: 'The surgery went perfectly',
+    });
+    expect(response.body.data.archivedAt).not.toBeNull();
+    expect(await answeredNotificationsOf(users.friend)).toHaveLength(1);
+  });
+});
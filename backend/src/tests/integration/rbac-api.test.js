@@ -0,0 +1,146 @@
+/**
+ * Role-Based Access Control Integration Tests
+ *
+ * Exercises authorize() against persisted platform and group roles, and the
+ * admin endpoint that changes platform roles.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import pino from 'pino';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import {
+  authenticate,
+  authorize,
+  errorHandler,
+} from '../../middleware/index.js';
+import { USER_ROLES, GROUP_ROLES } from '../../types/index.js';
+
+describe('RBAC Integration', () => {
+  let prisma;
+  let group;
+  const users = {};
+  const emailPrefix = 'rbac-test-';
+
+  // "A group moderator may remove posts in their group"
+  const protectedApp = express();
+  protectedApp.delete(
+    '/groups/:groupId/posts/:postId',
+    authenticate,
+    authorize({
+      platformRole: USER_ROLES.MODERATOR,
+      groupRole: GROUP_ROLES.MODERATOR,
+    }),
+    (req, res) => res.json({ ok: true })
+  );
+  protectedApp.use(errorHandler(pino({ level: 'silent' })));
+
+  const tokenFor = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name, role = USER_ROLES.USER) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        role,
+      },
+    });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    users.admin = await createUser('admin', USER_ROLES.ADMIN);
+    users.platformMod = await createUser('platform-mod', USER_ROLES.MODERATOR);
+    users.groupMod = await createUser('group-mod');
+    users.member = await createUser('member');
+    users.outsider = await createUser('outsider');
+
+    group = await prisma.group.create({
+      data: { name: 'RBAC Test Group', createdBy: users.groupMod.id },
+    });
+    await prisma.groupMember.createMany({
+      data: [
+        {
+          groupId: group.id,
+          userId: users.groupMod.id,
+          role: GROUP_ROLES.MODERATOR,
+        },
+        {
+          groupId: group.id,
+          userId: users.member.id,
+          role: GROUP_ROLES.MEMBER,
+        },
+      ],
+    });
+  });
+
+  afterAll(async () => {
+    const ids = Object.values(users).map((user) => user.id);
+    await prisma.auditLog.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.group.deleteMany({ where: { id: group.id } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+    await prismaService.disconnect();
+  });
+
+  const removePost = (user) =>
+    request(protectedApp)
+      .delete(`/groups/${group.id}/posts/any`)
+      .set('Authorization', tokenFor(user));
+
+  it('should default new users to the USER role', async () => {
+    expect(users.member.role).toBe(USER_ROLES.USER);
+  });
+
+  it('should allow group moderators in their own group', async () => {
+    await removePost(users.groupMod).expect(200);
+  });
+
+  it('should allow platform moderators and admins anywhere', async () => {
+    await removePost(users.platformMod).expect(200);
+    await removePost(users.admin).expect(200);
+  });
+
+  it('should forbid regular members and outsiders', async () => {
+    await removePost(users.member).expect(403);
+    await removePost(users.outsider).expect(403);
+  });
+
+  it('should let admins change platform roles and audit it', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/admin/users/${users.outsider.id}/role`)
+      .set('Authorization', tokenFor(users.admin))
+      .send({ role: USER_ROLES.MODERATOR })
+      .expect(200);
+    expect(response.body.data.role).toBe(USER_ROLES.MODERATOR);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId: users.admin.id, action: 'user_role_changed' },
+    });
+    expect(audit.entityId).toBe(users.outsider.id);
+    expect(audit.metadata).toMatchObject({ from: 'USER', to: 'MODERATOR' });
+
+    // Takes effect immediately, without a new access token
+    await removePost(users.outsider).expect(200);
+  });
+
+  it('should keep role changes admin only', async () => {
+    await request(app)
+      .patch(`/api/v1/admin/users/${users.member.id}/role`)
+      .set('Authorization', tokenFor(users.platformMod))
+      .send({ role: USER_ROLES.ADMIN })
+      .expect(403);
+
+    await request(app)
+      .patch(`/api/v1/admin/users/${users.admin.id}/role`)
+      .set('Authorization', tokenFor(users.admin))
+      .send({ role: USER_ROLES.USER })
+      .expect(400);
+  });
+});
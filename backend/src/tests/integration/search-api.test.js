@@ -0,0 +1,197 @@
+/**
+ * Search API Integration Tests
+ *
+ * Covers ranked post search, highlighted snippets, cursor pagination and
+ * visibility of removed posts and private groups.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Search API Integration', () => {
+  let prisma;
+  let publicGroup;
+  let privateGroup;
+  const users = {};
+  const emailPrefix = 'search-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+      },
+    });
+
+  const search = (user, query) =>
+    request(app)
+      .get('/api/v1/search/posts')
+      .query(query)
+      .set('Authorization', as(user));
+
+  const contents = (response) =>
+    response.body.data.map(({ content }) => content);
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: staleIds } } });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    for (const name of ['author', 'outsider']) {
+      users[name] = await createUser(name);
+    }
+
+    publicGroup = await prisma.group.create({
+      data: {
+        name: 'Search Public',
+        createdBy: users.author.id,
+        members: { create: [{ userId: users.author.id, role: 'ADMIN' }] },
+      },
+    });
+    privateGroup = await prisma.group.create({
+      data: {
+        name: 'Search Private',
+        privacy: 'PRIVATE',
+        createdBy: users.author.id,
+        members: { create: [{ userId: users.author.id, role: 'ADMIN' }] },
+      },
+    });
+
+    const author = { userId: users.author.id };
+    await prisma.post.createMany({
+      data: [
+        {
+          ...author,
+          content: 'Zephyrine healing zephyrine healing zephyrine healing',
+        },
+        {
+          ...author,
+          groupId: publicGroup.id,
+          type: 'TESTIMONY',
+          content: 'A testimony of zephyrine healing & <b>grace</b>',
+        },
+        { ...author, content: 'Thankful for zephyrine mornings' },
+        {
+          ...author,
+          groupId: privateGroup.id,
+          content: 'Private zephyrine request',
+        },
+        { ...author, status: 'REMOVED', content: 'Removed zephyrine post' },
+        {
+          ...author,
+          status: 'PENDING_MOD',
+          content: 'Pending zephyrine post',
+        },
+        { ...author, deletedAt: new Date(), content: 'Deleted zephyrine post' },
+      ],
+    });
+  });
+
+  afterAll(async () => {
+    const userIds = Object.values(users).map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: userIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prismaService.disconnect();
+  });
+
+  it('should rank the best matches first', async () => {
+    const response = await search(users.outsider, {
+      q: 'zephyrine healing',
+    }).expect(200);
+
+    expect(contents(response)).toEqual([
+      'Zephyrine healing zephyrine healing zephyrine healing',
+      'A testimony of zephyrine healing & <b>grace</b>',
+    ]);
+    expect(response.body.data[0].rank).toBeGreaterThan(
+      response.body.data[1].rank
+    );
+    expect(response.body.data[1]).toMatchObject({
+      type: 'TESTIMONY',
+      author: { id: users.author.id, displayName: 'author' },
+      group: { id: publicGroup.id, name: 'Search Public' },
+    });
+  });
+
+  it('should return escaped snippets with the matches marked', async () => {
+    const response = await search(users.outsider, {
+      q: 'testimony',
+    }).expect(200);
+
+    const { headline } = response.body.data[0];
+    expect(headline).toContain('<mark>testimony</mark>');
+    expect(headline).toContain('&amp; &lt;b&gt;grace&lt;/b&gt;');
+  });
+
+  it('should support web search syntax and filters', async () => {
+    const excluded = await search(users.outsider, {
+      q: 'zephyrine -healing',
+    }).expect(200);
+    expect(contents(excluded)).toEqual(['Thankful for zephyrine mornings']);
+
+    const inGroup = await search(users.outsider, {
+      q: 'zephyrine',
+      groupId: publicGroup.id,
+    }).expect(200);
+    expect(contents(inGroup)).toEqual([
+      'A testimony of zephyrine healing & <b>grace</b>',
+    ]);
+  });
+
+  it('should hide removed posts, private groups and others pending posts', async () => {
+    const outsider = await search(users.outsider, { q: 'zephyrine' }).expect(
+      200
+    );
+    expect(contents(outsider)).toHaveLength(3);
+
+    const author = await search(users.author, { q: 'zephyrine' }).expect(200);
+    expect(contents(author)).toHaveLength(5);
+    expect(contents(author)).toEqual(
+      expect.arrayContaining([
+        'Private zephyrine request',
+        'Pending zephyrine post',
+      ])
+    );
+  });
+
+  it('should page through results with cursors', async () => {
+    const seen = [];
+    let cursor;
+
+    do {
+      const response = await search(users.author, {
+        q: 'zephyrine',
+        limit: 2,
+        ...(cursor && { cursor }),
+      }).expect(200);
+
+      seen.push(...contents(response));
+      cursor = response.body.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(5);
+    expect(new Set(seen).size).toBe(5);
+  });
+
+  it('should reject a missing query and malformed cursors', async () => {
+    await search(users.author, {}).expect(400);
+    await search(users.author, { q: 'zephyrine', cursor: 'nope' }).expect(400);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Sessions API Integration Tests
+ *
+ * Lists a user's signed-in devices and signs out a lost one remotely.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+
+describe('Sessions API Integration', () => {
+  let prisma;
+  let phone;
+  let laptop;
+  const email = 'sessions-api-test@example.com';
+  const password = 'many-devices-password';
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    await prisma.user.deleteMany({ where: { email } });
+
+    await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email, password })
+      .expect(201);
+
+    phone = (
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({
+          email,
+          password,
+          device: { platform: 'ios', pushToken: 'lost-phone-token' },
+        })
+        .expect(200)
+    ).body.data;
+
+    laptop = (
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({
+          email,
+          password,
+          device: { platform: 'web', pushToken: 'laptop-token' },
+        })
+        .expect(200)
+    ).body.data;
+  });
+
+  afterAll(async () => {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+      await prisma.auditLog.deleteMany({ where: { userId: user.id } });
+    }
+    await prisma.user.deleteMany({ where: { email } });
+    await prismaService.disconnect();
+  });
+
+  it('should list active sessions with their devices', async () => {
+    const response = await request(app)
+      .get('/api/v1/me/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    const sessions = response.body.data;
+    const platforms = sessions
+      .map((session) => session.device?.platform)
+      .filter(Boolean);
+    expect(platforms).toEqual(expect.arrayContaining(['ios', 'web']));
+
+    const current = sessions.filter((session) => session.current);
+    expect(current).toHaveLength(1);
+    expect(current[0].device.platform).toBe('web');
+  });
+
+  it('should keep the session ID stable across refreshes', async () => {
+    const before = await request(app)
+      .get('/api/v1/me/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    const refreshed = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: laptop.refreshToken })
+      .expect(200);
+    laptop = { ...laptop, ...refreshed.body.data };
+
+    const after = await request(app)
+      .get('/api/v1/me/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    const currentBefore = before.body.data.find((session) => session.current);
+    const currentAfter = after.body.data.find((session) => session.current);
+    expect(currentAfter.id).toBe(currentBefore.id);
+  });
+
+  it('should sign out a lost phone from another device', async () => {
+    const list = await request(app)
+      .get('/api/v1/me/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+    const phoneSession = list.body.data.find(
+      (session) => session.device?.platform === 'ios'
+    );
+
+    await request(app)
+      .delete(`/api/v1/me/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    // The phone can no longer refresh
+    await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: phone.refreshToken })
+      .expect(401);
+
+    // Its push token is gone
+    const device = await prisma.device.findFirst({
+      where: { pushToken: 'lost-phone-token' },
+    });
+    expect(device).toBeNull();
+
+    // Revoking again is a 404
+    await request(app)
+      .delete(`/api/v1/me/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(404);
+  });
+
+  it('should require authentication', async () => {
+    await request(app).get('/api/v1/me/sessions').expect(401);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Two-Factor API Integration Tests
+ *
+ * Enrolls a user in TOTP, signs in through the challenge step with a code
+ * and a recovery code, and disables two-factor again.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { generateCode, getStep } from '../../modules/auth/totp.js';
+
+describe('Two-Factor API Integration', () => {
+  let prisma;
+  let userId;
+  let accessToken;
+  let secret;
+  let recoveryCodes;
+  const email = 'two-factor-test@example.com';
+  const password = 'Sup3rSecret!';
+
+  // Each accepted step can only be used once, so move forward in time
+  const codeForStep = (offset) => generateCode(secret, getStep() + offset);
+
+  const login = () =>
+    request(app).post('/api/v1/auth/login').send({ email, password });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    await prisma.user.deleteMany({ where: { email } });
+
+    const signup = await request(app)
+      .post('/api/v1/auth/signup')
+      .send({ email, password, displayName: 'Two Factor User' })
+      .expect(201);
+    userId = signup.body.data.user.id;
+    accessToken = signup.body.data.accessToken;
+  });
+
+  afterAll(async () => {
+    await prisma.auditLog.deleteMany({ where: { userId } });
+    await prisma.user.deleteMany({ where: { email } });
+    await prismaService.disconnect();
+  });
+
+  it('should enroll with a confirmed code and return recovery codes once', async () => {
+    const setup = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    secret = setup.body.data.secret;
+    expect(setup.body.data.otpauthUri).toContain(`secret=${secret}`);
+
+    // Stored encrypted
+    const stored = await prisma.userTwoFactor.findUnique({
+      where: { userId },
+    });
+    expect(stored.secretEncrypted).not.toContain(secret);
+    expect(stored.enabledAt).toBeNull();
+
+    await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: codeForStep(10) })
+      .expect(400);
+
+    const enabled = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: codeForStep(-1) })
+      .expect(200);
+    recoveryCodes = enabled.body.data.recoveryCodes;
+    expect(recoveryCodes).toHaveLength(10);
+
+    const codes = await prisma.recoveryCode.findMany({ where: { userId } });
+    expect(codes.map((code) => code.codeHash)).not.toContain(recoveryCodes[0]);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId, action: 'two_factor_enabled' },
+    });
+    expect(audit).toBeTruthy();
+  });
+
+  it('should require a challenge before minting tokens', async () => {
+    const first = await login().expect(200);
+    expect(first.body.data.twoFactorRequired).toBe(true);
+    expect(first.body.data.accessToken).toBeUndefined();
+
+    const { challengeToken } = first.body.data;
+    const verified = await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken, code: codeForStep(0) })
+      .expect(200);
+    expect(verified.body.data.user.id).toBe(userId);
+    expect(verified.body.data.accessToken).toBeTruthy();
+
+    // The same code cannot be replayed
+    await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken, code: codeForStep(0) })
+      .expect(401);
+  });
+
+  it('should accept each recovery code only once', async () => {
+    const { challengeToken } = (await login().expect(200)).body.data;
+
+    await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken, code: recoveryCodes[0].toUpperCase() })
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken, code: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  it('should reject challenge tokens that are not challenge tokens', async () => {
+    await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken: accessToken, code: codeForStep(1) })
+      .expect(401);
+  });
+
+  it('should restore an account pending deletion only after the second factor', async () => {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { deletedAt: new Date() },
+    });
+    const deletedAt = async () =>
+      (await prisma.user.findUnique({ where: { id: userId } })).deletedAt;
+
+    const { challengeToken } = (await login().expect(200)).body.data;
+    expect(await deletedAt()).not.toBeNull();
+
+    await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ challengeToken, code: recoveryCodes[1] })
+      .expect(200);
+    expect(await deletedAt()).toBeNull();
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId, action: 'account_restored' },
+    });
+    expect(audit).toBeTruthy();
+  });
+
+  it('should disable two-factor with a valid code', async () => {
+    await prisma.userTwoFactor.update({
+      where: { userId },
+      data: { failedAttempts: 0, lastFailedAt: null },
+    });
+
+    await request(app)
+      .post('/api/v1/auth/2fa/disable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: codeForStep(1) })
+      .expect(200);
+
+    const audit = await prisma.auditLog.findFirst({
+      where: { userId, action: 'two_factor_disabled' },
+    });
+    expect(audit.metadata.method).toBe('totp');
+    expect(await prisma.recoveryCode.count({ where: { userId } })).toBe(0);
+
+    const session = await login().expect(200);
+    expect(session.body.data.accessToken).toBeTruthy();
+  });
+});
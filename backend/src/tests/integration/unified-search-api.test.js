@@ -0,0 +1,233 @@
+/**
+ * Unified Search API Integration Tests
+ *
+ * Covers typed results across posts, prayers, groups, events and users,
+ * per-type facets, the types filter, cursor pagination and visibility of
+ * private groups and events.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+
+describe('Unified Search API Integration', () => {
+  let prisma;
+  let publicGroup;
+  let privateGroup;
+  const users = {};
+  const emailPrefix = 'unified-search-api-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name, displayName = name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName,
+      },
+    });
+
+  const search = (user, query) =>
+    request(app)
+      .get('/api/v1/search')
+      .query(query)
+      .set('Authorization', as(user));
+
+  const typesOf = (response) =>
+    response.body.data.results.map(({ type }) => type).sort();
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: staleIds } } });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    users.author = await createUser('author');
+    users.outsider = await createUser('outsider');
+    users.named = await createUser('named', 'Quillfeather Jones');
+
+    publicGroup = await prisma.group.create({
+      data: {
+        name: 'Quillfeather Fellowship',
+        description: 'A group for everyone',
+        createdBy: users.author.id,
+        members: { create: [{ userId: users.author.id, role: 'ADMIN' }] },
+      },
+    });
+    privateGroup = await prisma.group.create({
+      data: {
+        name: 'Hidden circle',
+        description: 'Quillfeather prayer partners',
+        privacy: 'PRIVATE',
+        createdBy: users.author.id,
+        members: { create: [{ userId: users.author.id, role: 'ADMIN' }] },
+      },
+    });
+
+    await prisma.post.create({
+      data: { userId: users.author.id, content: 'Praise for quillfeather' },
+    });
+    await prisma.prayer.create({
+      data: {
+        userId: users.author.id,
+        title: 'Quillfeather healing',
+        content: 'Please pray for my aunt',
+      },
+    });
+    await prisma.prayer.create({
+      data: {
+        userId: users.author.id,
+        groupId: privateGroup.id,
+        title: 'Private request',
+        content: 'Quillfeather family matters',
+      },
+    });
+
+    const startsAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const endsAt = new Date(startsAt.getTime() + 60 * 60 * 1000);
+    await prisma.event.createMany({
+      data: [
+        {
+          title: 'Worship night',
+          description: 'Songs and prayer',
+          location: 'Quillfeather Hall',
+          startsAt,
+          endsAt,
+          createdBy: users.author.id,
+        },
+        {
+          title: 'Quillfeather planning',
+          startsAt,
+          endsAt,
+          visibility: 'PRIVATE',
+          createdBy: users.author.id,
+        },
+      ],
+    });
+  });
+
+  afterAll(async () => {
+    const userIds = Object.values(users).map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.group.deleteMany({ where: { createdBy: { in: userIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prismaService.disconnect();
+  });
+
+  it('should return typed results with facets', async () => {
+    const response = await search(users.outsider, {
+      q: 'quillfeather',
+    }).expect(200);
+
+    expect(typesOf(response)).toEqual([
+      'event',
+      'group',
+      'post',
+      'prayer',
+      'user',
+    ]);
+    expect(response.body.data.facets).toEqual({
+      post: 1,
+      prayer: 1,
+      group: 1,
+      event: 1,
+      user: 1,
+    });
+
+    const byType = Object.fromEntries(
+      response.body.data.results.map((result) => [result.type, result])
+    );
+    expect(byType.group.item).toMatchObject({
+      id: publicGroup.id,
+      name: 'Quillfeather Fellowship',
+      memberCount: 1,
+      myRole: null,
+    });
+    expect(byType.prayer.item).toMatchObject({
+      title: 'Quillfeather healing',
+      author: { id: users.author.id },
+    });
+    expect(byType.event.headline).toContain('<mark>Quillfeather</mark>');
+    expect(byType.user.item).toEqual({
+      id: users.named.id,
+      displayName: 'Quillfeather Jones',
+      avatarUrl: null,
+    });
+  });
+
+  it('should include private groups and events for those who can see them', async () => {
+    const response = await search(users.author, {
+      q: 'quillfeather',
+    }).expect(200);
+
+    expect(response.body.data.facets).toMatchObject({
+      prayer: 2,
+      group: 2,
+      event: 2,
+    });
+  });
+
+  it('should filter by type but keep every facet', async () => {
+    const response = await search(users.outsider, {
+      q: 'quillfeather',
+      types: 'prayer,group',
+    }).expect(200);
+
+    expect(typesOf(response)).toEqual(['group', 'prayer']);
+    expect(response.body.data.facets.user).toBe(1);
+  });
+
+  it('should page through results with cursors', async () => {
+    const seen = [];
+    let cursor;
+
+    do {
+      const response = await search(users.author, {
+        q: 'quillfeather',
+        limit: 3,
+        ...(cursor && { cursor }),
+      }).expect(200);
+
+      seen.push(...response.body.data.results.map(({ item }) => item.id));
+      cursor = response.body.data.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(8);
+    expect(new Set(seen).size).toBe(8);
+  });
+
+  it('should reject unknown types and post search cursors', async () => {
+    await search(users.author, { q: 'quillfeather', types: 'sermon' }).expect(
+      400
+    );
+
+    const posts = await request(app)
+      .get('/api/v1/search/posts')
+      .query({ q: 'quillfeather' })
+      .set('Authorization', as(users.author))
+      .expect(200);
+    expect(posts.body.pagination.nextCursor).toBeNull();
+
+    const page = await search(users.author, { q: 'quillfeather', limit: 1 });
+    await request(app)
+      .get('/api/v1/search/posts')
+      .query({
+        q: 'quillfeather',
+        cursor: page.body.data.pagination.nextCursor,
+      })
+      .set('Authorization', as(users.author))
+      .expect(400);
+  });
+});
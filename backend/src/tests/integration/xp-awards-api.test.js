@@ -0,0 +1,229 @@
+/**
+ * XP Awards Integration Tests
+ *
+ * Covers XP earned from prayer commits, testimonies and testimony
+ * comments, the metadata stored on each award, and replay protection,
+ * cooldowns and daily caps.
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import XpService from '../../modules/xp/service.js';
+import { XP_ACTIONS, getRule } from '../../modules/xp/rules.js';
+
+describe('XP Awards Integration', () => {
+  let prisma;
+  let xpService;
+  const users = {};
+  const emailPrefix = 'xp-awards-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+  const createPrayer = (user, title) =>
+    prisma.prayer.create({
+      data: { userId: user.id, title, content: 'Please pray' },
+    });
+
+  const commit = (user, prayerId) =>
+    request(app)
+      .post(`/api/v1/prayers/${prayerId}/commits`)
+      .set('Authorization', as(user))
+      .send({});
+
+  const eventsOf = (user, reason) =>
+    prisma.xpEvent.findMany({ where: { userId: user.id, reason } });
+
+  const cleanup = async () => {
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: staleIds } } });
+  };
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    xpService = new XpService();
+
+    await cleanup();
+
+    for (const name of ['owner', 'friend', 'capped']) {
+      users[name] = await createUser(name);
+    }
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prismaService.disconnect();
+  });
+
+  it('should award FAITHFULNESS for praying for someone else', async () => {
+    const prayer = await createPrayer(users.owner, 'Job interview');
+
+    const response = await commit(users.friend, prayer.id).expect(201);
+
+    const events = await eventsOf(users.friend, XP_ACTIONS.PRAYER_COMMIT);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      fruit: 'FAITHFULNESS',
+      amount: 5,
+      metadata: {
+        action: XP_ACTIONS.PRAYER_COMMIT,
+        entityType: 'prayer_commit',
+        entityId: response.body.data.commit.id,
+        prayerId: prayer.id,
+      },
+    });
+
+    const totals = await prisma.xpTotals.findUnique({
+      where: { userId: users.friend.id },
+    });
+    expect(totals.faithfulness).toBe(5);
+  });
+
+  it('should not award XP twice for a replayed award', async () => {
+    const [event] = await eventsOf(users.friend, XP_ACTIONS.PRAYER_COMMIT);
+
+    const result = await xpService.award(
+      users.friend.id,
+      XP_ACTIONS.PRAYER_COMMIT,
+      { entityId: event.metadata.entityId }
+    );
+
+    expect(result.skipped).toBe('duplicate');
+    expect(result.event.id).toBe(event.id);
+    expect(await eventsOf(users.friend, XP_ACTIONS.PRAYER_COMMIT)).toHaveLength(
+      1
+    );
+  });
+
+  it('should not award XP during the cooldown', async () => {
+    const prayer = await createPrayer(users.owner, 'Safe travels');
+
+    await commit(users.friend, prayer.id).expect(201);
+
+    expect(await eventsOf(users.friend, XP_ACTIONS.PRAYER_COMMIT)).toHaveLength(
+      1
+    );
+  });
+
+  it('should not award XP for praying for your own request', async () => {
+    const prayer = await createPrayer(users.owner, 'My own exam');
+
+    await commit(users.owner, prayer.id).expect(201);
+
+    expect(await eventsOf(users.owner, XP_ACTIONS.PRAYER_COMMIT)).toHaveLength(
+      0
+    );
+  });
+
+  it('should award JOY for a testimony and KINDNESS for encouraging it', async () => {
+    const response = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.owner))
+      .send({ content: 'God provided a new job!', type: 'TESTIMONY' })
+      .expect(201);
+    const postId = response.body.data.id;
+
+    const [shared] = await eventsOf(users.owner, XP_ACTIONS.TESTIMONY_SHARED);
+    expect(shared).toMatchObject({
+      fruit: 'JOY',
+      amount: 10,
+      metadata: { entityType: 'post', entityId: postId },
+    });
+
+    const comment = await request(app)
+      .post(`/api/v1/posts/${postId}/comments`)
+      .set('Authorization', as(users.friend))
+      .send({ content: 'Praise God!' })
+      .expect(201);
+
+    const [encouraged] = await eventsOf(
+      users.friend,
+      XP_ACTIONS.TESTIMONY_COMMENT
+    );
+    expect(encouraged).toMatchObject({
+      fruit: 'KINDNESS',
+      amount: 3,
+      metadata: {
+        entityType: 'comment',
+        entityId: comment.body.data.comment.id,
+        postId,
+      },
+    });
+
+    await request(app)
+      .post(`/api/v1/posts/${postId}/comments`)
+      .set('Authorization', as(users.owner))
+      .send({ content: 'Thank you all' })
+      .expect(201);
+    expect(
+      await eventsOf(users.owner, XP_ACTIONS.TESTIMONY_COMMENT)
+    ).toHaveLength(0);
+  });
+
+  it('should not award XP for ordinary posts', async () => {
+    await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.friend))
+      .send({ content: 'Good morning' })
+      .expect(201);
+
+    expect(
+      await eventsOf(users.friend, XP_ACTIONS.TESTIMONY_SHARED)
+    ).toHaveLength(0);
+  });
+
+  it('should stop awarding XP at the daily cap', async () => {
+    const rule = getRule(XP_ACTIONS.PRAYER_COMMIT);
+    // Earlier today, just outside the cooldown
+    const earlier = () =>
+      new Date(Date.now() - (rule.cooldownSeconds + 1) * 1000);
+
+    await prisma.xpEvent.create({
+      data: {
+        userId: users.capped.id,
+        fruit: rule.fruit,
+        amount: rule.dailyCap - 2,
+        reason: XP_ACTIONS.PRAYER_COMMIT,
+        createdAt: earlier(),
+      },
+    });
+
+    const award = () =>
+      xpService.award(users.capped.id, XP_ACTIONS.PRAYER_COMMIT, {
+        entityId: crypto.randomUUID(),
+      });
+
+    const { event } = await award();
+    expect(event.amount).toBe(2);
+
+    await prisma.xpEvent.update({
+      where: { id: event.id },
+      data: { createdAt: earlier() },
+    });
+    expect(await award()).toEqual({ event: null, skipped: 'daily_cap' });
+
+    const totals = await prisma.xpTotals.findUnique({
+      where: { userId: users.capped.id },
+    });
+    expect(totals.faithfulness).toBe(rule.dailyCap);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * XP Reconciliation Integration Tests
+ *
+ * Covers the admin endpoint that checks XpTotals against xp_events:
+ * dry runs that only report drift, applied runs that repair it and are
+ * audited, and access control.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import { USER_ROLES } from '../../types/index.js';
+
+describe('XP Reconciliation Integration', () => {
+  let prisma;
+  const users = {};
+  const emailPrefix = 'xp-reconcile-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name, role = USER_ROLES.USER) =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        role,
+      },
+    });
+
+  const reconcile = (body) =>
+    request(app)
+      .post('/api/v1/admin/xp/reconcile')
+      .set('Authorization', as(users.admin))
+      .send(body);
+
+  const totalsOf = (user) =>
+    prisma.xpTotals.findUnique({ where: { userId: user.id } });
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+
+    users.admin = await createUser('admin', USER_ROLES.ADMIN);
+    users.drifted = await createUser('drifted');
+    users.orphaned = await createUser('orphaned');
+
+    await prisma.xpEvent.createMany({
+      data: [
+        { userId: users.drifted.id, fruit: 'LOVE', amount: 10, reason: 'test' },
+        { userId: users.drifted.id, fruit: 'JOY', amount: 4, reason: 'test' },
+      ],
+    });
+
+    // Simulate a manual SQL fix that went wrong, and totals left behind
+    // for a user whose events were removed without the trigger
+    await prisma.xpTotals.update({
+      where: { userId: users.drifted.id },
+      data: { love: 25, peace: 3 },
+    });
+    await prisma.xpTotals.create({
+      data: { userId: users.orphaned.id, kindness: 6 },
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.auditLog.deleteMany({ where: { userId: users.admin.id } });
+    await prisma.user.deleteMany({
+      where: { email: { startsWith: emailPrefix } },
+    });
+    await prismaService.disconnect();
+  });
+
+  it('should only let admins reconcile', async () => {
+    await request(app)
+      .post('/api/v1/admin/xp/reconcile')
+      .set('Authorization', as(users.drifted))
+      .send({})
+      .expect(403);
+  });
+
+  it('should report drift per fruit without changing totals on a dry run', async () => {
+    const response = await reconcile({ userId: users.drifted.id }).expect(200);
+
+    expect(response.body.data).toEqual({
+      applied: false,
+      driftedUsers: 1,
+      drift: expect.objectContaining({ LOVE: -15, PEACE: -3, JOY: 0 }),
+      users: [
+        {
+          userId: users.drifted.id,
+          fruits: {
+            LOVE: { recorded: 25, expected: 10, drift: -15 },
+            PEACE: { recorded: 3, expected: 0, drift: -3 },
+          },
+        },
+      ],
+    });
+    expect((await totalsOf(users.drifted)).love).toBe(25);
+  });
+
+  it('should include every drifted user when no user is given', async () => {
+    const response = await reconcile({}).expect(200);
+    const userIds = response.body.data.users.map(({ userId }) => userId);
+
+    expect(userIds).toEqual(
+      expect.arrayContaining([users.drifted.id, users.orphaned.id])
+    );
+  });
+
+  it('should reject unknown users', async () => {
+    await reconcile({
+      userId: '00000000-0000-4000-8000-000000000000',
+    }).expect(404);
+  });
+
+  it('should repair drift when applied and audit it', async () => {
+    const response = await reconcile({
+      apply: true,
+      userId: users.drifted.id,
+    }).expect(200);
+    expect(response.body.data).toMatchObject({
+      applied: true,
+      driftedUsers: 1,
+    });
+
+    expect(await totalsOf(users.drifted)).toMatchObject({
+      love: 10,
+      joy: 4,
+      peace: 0,
+    });
+
+    const [log] = await prisma.auditLog.findMany({
+      where: { userId: users.admin.id, action: 'xp_totals_reconciled' },
+    });
+    expect(log).toMatchObject({
+      entityType: 'xp_totals',
+      entityId: users.drifted.id,
+      metadata: expect.objectContaining({ scope: 'user', driftedUsers: 1 }),
+    });
+  });
+
+  it('should zero totals that have no events behind them', async () => {
+    await reconcile({ apply: true, userId: users.orphaned.id }).expect(200);
+
+    expect((await totalsOf(users.orphaned)).kindness).toBe(0);
+
+    const response = await reconcile({ userId: users.orphaned.id }).expect(200);
+    expect(response.body.data.driftedUsers).toBe(0);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * XP Reversals Integration Tests
+ *
+ * Covers clawing back XP when the content that earned it is deleted by
+ * its author or removed by a moderator, or when a post stops being a
+ * testimony, and how the update_xp_totals trigger keeps XpTotals in step
+ * with reversals and deleted events.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import app from '../../server.js';
+import prismaService from '../../services/prisma.js';
+import { signAccessToken } from '../../modules/auth/tokens.js';
+import XpService from '../../modules/xp/service.js';
+import { XP_ACTIONS, XP_REVERSAL_REASON } from '../../modules/xp/rules.js';
+
+describe('XP Reversals Integration', () => {
+  let prisma;
+  let xpService;
+  let postId;
+  const users = {};
+  const emailPrefix = 'xp-reversals-test-';
+
+  const as = (user) => `Bearer ${signAccessToken(user, user.id)}`;
+
+  const createUser = (name, role = 'USER') =>
+    prisma.user.create({
+      data: {
+        email: `${emailPrefix}${name}@example.com`,
+        passwordHash: 'unused',
+        displayName: name,
+        emailVerifiedAt: new Date(),
+        role,
+      },
+    });
+
+  const totalsOf = (user) =>
+    prisma.xpTotals.findUnique({ where: { userId: user.id } });
+
+  const reversalsOf = (user) =>
+    prisma.xpEvent.findMany({
+      where: { userId: user.id, reason: XP_REVERSAL_REASON },
+    });
+
+  const cleanup = async () => {
+    const stale = await prisma.user.findMany({
+      where: { email: { startsWith: emailPrefix } },
+      select: { id: true },
+    });
+    const staleIds = stale.map(({ id }) => id);
+    await prisma.post.deleteMany({ where: { userId: { in: staleIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: staleIds } } });
+  };
+
+  beforeAll(async () => {
+    await prismaService.connect();
+    prisma = prismaService.getClient();
+    xpService = new XpService();
+
+    await cleanup();
+
+    users.owner = await createUser('owner');
+    users.friend = await createUser('friend');
+    users.moderator = await createUser('moderator', 'MODERATOR');
+    users.editor = await createUser('editor');
+    users.author = await createUser('author');
+    users.encourager = await createUser('encourager');
+
+    const response = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.owner))
+      .send({ content: 'My prayers were answered', type: 'TESTIMONY' })
+      .expect(201);
+    postId = response.body.data.id;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prismaService.disconnect();
+  });
+
+  it('should take back XP when the author deletes their comment', async () => {
+    const response = await request(app)
+      .post(`/api/v1/posts/${postId}/comments`)
+      .set('Authorization', as(users.friend))
+      .send({ content: 'So happy for you' })
+      .expect(201);
+    const commentId = response.body.data.comment.id;
+    expect((await totalsOf(users.friend)).kindness).toBe(3);
+
+    await request(app)
+      .delete(`/api/v1/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', as(users.friend))
+      .expect(200);
+
+    const [award] = await prisma.xpEvent.findMany({
+      where: { userId: users.friend.id, reason: XP_ACTIONS.TESTIMONY_COMMENT },
+    });
+    const [reversal] = await reversalsOf(users.friend);
+    expect(reversal).toMatchObject({
+      fruit: 'KINDNESS',
+      amount: -3,
+      reversalOfId: award.id,
+      metadata: {
+        entityType: 'comment',
+        entityId: commentId,
+        reversedReason: XP_ACTIONS.TESTIMONY_COMMENT,
+        cause: 'comment_deleted',
+      },
+    });
+    expect((await totalsOf(users.friend)).kindness).toBe(0);
+  });
+
+  it('should take back XP when a moderator removes the post', async () => {
+    expect((await totalsOf(users.owner)).joy).toBe(10);
+
+    await request(app)
+      .delete(`/api/v1/posts/${postId}`)
+      .set('Authorization', as(users.moderator))
+      .expect(200);
+
+    const [reversal] = await reversalsOf(users.owner);
+    expect(reversal).toMatchObject({
+      fruit: 'JOY',
+      amount: -10,
+      metadata: { entityType: 'post', entityId: postId, cause: 'post_removed' },
+    });
+    expect((await totalsOf(users.owner)).joy).toBe(0);
+  });
+
+  it('should take back XP when a moderator removes a post through moderation', async () => {
+    const created = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.author))
+      .send({ content: 'Healed after years of pain', type: 'TESTIMONY' })
+      .expect(201);
+    const removedId = created.body.data.id;
+    await request(app)
+      .post(`/api/v1/posts/${removedId}/comments`)
+      .set('Authorization', as(users.encourager))
+      .send({ content: 'Praise God' })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/v1/posts/${removedId}/remove`)
+      .set('Authorization', as(users.author))
+      .send({})
+      .expect(403);
+    await request(app)
+      .post(`/api/v1/posts/${removedId}/remove`)
+      .set('Authorization', as(users.moderator))
+      .send({ reason: 'Spam' })
+      .expect(200);
+
+    const post = await prisma.post.findUnique({ where: { id: removedId } });
+    expect(post).toMatchObject({ status: 'REMOVED', deletedAt: null });
+    expect(
+      await prisma.moderationAction.findFirst({
+        where: { entityId: removedId },
+      })
+    ).toMatchObject({
+      actorId: users.moderator.id,
+      action: 'REMOVE',
+      notes: 'Spam',
+    });
+
+    const [reversal] = await reversalsOf(users.author);
+    expect(reversal.metadata).toMatchObject({
+      entityId: removedId,
+      cause: 'post_removed',
+    });
+    expect((await totalsOf(users.author)).joy).toBe(0);
+
+    // Encouraging the testimony was done in good faith
+    expect((await totalsOf(users.encourager)).kindness).toBe(3);
+    expect(await reversalsOf(users.encourager)).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/v1/posts/${removedId}/remove`)
+      .set('Authorization', as(users.moderator))
+      .send({})
+      .expect(404);
+  });
+
+  it('should only reverse an award once', async () => {
+    expect(await xpService.reverse('post', postId, 'post_removed')).toEqual([]);
+    expect(await reversalsOf(users.owner)).toHaveLength(1);
+    expect((await totalsOf(users.owner)).joy).toBe(0);
+  });
+
+  it('should follow a post in and out of being a testimony', async () => {
+    const created = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', as(users.editor))
+      .send({ content: 'A good week', type: 'POST' })
+      .expect(201);
+    const changeType = (type) =>
+      request(app)
+        .patch(`/api/v1/posts/${created.body.data.id}`)
+        .set('Authorization', as(users.editor))
+        .send({ type })
+        .expect(200);
+    expect(await totalsOf(users.editor)).toBeNull();
+
+    await changeType('TESTIMONY');
+    expect((await totalsOf(users.editor)).joy).toBe(10);
+
+    await changeType('POST');
+    const [reversal] = await reversalsOf(users.editor);
+    expect(reversal.metadata).toMatchObject({
+      entityId: created.body.data.id,
+      cause: 'post_type_changed',
+    });
+    expect((await totalsOf(users.editor)).joy).toBe(0);
+
+    // The award is keyed by the post, so switching back pays nothing
+    await changeType('TESTIMONY');
+    expect((await totalsOf(users.editor)).joy).toBe(0);
+  });
+
+  it('should log rather than throw when a reversal fails', async () => {
+    const failing = new XpService();
+    failing.xpEventRepository.reverseForEntity = () =>
+      Promise.reject(new Error('database unavailable'));
+
+    await expect(
+      failing.reverse('post', postId, 'post_deleted')
+    ).resolves.toBeNull();
+  });
+
+  it('should reject negative amounts that are not reversals', async () => {
+    await expect(
+      prisma.xpEvent.create({
+        data: {
+          userId: users.owner.id,
+          fruit: 'JOY',
+          amount: -5,
+          reason: 'manual',
+        },
+      })
+    ).rejects.toThrow();
+  });
+
+  it('should keep totals in step when events are deleted', async () => {
+    const award = await prisma.xpEvent.create({
+      data: {
+        userId: users.owner.id,
+        fruit: 'PEACE',
+        amount: 7,
+        reason: 'manual',
+      },
+    });
+    expect((await totalsOf(users.owner)).peace).toBe(7);
+
+    await prisma.xpEvent.delete({ where: { id: award.id } });
+    expect((await totalsOf(users.owner)).peace).toBe(0);
+
+    // Deleting a reversed award cascades to its reversal and nets out
+    const [reversal] = await reversalsOf(users.owner);
+    await prisma.xpEvent.delete({ where: { id: reversal.reversalOfId } });
+    expect(await reversalsOf(users.owner)).toHaveLength(0);
+    expect((await totalsOf(users.owner)).joy).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Badge Catalog Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  BADGES,
+  getBadge,
+  findEarnedBadges,
+} from '../../modules/achievements/badges.js';
+import { describeLevels } from '../../modules/achievements/levels.js';
+import { FRUIT_COLUMNS } from '../../types/index.js';
+
+const noXp = Object.fromEntries(
+  Object.keys(FRUIT_COLUMNS).map((fruit) => [fruit, 0])
+);
+
+const progress = (overrides = {}) => ({
+  prayerCommits: 0,
+  streaks: {},
+  levels: describeLevels(noXp),
+  ...overrides,
+});
+
+describe('Badge catalog', () => {
+  it('should use unique keys', () => {
+    const keys = BADGES.map((badge) => badge.key);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('should describe the examples users asked for', () => {
+    expect(getBadge('prayer_warrior').description).toBe(
+      'Prayed for 100 requests'
+    );
+    expect(getBadge('scripture_streak_30').description).toBe(
+      '30-day Scripture streak'
+    );
+  });
+
+  it('should earn nothing without progress', () => {
+    expect(findEarnedBadges(progress())).toEqual([]);
+  });
+
+  it('should earn prayer badges by requests prayed for', () => {
+    expect(findEarnedBadges(progress({ prayerCommits: 100 }))).toEqual([
+      'first_prayer',
+      'prayer_partner',
+      'prayer_warrior',
+    ]);
+    expect(findEarnedBadges(progress({ prayerCommits: 99 }))).not.toContain(
+      'prayer_warrior'
+    );
+  });
+
+  it('should earn streak badges by the longest streak of their kind', () => {
+    const earned = findEarnedBadges(
+      progress({ streaks: { SCRIPTURE: 30, PRAYER: 6 } })
+    );
+
+    expect(earned).toEqual(['scripture_streak_7', 'scripture_streak_30']);
+  });
+
+  it('should earn level badges per fruit and overall', () => {
+    const earned = findEarnedBadges(
+      progress({
+        levels: describeLevels({ ...noXp, KINDNESS: 500, JOY: 6250 }),
+      })
+    );
+
+    expect(earned).toEqual([
+      'joy_level_5',
+      'kindness_level_5',
+      'overall_level_10',
+    ]);
+  });
+});
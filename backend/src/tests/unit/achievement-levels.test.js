@@ -0,0 +1,58 @@
+/**
+ * Level Curve Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  LEVEL_STEPS,
+  xpForLevel,
+  levelFor,
+  describeLevels,
+} from '../../modules/achievements/levels.js';
+
+describe('Level curves', () => {
+  it('should cost one more step for each level', () => {
+    expect([1, 2, 3, 4, 5].map((level) => xpForLevel(level, 50))).toEqual([
+      0, 50, 150, 300, 500,
+    ]);
+  });
+
+  it('should start everyone at level 1', () => {
+    expect(levelFor(0, 50)).toEqual({
+      level: 1,
+      xp: 0,
+      levelXp: 0,
+      nextLevelXp: 50,
+    });
+  });
+
+  it('should level up exactly at each threshold', () => {
+    expect(levelFor(149, 50).level).toBe(2);
+    expect(levelFor(150, 50)).toEqual({
+      level: 3,
+      xp: 150,
+      levelXp: 150,
+      nextLevelXp: 300,
+    });
+  });
+
+  it('should stay accurate for large totals', () => {
+    for (const level of [50, 200, 1000]) {
+      const threshold = xpForLevel(level, LEVEL_STEPS.OVERALL);
+
+      expect(levelFor(threshold, LEVEL_STEPS.OVERALL).level).toBe(level);
+      expect(levelFor(threshold - 1, LEVEL_STEPS.OVERALL).level).toBe(
+        level - 1
+      );
+    }
+  });
+
+  it('should level overall on the XP of every fruit together', () => {
+    const levels = describeLevels({ KINDNESS: 100, JOY: 60, LOVE: 0 });
+
+    expect(levels.overall).toMatchObject({ level: 2, xp: 160 });
+    expect(levels.fruits.KINDNESS.level).toBe(2);
+    expect(levels.fruits.JOY.level).toBe(2);
+    expect(levels.fruits.LOVE.level).toBe(1);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Streak Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { advanceStreak } from '../../modules/achievements/streaks.js';
+
+describe('Streaks', () => {
+  const streak = (lastAt, current = 3, longest = 5) => ({
+    current,
+    longest,
+    lastAt: new Date(lastAt),
+  });
+
+  it('should start at one day', () => {
+    const at = new Date('2026-03-08T09:00:00Z');
+    expect(advanceStreak(null, at)).toEqual({
+      current: 1,
+      longest: 1,
+      lastAt: at,
+    });
+  });
+
+  it('should count a day only once', () => {
+    expect(
+      advanceStreak(
+        streak('2026-03-08T00:30:00Z'),
+        new Date('2026-03-08T23:59:00Z')
+      )
+    ).toBeNull();
+  });
+
+  it('should extend on the next UTC day and keep the longest run', () => {
+    const next = advanceStreak(
+      streak('2026-03-07T23:00:00Z', 5, 5),
+      new Date('2026-03-08T01:00:00Z')
+    );
+    expect(next).toMatchObject({ current: 6, longest: 6 });
+  });
+
+  it('should start over after a missed day', () => {
+    const next = advanceStreak(
+      streak('2026-03-06T12:00:00Z', 3, 5),
+      new Date('2026-03-08T12:00:00Z')
+    );
+    expect(next).toMatchObject({ current: 1, longest: 5 });
+  });
+});
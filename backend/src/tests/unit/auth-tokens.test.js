@@ -0,0 +1,69 @@
+/**
+ * Auth Token Helper Tests
+ *
+ * Tests for JWT signing/verification and token hashing helpers.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import {
+  hashToken,
+  generateRandomToken,
+  signAccessToken,
+  verifyAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  getExpiresIn,
+} from '../../modules/auth/tokens.js';
+
+describe('Auth Token Helpers', () => {
+  const user = { id: '3f0b9a1e-6b1c-4a53-9d6e-2f1e5c7a9b10', email: 'a@b.co' };
+
+  it('should hash tokens deterministically without exposing the raw value', () => {
+    const token = generateRandomToken();
+
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).toHaveLength(64);
+    expect(hashToken(token)).not.toContain(token);
+  });
+
+  it('should generate unique url-safe random tokens', () => {
+    const first = generateRandomToken();
+    const second = generateRandomToken();
+
+    expect(first).not.toBe(second);
+    expect(first).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('should sign and verify access tokens', () => {
+    const sessionId = '9a7c2d4e-1b3f-4e5a-8c6d-0f1e2d3c4b5a';
+    const token = signAccessToken(user, sessionId);
+    const payload = verifyAccessToken(token);
+
+    expect(payload.sub).toBe(user.id);
+    expect(payload.email).toBe(user.email);
+    expect(payload.sid).toBe(sessionId);
+    expect(getExpiresIn(token)).toBeGreaterThan(0);
+  });
+
+  it('should sign refresh tokens with a unique jti and expiry', () => {
+    const first = signRefreshToken(user.id);
+    const second = signRefreshToken(user.id);
+
+    expect(first.token).not.toBe(second.token);
+    expect(first.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(verifyRefreshToken(first.token).sub).toBe(user.id);
+  });
+
+  it('should not accept a refresh token as an access token', () => {
+    const { token } = signRefreshToken(user.id);
+
+    expect(() => verifyAccessToken(token)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('should not accept an access token as a refresh token', () => {
+    const token = signAccessToken(user);
+
+    expect(() => verifyRefreshToken(token)).toThrow(jwt.JsonWebTokenError);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Comment Tree Builder Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { buildCommentTree } from '../../modules/posts/commentTree.js';
+
+const comment = (id, parentId = null, depth = 0, deletedAt = null) => ({
+  id,
+  parentId,
+  depth,
+  deletedAt,
+  content: `comment ${id}`,
+});
+
+const toNode = (c) => ({
+  id: c.id,
+  parentId: c.parentId,
+  depth: c.depth,
+  content: c.content,
+});
+
+const shape = (nodes) =>
+  nodes.map((node) => ({ id: node.id, replies: shape(node.replies) }));
+
+describe('buildCommentTree', () => {
+  it('should nest replies under their parents in order', () => {
+    const tree = buildCommentTree(
+      [
+        comment('a'),
+        comment('b'),
+        comment('a1', 'a', 1),
+        comment('a1x', 'a1', 2),
+        comment('a2', 'a', 1),
+      ],
+      toNode
+    );
+
+    expect(shape(tree)).toEqual([
+      {
+        id: 'a',
+        replies: [
+          { id: 'a1', replies: [{ id: 'a1x', replies: [] }] },
+          { id: 'a2', replies: [] },
+        ],
+      },
+      { id: 'b', replies: [] },
+    ]);
+    expect(tree[0]).toMatchObject({ content: 'comment a', deleted: false });
+  });
+
+  it('should keep deleted comments with live replies as placeholders', () => {
+    const deletedAt = new Date();
+    const tree = buildCommentTree(
+      [
+        comment('a', null, 0, deletedAt),
+        comment('a1', 'a', 1),
+        comment('b', null, 0, deletedAt),
+        comment('c'),
+        comment('c1', 'c', 1, deletedAt),
+      ],
+      toNode
+    );
+
+    expect(shape(tree)).toEqual([
+      { id: 'a', replies: [{ id: 'a1', replies: [] }] },
+      { id: 'c', replies: [] },
+    ]);
+    expect(tree[0]).toEqual({
+      id: 'a',
+      parentId: null,
+      depth: 0,
+      deleted: true,
+      replies: expect.any(Array),
+    });
+    expect(tree[0].content).toBeUndefined();
+  });
+
+  it('should return a single thread when given a root', () => {
+    const comments = [comment('a'), comment('a1', 'a', 1), comment('b')];
+
+    expect(shape(buildCommentTree(comments, toNode, 'a1'))).toEqual([
+      { id: 'a1', replies: [] },
+    ]);
+    expect(buildCommentTree(comments, toNode, 'missing')).toEqual([]);
+  });
+});
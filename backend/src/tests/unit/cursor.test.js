@@ -0,0 +1,97 @@
+/**
+ * Cursor Pagination Helper Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  encodeCursor,
+  decodeCursor,
+  encodeRankCursor,
+  decodeRankCursor,
+  afterCursor,
+  parseCursorLimit,
+  buildCursorPage,
+} from '../../utils/cursor.js';
+
+const record = (n) => ({
+  id: `00000000-0000-4000-8000-00000000000${n}`,
+  createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, n)),
+});
+
+describe('Cursor Pagination Helpers', () => {
+  it('should round-trip a position', () => {
+    const cursor = encodeCursor(record(1));
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual(record(1));
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(
+      decodeCursor(Buffer.from('yesterday|abc').toString('base64url'))
+    ).toBeNull();
+  });
+
+  it('should round-trip a ranked position', () => {
+    const position = { rank: 0.0607927, id: record(1).id };
+
+    expect(decodeRankCursor(encodeRankCursor(position))).toEqual(position);
+    expect(decodeRankCursor(encodeCursor(record(1)))).toBeNull();
+    expect(
+      decodeRankCursor(Buffer.from(`|${record(1).id}`).toString('base64url'))
+    ).toBeNull();
+  });
+
+  it('should filter on (createdAt, id) after the cursor', () => {
+    expect(afterCursor(null)).toEqual({});
+    expect(afterCursor(record(2))).toEqual({
+      OR: [
+        { createdAt: { lt: record(2).createdAt } },
+        { createdAt: record(2).createdAt, id: { lt: record(2).id } },
+      ],
+    });
+  });
+
+  it('should clamp the limit', () => {
+    expect(parseCursorLimit({})).toBe(20);
+    expect(parseCursorLimit({ limit: '5' })).toBe(5);
+    expect(parseCursorLimit({ limit: '500' })).toBe(50);
+    expect(parseCursorLimit({ limit: '0' }, { defaultLimit: 10 })).toBe(10);
+  });
+
+  it('should point the next cursor at the last item of a full page', () => {
+    const { items, pagination } = buildCursorPage(
+      [record(3), record(2), record(1)],
+      2
+    );
+
+    expect(items).toEqual([record(3), record(2)]);
+    expect(pagination).toEqual({
+      limit: 2,
+      hasMore: true,
+      nextCursor: encodeCursor(record(2)),
+    });
+  });
+
+  it('should encode the next cursor with a custom encoder', () => {
+    const ranked = [
+      { rank: 0.5, id: 'b' },
+      { rank: 0.25, id: 'a' },
+    ];
+
+    expect(
+      buildCursorPage(ranked, 1, encodeRankCursor).pagination.nextCursor
+    ).toBe(encodeRankCursor(ranked[0]));
+  });
+
+  it('should end the feed on a short page', () => {
+    expect(buildCursorPage([record(1)], 2).pagination).toEqual({
+      limit: 2,
+      hasMore: false,
+      nextCursor: null,
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Search Snippet Helper Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  renderHeadline,
+  HEADLINE_START,
+  HEADLINE_STOP,
+} from '../../utils/headline.js';
+
+const mark = (word) => `${HEADLINE_START}${word}${HEADLINE_STOP}`;
+
+describe('renderHeadline', () => {
+  it('should wrap matches in mark tags', () => {
+    expect(renderHeadline(`God ${mark('healed')} my mother`)).toBe(
+      'God <mark>healed</mark> my mother'
+    );
+  });
+
+  it('should escape markup from the post body', () => {
+    expect(
+      renderHeadline(`<img src=x onerror="alert(1)"> ${mark('grace')} & peace`)
+    ).toBe(
+      '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <mark>grace</mark> &amp; peace'
+    );
+  });
+
+  it('should handle empty headlines', () => {
+    expect(renderHeadline(null)).toBe('');
+  });
+});
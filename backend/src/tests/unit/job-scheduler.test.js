@@ -0,0 +1,65 @@
+/**
+ * Job Scheduler Tests
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { scheduler } from '../../jobs/scheduler.js';
+
+describe('Job Scheduler', () => {
+  afterEach(() => {
+    scheduler.stop();
+    scheduler.jobs = [];
+  });
+
+  it('should not overlap runs of the same job', async () => {
+    let release;
+    const run = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          release = resolve;
+        })
+    );
+    scheduler.register({ name: 'slow', intervalMs: 1000, run });
+    const [job] = scheduler.jobs;
+
+    const first = scheduler.runJob(job);
+    await scheduler.runJob(job);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    release();
+    await first;
+    scheduler.runJob(job);
+    expect(run).toHaveBeenCalledTimes(2);
+    release();
+  });
+
+  it('should keep running after a job throws', async () => {
+    const run = jest.fn().mockRejectedValue(new Error('boom'));
+    scheduler.register({ name: 'failing', intervalMs: 1000, run });
+    const [job] = scheduler.jobs;
+
+    await expect(scheduler.runJob(job)).resolves.toBeUndefined();
+    expect(job.running).toBe(false);
+  });
+
+  it('should run jobs on their interval once started', async () => {
+    jest.useFakeTimers();
+    try {
+      const run = jest.fn().mockResolvedValue();
+      scheduler.register({ name: 'tick', intervalMs: 10, run });
+
+      scheduler.start();
+      expect(run).not.toHaveBeenCalled();
+
+      // The async variant lets each run settle before the next tick
+      await jest.advanceTimersByTimeAsync(30);
+      expect(run).toHaveBeenCalledTimes(3);
+
+      scheduler.stop();
+      await jest.advanceTimersByTimeAsync(30);
+      expect(run).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
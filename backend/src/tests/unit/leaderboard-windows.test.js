@@ -0,0 +1,64 @@
+/**
+ * Leaderboard Window Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  LEADERBOARD_WINDOWS,
+  windowStart,
+  windowEnd,
+  windowExpiresAt,
+  leaderboardKey,
+} from '../../modules/leaderboards/windows.js';
+
+const { WEEK, MONTH, ALL_TIME } = LEADERBOARD_WINDOWS;
+
+describe('Leaderboard windows', () => {
+  it('should start weeks on Monday at midnight UTC', () => {
+    // Sunday evening is still in the week that began the Monday before
+    expect(windowStart(WEEK, new Date('2026-10-25T23:59:59Z'))).toEqual(
+      new Date('2026-10-19T00:00:00Z')
+    );
+    expect(windowStart(WEEK, new Date('2026-10-19T00:00:00Z'))).toEqual(
+      new Date('2026-10-19T00:00:00Z')
+    );
+    expect(windowEnd(WEEK, new Date('2026-10-21T12:00:00Z'))).toEqual(
+      new Date('2026-10-26T00:00:00Z')
+    );
+  });
+
+  it('should use calendar months, rolling over the year', () => {
+    const date = new Date('2026-12-31T23:00:00Z');
+
+    expect(windowStart(MONTH, date)).toEqual(new Date('2026-12-01T00:00:00Z'));
+    expect(windowEnd(MONTH, date)).toEqual(new Date('2027-01-01T00:00:00Z'));
+  });
+
+  it('should never bound or expire all time', () => {
+    const date = new Date('2026-10-19T10:00:00Z');
+
+    expect(windowStart(ALL_TIME, date)).toBeNull();
+    expect(windowEnd(ALL_TIME, date)).toBeNull();
+    expect(windowExpiresAt(ALL_TIME, date)).toBeNull();
+  });
+
+  it('should expire a period a week after it ends', () => {
+    expect(windowExpiresAt(WEEK, new Date('2026-10-21T12:00:00Z'))).toEqual(
+      new Date('2026-11-02T00:00:00Z')
+    );
+  });
+
+  it('should key each period and fruit separately', () => {
+    const date = new Date('2026-10-21T12:00:00Z');
+
+    expect(leaderboardKey(WEEK, 'KINDNESS', date)).toBe(
+      'leaderboard:week:2026-10-19:KINDNESS'
+    );
+    expect(leaderboardKey(MONTH, 'all', date)).toBe(
+      'leaderboard:month:2026-10:all'
+    );
+    expect(leaderboardKey(ALL_TIME, 'JOY', date)).toBe(
+      'leaderboard:all_time:JOY'
+    );
+  });
+});
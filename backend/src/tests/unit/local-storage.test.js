@@ -0,0 +1,56 @@
+/**
+ * Local Storage Adapter Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import LocalStorageAdapter from '../../services/storage/LocalStorageAdapter.js';
+
+describe('LocalStorageAdapter', () => {
+  let dir;
+  let adapter;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'anointed-storage-'));
+    adapter = new LocalStorageAdapter({
+      dir,
+      publicUrl: 'http://localhost:3000/uploads/',
+    });
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write objects and return their public URL', async () => {
+    const stored = await adapter.put({
+      path: 'posts/user-1/photo.jpg',
+      body: Buffer.from('jpeg bytes'),
+      contentType: 'image/jpeg',
+    });
+
+    expect(stored).toEqual({
+      path: 'posts/user-1/photo.jpg',
+      url: 'http://localhost:3000/uploads/posts/user-1/photo.jpg',
+    });
+    expect(await readFile(join(dir, 'posts/user-1/photo.jpg'), 'utf8')).toBe(
+      'jpeg bytes'
+    );
+  });
+
+  it('should delete objects and ignore missing ones', async () => {
+    await adapter.remove('posts/user-1/photo.jpg');
+    await expect(
+      readFile(join(dir, 'posts/user-1/photo.jpg'))
+    ).rejects.toThrow();
+    await expect(adapter.remove('posts/missing.jpg')).resolves.toBeUndefined();
+  });
+
+  it('should refuse paths outside its directory', async () => {
+    await expect(
+      adapter.put({ path: '../escape.jpg', body: Buffer.from('x') })
+    ).rejects.toThrow('Invalid storage path');
+  });
+});
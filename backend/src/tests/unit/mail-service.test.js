@@ -0,0 +1,71 @@
+/**
+ * Mail Service Tests
+ *
+ * Tests for the pluggable mail transports.
+ */
+
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { mailer, FileTransport } from '../../services/mail/index.js';
+import { redactSecrets } from '../../services/mail/ConsoleTransport.js';
+
+describe('Mail Service', () => {
+  const originalTransport = mailer.transport;
+  let outboxDir;
+
+  afterAll(async () => {
+    mailer.setTransport(originalTransport);
+    if (outboxDir) {
+      await rm(outboxDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should write messages to the outbox with the file transport', async () => {
+    outboxDir = await mkdtemp(join(tmpdir(), 'anointed-mail-'));
+    mailer.setTransport(new FileTransport(outboxDir));
+
+    const info = await mailer.send({
+      to: 'reader@example.com',
+      subject: 'Hello',
+      text: 'Body',
+    });
+
+    expect(info.accepted).toEqual(['reader@example.com']);
+    const written = JSON.parse(await readFile(info.file, 'utf8'));
+    expect(written).toMatchObject({
+      to: 'reader@example.com',
+      subject: 'Hello',
+      text: 'Body',
+    });
+    expect(written.from).toBeTruthy();
+    expect(written.sentAt).toBeTruthy();
+  });
+
+  it('should send through any object implementing send()', async () => {
+    const sent = [];
+    mailer.setTransport({
+      send: async (message) => {
+        sent.push(message);
+        return { accepted: [message.to] };
+      },
+    });
+
+    await mailer.send({ to: 'x@example.com', subject: 'S', text: 'T' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('x@example.com');
+  });
+
+  it('should redact one-time tokens from logged mail', () => {
+    expect(
+      redactSecrets(
+        'Sign in:\nhttps://app.example.com/auth/magic-link?token=abc123&next=/feed'
+      )
+    ).toBe(
+      'Sign in:\nhttps://app.example.com/auth/magic-link?token=[redacted]&next=/feed'
+    );
+    expect(redactSecrets(undefined)).toBe('');
+  });
+});
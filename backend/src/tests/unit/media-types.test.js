@@ -0,0 +1,46 @@
+/**
+ * Media Type Detection Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { detectMediaType, MEDIA_TYPES } from '../../utils/mediaTypes.js';
+
+const file = (...parts) =>
+  Buffer.concat([
+    ...parts.map((part) => Buffer.from(part, 'latin1')),
+    Buffer.alloc(16),
+  ]);
+
+describe('detectMediaType', () => {
+  it('should recognise supported images', () => {
+    expect(detectMediaType(file('\xff\xd8\xff\xe0'))).toBe('image/jpeg');
+    expect(detectMediaType(file('\x89PNG\r\n\x1a\n'))).toBe('image/png');
+    expect(detectMediaType(file('GIF89a'))).toBe('image/gif');
+    expect(detectMediaType(file('RIFF\x00\x00\x00\x00WEBPVP8 '))).toBe(
+      'image/webp'
+    );
+  });
+
+  it('should recognise mp4 and QuickTime video', () => {
+    expect(detectMediaType(file('\x00\x00\x00\x18ftypisom'))).toBe('video/mp4');
+    expect(detectMediaType(file('\x00\x00\x00\x14ftypqt  '))).toBe(
+      'video/quicktime'
+    );
+  });
+
+  it('should reject unsupported or disguised files', () => {
+    expect(detectMediaType(file('%PDF-1.7'))).toBeNull();
+    expect(
+      detectMediaType(file('<svg xmlns="http://www.w3.org/2000/svg">'))
+    ).toBeNull();
+    expect(detectMediaType(file('\x00\x00\x00\x18ftypheic'))).toBeNull();
+    expect(detectMediaType(Buffer.from([0xff, 0xd8]))).toBeNull();
+    expect(detectMediaType(undefined)).toBeNull();
+  });
+
+  it('should only detect types that can be stored', () => {
+    for (const type of ['image/jpeg', 'image/png', 'video/mp4']) {
+      expect(MEDIA_TYPES[type]).toBeDefined();
+    }
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Mention Helper Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseMentions,
+  parseNewMentions,
+  MAX_MENTIONS,
+} from '../../utils/mentions.js';
+
+const id = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+describe('Mention Helpers', () => {
+  it('should extract unique user IDs in order', () => {
+    const text = `Praying with @[Ruth](${id(2)}) and @[Naomi](${id(1)}), thanks @[Ruth](${id(2)})!`;
+
+    expect(parseMentions(text)).toEqual([id(2), id(1)]);
+  });
+
+  it('should ignore plain @names and malformed markup', () => {
+    expect(parseMentions('Thanks @ruth')).toEqual([]);
+    expect(parseMentions('@[Ruth](not-a-uuid)')).toEqual([]);
+    expect(parseMentions(null)).toEqual([]);
+  });
+
+  it('should normalise IDs to lowercase', () => {
+    expect(parseMentions(`@[Ruth](${id(1).toUpperCase()})`)).toEqual([id(1)]);
+  });
+
+  it('should cap the number of mentions', () => {
+    const text = Array.from(
+      { length: MAX_MENTIONS + 5 },
+      (_, n) => `@[U](${id(n)})`
+    ).join(' ');
+
+    expect(parseMentions(text)).toHaveLength(MAX_MENTIONS);
+  });
+
+  it('should only report mentions added by an edit', () => {
+    expect(
+      parseNewMentions(
+        `@[Ruth](${id(1)}) @[Boaz](${id(2)})`,
+        `@[Ruth](${id(1)})`
+      )
+    ).toEqual([id(2)]);
+    expect(parseNewMentions(`@[Ruth](${id(1)})`)).toEqual([id(1)]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Pagination Helper Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { parsePagination, buildPagination } from '../../utils/pagination.js';
+
+describe('Pagination Helpers', () => {
+  it('should default to the first page', () => {
+    expect(parsePagination({})).toEqual({
+      page: 1,
+      limit: 20,
+      skip: 0,
+      take: 20,
+    });
+  });
+
+  it('should parse string query params into skip and take', () => {
+    expect(parsePagination({ page: '3', limit: '10' })).toEqual({
+      page: 3,
+      limit: 10,
+      skip: 20,
+      take: 10,
+    });
+  });
+
+  it('should clamp out of range values', () => {
+    expect(parsePagination({ page: '0', limit: '1000' })).toMatchObject({
+      page: 1,
+      limit: 100,
+    });
+    expect(
+      parsePagination({ limit: 'abc' }, { defaultLimit: 50 })
+    ).toMatchObject({ limit: 50 });
+  });
+
+  it('should report the number of pages', () => {
+    expect(buildPagination(1, 20, 41)).toEqual({
+      page: 1,
+      limit: 20,
+      total: 41,
+      totalPages: 3,
+    });
+    expect(buildPagination(1, 20, 0).totalPages).toBe(0);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Prayer Reminder Delivery Tests
+ */
+
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import PrayerReminderService from '../../modules/prayers/reminderService.js';
+
+const dueReminder = (id) => ({
+  id,
+  frequency: 'DAILY',
+  timeOfDay: '08:00',
+  remaining: 2,
+  lastSentAt: null,
+  nextRunAt: new Date('2026-01-05T08:00:00Z'),
+  commit: {
+    userId: `user-${id}`,
+    prayer: { id: 'prayer', title: 'Healing', status: 'OPEN', group: null },
+    user: { tz: 'UTC', deletedAt: null, userSettings: null },
+  },
+});
+
+describe('Prayer reminder delivery', () => {
+  const now = new Date('2026-01-05T08:01:00Z');
+  let service;
+
+  beforeEach(() => {
+    service = new PrayerReminderService({});
+    service.prayerReminderRepository = {
+      findDue: jest.fn(),
+      claim: jest.fn().mockResolvedValue(true),
+      claimAndDelete: jest.fn().mockResolvedValue(true),
+    };
+    service.notificationRepository = { create: jest.fn() };
+  });
+
+  it('should put a reminder back when its notification fails', async () => {
+    const failing = dueReminder('failing');
+    service.prayerReminderRepository.findDue.mockResolvedValue([
+      failing,
+      dueReminder('working'),
+    ]);
+    service.notificationRepository.create
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce({});
+
+    await expect(service.sendDue(now)).resolves.toBe(1);
+
+    const [claim, release] = service.prayerReminderRepository.claim.mock.calls;
+    expect(claim[1]).toBe(failing.nextRunAt);
+    expect(claim[2].remaining).toBe(1);
+    expect(release).toEqual([
+      'failing',
+      claim[2].nextRunAt,
+      { remaining: 2, lastSentAt: null, nextRunAt: failing.nextRunAt },
+    ]);
+  });
+
+  it('should delete the last reminder only after it was sent', async () => {
+    const last = { ...dueReminder('last'), remaining: 1 };
+    service.prayerReminderRepository.findDue.mockResolvedValue([last]);
+    service.notificationRepository.create.mockRejectedValueOnce(
+      new Error('database unavailable')
+    );
+
+    await expect(service.sendDue(now)).resolves.toBe(0);
+    expect(
+      service.prayerReminderRepository.claimAndDelete
+    ).not.toHaveBeenCalled();
+
+    await expect(service.sendDue(now)).resolves.toBe(1);
+    expect(service.prayerReminderRepository.claimAndDelete).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Role Hierarchy Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { hasPlatformRole, hasGroupRole } from '../../utils/roles.js';
+import { USER_ROLES, GROUP_ROLES } from '../../types/index.js';
+
+describe('Role Helpers', () => {
+  it('should let higher platform roles satisfy lower requirements', () => {
+    expect(hasPlatformRole(USER_ROLES.ADMIN, USER_ROLES.MODERATOR)).toBe(true);
+    expect(hasPlatformRole(USER_ROLES.MODERATOR, USER_ROLES.MODERATOR)).toBe(
+      true
+    );
+    expect(hasPlatformRole(USER_ROLES.USER, USER_ROLES.MODERATOR)).toBe(false);
+    expect(hasPlatformRole(USER_ROLES.MODERATOR, USER_ROLES.ADMIN)).toBe(false);
+  });
+
+  it('should let higher group roles satisfy lower requirements', () => {
+    expect(hasGroupRole(GROUP_ROLES.ADMIN, GROUP_ROLES.MODERATOR)).toBe(true);
+    expect(hasGroupRole(GROUP_ROLES.MEMBER, GROUP_ROLES.MEMBER)).toBe(true);
+    expect(hasGroupRole(GROUP_ROLES.MEMBER, GROUP_ROLES.MODERATOR)).toBe(false);
+  });
+
+  it('should reject unknown roles', () => {
+    expect(hasPlatformRole(undefined, USER_ROLES.USER)).toBe(false);
+    expect(hasGroupRole('OWNER', GROUP_ROLES.MEMBER)).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Time Zone Helper Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  isValidTimeZone,
+  resolveTimeZone,
+  parseTimeOfDay,
+  nextLocalTime,
+  addLocalDays,
+  quietTimeEndsAt,
+} from '../../utils/timezone.js';
+
+describe('timezone helpers', () => {
+  it('should validate time zones and fall back to UTC', () => {
+    expect(isValidTimeZone('America/Chicago')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+    expect(resolveTimeZone('Mars/Olympus')).toBe('UTC');
+    expect(resolveTimeZone('Europe/London')).toBe('Europe/London');
+  });
+
+  it('should parse times of day', () => {
+    expect(parseTimeOfDay('00:00')).toBe(0);
+    expect(parseTimeOfDay('08:30')).toBe(510);
+    expect(parseTimeOfDay('23:59')).toBe(1439);
+  });
+
+  describe('nextLocalTime', () => {
+    it('should pick today when the time is still ahead', () => {
+      const from = new Date('2026-03-02T12:00:00Z'); // 06:00 in Chicago
+      expect(nextLocalTime(from, 'America/Chicago', '08:00')).toEqual(
+        new Date('2026-03-02T14:00:00Z')
+      );
+    });
+
+    it('should pick tomorrow once the time has passed', () => {
+      const from = new Date('2026-03-02T15:00:00Z'); // 09:00 in Chicago
+      expect(nextLocalTime(from, 'America/Chicago', '08:00')).toEqual(
+        new Date('2026-03-03T14:00:00Z')
+      );
+    });
+
+    it('should follow the local date across midnight UTC', () => {
+      const from = new Date('2026-03-02T23:30:00Z'); // 08:30 on the 3rd in Tokyo
+      expect(nextLocalTime(from, 'Asia/Tokyo', '09:00')).toEqual(
+        new Date('2026-03-03T00:00:00Z')
+      );
+    });
+  });
+
+  describe('addLocalDays', () => {
+    it('should keep the wall-clock time across a DST change', () => {
+      // US clocks spring forward on 2026-03-08
+      const before = new Date('2026-03-07T14:00:00Z'); // 08:00 CST
+      expect(addLocalDays(before, 'America/Chicago', 1)).toEqual(
+        new Date('2026-03-08T13:00:00Z') // 08:00 CDT
+      );
+      expect(addLocalDays(before, 'America/Chicago', 7)).toEqual(
+        new Date('2026-03-14T13:00:00Z')
+      );
+    });
+  });
+
+  describe('quietTimeEndsAt', () => {
+    it('should ignore missing or empty windows', () => {
+      const date = new Date('2026-03-02T12:00:00Z');
+      expect(quietTimeEndsAt(date, 'UTC', null, '07:00')).toBeNull();
+      expect(quietTimeEndsAt(date, 'UTC', '07:00', '07:00')).toBeNull();
+    });
+
+    it('should find the end of a same-day window', () => {
+      expect(
+        quietTimeEndsAt(
+          new Date('2026-03-02T12:30:00Z'),
+          'UTC',
+          '12:00',
+          '13:00'
+        )
+      ).toEqual(new Date('2026-03-02T13:00:00Z'));
+      expect(
+        quietTimeEndsAt(
+          new Date('2026-03-02T13:00:00Z'),
+          'UTC',
+          '12:00',
+          '13:00'
+        )
+      ).toBeNull();
+    });
+
+    it('should handle windows that wrap past midnight in local time', () => {
+      // 23:30 in Chicago, quiet from 22:00 to 07:00
+      const late = new Date('2026-03-03T05:30:00Z');
+      expect(
+        quietTimeEndsAt(late, 'America/Chicago', '22:00', '07:00')
+      ).toEqual(new Date('2026-03-03T13:00:00Z'));
+
+      // 20:00 in Chicago is outside the window
+      const evening = new Date('2026-03-03T02:00:00Z');
+      expect(
+        quietTimeEndsAt(evening, 'America/Chicago', '22:00', '07:00')
+      ).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * TOTP and Encryption Helper Tests
+ *
+ * Checks the TOTP implementation against the RFC 6238 SHA-1 test vectors
+ * and the AES-GCM helpers used to store secrets.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getStep,
+  verifyCode,
+  buildOtpauthUri,
+} from '../../modules/auth/totp.js';
+import { encrypt, decrypt } from '../../utils/encryption.js';
+
+// RFC 6238 appendix B secret: ASCII "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP Helpers', () => {
+  it('should round-trip base32', () => {
+    const bytes = Buffer.from('12345678901234567890');
+
+    expect(base32Encode(bytes)).toBe(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET).equals(bytes)).toBe(true);
+    expect(base32Decode(RFC_SECRET.toLowerCase()).equals(bytes)).toBe(true);
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, getStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, getStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, getStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('should accept codes within the drift window and return their step', () => {
+    const timestamp = 1111111109 * 1000;
+    const step = getStep(timestamp);
+    const previous = generateCode(RFC_SECRET, step - 1);
+
+    expect(verifyCode(RFC_SECRET, '081804', { timestamp })).toBe(step);
+    expect(verifyCode(RFC_SECRET, previous, { timestamp })).toBe(step - 1);
+    expect(
+      verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { timestamp })
+    ).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcd-1234')).toBeNull();
+  });
+
+  it('should generate 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = new URL(
+      buildOtpauthUri({
+        secret: RFC_SECRET,
+        accountName: 'a@b.co',
+        issuer: 'Anointed',
+      })
+    );
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Anointed:a@b.co');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).toBe('Anointed');
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('Encryption Helpers', () => {
+  it('should decrypt what it encrypts', () => {
+    const payload = encrypt(RFC_SECRET, 'test-key');
+
+    expect(payload).not.toContain(RFC_SECRET);
+    expect(decrypt(payload, 'test-key')).toBe(RFC_SECRET);
+  });
+
+  it('should use a fresh IV for every value', () => {
+    expect(encrypt(RFC_SECRET, 'test-key')).not.toBe(
+      encrypt(RFC_SECRET, 'test-key')
+    );
+  });
+
+  it('should fail to decrypt with the wrong key', () => {
+    const payload = encrypt(RFC_SECRET, 'test-key');
+
+    expect(() => decrypt(payload, 'other-key')).toThrow();
+  });
+});
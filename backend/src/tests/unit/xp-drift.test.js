@@ -0,0 +1,56 @@
+/**
+ * XP Totals Drift Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { describeDrift, summarizeDrift } from '../../modules/xp/drift.js';
+
+const zeroes = {
+  love: 0,
+  joy: 0,
+  peace: 0,
+  patience: 0,
+  kindness: 0,
+  goodness: 0,
+  faithfulness: 0,
+  gentleness: 0,
+  self_control: 0,
+};
+
+describe('XP totals drift', () => {
+  it('should list only the fruits that drifted', () => {
+    expect(
+      describeDrift({
+        userId: 'u1',
+        recorded: { ...zeroes, joy: 10, self_control: 4 },
+        expected: { ...zeroes, joy: 10, self_control: 7, love: 2 },
+      })
+    ).toEqual({
+      userId: 'u1',
+      fruits: {
+        LOVE: { recorded: 0, expected: 2, drift: 2 },
+        SELF_CONTROL: { recorded: 4, expected: 7, drift: 3 },
+      },
+    });
+  });
+
+  it('should report totals that are too high as negative drift', () => {
+    expect(
+      describeDrift({
+        userId: 'u1',
+        recorded: { ...zeroes, kindness: 8 },
+        expected: zeroes,
+      }).fruits
+    ).toEqual({ KINDNESS: { recorded: 8, expected: 0, drift: -8 } });
+  });
+
+  it('should sum drift per fruit across users', () => {
+    const summary = summarizeDrift([
+      { userId: 'u1', fruits: { LOVE: { drift: 2 }, JOY: { drift: -5 } } },
+      { userId: 'u2', fruits: { LOVE: { drift: 3 } } },
+    ]);
+
+    expect(summary).toMatchObject({ LOVE: 5, JOY: -5, PEACE: 0 });
+    expect(Object.keys(summary)).toHaveLength(9);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * XP Rules Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  XP_ACTIONS,
+  XP_RULES,
+  getRule,
+  buildIdempotencyKey,
+  startOfUtcDay,
+  applyLimits,
+} from '../../modules/xp/rules.js';
+
+const FRUITS = [
+  'LOVE',
+  'JOY',
+  'PEACE',
+  'PATIENCE',
+  'KINDNESS',
+  'GOODNESS',
+  'FAITHFULNESS',
+  'GENTLENESS',
+  'SELF_CONTROL',
+];
+
+describe('XP rules', () => {
+  it('should define a valid rule for every action', () => {
+    for (const action of Object.values(XP_ACTIONS)) {
+      const rule = XP_RULES[action];
+
+      expect(FRUITS).toContain(rule.fruit);
+      expect(rule.amount).toBeGreaterThan(0);
+      expect(rule.dailyCap).toBeGreaterThanOrEqual(rule.amount);
+      expect(rule.cooldownSeconds).toBeGreaterThanOrEqual(0);
+      expect(typeof rule.entityType).toBe('string');
+    }
+  });
+
+  it('should map actions to their fruits', () => {
+    expect(getRule(XP_ACTIONS.PRAYER_COMMIT).fruit).toBe('FAITHFULNESS');
+    expect(getRule(XP_ACTIONS.TESTIMONY_COMMENT).fruit).toBe('KINDNESS');
+    expect(getRule(XP_ACTIONS.TESTIMONY_SHARED).fruit).toBe('JOY');
+    expect(getRule(XP_ACTIONS.MENTOR_SESSION_COMPLETED).fruit).toBe('PATIENCE');
+  });
+
+  it('should reject unknown actions', () => {
+    expect(() => getRule('spam')).toThrow('Unknown XP action: spam');
+  });
+
+  it('should key awards by action, user and entity', () => {
+    expect(buildIdempotencyKey('prayer_commit', 'u1', 'c1')).toBe(
+      'prayer_commit:u1:c1'
+    );
+  });
+
+  it('should start days at midnight UTC', () => {
+    expect(startOfUtcDay(new Date('2026-03-08T23:59:59.999Z'))).toEqual(
+      new Date('2026-03-08T00:00:00.000Z')
+    );
+  });
+
+  describe('applyLimits', () => {
+    const rule = { amount: 5, dailyCap: 12, cooldownSeconds: 30 };
+    const now = new Date('2026-03-08T12:00:00Z');
+
+    it('should award the full amount when under the cap', () => {
+      expect(
+        applyLimits(rule, { earnedToday: 0, lastAwardedAt: null }, now)
+      ).toEqual({ amount: 5, skipped: null });
+    });
+
+    it('should trim the last award to what is left of the cap', () => {
+      expect(
+        applyLimits(rule, { earnedToday: 10, lastAwardedAt: null }, now)
+      ).toEqual({ amount: 2, skipped: null });
+    });
+
+    it('should skip once the cap is reached', () => {
+      expect(
+        applyLimits(rule, { earnedToday: 12, lastAwardedAt: null }, now)
+      ).toEqual({ amount: 0, skipped: 'daily_cap' });
+    });
+
+    it('should skip during the cooldown', () => {
+      const lastAwardedAt = new Date(now.getTime() - 29 * 1000);
+
+      expect(applyLimits(rule, { earnedToday: 5, lastAwardedAt }, now)).toEqual(
+        { amount: 0, skipped: 'cooldown' }
+      );
+    });
+
+    it('should award again once the cooldown has passed', () => {
+      const lastAwardedAt = new Date(now.getTime() - 30 * 1000);
+
+      expect(
+        applyLimits(rule, { earnedToday: 5, lastAwardedAt }, now).skipped
+      ).toBeNull();
+    });
+  });
+});
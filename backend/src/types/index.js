@@ -7,6 +7,7 @@
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -14,11 +15,47 @@ export const HTTP_STATUS = {
   INTERNAL_SERVER_ERROR: 500,
 };
 
-// User Roles (example)
+// Platform roles (User.role)
 export const USER_ROLES = {
-  ADMIN: 'admin',
+  ADMIN: 'ADMIN',
+  USER: 'USER',
+  MODERATOR: 'MODERATOR',
+};
+
+// Group roles (GroupMember.role)
+export const GROUP_ROLES = {
+  ADMIN: 'ADMIN',
+  MODERATOR: 'MODERATOR',
+  MEMBER: 'MEMBER',
+};
+
+// Post reactions (Reaction.type)
+export const REACTION_TYPES = {
+  LIKE: 'LIKE',
+  AMEN: 'AMEN',
+  PRAYER: 'PRAYER',
+};
+
+// Result types of the unified search (GET /api/v1/search)
+export const SEARCH_TYPES = {
+  POST: 'post',
+  PRAYER: 'prayer',
+  GROUP: 'group',
+  EVENT: 'event',
   USER: 'user',
-  MODERATOR: 'moderator',
+};
+
+// Fruits of the Spirit (Fruit enum) and their xp_totals columns
+export const FRUIT_COLUMNS = {
+  LOVE: 'love',
+  JOY: 'joy',
+  PEACE: 'peace',
+  PATIENCE: 'patience',
+  KINDNESS: 'kindness',
+  GOODNESS: 'goodness',
+  FAITHFULNESS: 'faithfulness',
+  GENTLENESS: 'gentleness',
+  SELF_CONTROL: 'self_control',
 };
 
 // Common response messages
@@ -0,0 +1,51 @@
+/**
+ * Operational API error
+ * Thrown from services so the error handler can respond with the
+ * intended status code instead of a generic 500
+ */
+class ApiError extends Error {
+  constructor(statusCode, message, errors = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+
+  static badRequest(message = 'Bad Request', errors = null) {
+    return new ApiError(400, message, errors);
+  }
+
+  static unauthorized(message = 'Unauthorized access') {
+    return new ApiError(401, message);
+  }
+
+  static forbidden(message = 'Forbidden') {
+    return new ApiError(403, message);
+  }
+
+  static notFound(message = 'Resource not found') {
+    return new ApiError(404, message);
+  }
+
+  static conflict(message = 'Conflict') {
+    return new ApiError(409, message);
+  }
+
+  static payloadTooLarge(message = 'Payload too large') {
+    return new ApiError(413, message);
+  }
+
+  static unsupportedMediaType(message = 'Unsupported media type') {
+    return new ApiError(415, message);
+  }
+
+  static tooManyRequests(message = 'Too many requests') {
+    return new ApiError(429, message);
+  }
+
+  static serviceUnavailable(message = 'Service unavailable') {
+    return new ApiError(503, message);
+  }
+}
+
+export default ApiError;
@@ -0,0 +1,125 @@
+/**
+ * Cursor (keyset) pagination helpers
+ * Feeds page on (createdAt, id) newest first, and ranked search results on
+ * (rank, id). The cursor is the position of the last item returned, encoded
+ * as an opaque base64url string, so deep pages cost the same as the first
+ * one and inserts do not shift results.
+ */
+
+/**
+ * Encode the position of a record
+ * @param {Object} record - Record with createdAt and id
+ * @returns {string} Opaque cursor
+ */
+export const encodeCursor = ({ createdAt, id }) =>
+  Buffer.from(`${new Date(createdAt).toISOString()}|${id}`).toString(
+    'base64url'
+  );
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {{ createdAt: Date, id: string }|null} Position, or null when malformed
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    return null;
+  }
+
+  const [timestamp, id] = Buffer.from(cursor, 'base64url')
+    .toString('utf8')
+    .split('|');
+  const createdAt = new Date(timestamp);
+
+  if (!id || Number.isNaN(createdAt.getTime())) {
+    return null;
+  }
+
+  return { createdAt, id };
+};
+
+/**
+ * Encode the position of a ranked search result
+ * @param {Object} result - Result with rank and id
+ * @returns {string} Opaque cursor
+ */
+export const encodeRankCursor = ({ rank, id }) =>
+  Buffer.from(`${rank}|${id}`).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeRankCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {{ rank: number, id: string }|null} Position, or null when malformed
+ */
+export const decodeRankCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    return null;
+  }
+
+  const [rank, id] = Buffer.from(cursor, 'base64url')
+    .toString('utf8')
+    .split('|');
+
+  if (!id || rank === '' || !Number.isFinite(Number(rank))) {
+    return null;
+  }
+
+  return { rank: Number(rank), id };
+};
+
+/**
+ * Prisma filter for records that come after a position, newest first.
+ * Pair it with orderBy [{ createdAt: 'desc' }, { id: 'desc' }].
+ * @param {{ createdAt: Date, id: string }|null} position - Decoded cursor
+ * @returns {Object} Prisma where fragment, empty for the first page
+ */
+export const afterCursor = (position) => {
+  if (!position) {
+    return {};
+  }
+
+  return {
+    OR: [
+      { createdAt: { lt: position.createdAt } },
+      { createdAt: position.createdAt, id: { lt: position.id } },
+    ],
+  };
+};
+
+/**
+ * Parse the limit query param for a cursor page
+ * @param {Object} query - Request query
+ * @param {Object} [options] - Defaults
+ * @param {number} [options.defaultLimit=20] - Limit when none is given
+ * @param {number} [options.maxLimit=50] - Upper bound for limit
+ * @returns {number} Page size
+ */
+export const parseCursorLimit = (query = {}, options = {}) => {
+  const { defaultLimit = 20, maxLimit = 50 } = options;
+  return Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+};
+
+/**
+ * Split a page fetched with `take: limit + 1` into items and the
+ * pagination block returned by ApiResponse.paginated
+ * @param {Array<Object>} records - Up to limit + 1 records
+ * @param {number} limit - Page size
+ * @param {Function} [encode=encodeCursor] - Encodes the last item's position
+ * @returns {{ items: Array, pagination: Object }} Page and cursor metadata
+ */
+export const buildCursorPage = (records, limit, encode = encodeCursor) => {
+  const hasMore = records.length > limit;
+  const items = hasMore ? records.slice(0, limit) : records;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encode(items[items.length - 1]) : null,
+    },
+  };
+};
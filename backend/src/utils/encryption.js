@@ -0,0 +1,50 @@
+/**
+ * Symmetric encryption helpers
+ * AES-256-GCM for small secrets that must be readable again (unlike tokens,
+ * which are only ever hashed). Output format: iv.authTag.ciphertext (base64url).
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+const deriveKey = (secret) =>
+  crypto.createHash('sha256').update(secret).digest();
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} secret - Encryption secret
+ * @returns {string} Encoded ciphertext
+ */
+export const encrypt = (plaintext, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, 'utf8'),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString('base64url'))
+    .join('.');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - Encoded ciphertext
+ * @param {string} secret - Encryption secret
+ * @returns {string} Plaintext
+ */
+export const decrypt = (payload, secret) => {
+  const [iv, authTag, ciphertext] = payload
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString('utf8');
+};
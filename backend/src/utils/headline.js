@@ -0,0 +1,38 @@
+/**
+ * Search snippet helpers
+ * Postgres ts_headline wraps matches in delimiters but does not escape the
+ * surrounding text. Headlines are generated with control characters as
+ * delimiters, then escaped here and turned into <mark> tags, so user
+ * content can never inject markup into a snippet.
+ */
+
+export const HEADLINE_START = '\u0002';
+export const HEADLINE_STOP = '\u0003';
+
+// ts_headline options; MaxFragments > 0 picks the best passages
+export const HEADLINE_OPTIONS = [
+  `StartSel=${HEADLINE_START}`,
+  `StopSel=${HEADLINE_STOP}`,
+  'MaxWords=35',
+  'MinWords=15',
+  'MaxFragments=2',
+  'FragmentDelimiter=" … "',
+].join(', ');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+};
+
+/**
+ * Escape a headline and mark its matches
+ * @param {string} raw - ts_headline output using the control delimiters
+ * @returns {string} HTML-safe snippet with matches in <mark> tags
+ */
+export const renderHeadline = (raw) =>
+  (raw ?? '')
+    .replace(/[&<>"]/g, (char) => HTML_ESCAPES[char])
+    .replaceAll(HEADLINE_START, '<mark>')
+    .replaceAll(HEADLINE_STOP, '</mark>');
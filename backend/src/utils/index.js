@@ -1,3 +1,4 @@
 export { default as asyncHandler } from './asyncHandler.js';
 export { default as response } from './response.js';
 export { default as logger } from './logger.js';
+export { default as ApiError } from './ApiError.js';
@@ -0,0 +1,64 @@
+/**
+ * Media type helpers
+ * Uploads are checked against their leading bytes rather than the
+ * Content-Type the client sent, so a renamed file cannot slip through.
+ */
+
+// Accepted upload types and the extension they are stored with
+export const MEDIA_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+};
+
+// ISO base media brands that are images (HEIC, AVIF), not video
+const IMAGE_BRANDS = new Set(['heic', 'heix', 'mif1', 'msf1', 'avif']);
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+/**
+ * Detect a supported media type from file contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null when not a supported format
+ */
+export const detectMediaType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(buffer, [0x89, ...ascii('PNG\r\n'), 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (
+    startsWith(buffer, ascii('GIF87a')) ||
+    startsWith(buffer, ascii('GIF89a'))
+  ) {
+    return 'image/gif';
+  }
+  if (
+    startsWith(buffer, ascii('RIFF')) &&
+    startsWith(buffer, ascii('WEBP'), 8)
+  ) {
+    return 'image/webp';
+  }
+  if (startsWith(buffer, ascii('ftyp'), 4)) {
+    const brand = buffer.toString('latin1', 8, 12);
+
+    if (IMAGE_BRANDS.has(brand)) {
+      return null;
+    }
+    return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+
+  return null;
+};
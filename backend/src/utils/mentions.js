@@ -0,0 +1,41 @@
+/**
+ * @mention helpers
+ * Clients insert mentions from an autocomplete as `@[Display Name](userId)`,
+ * so a mention keeps pointing at the right user even when display names
+ * change or collide. Renderers show the bracketed name.
+ */
+
+const MENTION_PATTERN =
+  /@\[([^\]\n]{1,100})\]\(([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\)/gi;
+
+// Cap notifications a single post or comment can trigger
+export const MAX_MENTIONS = 20;
+
+/**
+ * Extract the IDs of users mentioned in a text
+ * @param {string} text - Post or comment body
+ * @returns {Array<string>} Unique lowercase user IDs, in order of appearance
+ */
+export const parseMentions = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const ids = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    ids.add(match[2].toLowerCase());
+  }
+
+  return [...ids].slice(0, MAX_MENTIONS);
+};
+
+/**
+ * Users mentioned in an edited text that were not mentioned before
+ * @param {string} text - New body
+ * @param {string} [previousText] - Body before the edit
+ * @returns {Array<string>} Newly mentioned user IDs
+ */
+export const parseNewMentions = (text, previousText) => {
+  const previous = new Set(parseMentions(previousText));
+  return parseMentions(text).filter((id) => !previous.has(id));
+};
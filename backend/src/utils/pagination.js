@@ -0,0 +1,38 @@
+/**
+ * Offset pagination helpers
+ * Turn page/limit query params into Prisma skip/take and build the
+ * pagination block returned by ApiResponse.paginated.
+ */
+
+/**
+ * Parse page and limit query params
+ * @param {Object} query - Request query
+ * @param {Object} [options] - Defaults
+ * @param {number} [options.defaultLimit=20] - Limit when none is given
+ * @param {number} [options.maxLimit=100] - Upper bound for limit
+ * @returns {{ page: number, limit: number, skip: number, take: number }} Paging
+ */
+export const parsePagination = (query = {}, options = {}) => {
+  const { defaultLimit = 20, maxLimit = 100 } = options;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+
+  return { page, limit, skip: (page - 1) * limit, take: limit };
+};
+
+/**
+ * Build the pagination block for a response
+ * @param {number} page - Current page
+ * @param {number} limit - Page size
+ * @param {number} total - Total matching records
+ * @returns {Object} Pagination metadata
+ */
+export const buildPagination = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
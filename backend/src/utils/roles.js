@@ -0,0 +1,39 @@
+/**
+ * Role hierarchy helpers
+ * Both platform and group roles are ordered, so a check for MODERATOR is
+ * also satisfied by ADMIN.
+ */
+
+import { USER_ROLES, GROUP_ROLES } from '../types/index.js';
+
+const PLATFORM_RANKS = [
+  USER_ROLES.USER,
+  USER_ROLES.MODERATOR,
+  USER_ROLES.ADMIN,
+];
+const GROUP_RANKS = [
+  GROUP_ROLES.MEMBER,
+  GROUP_ROLES.MODERATOR,
+  GROUP_ROLES.ADMIN,
+];
+
+const meetsRank = (ranks, role, minimum) =>
+  ranks.includes(role) && ranks.indexOf(role) >= ranks.indexOf(minimum);
+
+/**
+ * Whether a platform role is at least the required role
+ * @param {string} role - User's platform role
+ * @param {string} minimum - Required platform role
+ * @returns {boolean} True when allowed
+ */
+export const hasPlatformRole = (role, minimum) =>
+  meetsRank(PLATFORM_RANKS, role, minimum);
+
+/**
+ * Whether a group role is at least the required role
+ * @param {string} role - Member's group role
+ * @param {string} minimum - Required group role
+ * @returns {boolean} True when allowed
+ */
+export const hasGroupRole = (role, minimum) =>
+  meetsRank(GROUP_RANKS, role, minimum);
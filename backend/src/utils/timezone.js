@@ -0,0 +1,169 @@
+/**
+ * Time zone helpers
+ * Wall-clock scheduling in a user's IANA time zone (User.tz) using only
+ * Intl, so "every day at 08:00" stays at 08:00 local time across DST
+ * changes. Times of day are "HH:MM" strings in 24-hour format, the format
+ * UserSettings uses for quiet time.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+/**
+ * Check whether a string is an IANA time zone Intl understands
+ * @param {string} [timeZone] - Time zone, e.g. "America/Chicago"
+ * @returns {boolean} True when valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * A user's time zone, falling back to UTC when missing or invalid
+ * @param {string} [timeZone] - Stored time zone
+ * @returns {string} Usable time zone
+ */
+export const resolveTimeZone = (timeZone) =>
+  isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ * @param {string} time - Time of day
+ * @returns {number} Minutes since midnight
+ */
+export const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Calendar date and wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} Local parts
+ */
+const localParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+
+  return Object.fromEntries(
+    formatters
+      .get(timeZone)
+      .formatToParts(date)
+      .filter(({ type }) => type !== 'literal')
+      .map(({ type, value }) => [type, Number(value)])
+  );
+};
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} timestamp - Instant in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const offsetAt = (timestamp, timeZone) => {
+  const parts = localParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - (timestamp - (timestamp % 1000));
+};
+
+/**
+ * The instant a local date and time of day occurs in a time zone. Times
+ * skipped by a DST change resolve to the equivalent instant just after it.
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day, may overflow into the next month
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+const zonedTime = (year, month, day, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = offsetAt(wallClock, timeZone);
+  const corrected = offsetAt(wallClock - offset, timeZone);
+
+  return new Date(wallClock - corrected);
+};
+
+/**
+ * The next instant after `from` when the local clock shows `time`
+ * @param {Date} from - Starting instant (excluded)
+ * @param {string} timeZone - IANA time zone
+ * @param {string} time - Time of day, "HH:MM"
+ * @returns {Date} Next occurrence, within the next 24 hours
+ */
+export const nextLocalTime = (from, timeZone, time) => {
+  const { year, month, day } = localParts(from, timeZone);
+  const minutes = parseTimeOfDay(time);
+  const today = zonedTime(year, month, day, minutes, timeZone);
+
+  return today > from
+    ? today
+    : zonedTime(year, month, day + 1, minutes, timeZone);
+};
+
+/**
+ * Move an instant by whole local days, keeping its wall-clock time
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @param {number} days - Days to add
+ * @returns {Date} Shifted instant
+ */
+export const addLocalDays = (date, timeZone, days) => {
+  const { year, month, day, hour, minute } = localParts(date, timeZone);
+  return zonedTime(year, month, day + days, hour * 60 + minute, timeZone);
+};
+
+/**
+ * When a quiet time window covering `date` ends. Windows may wrap past
+ * midnight ("22:00" to "07:00"); the end time itself is outside the window.
+ * @param {Date} date - Instant to check
+ * @param {string} timeZone - IANA time zone
+ * @param {string} [start] - Window start, "HH:MM"
+ * @param {string} [end] - Window end, "HH:MM"
+ * @returns {Date|null} End of the window, or null when `date` is outside it
+ */
+export const quietTimeEndsAt = (date, timeZone, start, end) => {
+  if (!start || !end || start === end) {
+    return null;
+  }
+
+  const { hour, minute } = localParts(date, timeZone);
+  const now = hour * 60 + minute;
+  const from = parseTimeOfDay(start);
+  const to = parseTimeOfDay(end);
+  const inWindow =
+    from < to ? now >= from && now < to : now >= from || now < to;
+
+  return inWindow ? nextLocalTime(date, timeZone, end) : null;
+};